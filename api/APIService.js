@@ -5,6 +5,22 @@
  */
 
 const KYCModel = require('./KYCModel');
+const { checkField, checkForm } = require('../src/shared/validation/FormSchema');
+const { validationErrorResponse } = require('./middleware/validate');
+const { maskAadhaar, maskGovID, maskIdentifier } = require('../src/shared/masking/IdentifierMasking');
+
+/**
+ * Prepare a decrypted KYC record for an API response
+ * PAN, Government ID and Aadhaar Number are never returned in full, as in the database service
+ * @param {object} record - Decrypted KYC record
+ * @returns {object} - Record with its identifiers masked
+ */
+const toResponseRecord = (record) => ({
+  ...record,
+  pan: maskIdentifier(record.pan),
+  govID: maskGovID(record.govID, record.govIDType),
+  aadhaarNumber: maskAadhaar(record.aadhaarNumber),
+});
 
 /**
  * In-memory storage for demo purposes
@@ -33,27 +49,10 @@ const APIService = {
     try {
       await simulateNetworkDelay(350);
 
-      // Validate required fields
-      const requiredFields = ['govID', 'kycAddress', 'kycDob', 'pan', 'aadhaarNumber'];
-      const missingFields = requiredFields.filter((field) => !kycData[field]);
-
-      if (missingFields.length > 0) {
-        return {
-          success: false,
-          status: 400,
-          message: `Missing required fields: ${missingFields.join(', ')}`,
-          timestamp: new Date().toISOString()
-        };
-      }
-
-      // Validate PAN format
-      if (!KYCModel.validatePAN(kycData.pan)) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Invalid PAN format. PAN must be 10 alphanumeric characters.',
-          timestamp: new Date().toISOString()
-        };
+      // Validate with the same rules as the KYC form
+      const errors = checkForm(kycData, 'kyc');
+      if (errors.length > 0) {
+        return validationErrorResponse(errors);
       }
 
       // Check for duplicate PAN
@@ -67,36 +66,6 @@ const APIService = {
         };
       }
 
-      // Validate Government ID
-      if (!KYCModel.validateGovID(kycData.govID)) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Invalid Government ID format.',
-          timestamp: new Date().toISOString()
-        };
-      }
-
-      // Validate Aadhaar Number format
-      if (!KYCModel.validateAadhaar(kycData.aadhaarNumber)) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Invalid Aadhaar Number. Must be exactly 12 digits.',
-          timestamp: new Date().toISOString()
-        };
-      }
-
-      // Validate date
-      if (!KYCModel.validateDate(kycData.kycDob)) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Invalid date of birth format.',
-          timestamp: new Date().toISOString()
-        };
-      }
-
       // Create KYC record (with encryption)
       const kycRecord = KYCModel.create({
         ...kycData,
@@ -159,7 +128,7 @@ const APIService = {
       }
 
       // Retrieve and decrypt data
-      const decryptedRecord = KYCModel.retrieve(record);
+      const decryptedRecord = toResponseRecord(KYCModel.retrieve(record));
 
       return {
         success: true,
@@ -203,7 +172,7 @@ const APIService = {
         };
       }
 
-      const decryptedRecords = records.map((record) => KYCModel.retrieve(record));
+      const decryptedRecords = records.map((record) => toResponseRecord(KYCModel.retrieve(record)));
 
       return {
         success: true,
@@ -247,20 +216,16 @@ const APIService = {
       }
 
       // Validate PAN if being updated
-      if (updateData.pan && !KYCModel.validatePAN(updateData.pan)) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Invalid PAN format.',
-          timestamp: new Date().toISOString()
-        };
+      const panError = updateData.pan ? checkField('pan', updateData.pan) : null;
+      if (panError) {
+        return validationErrorResponse([panError]);
       }
 
       // Update record
       const updatedRecord = KYCModel.update(record, updateData);
       kycDatabase[kycId] = updatedRecord;
 
-      const decryptedRecord = KYCModel.retrieve(updatedRecord);
+      const decryptedRecord = toResponseRecord(KYCModel.retrieve(updatedRecord));
 
       return {
         success: true,
@@ -4,8 +4,37 @@
  * Uses PostgreSQL for persistent storage
  */
 
+const db = require('../db/config');
+const CustomerModel = require('../db/models/CustomerModel');
+const CustomerAddressModel = require('../db/models/CustomerAddressModel');
 const KYCModelDB = require('../db/models/KYCModel');
-const KYCModel = require('./KYCModel');
+const ApplicationDraftModel = require('../db/models/ApplicationDraftModel');
+const ApplicationModel = require('../db/models/ApplicationModel');
+const PendingActionModel = require('../db/models/PendingActionModel');
+const ScreeningModel = require('../db/models/ScreeningModel');
+const ScreeningRunModel = require('../db/models/ScreeningRunModel');
+const DocumentModel = require('../db/models/DocumentModel');
+const { inspectDocument } = require('./documents/DocumentInspection');
+const { validatePAN } = require('../src/shared/validation/PANValidator');
+const { validateAddresses, normalizeAddress } = require('../src/shared/validation/AddressValidator');
+const { maskAadhaar, maskEmail, maskGovID, maskIdentifier } = require('../src/shared/masking/IdentifierMasking');
+const { getMarket } = require('../src/shared/locale/Markets');
+const { FIELD_ERROR_CODES } = require('../src/shared/validation/FormSchema');
+const {
+  APPLICATION_STATUSES,
+  SUBMISSION_STATUSES,
+  STATUS_LABELS,
+  isApplicationStatus,
+  getAllowedTransitions,
+  canTransition,
+  normalizeReference,
+} = require('../src/shared/applications/ApplicationLifecycle');
+const { buildTimeline } = require('../src/shared/applications/StatusTimeline');
+const { isReviewDecision, isValidReasonCode, getReasonLabel } = require('../src/shared/review/ReasonCodes');
+const { ACTION_TYPES, ACTION_STATUSES, requiresApproval } = require('../src/shared/review/PendingActions');
+const { RISK_LEVELS } = require('../src/shared/risk/RiskEngine');
+const { LIST_TYPES, SCREENING_STATUSES, RESOLUTIONS } = require('../src/shared/screening/Screening');
+const { DOCUMENT_TYPES, EXTENSIONS, getDocumentType } = require('../src/shared/documents/DocumentTypes');
 
 /**
  * Simulated network delay
@@ -14,132 +43,2140 @@ const simulateNetworkDelay = (ms = 400) => {
   return new Promise((resolve) => setTimeout(resolve, ms));
 };
 
+/**
+ * Build a validation error response for a single form field
+ * @param {string} field - Form field name
+ * @param {object} error - { code, message }
+ * @returns {object} - Error response with the field's code and message
+ */
+const fieldError = (field, { code, message }) => ({
+  success: false,
+  status: 400,
+  message,
+  code,
+  field,
+  errors: { [field]: message },
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Check that the PAN and Aadhaar Number of a KYC submission are not already on file
+ * Field formats are validated before the request reaches the service
+ * (see api/middleware/validate.js)
+ * @param {object} kycData - KYC form data
+ * @returns {Promise<object|null>} - Error response, or null if both identifiers are new
+ */
+const checkDuplicateIdentifiers = async (kycData) => {
+  // Check for duplicate PAN
+  const panExists = await KYCModelDB.panExists(kycData.pan);
+  if (panExists) {
+    return {
+      success: false,
+      status: 409, // Conflict
+      message: 'PAN already exists in the system.',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Check for duplicate Aadhaar Number
+  const aadhaarExists = await KYCModelDB.aadhaarExists(kycData.aadhaarNumber);
+  if (aadhaarExists) {
+    return {
+      success: false,
+      status: 409, // Conflict
+      message: 'Aadhaar Number already exists in the system.',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Map KYC form data onto the KYC model's input shape
+ * @param {object} kycData - KYC form data
+ * @param {object} metadata - Request metadata (IP, user agent)
+ * @returns {object} - Input for KYCModelDB.create
+ */
+const toKYCRecord = (kycData, metadata = {}) => ({
+  pan: kycData.pan,
+  govID: kycData.govID,
+  aadhaarNumber: kycData.aadhaarNumber,
+  govIDType: kycData.govIDType || null,
+  dateOfBirth: kycData.kycDob,
+  nationality: kycData.nationality || null,
+  kycAddress: kycData.kycAddress,
+  city: kycData.city || null,
+  state: kycData.state || null,
+  postalCode: kycData.postalCode || null,
+  country: kycData.country || null,
+  occupation: kycData.occupation || null,
+  politicallyExposedPerson: kycData.politicallyExposedPerson || false,
+  ipAddress: metadata.ip || null,
+  userAgent: metadata.userAgent || null,
+});
+
+/**
+ * Validate the addresses submitted with a customer against the configured market
+ * @param {array} addresses - Customer addresses (optional)
+ * @returns {object|null} - Error response pointing at the first invalid field, or null if valid
+ */
+const validateAddressInput = (addresses) => {
+  if (addresses === undefined || addresses === null) {
+    return null;
+  }
+
+  const error = validateAddresses(addresses, getMarket());
+  if (!error) {
+    return null;
+  }
+
+  const field = error.index === null ? error.field : `addresses[${error.index}].${error.field}`;
+  return fieldError(field, error);
+};
+
+/**
+ * Map a customer_addresses row onto the API's address shape
+ * @param {object} row - Database row
+ * @returns {object} - Address for API responses
+ */
+const toAddressResponse = (row) => ({
+  addressId: row.id,
+  type: row.address_type,
+  addressLine1: row.address_line1,
+  addressLine2: row.address_line2,
+  city: row.city,
+  state: row.state,
+  postalCode: row.postal_code,
+  country: row.country,
+  sameAsKyc: row.same_as_kyc,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Map a decrypted KYC record onto the API's KYC data shape, with its identifiers masked
+ * @param {object} record - KYC record from KYCModel
+ * @returns {object} - KYC data for API responses
+ */
+const toKYCDataResponse = (record) => ({
+  kycId: record.id,
+  customerId: record.customer_id,
+  pan: maskIdentifier(record.pan),
+  govID: maskGovID(record.govID, record.gov_id_type),
+  govIDType: record.gov_id_type,
+  aadhaarNumber: maskAadhaar(record.aadhaarNumber),
+  dateOfBirth: record.date_of_birth,
+  nationality: record.nationality,
+  kycAddress: record.kyc_address,
+  city: record.city,
+  state: record.state,
+  postalCode: record.postal_code,
+  country: record.country,
+  occupation: record.occupation,
+  verificationStatus: record.verification_status,
+  createdAt: record.created_at
+});
+
+/**
+ * Fill in the KYC address from the customer's address marked "same as KYC address"
+ * Only applies when the KYC data has no address of its own
+ * @param {object} kycData - KYC form data
+ * @param {object} address - Customer address in the API shape, or null
+ * @returns {object} - KYC form data with the address fields filled in
+ */
+const withKycAddress = (kycData, address) => {
+  if (!address || kycData.kycAddress) {
+    return kycData;
+  }
+
+  return {
+    ...kycData,
+    kycAddress: [address.addressLine1, address.addressLine2].filter(Boolean).join(', '),
+    city: kycData.city || address.city,
+    state: kycData.state || address.state,
+    postalCode: kycData.postalCode || address.postalCode,
+    country: kycData.country || address.country
+  };
+};
+
+/**
+ * Build an error that aborts an onboarding transaction when a model reports a conflict
+ * @param {object} result - Failed model result ({ error, code })
+ * @returns {Error} - Error flagged as a conflict
+ */
+const conflictError = (result) => {
+  const error = new Error(result.error);
+  error.code = result.code;
+  error.isConflict = true;
+  return error;
+};
+
+const UUID_FORMAT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Limits on what a draft may hold; drafts are only checked for shape, not validated,
+ * since they are incomplete by nature
+ */
+const MAX_DRAFT_VALUE_LENGTH = 1000;
+const MAX_DRAFT_STEPS = 20;
+
+const DRAFT_FIELD_NAMES = ApplicationDraftModel.DRAFT_FIELDS.map((field) => field.name);
+
+/**
+ * Check the shape of a draft and keep only the form fields it may store
+ * @param {object} draftData - { values, completedSteps }
+ * @returns {object} - { draft } with unknown fields dropped, or { error } with an error response
+ */
+const toDraftInput = (draftData) => {
+  const { values = {}, completedSteps = [] } = draftData || {};
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { error: fieldError('values', { code: FIELD_ERROR_CODES.INVALID, message: 'Draft values must be an object' }) };
+  }
+
+  const draftValues = {};
+  for (const field of DRAFT_FIELD_NAMES) {
+    const value = values[field];
+    if (value === undefined) continue;
+
+    const isText = typeof value === 'string' && value.length <= MAX_DRAFT_VALUE_LENGTH;
+    if (!isText && typeof value !== 'boolean') {
+      return { error: fieldError(field, { code: FIELD_ERROR_CODES.INVALID, message: `Invalid draft value for ${field}` }) };
+    }
+    draftValues[field] = value;
+  }
+
+  const validSteps = Array.isArray(completedSteps) && completedSteps.length <= MAX_DRAFT_STEPS &&
+    completedSteps.every((step) => typeof step === 'string' && /^[a-z-]{1,50}$/.test(step));
+  if (!validSteps) {
+    return { error: fieldError('completedSteps', { code: FIELD_ERROR_CODES.INVALID, message: 'Invalid completed steps' }) };
+  }
+
+  return { draft: { values: draftValues, completedSteps } };
+};
+
+/**
+ * Response for a draft or application ID that is not a UUID
+ * @param {string} label - What the ID identifies
+ */
+const invalidIdResponse = (label = 'Draft') => ({
+  success: false,
+  status: 400,
+  message: `${label} ID must be a UUID`,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Response for a draft that does not exist, or has expired
+ * @param {object} draft - Draft from ApplicationDraftModel.getById, or undefined
+ * @returns {object} - 410 for an expired draft, 404 otherwise
+ */
+const missingDraftResponse = (draft) => (draft && draft.expired ? {
+  success: false,
+  status: 410,
+  message: 'This saved application has expired. Please start a new application.',
+  code: 'DRAFT_EXPIRED',
+  timestamp: new Date().toISOString()
+} : {
+  success: false,
+  status: 404,
+  message: 'Saved application not found.',
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Shape an application row for API responses
+ * @param {object} row - applications row
+ * @returns {object}
+ */
+const toApplicationResponse = (row) => ({
+  applicationId: row.id,
+  reference: row.reference,
+  status: row.status,
+  customerId: row.customer_id,
+  kycId: row.kyc_id,
+  submittedAt: row.submitted_at,
+  decidedAt: row.decided_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Shape a status history row for API responses
+ * @param {object} row - application_status_history row
+ * @returns {object}
+ */
+const toHistoryResponse = (row) => ({
+  fromStatus: row.from_status,
+  toStatus: row.to_status,
+  reason: row.reason,
+  changedBy: row.changed_by,
+  changedAt: row.created_at
+});
+
+/**
+ * Shape a document for API responses
+ * @param {object} row - Document from DocumentModel
+ * @returns {object}
+ */
+const toDocumentResponse = (row) => ({
+  documentId: row.id,
+  documentType: row.document_type,
+  mimeType: row.mime_type,
+  sizeBytes: row.size_bytes,
+  width: row.width,
+  height: row.height,
+  hasThumbnail: row.has_thumbnail,
+  uploadedAt: row.created_at
+});
+
+/**
+ * Response for a document request that failed on the server; the error itself may name
+ * storage paths or database details, so it is only logged
+ * @param {string} message - What could not be done
+ * @returns {object}
+ */
+const documentErrorResponse = (message) => ({
+  success: false,
+  status: 500,
+  message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Response for a document that does not exist, or does not belong to the named case
+ */
+const documentNotFoundResponse = () => ({
+  success: false,
+  status: 404,
+  message: 'Document not found.',
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Where reviewers list a submission's documents; stored as its document_url
+ * @param {string} kycId - KYC record ID
+ */
+const reviewDocumentsUrl = (kycId) => `/api/review/kyc/${kycId}/documents`;
+
+/**
+ * Build the applicant-facing status of an application
+ * Holds no personal data beyond the masked email
+ * @param {object} row - Row from ApplicationModel.getStatusByReference
+ * @returns {Promise<object>} - { reference, status, statusLabel, email, timeline, updatedAt }
+ */
+const toStatusView = async (row) => {
+  const history = await ApplicationModel.getHistory(row.id);
+
+  return {
+    reference: row.reference,
+    status: row.status,
+    statusLabel: STATUS_LABELS[row.status],
+    email: maskEmail(row.email),
+    timeline: buildTimeline({
+      status: row.status,
+      submittedAt: row.submitted_at,
+      decidedAt: row.decided_at,
+      history: history.map(toHistoryResponse),
+      kycStatus: row.kyc_status,
+      kycVerifiedAt: row.kyc_verified_at
+    }),
+    updatedAt: row.updated_at
+  };
+};
+
+/**
+ * Response for a status lookup that matches no application
+ * The same response is given whatever did not match, so it reveals nothing
+ */
+const statusNotFoundResponse = () => ({
+  success: false,
+  status: 404,
+  message: 'We could not find an application matching these details.',
+  timestamp: new Date().toISOString()
+});
+
+const VERIFICATION_STATUSES = ['pending', 'verified', 'rejected', 'expired'];
+
+/**
+ * Check the review queue's filters
+ * @param {object} filters - { status, risk, pep, olderThanDays, screening }
+ * @returns {object|null} - 400 response, or null if the filters are valid
+ */
+const validateQueueFilters = (filters) => {
+  const invalid = (message) => ({
+    success: false,
+    status: 400,
+    message,
+    timestamp: new Date().toISOString()
+  });
+
+  if (filters.status && !VERIFICATION_STATUSES.includes(filters.status)) {
+    return invalid(`Invalid verification status. Allowed values: ${VERIFICATION_STATUSES.join(', ')}`);
+  }
+  if (filters.risk && !RISK_LEVELS.includes(filters.risk)) {
+    return invalid(`Invalid risk level. Allowed values: ${RISK_LEVELS.join(', ')}`);
+  }
+  if (filters.olderThanDays !== undefined && !(Number.isInteger(filters.olderThanDays) && filters.olderThanDays > 0)) {
+    return invalid('olderThanDays must be a positive whole number');
+  }
+  if (filters.screening && filters.screening !== 'open') {
+    return invalid('Invalid screening filter. Allowed value: open');
+  }
+  return null;
+};
+
+/**
+ * Response for a claim or decision the reviewer's claim does not allow
+ * @param {object} result - Failed model result ({ error, code })
+ */
+const claimConflictResponse = (result) => ({
+  success: false,
+  status: result.code === 'KYC_NOT_FOUND' ? 404 : 409,
+  message: result.code === 'KYC_NOT_FOUND' ? 'KYC record not found.' : result.error,
+  code: result.code,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * @param {object} row - Row from KYCModel.getAll
+ * @returns {object}
+ */
+const toQueueItem = (row) => ({
+  kycId: row.id,
+  customerId: row.customer_id,
+  reference: row.reference,
+  applicantName: [row.first_name, row.last_name].filter(Boolean).join(' '),
+  verificationStatus: row.verification_status,
+  riskAssessment: row.risk_assessment,
+  riskScore: row.risk_score,
+  politicallyExposedPerson: row.politically_exposed_person,
+  nationality: row.nationality,
+  claimedBy: row.claimed_by,
+  claimedByEmail: row.claimed_by_email,
+  claimedAt: row.claimed_at,
+  awaitingApproval: row.awaiting_approval,
+  openScreeningHits: row.open_screening_hits,
+  createdAt: row.created_at
+});
+
+/**
+ * @param {object} row - screening_results row, optionally with the resolving reviewer's email
+ * @returns {object}
+ */
+const toScreeningResultResponse = (row) => ({
+  resultId: row.id,
+  kycId: row.kyc_id,
+  listName: row.list_name,
+  listType: row.list_type,
+  entryRef: row.entry_ref,
+  matchedName: row.matched_name,
+  score: row.score,
+  details: row.match_details,
+  status: row.status,
+  resolvedBy: row.resolved_by,
+  resolvedByEmail: row.resolved_by_email,
+  resolutionNote: row.resolution_note,
+  resolvedAt: row.resolved_at,
+  createdAt: row.created_at
+});
+
+/**
+ * @param {object} row - screening_runs row
+ * @returns {object}
+ */
+const toScreeningRunResponse = (row) => ({
+  runId: row.id,
+  status: row.status,
+  entriesSince: row.entries_since,
+  entriesUntil: row.entries_until,
+  deltaEntries: row.delta_entries,
+  customersScreened: row.customers_screened,
+  customersWithHits: row.customers_with_hits,
+  newHits: row.new_hits,
+  lastError: row.last_error,
+  startedAt: row.started_at,
+  updatedAt: row.updated_at,
+  completedAt: row.completed_at
+});
+
+/**
+ * Stop an approval while a submission, or any of a customer's submissions, has a
+ * screening hit not yet resolved or a confirmed sanctions match
+ * @param {object} subject - { kycId } or { customerId }
+ * @param {object} client - Optional pg client of an enclosing transaction
+ * @throws {Error} - Conflict with code SCREENING_UNRESOLVED or SCREENING_MATCH
+ */
+const assertScreeningClear = async (subject, client = null) => {
+  const blocking = await ScreeningModel.getBlocking(subject, client);
+  if (blocking.length === 0) {
+    return;
+  }
+
+  throw conflictError(blocking.some((row) => row.status === SCREENING_STATUSES.POTENTIAL_MATCH) ? {
+    error: 'Resolve the watchlist screening hits before approving',
+    code: 'SCREENING_UNRESOLVED',
+  } : {
+    error: 'A confirmed sanctions match stops this approval',
+    code: 'SCREENING_MATCH',
+  });
+};
+
+const CUSTOMER_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * @param {object} row - pending_actions row, optionally with the columns PendingActionModel joins
+ * @returns {object}
+ */
+const toPendingActionResponse = (row) => ({
+  actionId: row.id,
+  actionType: row.action_type,
+  recordId: row.record_id,
+  proposed: row.proposed_values,
+  status: row.status,
+  makerId: row.maker_id,
+  makerEmail: row.maker_email,
+  checkerId: row.checker_id,
+  checkerEmail: row.checker_email,
+  checkerNote: row.checker_note,
+  customerId: row.customer_id,
+  customerName: [row.first_name, row.last_name].filter(Boolean).join(' ') || undefined,
+  createdAt: row.created_at,
+  decidedAt: row.decided_at
+});
+
+/**
+ * Response for a pending action that could not be decided
+ * @param {object} result - Failed model result ({ error, code })
+ */
+const pendingActionConflictResponse = (result) => {
+  const statuses = { ACTION_NOT_FOUND: 404, SELF_APPROVAL: 403, ROLE_NOT_ALLOWED: 403 };
+  return {
+    success: false,
+    status: statuses[result.code] || 409,
+    message: result.error,
+    code: result.code,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Response for a change refused because the record already has one awaiting approval
+ */
+const actionPendingResponse = () => ({
+  success: false,
+  status: 409,
+  message: 'A change to this record is already awaiting approval',
+  code: 'ACTION_PENDING',
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Apply an approved KYC decision, with the checker recorded as the verifier
+ * A verified submission moves its application on to under_review; verifying is refused
+ * while watchlist screening stops it
+ * @param {object} action - pending_actions row
+ * @param {string} checkerId - Checker's user ID
+ * @param {object} context - Audit context ({ userId, ipAddress })
+ * @param {object} client - pg client of the enclosing transaction
+ */
+const applyKYCDecision = async (action, checkerId, context, client) => {
+  const { status, reasonCode, notes } = action.proposed_values;
+
+  if (status === 'verified') {
+    await assertScreeningClear({ kycId: action.record_id }, client);
+  }
+
+  const updated = await KYCModelDB.updateVerificationStatus(action.record_id, {
+    status,
+    reasonCode,
+    notes,
+    verifiedBy: checkerId,
+  }, context, client);
+  if (!updated.success) {
+    throw conflictError(updated);
+  }
+
+  if (status === 'verified') {
+    const application = await ApplicationModel.getLatestByCustomerId(updated.customer_id, client);
+    if (application && application.status === APPLICATION_STATUSES.KYC_PENDING) {
+      const moved = await ApplicationModel.transition(application.id, APPLICATION_STATUSES.UNDER_REVIEW, {
+        reason: `KYC verified: ${getReasonLabel(reasonCode)}`,
+      }, context, client);
+      if (!moved.success) {
+        throw conflictError(moved);
+      }
+    }
+  }
+};
+
+/**
+ * Apply an approved customer status change; approving is refused while watchlist
+ * screening stops it
+ * @param {object} action - pending_actions row
+ * @param {object} context - Audit context ({ userId, ipAddress })
+ * @param {object} client - pg client of the enclosing transaction
+ */
+const applyCustomerStatus = async (action, context, client) => {
+  if (action.proposed_values.status === 'approved') {
+    await assertScreeningClear({ customerId: action.record_id }, client);
+  }
+
+  const updated = await CustomerModel.updateStatus(action.record_id, action.proposed_values.status, context, client);
+  if (!updated) {
+    throw conflictError({ error: 'Customer not found', code: 'CUSTOMER_NOT_FOUND' });
+  }
+};
+
+/**
+ * Apply an approved application decision; approving is refused while watchlist screening
+ * of the application's customer stops it
+ * @param {object} action - pending_actions row
+ * @param {object} context - Audit context ({ userId, ipAddress })
+ * @param {object} client - pg client of the enclosing transaction
+ */
+const applyApplicationStatus = async (action, context, client) => {
+  const { status, reason } = action.proposed_values;
+
+  if (status === APPLICATION_STATUSES.APPROVED) {
+    const application = await ApplicationModel.getById(action.record_id, client);
+    if (application && application.customer_id) {
+      await assertScreeningClear({ customerId: application.customer_id }, client);
+    }
+  }
+
+  const moved = await ApplicationModel.transition(action.record_id, status, { reason }, context, client);
+  if (!moved.success) {
+    throw conflictError(moved);
+  }
+};
+
 const APIService = {
   /**
-   * POST /kyc-data
-   * Submit new KYC data to database
-   * @param {object} kycData - KYC form data
-   * @param {string} customerId - Associated customer ID
-   * @param {object} metadata - Additional metadata (IP, user agent, etc.)
+   * POST /customers
+   * Create a customer record and its addresses
+   * @param {object} customerData - Customer form data, optionally with an `addresses` array
+   * @param {object} metadata - Additional metadata (IP, acting user ID)
+   * @returns {Promise<object>} - API response with the customer ID
+   */
+  createCustomer: async (customerData, metadata = {}) => {
+    try {
+      const addressError = validateAddressInput(customerData.addresses);
+      if (addressError) {
+        return addressError;
+      }
+
+      const context = {
+        userId: metadata.userId || null,
+        ipAddress: metadata.ip || null,
+      };
+
+      const result = await db.transaction(async (client) => {
+        const customerResult = await CustomerModel.create({
+          ...customerData,
+          addresses: customerData.addresses || []
+        }, context, client);
+        if (!customerResult.success) {
+          return customerResult;
+        }
+
+        const application = await ApplicationModel.create({
+          customerId: customerResult.customerId,
+          status: APPLICATION_STATUSES.SUBMITTED,
+        }, context, client);
+
+        return { ...customerResult, application };
+      });
+
+      if (!result.success) {
+        return {
+          success: false,
+          status: 409,
+          message: result.error,
+          code: result.code,
+          error: result.error,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      return {
+        success: true,
+        status: 201,
+        message: 'Customer record created successfully',
+        data: {
+          customerId: result.customerId,
+          applicationId: result.application.id,
+          reference: result.application.reference,
+          createdAt: result.createdAt
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error creating customer:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while creating the customer record.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * GET /customers/:customerId/addresses
+   * Retrieve a customer's addresses
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<object>} - API response with the customer's addresses
+   */
+  getCustomerAddresses: async (customerId) => {
+    try {
+      const rows = await CustomerAddressModel.getByCustomerId(customerId);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Customer addresses retrieved successfully',
+        data: rows.map(toAddressResponse),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving customer addresses:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving customer addresses.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * POST /kyc-data
+   * Submit new KYC data to database
+   * @param {object} kycData - KYC form data
+   * @param {string} customerId - Associated customer ID
+   * @param {object} metadata - Additional metadata (IP, user agent, acting user ID)
+   * @returns {Promise<object>} - API response
+   */
+  submitKYCData: async (kycData, customerId = null, metadata = {}) => {
+    try {
+      await simulateNetworkDelay(350);
+
+      const kycAddress = customerId ? await CustomerAddressModel.getKycAddress(customerId) : null;
+      const input = withKycAddress(kycData, kycAddress && toAddressResponse(kycAddress));
+
+      const duplicateError = await checkDuplicateIdentifiers(input);
+      if (duplicateError) {
+        return duplicateError;
+      }
+
+      const context = {
+        userId: metadata.userId || null,
+        ipAddress: metadata.ip || null,
+      };
+
+      // Create, risk-score and screen the KYC record; a submitted application now awaits KYC review
+      const result = await db.transaction(async (client) => {
+        const kycResult = await KYCModelDB.create(customerId, toKYCRecord(input, metadata), context, client);
+        if (!kycResult.success) {
+          return kycResult;
+        }
+        await KYCModelDB.scoreRisk(kycResult.kycId, context, client);
+        await ScreeningModel.screen(kycResult.kycId, context, client);
+
+        const application = customerId ? await ApplicationModel.getLatestByCustomerId(customerId, client) : null;
+        if (application && application.status === APPLICATION_STATUSES.SUBMITTED) {
+          const transition = await ApplicationModel.transition(application.id, APPLICATION_STATUSES.KYC_PENDING, {
+            kycId: kycResult.kycId,
+          }, context, client);
+          if (!transition.success) {
+            throw conflictError(transition);
+          }
+        }
+
+        return kycResult;
+      });
+
+      if (!result.success) {
+        return {
+          success: false,
+          status: 409,
+          message: result.error,
+          code: result.code,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      console.log(`KYC record created: ${result.kycId}`);
+
+      return {
+        success: true,
+        status: 201,
+        message: 'KYC data submitted successfully',
+        data: {
+          kycId: result.kycId,
+          customerId: customerId,
+          verificationStatus: 'pending',
+          createdAt: result.createdAt
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error.isConflict) {
+        return {
+          success: false,
+          status: 409,
+          message: error.message,
+          code: error.code,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      console.error('Error submitting KYC data:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while submitting KYC data.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * POST /onboarding
+   * Create the customer record and its risk-scored, screened KYC submission in a single transaction, and
+   * move the application through submitted to kyc_pending
+   * Nothing is persisted if either step fails
+   * @param {object} onboardingData - { customer, kyc, applicationId } form data; applicationId
+   *   names the application started with a draft, which is submitted and its draft discarded.
+   *   Without it a new application is created.
+   * @param {object} metadata - Additional metadata (IP, user agent, acting user ID)
+   * @returns {Promise<object>} - API response with customer, KYC and application IDs
+   */
+  submitOnboarding: async (onboardingData, metadata = {}) => {
+    try {
+      const { customer = {}, kyc = {}, applicationId = null } = onboardingData || {};
+
+      if (applicationId !== null && !UUID_FORMAT.test(applicationId)) {
+        return invalidIdResponse('Application');
+      }
+
+      const addressError = validateAddressInput(customer.addresses);
+      if (addressError) {
+        return addressError;
+      }
+
+      const addresses = customer.addresses || [];
+      const kycAddress = addresses.map(normalizeAddress).find((address) => address.sameAsKyc);
+      const kycInput = withKycAddress(kyc, kycAddress);
+
+      const duplicateError = await checkDuplicateIdentifiers(kycInput);
+      if (duplicateError) {
+        return duplicateError;
+      }
+
+      const context = {
+        userId: metadata.userId || null,
+        ipAddress: metadata.ip || null,
+      };
+
+      const created = await db.transaction(async (client) => {
+        const customerResult = await CustomerModel.create({
+          ...customer,
+          accountType: customer.accountType || 'individual',
+          addresses,
+        }, context, client);
+        if (!customerResult.success) {
+          throw conflictError(customerResult);
+        }
+
+        const kycResult = await KYCModelDB.create(
+          customerResult.customerId,
+          toKYCRecord(kycInput, metadata),
+          context,
+          client
+        );
+        if (!kycResult.success) {
+          throw conflictError(kycResult);
+        }
+        await KYCModelDB.scoreRisk(kycResult.kycId, context, client);
+        await ScreeningModel.screen(kycResult.kycId, context, client);
+
+        const ids = { customerId: customerResult.customerId };
+        let submitted;
+        if (applicationId) {
+          submitted = await ApplicationModel.transition(applicationId, APPLICATION_STATUSES.SUBMITTED, ids, context, client);
+          if (!submitted.success) {
+            throw conflictError(submitted);
+          }
+          await ApplicationDraftModel.delete(applicationId, client);
+
+          // Documents uploaded while in draft go to review with the submission
+          if (await DocumentModel.linkToKyc(applicationId, kycResult.kycId, context, client) > 0) {
+            await KYCModelDB.setDocumentUrl(kycResult.kycId, reviewDocumentsUrl(kycResult.kycId), context, client);
+          }
+        } else {
+          submitted = {
+            application: await ApplicationModel.create({ ...ids, status: APPLICATION_STATUSES.SUBMITTED }, context, client)
+          };
+        }
+
+        const kycPending = await ApplicationModel.transition(submitted.application.id, APPLICATION_STATUSES.KYC_PENDING, {
+          kycId: kycResult.kycId,
+        }, context, client);
+        if (!kycPending.success) {
+          throw conflictError(kycPending);
+        }
+
+        return { customer: customerResult, kyc: kycResult, application: kycPending.application };
+      });
+
+      console.log(`Onboarding completed: application ${created.application.reference}, customer ${created.customer.customerId}, KYC ${created.kyc.kycId}`);
+
+      return {
+        success: true,
+        status: 201,
+        message: 'Onboarding completed successfully',
+        data: {
+          customerId: created.customer.customerId,
+          kycId: created.kyc.kycId,
+          applicationId: created.application.id,
+          reference: created.application.reference,
+          applicationStatus: created.application.status,
+          verificationStatus: 'pending',
+          createdAt: created.kyc.createdAt
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error.isConflict) {
+        return {
+          success: false,
+          status: 409,
+          message: error.message,
+          code: error.code,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      console.error('Error submitting onboarding:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred during onboarding.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * POST /applications/:id/draft
+   * Start an application in draft, with its draft under the same ID
+   * @param {string} draftId - Draft UUID chosen by the client
+   * @param {object} draftData - { values, completedSteps }
+   * @param {object} metadata - Additional metadata (IP)
+   * @returns {Promise<object>} - API response with the draft's expiry and the application reference
+   */
+  createDraft: async (draftId, draftData, metadata = {}) => {
+    try {
+      if (!UUID_FORMAT.test(draftId)) {
+        return invalidIdResponse();
+      }
+
+      const { draft, error } = toDraftInput(draftData);
+      if (error) {
+        return error;
+      }
+
+      const result = await db.transaction(async (client) => {
+        const draftResult = await ApplicationDraftModel.create(draftId, draft, client);
+        if (!draftResult.success) {
+          return draftResult;
+        }
+
+        const application = await ApplicationModel.create({ id: draftId }, {
+          ipAddress: metadata.ip || null,
+        }, client);
+
+        return { ...draftResult, reference: application.reference };
+      });
+      if (!result.success) {
+        return {
+          success: false,
+          status: 409,
+          message: result.error,
+          code: result.code,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      return {
+        success: true,
+        status: 201,
+        message: 'Draft saved',
+        data: {
+          draftId: result.draftId,
+          reference: result.reference,
+          expiresAt: result.expiresAt,
+          updatedAt: result.updatedAt
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error creating draft:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while saving the application.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * PUT /applications/:id/draft
+   * Save values into a draft; fields left out keep their saved value
+   * @param {string} draftId - Draft UUID
+   * @param {object} draftData - { values, completedSteps }
+   * @returns {Promise<object>} - API response with the draft's expiry
+   */
+  saveDraft: async (draftId, draftData) => {
+    try {
+      if (!UUID_FORMAT.test(draftId)) {
+        return invalidIdResponse();
+      }
+
+      const { draft, error } = toDraftInput(draftData);
+      if (error) {
+        return error;
+      }
+
+      const updated = await ApplicationDraftModel.update(draftId, draft);
+      if (!updated) {
+        return missingDraftResponse(await ApplicationDraftModel.getById(draftId));
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Draft saved',
+        data: {
+          draftId: updated.id,
+          expiresAt: updated.expires_at,
+          updatedAt: updated.updated_at
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error saving draft:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while saving the application.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * GET /applications/:id/draft
+   * Retrieve a draft to resume it
+   * @param {string} draftId - Draft UUID
+   * @returns {Promise<object>} - API response with the draft's values, including sensitive fields
+   */
+  getDraft: async (draftId) => {
+    try {
+      if (!UUID_FORMAT.test(draftId)) {
+        return invalidIdResponse();
+      }
+
+      const draft = await ApplicationDraftModel.getById(draftId);
+      if (!draft || draft.expired) {
+        return missingDraftResponse(draft);
+      }
+
+      const application = await ApplicationModel.getById(draftId);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Draft retrieved successfully',
+        data: {
+          draftId: draft.id,
+          reference: application ? application.reference : null,
+          values: draft.values,
+          completedSteps: draft.completedSteps,
+          expiresAt: draft.expiresAt,
+          updatedAt: draft.updatedAt
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving draft:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving the saved application.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * DELETE /applications/:id/draft
+   * Discard a draft and withdraw its application, deleting its documents
+   * @param {string} draftId - Draft UUID
+   * @param {object} metadata - Additional metadata (IP)
+   * @returns {Promise<object>} - API response
+   */
+  deleteDraft: async (draftId, metadata = {}) => {
+    try {
+      if (!UUID_FORMAT.test(draftId)) {
+        return invalidIdResponse();
+      }
+
+      const context = { ipAddress: metadata.ip || null };
+      const deleted = await db.transaction(async (client) => {
+        if (!await ApplicationDraftModel.delete(draftId, client)) {
+          return null;
+        }
+
+        await ApplicationModel.transition(draftId, APPLICATION_STATUSES.WITHDRAWN, {
+          reason: 'Draft discarded by the applicant',
+        }, context, client);
+        return DocumentModel.deleteByApplications([draftId], context, client);
+      });
+      if (!deleted) {
+        return missingDraftResponse();
+      }
+      await DocumentModel.removeFiles(deleted);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Draft deleted',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error deleting draft:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while deleting the saved application.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * POST /applications/:id/documents
+   * Upload a document to an application in draft, replacing any of the same type
+   * The file's real type is read from its content and checked against the document type
+   * @param {string} applicationId - Application (draft) UUID
+   * @param {string} documentType - One of DOCUMENT_TYPES
+   * @param {object} file - { filename, content } with content as a Buffer
+   * @param {object} metadata - Additional metadata (IP)
+   * @returns {Promise<object>} - API response with the document
+   */
+  uploadDocument: async (applicationId, documentType, file, metadata = {}) => {
+    try {
+      if (!UUID_FORMAT.test(applicationId)) {
+        return invalidIdResponse('Application');
+      }
+
+      if (!getDocumentType(documentType)) {
+        return fieldError('documentType', {
+          code: FIELD_ERROR_CODES.INVALID,
+          message: `documentType must be one of: ${Object.values(DOCUMENT_TYPES).join(', ')}`
+        });
+      }
+
+      const draft = await ApplicationDraftModel.getById(applicationId);
+      if (!draft || draft.expired) {
+        return missingDraftResponse(draft);
+      }
+
+      const inspected = inspectDocument(documentType, file.content);
+      if (inspected.error) {
+        const response = fieldError('file', inspected.error);
+        // Each quality issue is listed, so the applicant knows what to change when taking it again
+        if (inspected.error.issues) {
+          response.issues = inspected.error.issues;
+        }
+        return response;
+      }
+
+      const result = await DocumentModel.create(applicationId, {
+        documentType,
+        mimeType: inspected.mimeType,
+        width: inspected.width,
+        height: inspected.height,
+        content: file.content,
+        thumbnail: inspected.thumbnail,
+      }, { ipAddress: metadata.ip || null });
+      if (!result.success) {
+        return {
+          success: false,
+          status: 409,
+          message: result.error,
+          code: result.code,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      return {
+        success: true,
+        status: result.replaced ? 200 : 201,
+        message: result.replaced ? 'Document replaced' : 'Document uploaded',
+        data: toDocumentResponse(result.document),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error uploading document:', error);
+      return documentErrorResponse('An error occurred while uploading the document.');
+    }
+  },
+
+  /**
+   * GET /applications/:id/documents
+   * List the documents uploaded to an application in draft
+   * @param {string} applicationId - Application (draft) UUID
+   * @returns {Promise<object>} - API response with the documents
+   */
+  getDocuments: async (applicationId) => {
+    try {
+      if (!UUID_FORMAT.test(applicationId)) {
+        return invalidIdResponse('Application');
+      }
+
+      const draft = await ApplicationDraftModel.getById(applicationId);
+      if (!draft || draft.expired) {
+        return missingDraftResponse(draft);
+      }
+
+      const documents = await DocumentModel.getByApplication(applicationId);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Documents retrieved successfully',
+        data: documents.map(toDocumentResponse),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving documents:', error);
+      return documentErrorResponse('An error occurred while retrieving the documents.');
+    }
+  },
+
+  /**
+   * DELETE /applications/:id/documents/:documentId
+   * Delete a document of an application in draft
+   * @param {string} applicationId - Application (draft) UUID
+   * @param {string} documentId - Document UUID
+   * @param {object} metadata - Additional metadata (IP)
+   * @returns {Promise<object>} - API response
+   */
+  deleteDocument: async (applicationId, documentId, metadata = {}) => {
+    try {
+      if (!UUID_FORMAT.test(applicationId)) {
+        return invalidIdResponse('Application');
+      }
+      if (!UUID_FORMAT.test(documentId)) {
+        return invalidIdResponse('Document');
+      }
+
+      const draft = await ApplicationDraftModel.getById(applicationId);
+      if (!draft || draft.expired) {
+        return missingDraftResponse(draft);
+      }
+
+      if (!await DocumentModel.delete(applicationId, documentId, { ipAddress: metadata.ip || null })) {
+        return documentNotFoundResponse();
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Document deleted',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      return documentErrorResponse('An error occurred while deleting the document.');
+    }
+  },
+
+  /**
+   * GET /applications
+   * List applications (paginated), optionally in one status
+   * @param {object} filters - { status }
+   * @param {number} limit - Number of records per page
+   * @param {number} offset - Pagination offset
+   * @returns {Promise<object>} - API response with applications and pagination
+   */
+  getApplications: async (filters = {}, limit = 20, offset = 0) => {
+    try {
+      if (filters.status && !isApplicationStatus(filters.status)) {
+        return {
+          success: false,
+          status: 400,
+          message: `Invalid application status: ${filters.status}`,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const rows = await ApplicationModel.getAll(filters, limit, offset);
+      const total = await ApplicationModel.count(filters);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Applications retrieved successfully',
+        data: rows.map(toApplicationResponse),
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + limit < total
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving applications:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving applications.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * GET /applications/:id
+   * Retrieve an application with its status history
+   * @param {string} applicationId - Application UUID
+   * @returns {Promise<object>} - API response with the application
+   */
+  getApplication: async (applicationId) => {
+    try {
+      if (!UUID_FORMAT.test(applicationId)) {
+        return invalidIdResponse('Application');
+      }
+
+      const application = await ApplicationModel.getById(applicationId);
+      if (!application) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Application not found.',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const history = await ApplicationModel.getHistory(applicationId);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Application retrieved successfully',
+        data: {
+          ...toApplicationResponse(application),
+          history: history.map(toHistoryResponse)
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving application:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving the application.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * PUT /applications/:id/status
+   * Move an application to a new status; only transitions allowed by the lifecycle succeed.
+   * Submission statuses are set by the applicant's own submission, not through here, and an
+   * application is not approved while watchlist screening of its customer stops it.
+   * Approving or declining is only proposed, to be applied once a checker approves it (see
+   * decidePendingAction).
+   * @param {string} applicationId - Application UUID
+   * @param {string} status - Requested status
+   * @param {string} reason - Why the status changed
+   * @param {object} metadata - Additional metadata (IP, acting user ID)
+   * @returns {Promise<object>} - API response with the updated application; 202 with the
+   *   pending action for a decision
+   */
+  transitionApplication: async (applicationId, status, reason = '', metadata = {}) => {
+    try {
+      if (!UUID_FORMAT.test(applicationId)) {
+        return invalidIdResponse('Application');
+      }
+
+      if (!isApplicationStatus(status) || SUBMISSION_STATUSES.includes(status)) {
+        return {
+          success: false,
+          status: 400,
+          message: `Invalid application status: ${status}`,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const context = { userId: metadata.userId || null, ipAddress: metadata.ip || null };
+
+      if (requiresApproval(ACTION_TYPES.APPLICATION_STATUS, { status })) {
+        const application = await ApplicationModel.getById(applicationId);
+        if (!application) {
+          return {
+            success: false,
+            status: 404,
+            message: 'Application not found.',
+            timestamp: new Date().toISOString()
+          };
+        }
+        if (!canTransition(application.status, status)) {
+          return {
+            success: false,
+            status: 409,
+            message: `Application cannot move from ${application.status} to ${status}`,
+            code: 'INVALID_TRANSITION',
+            allowedTransitions: getAllowedTransitions(application.status),
+            timestamp: new Date().toISOString()
+          };
+        }
+        if (status === APPLICATION_STATUSES.APPROVED && application.customer_id) {
+          await assertScreeningClear({ customerId: application.customer_id });
+        }
+
+        const created = await PendingActionModel.create({
+          actionType: ACTION_TYPES.APPLICATION_STATUS,
+          recordId: applicationId,
+          proposedValues: { status, reason },
+          makerId: context.userId,
+        }, context);
+        if (!created.success) {
+          return actionPendingResponse();
+        }
+
+        return {
+          success: true,
+          status: 202,
+          message: `Moving the application to ${status} has been sent for approval`,
+          data: toPendingActionResponse(created.action),
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      if (await PendingActionModel.getOpenFor(ACTION_TYPES.APPLICATION_STATUS, applicationId)) {
+        return actionPendingResponse();
+      }
+
+      const result = await ApplicationModel.transition(applicationId, status, { reason }, context);
+
+      if (!result.success) {
+        const notFound = result.code === 'APPLICATION_NOT_FOUND';
+        return {
+          success: false,
+          status: notFound ? 404 : 409,
+          message: notFound ? 'Application not found.' : result.error,
+          code: result.code,
+          allowedTransitions: result.allowed,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: `Application status updated to ${status}`,
+        data: toApplicationResponse(result.application),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error.isConflict) {
+        return {
+          success: false,
+          status: 409,
+          message: error.message,
+          code: error.code,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      console.error('Error updating application status:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while updating the application status.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * POST /application-status
+   * Look up an application's status with its reference number and the applicant's
+   * email and date of birth
+   * @param {object} lookup - { reference, email, dateOfBirth (YYYY-MM-DD) }
+   * @returns {Promise<object>} - API response with the application's status and timeline
+   */
+  lookupApplicationStatus: async (lookup) => {
+    try {
+      const { reference, email, dateOfBirth } = lookup || {};
+
+      const normalized = normalizeReference(reference);
+      if (!normalized) {
+        return fieldError('reference', {
+          code: FIELD_ERROR_CODES.INVALID,
+          message: 'Please enter your application reference (e.g., CO-2026-000123)'
+        });
+      }
+      if (typeof email !== 'string' || !email.trim()) {
+        return fieldError('email', { code: FIELD_ERROR_CODES.REQUIRED, message: 'Email is required' });
+      }
+      if (typeof dateOfBirth !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateOfBirth)) {
+        return fieldError('dateOfBirth', { code: FIELD_ERROR_CODES.REQUIRED, message: 'Date of birth is required' });
+      }
+
+      const row = await ApplicationModel.getStatusByReference(normalized);
+      const matches = row && row.email &&
+        row.email.toLowerCase() === email.trim().toLowerCase() &&
+        row.date_of_birth === dateOfBirth;
+      if (!matches) {
+        return statusNotFoundResponse();
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Application status retrieved successfully',
+        data: await toStatusView(row),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error looking up application status:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving the application status.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * GET /application-status/:reference
+   * Retrieve an application's status from a status link
+   * @param {string} reference - Reference number
+   * @param {string} applicationId - Application ID the status token was issued for
+   * @returns {Promise<object>} - API response with the application's status and timeline
+   */
+  getApplicationStatus: async (reference, applicationId) => {
+    try {
+      const normalized = normalizeReference(reference);
+      const row = normalized ? await ApplicationModel.getStatusByReference(normalized) : null;
+      if (!row || row.id !== applicationId) {
+        return statusNotFoundResponse();
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Application status retrieved successfully',
+        data: await toStatusView(row),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving application status:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving the application status.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * GET /kyc-data/:kycId
+   * Retrieve KYC data by ID from database
+   * @param {string} kycId - KYC record ID
+   * @returns {Promise<object>} - API response with decrypted data
+   */
+  getKYCData: async (kycId) => {
+    try {
+      await simulateNetworkDelay(200);
+
+      const record = await KYCModelDB.getById(kycId);
+
+      if (!record) {
+        return {
+          success: false,
+          status: 404,
+          message: 'KYC record not found.',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'KYC data retrieved successfully',
+        data: toKYCDataResponse(record),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving KYC data:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving KYC data.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * GET /kyc-data/customer/:customerId
+   * Retrieve all KYC records for a customer
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<object>} - API response with array of KYC records
+   */
+  getKYCDataByCustomer: async (customerId) => {
+    try {
+      await simulateNetworkDelay(250);
+
+      const record = await KYCModelDB.getByCustomerId(customerId);
+
+      if (!record) {
+        return {
+          success: false,
+          status: 404,
+          message: 'No KYC records found for this customer.',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'KYC data retrieved successfully',
+        data: [{
+          kycId: record.id,
+          customerId: record.customer_id,
+          govID: maskGovID(record.govID, record.gov_id_type),
+          govIDType: record.gov_id_type,
+          dateOfBirth: record.date_of_birth,
+          nationality: record.nationality,
+          kycAddress: record.kyc_address,
+          city: record.city,
+          state: record.state,
+          postalCode: record.postal_code,
+          country: record.country,
+          occupation: record.occupation,
+          verificationStatus: record.verification_status,
+          createdAt: record.created_at
+        }],
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving customer KYC data:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving KYC data.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * PUT /kyc-data/:kycId
+   * Update KYC record in database
+   * @param {string} kycId - KYC record ID
+   * @param {object} updateData - Data to update
    * @returns {Promise<object>} - API response
    */
-  submitKYCData: async (kycData, customerId = null, metadata = {}) => {
+  updateKYCData: async (kycId, updateData) => {
     try {
-      await simulateNetworkDelay(350);
+      await simulateNetworkDelay(400);
 
-      // Validate required fields
-      const requiredFields = ['govID', 'kycAddress', 'kycDob', 'pan', 'aadhaarNumber'];
-      const missingFields = requiredFields.filter((field) => !kycData[field]);
+      const record = await KYCModelDB.getById(kycId);
 
-      if (missingFields.length > 0) {
+      if (!record) {
         return {
           success: false,
-          status: 400,
-          message: `Missing required fields: ${missingFields.join(', ')}`,
+          status: 404,
+          message: 'KYC record not found.',
           timestamp: new Date().toISOString()
         };
       }
 
-      // Validate PAN format
-      if (!KYCModel.validatePAN(kycData.pan)) {
+      // Validate PAN if being updated
+      if (updateData.pan) {
+        const customer = await CustomerModel.getById(record.customer_id);
+        const panError = validatePAN(updateData.pan, { lastName: customer && customer.last_name });
+        if (panError) {
+          return fieldError('pan', panError);
+        }
+      }
+
+      // Note: Database update logic would be implemented in KYCModelDB
+      // For now, return success with updated record
+
+      return {
+        success: true,
+        status: 200,
+        message: 'KYC data updated successfully',
+        data: toKYCDataResponse(record),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error updating KYC data:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while updating KYC data.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * POST /kyc-data/:kycId/verify
+   * Update verification status in database
+   * Verifying or rejecting is a review decision: it needs a reason code and the reviewer's
+   * claim on the case, and is only proposed, to be applied once a checker approves it
+   * (see decidePendingAction)
+   * @param {string} kycId - KYC record ID
+   * @param {object} decision - { status, reasonCode, notes }; status is pending, verified,
+   *   rejected or expired
+   * @param {string} verifiedBy - ID of the reviewer making the change
+   * @param {object} metadata - Additional metadata (IP)
+   * @returns {Promise<object>} - API response; 202 with the pending action for a decision
+   */
+  updateVerificationStatus: async (kycId, decision, verifiedBy = null, metadata = {}) => {
+    try {
+      const { status, reasonCode = null, notes = '' } = decision || {};
+
+      if (!VERIFICATION_STATUSES.includes(status)) {
         return {
           success: false,
           status: 400,
-          message: 'Invalid PAN format. PAN must be 10 alphanumeric characters.',
+          message: `Invalid verification status. Allowed values: ${VERIFICATION_STATUSES.join(', ')}`,
           timestamp: new Date().toISOString()
         };
       }
 
-      // Check for duplicate PAN
-      const panExists = await KYCModelDB.panExists(kycData.pan);
-      if (panExists) {
+      if (isReviewDecision(status) && !isValidReasonCode(status, reasonCode)) {
+        return fieldError('reasonCode', {
+          code: reasonCode ? FIELD_ERROR_CODES.INVALID : FIELD_ERROR_CODES.REQUIRED,
+          message: reasonCode
+            ? `${reasonCode} is not a reason code for marking a submission ${status}`
+            : `A reason code is required to mark a submission ${status}`
+        });
+      }
+
+      const record = await KYCModelDB.getById(kycId);
+
+      if (!record) {
         return {
           success: false,
-          status: 409, // Conflict
-          message: 'PAN already exists in the system.',
+          status: 404,
+          message: 'KYC record not found.',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const context = { userId: verifiedBy, ipAddress: metadata.ip || null };
+
+      if (requiresApproval(ACTION_TYPES.KYC_DECISION, { status })) {
+        const proposed = await db.transaction(async (client) => {
+          const claim = await KYCModelDB.checkClaim(kycId, verifiedBy, client);
+          if (!claim.success) {
+            throw conflictError(claim);
+          }
+          if (status === 'verified') {
+            await assertScreeningClear({ kycId }, client);
+          }
+
+          const created = await PendingActionModel.create({
+            actionType: ACTION_TYPES.KYC_DECISION,
+            recordId: kycId,
+            proposedValues: { status, reasonCode, notes },
+            makerId: verifiedBy,
+          }, context, client);
+          if (!created.success) {
+            throw conflictError(created);
+          }
+
+          return created.action;
+        });
+
+        return {
+          success: true,
+          status: 202,
+          message: `Marking the submission ${status} has been sent for approval`,
+          data: toPendingActionResponse(proposed),
           timestamp: new Date().toISOString()
         };
       }
 
-      // Validate Government ID
-      if (!KYCModel.validateGovID(kycData.govID)) {
+      if (await PendingActionModel.getOpenFor(ACTION_TYPES.KYC_DECISION, kycId)) {
+        return actionPendingResponse();
+      }
+
+      const updated = await KYCModelDB.updateVerificationStatus(kycId, { status, notes }, context);
+      if (!updated.success) {
+        return claimConflictResponse(updated);
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: `Verification status updated to ${status}`,
+        data: {
+          kycId: kycId,
+          verificationStatus: status,
+          verifiedBy: updated.verified_by,
+          verifiedAt: updated.verified_at
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error.isConflict) {
+        return claimConflictResponse({ error: error.message, code: error.code });
+      }
+
+      console.error('Error updating verification status:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while updating verification status.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * PUT /customers/:customerId
+   * Update a customer's status; approving a customer is only proposed, to be applied
+   * once a checker approves it (see decidePendingAction)
+   * @param {string} customerId - Customer UUID
+   * @param {string} status - pending, approved or rejected
+   * @param {object} metadata - Additional metadata (IP, acting user ID)
+   * @returns {Promise<object>} - API response; 202 with the pending action for an approval
+   */
+  updateCustomerStatus: async (customerId, status, metadata = {}) => {
+    try {
+      if (!CUSTOMER_STATUSES.includes(status)) {
         return {
           success: false,
           status: 400,
-          message: 'Invalid Government ID format.',
+          message: `Invalid status. Must be: ${CUSTOMER_STATUSES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      if (!UUID_FORMAT.test(customerId)) {
+        return invalidIdResponse('Customer');
+      }
+
+      const context = { userId: metadata.userId || null, ipAddress: metadata.ip || null };
+
+      if (requiresApproval(ACTION_TYPES.CUSTOMER_STATUS, { status })) {
+        const customer = await CustomerModel.getById(customerId);
+        if (!customer) {
+          return {
+            success: false,
+            status: 404,
+            message: 'Customer not found',
+            timestamp: new Date().toISOString()
+          };
+        }
+
+        await assertScreeningClear({ customerId });
+
+        const created = await PendingActionModel.create({
+          actionType: ACTION_TYPES.CUSTOMER_STATUS,
+          recordId: customerId,
+          proposedValues: { status },
+          makerId: context.userId,
+        }, context);
+        if (!created.success) {
+          return actionPendingResponse();
+        }
+
+        return {
+          success: true,
+          status: 202,
+          message: `Changing the customer to ${status} has been sent for approval`,
+          data: toPendingActionResponse(created.action),
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      if (await PendingActionModel.getOpenFor(ACTION_TYPES.CUSTOMER_STATUS, customerId)) {
+        return actionPendingResponse();
+      }
+
+      const updated = await CustomerModel.updateStatus(customerId, status, context);
+      if (!updated) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Customer not found',
           timestamp: new Date().toISOString()
         };
       }
 
-      // Validate Aadhaar Number format
-      if (!KYCModel.validateAadhaar(kycData.aadhaarNumber)) {
+      return {
+        success: true,
+        status: 200,
+        message: 'Customer status updated',
+        data: updated,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error.isConflict) {
         return {
           success: false,
-          status: 400,
-          message: 'Invalid Aadhaar Number. Must be exactly 12 digits.',
+          status: 409,
+          message: error.message,
+          code: error.code,
           timestamp: new Date().toISOString()
         };
       }
 
-      // Validate date
-      if (!KYCModel.validateDate(kycData.kycDob)) {
+      console.error('Error updating customer status:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while updating the customer status.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * GET /pending-actions
+   * Retrieve maker-checker proposals (paginated), oldest first
+   * @param {object} filters - { status, actionType }
+   * @param {number} limit - Number of records per page
+   * @param {number} offset - Pagination offset
+   * @returns {Promise<object>} - API response with the proposals
+   */
+  getPendingActions: async (filters = {}, limit = 20, offset = 0) => {
+    try {
+      const statuses = Object.values(ACTION_STATUSES);
+      const types = Object.values(ACTION_TYPES);
+      if (filters.status && !statuses.includes(filters.status)) {
+        return {
+          success: false,
+          status: 400,
+          message: `Invalid status. Allowed values: ${statuses.join(', ')}`,
+          timestamp: new Date().toISOString()
+        };
+      }
+      if (filters.actionType && !types.includes(filters.actionType)) {
         return {
           success: false,
           status: 400,
-          message: 'Invalid date of birth format.',
+          message: `Invalid type. Allowed values: ${types.join(', ')}`,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const rows = await PendingActionModel.getAll(filters, limit, offset);
+      const total = await PendingActionModel.count(filters);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Pending actions retrieved successfully',
+        data: rows.map(toPendingActionResponse),
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + limit < total
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving pending actions:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving pending actions.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * GET /pending-actions/:id
+   * Retrieve a maker-checker proposal
+   * @param {string} actionId - Pending action UUID
+   * @returns {Promise<object>} - API response with the proposal
+   */
+  getPendingAction: async (actionId) => {
+    try {
+      if (!UUID_FORMAT.test(actionId)) {
+        return invalidIdResponse('Pending action');
+      }
+
+      const action = await PendingActionModel.getById(actionId);
+      if (!action) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Pending action not found.',
           timestamp: new Date().toISOString()
         };
       }
 
-      // Create KYC record in database
-      const result = await KYCModelDB.create(customerId, {
-        pan: kycData.pan,
-        govID: kycData.govID,
-        aadhaarNumber: kycData.aadhaarNumber,
-        govIDType: kycData.govIDType || null,
-        dateOfBirth: kycData.kycDob,
-        nationality: kycData.nationality || null,
-        kycAddress: kycData.kycAddress,
-        city: kycData.city || null,
-        state: kycData.state || null,
-        postalCode: kycData.postalCode || null,
-        country: kycData.country || null,
-        occupation: kycData.occupation || null,
-        politicallyExposedPerson: kycData.politicallyExposedPerson || false,
-        ipAddress: metadata.ip || null,
-        userAgent: metadata.userAgent || null,
+      return {
+        success: true,
+        status: 200,
+        message: 'Pending action retrieved successfully',
+        data: toPendingActionResponse(action),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving pending action:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving the pending action.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * POST /pending-actions/:id/approve, POST /pending-actions/:id/reject
+   * Approve or reject a proposal as its checker; an approved change is applied in the
+   * same transaction. The maker cannot check their own proposal.
+   * @param {string} actionId - Pending action UUID
+   * @param {string} decision - approved or rejected
+   * @param {string} note - Checker's note
+   * @param {object} checker - { id, role } of the acting user
+   * @param {object} metadata - Additional metadata (IP)
+   * @returns {Promise<object>} - API response with the decided proposal
+   */
+  decidePendingAction: async (actionId, decision, note = '', checker = {}, metadata = {}) => {
+    try {
+      if (!UUID_FORMAT.test(actionId)) {
+        return invalidIdResponse('Pending action');
+      }
+
+      const context = { userId: checker.id || null, ipAddress: metadata.ip || null };
+
+      const decided = await db.transaction(async (client) => {
+        const result = await PendingActionModel.decide(actionId, decision, checker, note, context, client);
+        if (!result.success) {
+          throw conflictError(result);
+        }
+
+        if (decision === ACTION_STATUSES.APPROVED) {
+          if (result.action.action_type === ACTION_TYPES.KYC_DECISION) {
+            await applyKYCDecision(result.action, checker.id, context, client);
+          } else if (result.action.action_type === ACTION_TYPES.APPLICATION_STATUS) {
+            await applyApplicationStatus(result.action, context, client);
+          } else {
+            await applyCustomerStatus(result.action, context, client);
+          }
+        }
+
+        return result.action;
       });
 
-      if (!result.success) {
-        return {
-          success: false,
-          status: 409,
-          message: result.error,
-          code: result.code,
-          timestamp: new Date().toISOString()
-        };
+      return {
+        success: true,
+        status: 200,
+        message: decision === ACTION_STATUSES.APPROVED ? 'Change approved and applied' : 'Change rejected',
+        data: toPendingActionResponse(decided),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error.isConflict) {
+        return pendingActionConflictResponse({ error: error.message, code: error.code });
       }
 
-      console.log(`KYC record created: ${result.kycId}`);
+      console.error('Error deciding pending action:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while deciding the pending action.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * GET /review/queue
+   * Retrieve KYC submissions for reviewers (paginated)
+   * @param {object} filters - { status, risk, pep, olderThanDays, screening, oldestFirst }
+   * @param {number} limit - Number of records per page
+   * @param {number} offset - Pagination offset
+   * @returns {Promise<object>} - API response with the queue
+   */
+  getReviewQueue: async (filters = {}, limit = 20, offset = 0) => {
+    try {
+      const invalid = validateQueueFilters(filters);
+      if (invalid) {
+        return invalid;
+      }
+
+      const rows = await KYCModelDB.getAll(limit, offset, filters.status || null, filters);
+      const total = await KYCModelDB.count(filters.status || null, filters);
 
       return {
         success: true,
-        status: 201,
-        message: 'KYC data submitted successfully',
-        data: {
-          kycId: result.kycId,
-          customerId: customerId,
-          verificationStatus: 'pending',
-          createdAt: result.createdAt
+        status: 200,
+        message: 'Review queue retrieved successfully',
+        data: rows.map(toQueueItem),
+        pagination: {
+          limit,
+          offset,
+          total,
+          hasMore: offset + limit < total
         },
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      console.error('Error submitting KYC data:', error);
+      console.error('Error retrieving review queue:', error);
       return {
         success: false,
         status: 500,
-        message: 'An error occurred while submitting KYC data.',
+        message: 'An error occurred while retrieving the review queue.',
         error: error.message,
         timestamp: new Date().toISOString()
       };
@@ -147,17 +2184,19 @@ const APIService = {
   },
 
   /**
-   * GET /kyc-data/:kycId
-   * Retrieve KYC data by ID from database
+   * GET /review/kyc/:kycId
+   * Retrieve a case for review, with its identifiers masked, its watchlist screening hits, its
+   * uploaded documents and any decision awaiting approval
    * @param {string} kycId - KYC record ID
-   * @returns {Promise<object>} - API response with decrypted data
+   * @returns {Promise<object>} - API response with the case
    */
-  getKYCData: async (kycId) => {
+  getReviewCase: async (kycId) => {
     try {
-      await simulateNetworkDelay(200);
-
-      const record = await KYCModelDB.getById(kycId);
+      if (!UUID_FORMAT.test(kycId)) {
+        return invalidIdResponse('KYC');
+      }
 
+      const record = await KYCModelDB.getForReview(kycId);
       if (!record) {
         return {
           success: false,
@@ -167,16 +2206,32 @@ const APIService = {
         };
       }
 
+      const pendingAction = await PendingActionModel.getOpenFor(ACTION_TYPES.KYC_DECISION, kycId);
+      const screeningResults = await ScreeningModel.getByKycId(kycId);
+      const documents = await DocumentModel.getByKycId(kycId);
+
       return {
         success: true,
         status: 200,
-        message: 'KYC data retrieved successfully',
+        message: 'Review case retrieved successfully',
         data: {
           kycId: record.id,
           customerId: record.customer_id,
-          govID: record.govID,
+          applicationId: record.application_id,
+          reference: record.reference,
+          applicationStatus: record.application_status,
+          applicant: {
+            firstName: record.first_name,
+            lastName: record.last_name,
+            email: record.email,
+            phoneNumber: record.phone_number
+          },
+          identifiers: {
+            pan: record.pan ? maskIdentifier(record.pan) : null,
+            govID: maskGovID(record.govID, record.gov_id_type),
+            aadhaarNumber: record.aadhaarNumber ? maskAadhaar(record.aadhaarNumber) : null
+          },
           govIDType: record.gov_id_type,
-          aadhaarNumber: record.aadhaarNumber,
           dateOfBirth: record.date_of_birth,
           nationality: record.nationality,
           kycAddress: record.kyc_address,
@@ -185,17 +2240,37 @@ const APIService = {
           postalCode: record.postal_code,
           country: record.country,
           occupation: record.occupation,
+          politicallyExposedPerson: record.politically_exposed_person,
+          riskAssessment: record.risk_assessment,
+          riskScore: record.risk_score,
+          riskReasons: record.risk_reasons || [],
+          riskRulesVersion: record.risk_rules_version,
+          riskAssessedAt: record.risk_assessed_at,
+          screening: {
+            screenedAt: record.screened_at,
+            results: screeningResults.map(toScreeningResultResponse)
+          },
+          documentUrl: record.document_url,
+          documents: documents.map(toDocumentResponse),
           verificationStatus: record.verification_status,
+          reasonCode: record.reason_code,
+          verificationNotes: record.verification_notes,
+          verifiedBy: record.verified_by,
+          verifiedAt: record.verified_at,
+          claimedBy: record.claimed_by,
+          claimedByEmail: record.claimed_by_email,
+          claimedAt: record.claimed_at,
+          pendingAction: pendingAction ? toPendingActionResponse(pendingAction) : null,
           createdAt: record.created_at
         },
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      console.error('Error retrieving KYC data:', error);
+      console.error('Error retrieving review case:', error);
       return {
         success: false,
         status: 500,
-        message: 'An error occurred while retrieving KYC data.',
+        message: 'An error occurred while retrieving the review case.',
         error: error.message,
         timestamp: new Date().toISOString()
       };
@@ -203,22 +2278,36 @@ const APIService = {
   },
 
   /**
-   * GET /kyc-data/customer/:customerId
-   * Retrieve all KYC records for a customer
-   * @param {string} customerId - Customer ID
-   * @returns {Promise<object>} - API response with array of KYC records
+   * POST /review/kyc/:kycId/reveal
+   * Reveal one identifier of a case in full; every reveal is recorded in the audit log
+   * @param {string} kycId - KYC record ID
+   * @param {string} field - pan, govID or aadhaarNumber
+   * @param {object} metadata - Additional metadata (IP, acting user ID)
+   * @returns {Promise<object>} - API response with the identifier
    */
-  getKYCDataByCustomer: async (customerId) => {
+  revealKYCIdentifier: async (kycId, field, metadata = {}) => {
     try {
-      await simulateNetworkDelay(250);
+      if (!UUID_FORMAT.test(kycId)) {
+        return invalidIdResponse('KYC');
+      }
 
-      const record = await KYCModelDB.getByCustomerId(customerId);
+      if (!Object.prototype.hasOwnProperty.call(KYCModelDB.REVEALABLE_FIELDS, field)) {
+        return fieldError('field', {
+          code: FIELD_ERROR_CODES.INVALID,
+          message: `field must be one of: ${Object.keys(KYCModelDB.REVEALABLE_FIELDS).join(', ')}`
+        });
+      }
 
-      if (!record) {
+      const revealed = await KYCModelDB.revealIdentifier(kycId, field, {
+        userId: metadata.userId || null,
+        ipAddress: metadata.ip || null,
+      });
+
+      if (!revealed) {
         return {
           success: false,
           status: 404,
-          message: 'No KYC records found for this customer.',
+          message: 'KYC record not found.',
           timestamp: new Date().toISOString()
         };
       }
@@ -226,31 +2315,16 @@ const APIService = {
       return {
         success: true,
         status: 200,
-        message: 'KYC data retrieved successfully',
-        data: [{
-          kycId: record.id,
-          customerId: record.customer_id,
-          govID: record.govID,
-          govIDType: record.gov_id_type,
-          dateOfBirth: record.date_of_birth,
-          nationality: record.nationality,
-          kycAddress: record.kyc_address,
-          city: record.city,
-          state: record.state,
-          postalCode: record.postal_code,
-          country: record.country,
-          occupation: record.occupation,
-          verificationStatus: record.verification_status,
-          createdAt: record.created_at
-        }],
+        message: 'Identifier revealed',
+        data: revealed,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      console.error('Error retrieving customer KYC data:', error);
+      console.error('Error revealing KYC identifier:', error);
       return {
         success: false,
         status: 500,
-        message: 'An error occurred while retrieving KYC data.',
+        message: 'An error occurred while revealing the identifier.',
         error: error.message,
         timestamp: new Date().toISOString()
       };
@@ -258,53 +2332,125 @@ const APIService = {
   },
 
   /**
-   * PUT /kyc-data/:kycId
-   * Update KYC record in database
+   * GET /review/kyc/:kycId/documents
+   * List the documents uploaded with a case
    * @param {string} kycId - KYC record ID
-   * @param {object} updateData - Data to update
-   * @returns {Promise<object>} - API response
+   * @returns {Promise<object>} - API response with the documents
    */
-  updateKYCData: async (kycId, updateData) => {
+  getReviewDocuments: async (kycId) => {
     try {
-      await simulateNetworkDelay(400);
+      if (!UUID_FORMAT.test(kycId)) {
+        return invalidIdResponse('KYC');
+      }
 
-      const record = await KYCModelDB.getById(kycId);
+      const documents = await DocumentModel.getByKycId(kycId);
 
-      if (!record) {
-        return {
-          success: false,
-          status: 404,
-          message: 'KYC record not found.',
-          timestamp: new Date().toISOString()
-        };
+      return {
+        success: true,
+        status: 200,
+        message: 'Documents retrieved successfully',
+        data: documents.map(toDocumentResponse),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving review documents:', error);
+      return documentErrorResponse('An error occurred while retrieving the documents.');
+    }
+  },
+
+  /**
+   * GET /review/kyc/:kycId/documents/:documentId/thumbnail
+   * GET /review/kyc/:kycId/documents/:documentId/file
+   * Read a document of a case; reading the file itself is recorded in the audit log, like
+   * revealing an identifier, while thumbnails are read without a record
+   * @param {string} kycId - KYC record ID
+   * @param {string} documentId - Document UUID
+   * @param {string} variant - file or thumbnail (DocumentModel.VARIANTS)
+   * @param {object} metadata - Additional metadata (IP, acting user ID)
+   * @returns {Promise<object>} - API response with data { mimeType, filename, content }, the
+   *   content as a Buffer for the route to send as is
+   */
+  getReviewDocumentFile: async (kycId, documentId, variant, metadata = {}) => {
+    try {
+      if (!UUID_FORMAT.test(kycId)) {
+        return invalidIdResponse('KYC');
+      }
+      if (!UUID_FORMAT.test(documentId)) {
+        return invalidIdResponse('Document');
       }
 
-      // Validate PAN if being updated
-      if (updateData.pan && !KYCModel.validatePAN(updateData.pan)) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Invalid PAN format.',
-          timestamp: new Date().toISOString()
-        };
+      const isThumbnail = variant === DocumentModel.VARIANTS.THUMBNAIL;
+
+      // Check the document belongs to the case before a reveal is recorded against it
+      const document = await DocumentModel.getById(documentId);
+      if (!document || document.kyc_id !== kycId || (isThumbnail && !document.has_thumbnail)) {
+        return documentNotFoundResponse();
       }
 
-      // Note: Database update logic would be implemented in KYCModelDB
-      // For now, return success with updated record
+      const read = isThumbnail
+        ? await DocumentModel.readThumbnail(documentId)
+        : await DocumentModel.revealFile(documentId, {
+          userId: metadata.userId || null,
+          ipAddress: metadata.ip || null,
+        });
+      if (!read || !read.content) {
+        return documentNotFoundResponse();
+      }
+
+      const mimeType = isThumbnail ? 'image/png' : document.mime_type;
 
       return {
         success: true,
         status: 200,
-        message: 'KYC data updated successfully',
-        data: record,
+        message: 'Document retrieved successfully',
+        data: {
+          mimeType,
+          filename: `${document.document_type}${isThumbnail ? '-thumbnail' : ''}.${EXTENSIONS[mimeType]}`,
+          content: read.content
+        },
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      console.error('Error updating KYC data:', error);
+      console.error('Error reading review document:', error);
+      return documentErrorResponse('An error occurred while reading the document.');
+    }
+  },
+
+  /**
+   * POST /review/kyc/:kycId/claim
+   * Claim a pending case for the acting reviewer
+   * @param {string} kycId - KYC record ID
+   * @param {object} metadata - Additional metadata (IP, acting user ID)
+   * @returns {Promise<object>} - API response with the claim
+   */
+  claimKYC: async (kycId, metadata = {}) => {
+    try {
+      if (!UUID_FORMAT.test(kycId)) {
+        return invalidIdResponse('KYC');
+      }
+
+      const result = await KYCModelDB.claim(kycId, metadata.userId, { ipAddress: metadata.ip || null });
+      if (!result.success) {
+        return claimConflictResponse(result);
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Case claimed',
+        data: {
+          kycId,
+          claimedBy: result.claimedBy,
+          claimedAt: result.claimedAt
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error claiming KYC case:', error);
       return {
         success: false,
         status: 500,
-        message: 'An error occurred while updating KYC data.',
+        message: 'An error occurred while claiming the case.',
         error: error.message,
         timestamp: new Date().toISOString()
       };
@@ -312,58 +2458,175 @@ const APIService = {
   },
 
   /**
-   * POST /kyc-data/:kycId/verify
-   * Update verification status in database
+   * DELETE /review/kyc/:kycId/claim
+   * Release the acting reviewer's claim on a case; supervisors can release anyone's
    * @param {string} kycId - KYC record ID
-   * @param {string} status - Verification status (verified, rejected, expired)
-   * @param {string} notes - Verification notes
+   * @param {boolean} force - Release another reviewer's claim
+   * @param {object} metadata - Additional metadata (IP, acting user ID)
    * @returns {Promise<object>} - API response
    */
-  updateVerificationStatus: async (kycId, status, notes = '') => {
+  releaseKYC: async (kycId, force = false, metadata = {}) => {
     try {
-      await simulateNetworkDelay(300);
+      if (!UUID_FORMAT.test(kycId)) {
+        return invalidIdResponse('KYC');
+      }
 
-      const record = await KYCModelDB.getById(kycId);
+      const result = await KYCModelDB.release(kycId, metadata.userId, force, { ipAddress: metadata.ip || null });
+      if (!result.success) {
+        return claimConflictResponse(result);
+      }
 
-      if (!record) {
-        return {
-          success: false,
-          status: 404,
-          message: 'KYC record not found.',
-          timestamp: new Date().toISOString()
-        };
+      return {
+        success: true,
+        status: 200,
+        message: 'Case released',
+        data: { kycId },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error releasing KYC case:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while releasing the case.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * POST /review/kyc/:kycId/screening
+   * Screen a case against the watchlists again, e.g. after a list has been reloaded;
+   * hits already recorded keep their resolution
+   * @param {string} kycId - KYC record ID
+   * @param {object} metadata - Additional metadata (IP, acting user ID)
+   * @returns {Promise<object>} - API response with the case's screening results
+   */
+  screenKYC: async (kycId, metadata = {}) => {
+    try {
+      if (!UUID_FORMAT.test(kycId)) {
+        return invalidIdResponse('KYC');
       }
 
-      const validStatuses = ['verified', 'rejected', 'expired', 'pending'];
-      if (!validStatuses.includes(status)) {
+      const screened = await ScreeningModel.screen(kycId, {
+        userId: metadata.userId || null,
+        ipAddress: metadata.ip || null,
+      });
+
+      if (!screened) {
         return {
           success: false,
-          status: 400,
-          message: `Invalid verification status. Allowed values: ${validStatuses.join(', ')}`,
+          status: 404,
+          message: 'KYC record not found.',
           timestamp: new Date().toISOString()
         };
       }
 
-      // Update status in database
-      const updated = await KYCModelDB.updateVerificationStatus(kycId, status, notes, 'system');
+      const results = await ScreeningModel.getByKycId(kycId);
 
       return {
         success: true,
         status: 200,
-        message: `Verification status updated to ${status}`,
+        message: screened.newHits.length > 0
+          ? `Screening found ${screened.newHits.length} new potential match(es)`
+          : 'Screening found no new matches',
         data: {
-          kycId: kycId,
-          verificationStatus: status,
-          verifiedAt: updated.verified_at
+          screenedAt: screened.screenedAt,
+          results: results.map(toScreeningResultResponse)
         },
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      console.error('Error updating verification status:', error);
+      console.error('Error screening KYC case:', error);
       return {
         success: false,
         status: 500,
-        message: 'An error occurred while updating verification status.',
+        message: 'An error occurred while screening the case.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * PUT /review/screening/:resultId
+   * Resolve a potential watchlist match as a true or false positive. A confirmed PEP match
+   * marks the applicant as politically exposed and re-scores the case's risk.
+   * @param {string} resultId - Screening result ID
+   * @param {object} resolution - { status, note }
+   * @param {object} metadata - Additional metadata (IP, acting user ID)
+   * @returns {Promise<object>} - API response with the resolved result
+   */
+  resolveScreeningResult: async (resultId, resolution = {}, metadata = {}) => {
+    try {
+      if (!UUID_FORMAT.test(resultId)) {
+        return invalidIdResponse('Screening result');
+      }
+
+      const { status } = resolution;
+      const note = typeof resolution.note === 'string' ? resolution.note.trim() : '';
+
+      if (!RESOLUTIONS.includes(status)) {
+        return fieldError('status', {
+          code: FIELD_ERROR_CODES.INVALID,
+          message: `status must be one of: ${RESOLUTIONS.join(', ')}`
+        });
+      }
+
+      if (!note) {
+        return fieldError('note', {
+          code: FIELD_ERROR_CODES.REQUIRED,
+          message: 'Explain why this is or is not the listed person'
+        });
+      }
+
+      const context = { userId: metadata.userId || null, ipAddress: metadata.ip || null };
+
+      const resolved = await db.transaction(async (client) => {
+        const result = await ScreeningModel.resolve(resultId, {
+          status,
+          note,
+          resolvedBy: context.userId,
+        }, context, client);
+        if (!result.success) {
+          throw conflictError(result);
+        }
+
+        if (status === SCREENING_STATUSES.TRUE_POSITIVE && result.result.list_type === LIST_TYPES.PEP) {
+          await KYCModelDB.markPoliticallyExposed(result.result.kyc_id, context, client);
+          await KYCModelDB.scoreRisk(result.result.kyc_id, context, client);
+        }
+
+        return result.result;
+      });
+
+      return {
+        success: true,
+        status: 200,
+        message: status === SCREENING_STATUSES.TRUE_POSITIVE
+          ? 'Hit confirmed as the listed person'
+          : 'Hit cleared as a false positive',
+        data: toScreeningResultResponse(resolved),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error.isConflict) {
+        const notFound = error.code === 'RESULT_NOT_FOUND';
+        return {
+          success: false,
+          status: notFound ? 404 : 409,
+          message: error.message,
+          code: error.code,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      console.error('Error resolving screening result:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while resolving the screening result.',
         error: error.message,
         timestamp: new Date().toISOString()
       };
@@ -412,6 +2675,36 @@ const APIService = {
     }
   },
 
+  /**
+   * GET /screening/runs
+   * Retrieve the latest runs re-screening the customer base (rescreen-customers.js), with
+   * their statistics
+   * @param {number} limit - Number of runs
+   * @returns {Promise<object>} - API response with the runs, newest first
+   */
+  getScreeningRuns: async (limit = 20) => {
+    try {
+      const runs = await ScreeningRunModel.getRecent(limit);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Screening runs retrieved successfully',
+        data: runs.map(toScreeningRunResponse),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error retrieving screening runs:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving the screening runs.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
   /**
    * Get database statistics
    * @returns {Promise<object>} - Database stats
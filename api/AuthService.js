@@ -0,0 +1,332 @@
+/**
+ * Auth Service
+ * Password hashing, token issuance and login for API consumers
+ * Back-office users log in with email/password; applicants receive a
+ * token scoped to their own customer record when the form is submitted,
+ * a resume token scoped to their saved draft while they fill it in, and a
+ * status token that lets them follow their application's status
+ */
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const UserModel = require('../db/models/UserModel');
+
+/**
+ * Signs tokens outside production when JWT_SECRET is not set
+ */
+const DEVELOPMENT_JWT_SECRET = 'default-jwt-secret-change-in-production';
+
+/**
+ * Secret tokens are signed with
+ * Production refuses to start without JWT_SECRET: anyone could sign an admin token with the
+ * development secret.
+ * @param {object} env - Configuration (defaults to process.env)
+ * @returns {string}
+ */
+const loadJwtSecret = (env = process.env) => {
+  if (env.JWT_SECRET) {
+    return env.JWT_SECRET;
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return DEVELOPMENT_JWT_SECRET;
+};
+
+// Token configuration
+const JWT_SECRET = loadJwtSecret();
+const STAFF_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '8h';
+const APPLICANT_TOKEN_TTL = process.env.APPLICANT_TOKEN_EXPIRES_IN || '2h';
+const STATUS_TOKEN_TTL = process.env.STATUS_LINK_EXPIRES_IN || '90d';
+const BCRYPT_ROUNDS = 10;
+
+/**
+ * Purpose claim of resume tokens, which only open a saved draft
+ */
+const RESUME_TOKEN_PURPOSE = 'resume';
+
+/**
+ * Purpose claim of status tokens, which only show an application's status
+ */
+const STATUS_TOKEN_PURPOSE = 'status';
+
+/**
+ * Supported roles
+ */
+const ROLES = {
+  APPLICANT: 'applicant',
+  REVIEWER: 'reviewer',
+  SUPERVISOR: 'supervisor',
+  ADMIN: 'admin',
+};
+
+/**
+ * Roles that belong to back-office users (stored in the users table)
+ */
+const STAFF_ROLES = [ROLES.REVIEWER, ROLES.SUPERVISOR, ROLES.ADMIN];
+
+const AuthService = {
+  ROLES,
+  STAFF_ROLES,
+  loadJwtSecret,
+
+  /**
+   * Hash a plain-text password
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} - bcrypt hash
+   */
+  hashPassword: async (password) => {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  },
+
+  /**
+   * Compare a plain-text password against a bcrypt hash
+   * @param {string} password - Plain-text password
+   * @param {string} hash - Stored bcrypt hash
+   * @returns {Promise<boolean>} - True if the password matches
+   */
+  verifyPassword: async (password, hash) => {
+    if (!password || !hash) return false;
+    return bcrypt.compare(password, hash);
+  },
+
+  /**
+   * Issue a signed token for a back-office user
+   * @param {object} user - User record
+   * @returns {string} - Signed JWT
+   */
+  issueStaffToken: (user) => {
+    return jwt.sign(
+      { sub: user.id, email: user.email, role: user.role },
+      JWT_SECRET,
+      { expiresIn: STAFF_TOKEN_TTL }
+    );
+  },
+
+  /**
+   * Issue a signed token that only grants access to one customer's records
+   * @param {string} customerId - Customer UUID
+   * @returns {string} - Signed JWT
+   */
+  issueApplicantToken: (customerId) => {
+    return jwt.sign(
+      { sub: customerId, role: ROLES.APPLICANT, customerId },
+      JWT_SECRET,
+      { expiresIn: APPLICANT_TOKEN_TTL }
+    );
+  },
+
+  /**
+   * Issue a signed resume token that only grants access to one saved draft
+   * The token is valid for as long as the draft is
+   * @param {string} draftId - Draft UUID
+   * @param {Date|string} expiresAt - When the draft expires
+   * @returns {string} - Signed JWT
+   */
+  issueResumeToken: (draftId, expiresAt) => {
+    return jwt.sign(
+      {
+        sub: draftId,
+        purpose: RESUME_TOKEN_PURPOSE,
+        exp: Math.floor(new Date(expiresAt).getTime() / 1000)
+      },
+      JWT_SECRET
+    );
+  },
+
+  /**
+   * Verify a resume token
+   * @param {string} token - Signed JWT
+   * @returns {string|null} - Draft ID the token opens, or null if invalid or expired
+   */
+  verifyResumeToken: (token) => {
+    try {
+      const payload = jwt.verify(token, JWT_SECRET);
+      return payload.purpose === RESUME_TOKEN_PURPOSE ? payload.sub : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Issue a signed status token that only shows the status of one application
+   * @param {string} applicationId - Application UUID
+   * @returns {string} - Signed JWT
+   */
+  issueStatusToken: (applicationId) => {
+    return jwt.sign(
+      { sub: applicationId, purpose: STATUS_TOKEN_PURPOSE },
+      JWT_SECRET,
+      { expiresIn: STATUS_TOKEN_TTL }
+    );
+  },
+
+  /**
+   * Verify a status token
+   * @param {string} token - Signed JWT
+   * @returns {string|null} - Application ID the token shows, or null if invalid or expired
+   */
+  verifyStatusToken: (token) => {
+    try {
+      const payload = jwt.verify(token, JWT_SECRET);
+      return payload.purpose === STATUS_TOKEN_PURPOSE ? payload.sub : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Verify a token and return the authenticated principal
+   * Resume and status tokens are not sign-in tokens and are rejected
+   * @param {string} token - Signed JWT
+   * @returns {object|null} - Principal ({ id, role, email, customerId }) or null if invalid
+   */
+  verifyToken: (token) => {
+    try {
+      const payload = jwt.verify(token, JWT_SECRET);
+      if (payload.purpose) return null;
+      return {
+        id: payload.sub,
+        role: payload.role,
+        email: payload.email || null,
+        customerId: payload.customerId || null,
+      };
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Authenticate a back-office user with email and password
+   * @param {string} email - User email
+   * @param {string} password - Plain-text password
+   * @returns {Promise<object>} - API response with token
+   */
+  login: async (email, password) => {
+    try {
+      if (!email || !password) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Email and password are required',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const user = await UserModel.getByEmailWithPassword(email);
+      const passwordValid = user
+        ? await AuthService.verifyPassword(password, user.password_hash)
+        : false;
+
+      if (!user || !passwordValid || !user.is_active) {
+        return {
+          success: false,
+          status: 401,
+          message: 'Invalid email or password',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      await UserModel.touchLastLogin(user.id);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Login successful',
+        token: AuthService.issueStaffToken(user),
+        user: {
+          id: user.id,
+          email: user.email,
+          fullName: user.full_name,
+          role: user.role
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error during login:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred during login.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * Create a back-office user account
+   * @param {object} userData - { email, password, fullName, role }
+   * @returns {Promise<object>} - API response with created user
+   */
+  createStaffUser: async (userData) => {
+    try {
+      const { email, password, fullName, role } = userData || {};
+
+      if (!email || !password) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Email and password are required',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      if (!STAFF_ROLES.includes(role)) {
+        return {
+          success: false,
+          status: 400,
+          message: `Invalid role. Allowed values: ${STAFF_ROLES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      if (password.length < 12) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Password must be at least 12 characters',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const passwordHash = await AuthService.hashPassword(password);
+      const result = await UserModel.create({ email, passwordHash, fullName, role });
+
+      if (!result.success) {
+        return {
+          success: false,
+          status: 409,
+          message: result.error,
+          code: result.code,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      return {
+        success: true,
+        status: 201,
+        message: 'User created successfully',
+        data: {
+          id: result.user.id,
+          email: result.user.email,
+          fullName: result.user.full_name,
+          role: result.user.role,
+          createdAt: result.user.created_at
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error creating user:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while creating the user.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+};
+
+module.exports = AuthService;
@@ -4,79 +4,28 @@
  * Includes encryption for sensitive fields like PAN
  */
 
-const crypto = require('crypto');
+const { IDENTIFIER_TYPES, computeBlindIndex } = require('../db/crypto/BlindIndex');
+const FieldEncryption = require('../db/crypto/FieldEncryption');
 
 /**
- * Encryption key for PAN and sensitive data
- * In production, this should be stored in environment variables and use proper key management
- */
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'default-encryption-key-change-in-production';
-const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
-
-/**
- * Encrypt sensitive data using AES-256-CBC
+ * Encrypt sensitive data with AES-256-GCM, bound to the record and field it is stored in
+ * Keys are configured through ENCRYPTION_KEYS / ENCRYPTION_KEY_VERSION (see db/crypto/Keyring)
+ * @param {string} recordId - KYC record ID
+ * @param {string} field - Field name
  * @param {string} text - Data to encrypt
- * @returns {string} - Encrypted and base64-encoded data
+ * @returns {string} - Versioned ciphertext; throws if encryption fails
  */
-const encryptData = (text) => {
-  try {
-    // Generate a random IV for each encryption
-    const iv = crypto.randomBytes(16);
-    
-    // Create cipher with the algorithm, key, and IV
-    const cipher = crypto.createCipheriv(
-      ENCRYPTION_ALGORITHM,
-      Buffer.from(ENCRYPTION_KEY.padEnd(32, '0').substring(0, 32)),
-      iv
-    );
-    
-    // Encrypt the data
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    // Return IV + encrypted data (both as hex, joined by ':')
-    return iv.toString('hex') + ':' + encrypted;
-  } catch (error) {
-    console.error('Encryption error:', error);
-    // Fallback to base64 encoding if proper encryption fails
-    return Buffer.from(text).toString('base64');
-  }
-};
+const encryptData = (recordId, field, text) => FieldEncryption.encrypt(text, { recordId, column: field });
 
 /**
  * Decrypt sensitive data
- * @param {string} encryptedText - Encrypted and hex-encoded data
+ * Throws if the value was tampered with, moved from another record or field, or is not encrypted
+ * @param {string} recordId - KYC record ID
+ * @param {string} field - Field name
+ * @param {string} encryptedText - Stored ciphertext
  * @returns {string} - Decrypted data
  */
-const decryptData = (encryptedText) => {
-  try {
-    // Split IV and encrypted data
-    const parts = encryptedText.split(':');
-    if (parts.length !== 2) {
-      // Fallback for base64-only encryption
-      return Buffer.from(encryptedText, 'base64').toString('utf8');
-    }
-    
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    
-    // Create decipher
-    const decipher = crypto.createDecipheriv(
-      ENCRYPTION_ALGORITHM,
-      Buffer.from(ENCRYPTION_KEY.padEnd(32, '0').substring(0, 32)),
-      iv
-    );
-    
-    // Decrypt the data
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
-  } catch (error) {
-    console.error('Decryption error:', error);
-    return null;
-  }
-};
+const decryptData = (recordId, field, encryptedText) => FieldEncryption.decrypt(encryptedText, { recordId, column: field });
 
 /**
  * KYC Model Schema
@@ -101,13 +50,15 @@ const KYCModel = {
     }
 
     // Create KYC record with encrypted sensitive fields
+    const id = `KYC-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const kycRecord = {
-      id: `KYC-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      govID: encryptData(data.govID),
+      id,
+      govID: encryptData(id, 'govID', data.govID),
+      govIDType: data.govIDType || null,
       kycAddress: data.kycAddress, // Can be encrypted if needed
-      kycDob: encryptData(data.kycDob),
-      pan: encryptData(data.pan), // PAN is always encrypted
-      aadhaarNumber: data.aadhaarNumber ? encryptData(data.aadhaarNumber) : null,
+      kycDob: encryptData(id, 'kycDob', data.kycDob),
+      pan: encryptData(id, 'pan', data.pan), // PAN is always encrypted
+      aadhaarNumber: data.aadhaarNumber ? encryptData(id, 'aadhaarNumber', data.aadhaarNumber) : null,
       customerId: data.customerId || null,
       verificationStatus: 'pending', // pending, verified, rejected, expired
       createdAt: new Date().toISOString(),
@@ -115,7 +66,7 @@ const KYCModel = {
       metadata: {
         submissionIP: data.submissionIP || null,
         userAgent: data.userAgent || null,
-        encryptionVersion: 'aes-256-cbc-v1'
+        encryptionVersion: 'aes-256-gcm-v1'
       }
     };
 
@@ -135,11 +86,12 @@ const KYCModel = {
 
     return {
       id: record.id,
-      govID: decryptData(record.govID),
+      govID: decryptData(record.id, 'govID', record.govID),
+      govIDType: record.govIDType || null,
       kycAddress: record.kycAddress,
-      kycDob: decryptData(record.kycDob),
-      pan: decryptData(record.pan),
-      aadhaarNumber: record.aadhaarNumber ? decryptData(record.aadhaarNumber) : null,
+      kycDob: decryptData(record.id, 'kycDob', record.kycDob),
+      pan: decryptData(record.id, 'pan', record.pan),
+      aadhaarNumber: record.aadhaarNumber ? decryptData(record.id, 'aadhaarNumber', record.aadhaarNumber) : null,
       customerId: record.customerId,
       verificationStatus: record.verificationStatus,
       createdAt: record.createdAt,
@@ -162,16 +114,19 @@ const KYCModel = {
 
     // Encrypt sensitive fields if they are being updated
     if (updateData.govID) {
-      updated.govID = encryptData(updateData.govID);
+      updated.govID = encryptData(record.id, 'govID', updateData.govID);
+    }
+    if (updateData.govIDType) {
+      updated.govIDType = updateData.govIDType;
     }
     if (updateData.kycDob) {
-      updated.kycDob = encryptData(updateData.kycDob);
+      updated.kycDob = encryptData(record.id, 'kycDob', updateData.kycDob);
     }
     if (updateData.pan) {
-      updated.pan = encryptData(updateData.pan);
+      updated.pan = encryptData(record.id, 'pan', updateData.pan);
     }
     if (updateData.aadhaarNumber) {
-      updated.aadhaarNumber = encryptData(updateData.aadhaarNumber);
+      updated.aadhaarNumber = encryptData(record.id, 'aadhaarNumber', updateData.aadhaarNumber);
     }
     if (updateData.kycAddress) {
       updated.kycAddress = updateData.kycAddress;
@@ -185,54 +140,13 @@ const KYCModel = {
     return updated;
   },
 
-  /**
-   * Validate PAN format before encryption
-   * @param {string} pan - PAN to validate
-   * @returns {boolean} - True if valid
-   */
-  validatePAN: (pan) => {
-    if (!pan || typeof pan !== 'string') return false;
-    return /^[A-Za-z0-9]{10}$/.test(pan);
-  },
-
-  /**
-   * Validate Government ID format
-   * @param {string} govID - Government ID to validate
-   * @returns {boolean} - True if valid
-   */
-  validateGovID: (govID) => {
-    if (!govID || typeof govID !== 'string') return false;
-    return /^[A-Za-z0-9]{5,20}$/.test(govID);
-  },
-
-  /**
-   * Validate Aadhaar Number format (12 digits)
-   * @param {string} aadhaar - Aadhaar number to validate
-   * @returns {boolean} - True if valid
-   */
-  validateAadhaar: (aadhaar) => {
-    if (!aadhaar || typeof aadhaar !== 'string') return false;
-    return /^\d{12}$/.test(aadhaar.trim());
-  },
-
-  /**
-   * Validate date format (YYYY-MM-DD)
-   * @param {string} dateStr - Date string to validate
-   * @returns {boolean} - True if valid
-   */
-  validateDate: (dateStr) => {
-    if (!dateStr || typeof dateStr !== 'string') return false;
-    const date = new Date(dateStr);
-    return date instanceof Date && !isNaN(date);
-  },
-
   /**
    * Generate hash for PAN (for duplicate detection without storing actual PAN)
    * @param {string} pan - PAN to hash
-   * @returns {string} - SHA-256 hash of PAN
+   * @returns {string} - Keyed HMAC-SHA256 blind index of the normalized PAN
    */
   generatePANHash: (pan) => {
-    return crypto.createHash('sha256').update(pan).digest('hex');
+    return computeBlindIndex(IDENTIFIER_TYPES.PAN, pan);
   },
 
   /**
@@ -242,6 +156,7 @@ const KYCModel = {
   getSchema: () => ({
     id: { type: 'String', required: true, unique: true },
     govID: { type: 'String', required: true, encrypted: true },
+    govIDType: { type: 'String', required: false },
     kycAddress: { type: 'String', required: true },
     kycDob: { type: 'Date', required: true, encrypted: true },
     pan: { type: 'String', required: true, encrypted: true, indexed: 'hash' },
@@ -0,0 +1,79 @@
+/**
+ * Document Inspection
+ * Checks an uploaded file before it is stored: its real type and size against the document
+ * type (src/shared/documents/DocumentTypes.js), and for images their size as displayed, their
+ * quality (api/documents/ImageQuality.js) and the thumbnail reviewers see. Images the decoders
+ * do not handle, such as interlaced PNGs, are only checked for size and accepted without a
+ * thumbnail.
+ */
+
+const { MIME_TYPES, getDocumentType, checkDocumentFile } = require('../../src/shared/documents/DocumentTypes');
+const { IMAGE_ERROR_CODES } = require('./ImageError');
+const { readImageInfo, decodeImage, createThumbnail } = require('./Images');
+const { checkDimensions, checkImageQuality } = require('./ImageQuality');
+
+/**
+ * Error code for images refused for their quality; the error lists each issue
+ */
+const IMAGE_QUALITY = 'IMAGE_QUALITY';
+
+/**
+ * Inspect an uploaded file
+ * @param {string} documentType - Document type
+ * @param {Buffer} content - File content
+ * @returns {object} - { mimeType, width, height, thumbnail } with width, height and thumbnail
+ *   (a PNG Buffer) null where they do not apply, or { error: { code, message } } if the file
+ *   is refused, with issues ({ code, message } each) when the image needs to be taken again
+ */
+const inspectDocument = (documentType, content) => {
+  const check = checkDocumentFile(documentType, content, content.length);
+  if (!check.valid) {
+    return { error: { code: check.code, message: check.message } };
+  }
+
+  const { mimeType } = check;
+  if (mimeType === MIME_TYPES.PDF) {
+    return { mimeType, width: null, height: null, thumbnail: null };
+  }
+
+  try {
+    const definition = getDocumentType(documentType);
+    const info = readImageInfo(content, mimeType);
+    const issues = checkDimensions(definition, info.width, info.height);
+    const image = info.decodable ? decodeImage(content, mimeType) : null;
+    if (image) {
+      issues.push(...checkImageQuality(definition, image));
+    }
+
+    if (issues.length > 0) {
+      return {
+        error: {
+          code: IMAGE_QUALITY,
+          message: issues.map((issue) => issue.message).join(' '),
+          issues,
+        },
+      };
+    }
+
+    return { mimeType, width: info.width, height: info.height, thumbnail: image ? createThumbnail(image) : null };
+  } catch (error) {
+    // A read past the end of the file is a damaged image the codecs did not catch, not a server fault
+    const truncated = error instanceof RangeError;
+    if (!error.isImageError && !truncated) {
+      throw error;
+    }
+    return {
+      error: {
+        code: truncated ? IMAGE_ERROR_CODES.INVALID : error.code,
+        message: error.code === IMAGE_ERROR_CODES.TOO_LARGE
+          ? error.message
+          : 'The image could not be read. Please upload it again or choose another file.',
+      },
+    };
+  }
+};
+
+module.exports = {
+  IMAGE_QUALITY,
+  inspectDocument,
+};
@@ -0,0 +1,29 @@
+/**
+ * Image Errors
+ * Errors raised while reading an uploaded image, with a code telling a damaged file
+ * (INVALID_IMAGE) from a valid one the decoders do not handle (UNSUPPORTED_IMAGE)
+ */
+
+const IMAGE_ERROR_CODES = {
+  INVALID: 'INVALID_IMAGE',
+  UNSUPPORTED: 'UNSUPPORTED_IMAGE',
+  TOO_LARGE: 'IMAGE_TOO_LARGE',
+};
+
+/**
+ * Build an image error
+ * @param {string} code - One of IMAGE_ERROR_CODES
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const imageError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.isImageError = true;
+  return error;
+};
+
+module.exports = {
+  IMAGE_ERROR_CODES,
+  imageError,
+};
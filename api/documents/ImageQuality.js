@@ -0,0 +1,243 @@
+/**
+ * Image Quality
+ * Checks that an uploaded image can be reviewed, so the applicant can take it again before
+ * submitting rather than hear back from a reviewer: its size and shape against the document
+ * type (the quality requirements in src/shared/documents/DocumentTypes.js), then blur, glare
+ * and over-exposure measured on its pixels.
+ *
+ * Measurements are taken on the image scaled to ANALYSIS_SIZE, so they mean the same
+ * whatever the camera's resolution. Each issue carries a message telling the applicant what
+ * to do differently.
+ */
+
+const { resize } = require('./Images');
+
+const QUALITY_ISSUES = {
+  LOW_RESOLUTION: 'LOW_RESOLUTION',
+  CROPPED: 'CROPPED',
+  BLURRY: 'BLURRY',
+  GLARE: 'GLARE',
+  OVEREXPOSED: 'OVEREXPOSED',
+};
+
+/**
+ * Longest side, in pixels, images are scaled to before they are measured
+ */
+const ANALYSIS_SIZE = 800;
+
+/**
+ * Sharpness (variance of the Laplacian) below which an image is blurry. Sharp photos of
+ * documents measure in the thousands; a 5×5 blur brings them under 200 and text becomes
+ * hard to read under about 60.
+ */
+const MIN_SHARPNESS = 60;
+
+/**
+ * A pixel is blown out when its darkest channel is at least this bright
+ */
+const BLOWN_LEVEL = 245;
+
+/**
+ * Glare: a blown-out patch at least this share of the image, not touching its edges. Patches
+ * touching an edge are taken for a white background, such as the margin of a scan.
+ */
+const MIN_GLARE_AREA = 0.015;
+
+/**
+ * Over-exposure: even the darkest 5% of the image is at least this bright (0-255), so text
+ * and photos have washed out
+ */
+const MAX_DARK_LEVEL = 150;
+const DARK_PERCENTILE = 0.05;
+
+/**
+ * Check an image's size and shape as displayed
+ * @param {object} definition - Document type definition, with its quality requirements
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {array} - Issues ({ code, message }), empty if the image passes
+ */
+const checkDimensions = (definition, width, height) => {
+  const { minLongSide, minShortSide, aspectRatio, framing } = definition.quality;
+  const longSide = Math.max(width, height);
+  const shortSide = Math.min(width, height);
+  const issues = [];
+
+  if (longSide < minLongSide || shortSide < minShortSide) {
+    issues.push({
+      code: QUALITY_ISSUES.LOW_RESOLUTION,
+      message: `The image is too small (${width}×${height} pixels) to read. Take it closer up or at a `
+        + `higher camera resolution; it needs to be at least ${minLongSide}×${minShortSide} pixels.`,
+    });
+  }
+
+  const ratio = longSide / shortSide;
+  if (ratio < aspectRatio[0] || ratio > aspectRatio[1]) {
+    issues.push({
+      code: QUALITY_ISSUES.CROPPED,
+      message: `The image looks cropped or has too much around the document. ${framing}`,
+    });
+  }
+
+  return issues;
+};
+
+/**
+ * Brightness of each pixel, and whether it is blown out
+ * @param {object} image - Scaled image, opaque
+ * @returns {object} - { luma, blown } with luma as 0-255 values and blown as 0/1 flags, row by row
+ */
+const toLuma = (image) => {
+  const pixels = image.width * image.height;
+  const luma = new Float32Array(pixels);
+  const blown = new Uint8Array(pixels);
+
+  for (let i = 0; i < pixels; i += 1) {
+    const r = image.data[i * 4];
+    const g = image.data[i * 4 + 1];
+    const b = image.data[i * 4 + 2];
+    luma[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+    blown[i] = Math.min(r, g, b) >= BLOWN_LEVEL ? 1 : 0;
+  }
+
+  return { luma, blown };
+};
+
+/**
+ * Variance of the Laplacian: how strongly brightness changes from pixel to pixel, which
+ * blur and camera shake smooth away
+ */
+const laplacianVariance = (luma, width, height) => {
+  let count = 0;
+  let mean = 0;
+  let sumSquares = 0;
+
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const i = y * width + x;
+      const value = 4 * luma[i] - luma[i - 1] - luma[i + 1] - luma[i - width] - luma[i + width];
+      // Welford's running variance
+      count += 1;
+      const delta = value - mean;
+      mean += delta / count;
+      sumSquares += delta * (value - mean);
+    }
+  }
+
+  return count > 0 ? sumSquares / count : 0;
+};
+
+/**
+ * Brightness below which the given share of pixels falls
+ */
+const percentile = (luma, share) => {
+  const histogram = new Uint32Array(256);
+  luma.forEach((value) => {
+    histogram[Math.round(value)] += 1;
+  });
+
+  const target = luma.length * share;
+  let seen = 0;
+  for (let level = 0; level < 256; level += 1) {
+    seen += histogram[level];
+    if (seen >= target) return level;
+  }
+  return 255;
+};
+
+/**
+ * Largest blown-out patch that does not touch the image's edges
+ * @returns {number} - Its area as a share of the image
+ */
+const largestEnclosedPatch = (blown, width, height) => {
+  const seen = new Uint8Array(blown.length);
+  const stack = new Int32Array(blown.length);
+  let largest = 0;
+
+  for (let start = 0; start < blown.length; start += 1) {
+    if (!blown[start] || seen[start]) continue;
+
+    // Flood fill the patch, four-connected
+    let size = 0;
+    let touchesEdge = false;
+    let top = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+      size += 1;
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesEdge = true;
+
+      const neighbours = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, y > 0 ? i - width : -1, y < height - 1 ? i + width : -1];
+      for (const next of neighbours) {
+        if (next >= 0 && blown[next] && !seen[next]) {
+          seen[next] = 1;
+          stack[top++] = next;
+        }
+      }
+    }
+
+    if (!touchesEdge && size > largest) largest = size;
+  }
+
+  return largest / blown.length;
+};
+
+/**
+ * Measure an image's sharpness, glare and exposure
+ * @param {object} image - Decoded image
+ * @returns {object} - { sharpness, glareArea, darkLevel }
+ */
+const measureImage = (image) => {
+  const scaled = resize(image, ANALYSIS_SIZE);
+  const { luma, blown } = toLuma(scaled);
+
+  return {
+    sharpness: laplacianVariance(luma, scaled.width, scaled.height),
+    glareArea: largestEnclosedPatch(blown, scaled.width, scaled.height),
+    darkLevel: percentile(luma, DARK_PERCENTILE),
+  };
+};
+
+/**
+ * Check a decoded image for blur, glare and over-exposure
+ * @param {object} definition - Document type definition, with its quality requirements
+ * @param {object} image - Decoded image
+ * @returns {array} - Issues ({ code, message }), empty if the image passes
+ */
+const checkImageQuality = (definition, image) => {
+  const { quality } = definition;
+  const measured = measureImage(image);
+  const issues = [];
+
+  if (measured.sharpness < MIN_SHARPNESS) {
+    issues.push({
+      code: QUALITY_ISSUES.BLURRY,
+      message: 'The image is blurry. Hold the camera steady, tap the screen to focus and check the text is sharp before you take it.',
+    });
+  }
+  if (quality.exposure && measured.darkLevel >= MAX_DARK_LEVEL) {
+    issues.push({
+      code: QUALITY_ISSUES.OVEREXPOSED,
+      message: 'The image is too bright and washed out. Take it in softer, even light and turn the flash off.',
+    });
+  } else if (quality.glare && measured.glareArea >= MIN_GLARE_AREA) {
+    issues.push({
+      code: QUALITY_ISSUES.GLARE,
+      message: 'Light is reflecting off the document and hiding part of it. Move away from direct light or tilt the document slightly.',
+    });
+  }
+
+  return issues;
+};
+
+module.exports = {
+  QUALITY_ISSUES,
+  MIN_SHARPNESS,
+  checkDimensions,
+  measureImage,
+  checkImageQuality,
+};
@@ -0,0 +1,175 @@
+/**
+ * Images
+ * Reads uploaded document images (JPEG and PNG, see ./codecs) and makes the thumbnails
+ * reviewers see in the back office. Everything is plain JavaScript on top of the
+ * built-in zlib module, so no native image library is needed on the server.
+ *
+ * Decoded images are { width, height, data }, with data as RGBA bytes row by row.
+ */
+
+const { MIME_TYPES } = require('../../src/shared/documents/DocumentTypes');
+const { IMAGE_ERROR_CODES, imageError } = require('./ImageError');
+const { readJpegHeader, decodeJpeg } = require('./codecs/Jpeg');
+const { readPngHeader, decodePng, encodePng } = require('./codecs/Png');
+
+/**
+ * Largest image decoded, in pixels: a 12 MP phone photo (4032×3024) fits, at about 52 MB once
+ * decoded. Decoding runs on the request's thread, so this also bounds how long an upload holds it.
+ */
+const MAX_IMAGE_PIXELS = 13 * 1000 * 1000;
+
+/**
+ * Longest side of a thumbnail, in pixels
+ */
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Read an image's size without decoding it
+ * The size is as the image is displayed, i.e. after its EXIF orientation
+ * @param {Buffer} buffer - Image file
+ * @param {string} mimeType - image/jpeg or image/png
+ * @returns {object} - { width, height, orientation, decodable }
+ */
+const readImageInfo = (buffer, mimeType) => {
+  let info;
+  if (mimeType === MIME_TYPES.JPEG) {
+    info = readJpegHeader(buffer);
+  } else if (mimeType === MIME_TYPES.PNG) {
+    const header = readPngHeader(buffer);
+    info = { width: header.width, height: header.height, orientation: 1, decodable: !header.interlaced };
+  } else {
+    throw imageError(IMAGE_ERROR_CODES.UNSUPPORTED, `${mimeType} is not an image type`);
+  }
+
+  // Orientations 5 to 8 turn the image a quarter
+  return info.orientation >= 5
+    ? { width: info.height, height: info.width, orientation: info.orientation, decodable: info.decodable }
+    : info;
+};
+
+/**
+ * Decode an image
+ * @param {Buffer} buffer - Image file
+ * @param {string} mimeType - image/jpeg or image/png
+ * @returns {object} - { width, height, data, orientation }, in the stored orientation
+ */
+const decodeImage = (buffer, mimeType) => {
+  const info = readImageInfo(buffer, mimeType);
+  if (info.width * info.height > MAX_IMAGE_PIXELS) {
+    throw imageError(IMAGE_ERROR_CODES.TOO_LARGE, `The image is larger than ${MAX_IMAGE_PIXELS / 1000000} megapixels`);
+  }
+
+  if (mimeType === MIME_TYPES.JPEG) {
+    return decodeJpeg(buffer);
+  }
+  return Object.assign(decodePng(buffer), { orientation: 1 });
+};
+
+/**
+ * Scale an image down so its longest side is at most maxSide, averaging the pixels each
+ * output pixel covers; transparent pixels are laid on white
+ * @param {object} image - Decoded image
+ * @param {number} maxSide - Longest side of the result
+ * @returns {object} - Scaled image, opaque
+ */
+const resize = (image, maxSide) => {
+  const scale = Math.min(1, maxSide / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const data = new Uint8Array(width * height * 4);
+
+  // Source range [start, end) covered by each output column and row
+  const spans = (outSize, inSize) => Array.from({ length: outSize }, (_, i) => {
+    const start = Math.floor((i * inSize) / outSize);
+    return [start, Math.max(start + 1, Math.floor(((i + 1) * inSize) / outSize))];
+  });
+  const columns = spans(width, image.width);
+  const rows = spans(height, image.height);
+
+  for (let y = 0; y < height; y += 1) {
+    const [top, bottom] = rows[y];
+    for (let x = 0; x < width; x += 1) {
+      const [left, right] = columns[x];
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let sy = top; sy < bottom; sy += 1) {
+        for (let sx = left; sx < right; sx += 1) {
+          const i = (sy * image.width + sx) * 4;
+          const alpha = image.data[i + 3];
+          const white = 255 * (255 - alpha);
+          r += (image.data[i] * alpha + white) / 255;
+          g += (image.data[i + 1] * alpha + white) / 255;
+          b += (image.data[i + 2] * alpha + white) / 255;
+        }
+      }
+
+      const count = (bottom - top) * (right - left);
+      const o = (y * width + x) * 4;
+      data[o] = Math.round(r / count);
+      data[o + 1] = Math.round(g / count);
+      data[o + 2] = Math.round(b / count);
+      data[o + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+};
+
+/**
+ * Turn an image upright according to its EXIF orientation
+ * @param {object} image - Decoded image
+ * @param {number} orientation - EXIF orientation, 1 to 8
+ * @returns {object} - Upright image
+ */
+const applyOrientation = (image, orientation) => {
+  if (!orientation || orientation === 1) return image;
+
+  const turned = orientation >= 5;
+  const width = turned ? image.height : image.width;
+  const height = turned ? image.width : image.height;
+  const data = new Uint8Array(image.data.length);
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      // Source pixel of each displayed pixel (EXIF 2.3, tag 0x0112)
+      let sx;
+      let sy;
+      switch (orientation) {
+        case 2: sx = image.width - 1 - x; sy = y; break;
+        case 3: sx = image.width - 1 - x; sy = image.height - 1 - y; break;
+        case 4: sx = x; sy = image.height - 1 - y; break;
+        case 5: sx = y; sy = x; break;
+        case 6: sx = y; sy = image.height - 1 - x; break;
+        case 7: sx = image.width - 1 - y; sy = image.height - 1 - x; break;
+        default: sx = image.width - 1 - y; sy = x; break;
+      }
+
+      const from = (sy * image.width + sx) * 4;
+      const to = (y * width + x) * 4;
+      data[to] = image.data[from];
+      data[to + 1] = image.data[from + 1];
+      data[to + 2] = image.data[from + 2];
+      data[to + 3] = image.data[from + 3];
+    }
+  }
+
+  return { width, height, data };
+};
+
+/**
+ * Make the thumbnail of a decoded image: upright, at most THUMBNAIL_SIZE on its longest side
+ * @param {object} image - Output of decodeImage
+ * @returns {Buffer} - PNG file
+ */
+const createThumbnail = (image) => encodePng(applyOrientation(resize(image, THUMBNAIL_SIZE), image.orientation));
+
+module.exports = {
+  MAX_IMAGE_PIXELS,
+  THUMBNAIL_SIZE,
+  readImageInfo,
+  decodeImage,
+  resize,
+  applyOrientation,
+  createThumbnail,
+};
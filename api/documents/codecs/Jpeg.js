@@ -0,0 +1,766 @@
+/**
+ * JPEG Codec
+ * Decodes Huffman-coded JPEG images, baseline or progressive, to 8-bit RGBA: grayscale or
+ * YCbCr, any chroma subsampling, with or without restart markers. Lossless, hierarchical,
+ * arithmetic-coded, 12-bit and CMYK images are reported as UNSUPPORTED_IMAGE; readJpegHeader
+ * still reads their size.
+ *
+ * The EXIF orientation camera photos are tagged with is read but not applied; see
+ * applyOrientation in ../Images.js.
+ */
+
+const { IMAGE_ERROR_CODES, imageError } = require('../ImageError');
+
+const MARKERS = {
+  SOF0: 0xc0, // Baseline
+  SOF1: 0xc1, // Extended sequential
+  SOF2: 0xc2, // Progressive
+  DHT: 0xc4,
+  SOI: 0xd8,
+  EOI: 0xd9,
+  SOS: 0xda,
+  DQT: 0xdb,
+  DRI: 0xdd,
+  APP1: 0xe1,
+  APP14: 0xee,
+};
+
+/**
+ * Start-of-frame markers of the coding processes that are not decoded
+ */
+const UNSUPPORTED_FRAMES = [0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+/**
+ * Position in a block of each coefficient, in the order they are coded
+ */
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+];
+
+/**
+ * IDCT basis: COSINES[x * 8 + u] = C(u) / 2 * cos((2x + 1) * u * pi / 16)
+ */
+const COSINES = (() => {
+  const table = new Float64Array(64);
+  for (let x = 0; x < 8; x += 1) {
+    for (let u = 0; u < 8; u += 1) {
+      table[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+    }
+  }
+  return table;
+})();
+
+const invalid = (message) => imageError(IMAGE_ERROR_CODES.INVALID, message);
+
+/**
+ * Check that a segment holds the bytes about to be read from it
+ * @param {Buffer} segment - Segment content
+ * @param {number} length - Bytes needed from its start
+ */
+const ensureLength = (segment, length) => {
+  if (segment.length < length) {
+    throw invalid('The JPEG image has a truncated segment');
+  }
+};
+
+/**
+ * Read the EXIF orientation from an APP1 segment
+ * @param {Buffer} segment - Segment content, after its length
+ * @returns {number|null} - Orientation 1 to 8, or null if the segment has none
+ */
+const readExifOrientation = (segment) => {
+  if (segment.length < 14 || segment.toString('latin1', 0, 6) !== 'Exif\0\0') return null;
+
+  const tiff = segment.subarray(6);
+  const little = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) return null;
+
+  const entries = u16(ifd);
+  for (let i = 0; i < entries; i += 1) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) return null;
+    if (u16(entry) === 0x0112) {
+      const orientation = u16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : null;
+    }
+  }
+  return null;
+};
+
+/**
+ * Walk the segments of a JPEG file up to its first scan
+ * @param {Buffer} buffer - JPEG file
+ * @param {function} onSegment - Called with (marker, content, offset) for each segment;
+ *   returning true stops the walk
+ */
+const walkSegments = (buffer, onSegment) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== MARKERS.SOI) {
+    throw invalid('Not a JPEG image');
+  }
+
+  let position = 2;
+  while (position + 4 <= buffer.length) {
+    if (buffer[position] !== 0xff) {
+      throw invalid('The JPEG image is corrupt');
+    }
+    const marker = buffer[position + 1];
+    // Fill bytes may pad markers
+    if (marker === 0xff) {
+      position += 1;
+    } else if (marker === MARKERS.EOI) {
+      return;
+    } else {
+      const length = buffer.readUInt16BE(position + 2);
+      const end = position + 2 + length;
+      if (length < 2 || end > buffer.length) {
+        throw invalid('The JPEG image is truncated');
+      }
+      if (onSegment(marker, buffer.subarray(position + 4, end), end)) return;
+      position = end;
+    }
+  }
+  throw invalid('The JPEG image is truncated');
+};
+
+/**
+ * Read a frame header
+ * @param {number} marker - Start-of-frame marker
+ * @param {Buffer} segment - Segment content
+ * @returns {object} - { progressive, precision, width, height, components }
+ */
+const readFrame = (marker, segment) => {
+  ensureLength(segment, 6);
+  const frame = {
+    progressive: marker === MARKERS.SOF2,
+    precision: segment[0],
+    height: segment.readUInt16BE(1),
+    width: segment.readUInt16BE(3),
+    components: [],
+  };
+
+  const count = segment[5];
+  ensureLength(segment, 6 + count * 3);
+  for (let i = 0; i < count; i += 1) {
+    const offset = 6 + i * 3;
+    frame.components.push({
+      id: segment[offset],
+      h: segment[offset + 1] >> 4,
+      v: segment[offset + 1] & 15,
+      quantizationTable: segment[offset + 2],
+    });
+  }
+  if (!frame.width || !frame.height || count === 0 || frame.components.some((c) => !c.h || !c.v)) {
+    throw invalid('The JPEG image header is invalid');
+  }
+  return frame;
+};
+
+const isFrameMarker = (marker) => [MARKERS.SOF0, MARKERS.SOF1, MARKERS.SOF2].includes(marker)
+  || UNSUPPORTED_FRAMES.includes(marker);
+
+/**
+ * Whether a frame is one decodeJpeg handles
+ * @param {number} marker - Start-of-frame marker
+ * @param {object} frame - Output of readFrame
+ * @returns {boolean}
+ */
+const isDecodable = (marker, frame) => !UNSUPPORTED_FRAMES.includes(marker)
+  && frame.precision === 8 && [1, 3].includes(frame.components.length);
+
+/**
+ * Read a JPEG image's size and orientation without decoding it
+ * @param {Buffer} buffer - JPEG file
+ * @returns {object} - { width, height, orientation, decodable }
+ */
+const readJpegHeader = (buffer) => {
+  let orientation = 1;
+  let frame = null;
+  let decodable = false;
+
+  walkSegments(buffer, (marker, segment) => {
+    if (marker === MARKERS.APP1) {
+      orientation = readExifOrientation(segment) || orientation;
+    } else if (isFrameMarker(marker)) {
+      frame = readFrame(marker, segment);
+      decodable = isDecodable(marker, frame);
+      return true;
+    }
+    return false;
+  });
+
+  if (!frame) {
+    throw invalid('The JPEG image has no frame header');
+  }
+  return {
+    width: frame.width,
+    height: frame.height,
+    orientation,
+    decodable,
+  };
+};
+
+/**
+ * Build a Huffman decoding table (JPEG specification, F.2.2.3)
+ * @param {Buffer} counts - Number of codes of each length, 1 to 16
+ * @param {Buffer} symbols - Symbols in code order
+ * @returns {object} - { maxCode, valueOffset, symbols }
+ */
+const buildHuffmanTable = (counts, symbols) => {
+  const maxCode = new Int32Array(17).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+
+  for (let length = 1; length <= 16; length += 1) {
+    valueOffset[length] = k - code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    if (counts[length - 1] > 0) {
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+
+  return { maxCode, valueOffset, symbols };
+};
+
+/**
+ * Reads the entropy-coded data of a scan bit by bit, removing stuffed zero bytes
+ */
+class BitReader {
+  constructor(buffer, position) {
+    this.buffer = buffer;
+    this.position = position;
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+
+  readBit() {
+    if (this.bitCount === 0) {
+      if (this.position >= this.buffer.length) {
+        throw invalid('The JPEG image is truncated');
+      }
+      let byte = this.buffer[this.position];
+      if (byte === 0xff) {
+        const next = this.buffer[this.position + 1];
+        if (next === 0x00) {
+          this.position += 1;
+        } else {
+          // A marker inside the data: pad with zeros, as decoders conventionally do
+          byte = 0;
+          this.position -= 1;
+        }
+      }
+      this.position += 1;
+      this.bits = byte;
+      this.bitCount = 8;
+    }
+    this.bitCount -= 1;
+    return (this.bits >> this.bitCount) & 1;
+  }
+
+  receive(length) {
+    let value = 0;
+    for (let i = 0; i < length; i += 1) {
+      value = (value << 1) | this.readBit();
+    }
+    return value;
+  }
+
+  /**
+   * Read a value of the given length and extend its sign (JPEG specification, F.2.2.1)
+   */
+  receiveExtend(length) {
+    if (length === 0) return 0;
+    const value = this.receive(length);
+    return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+  }
+
+  decode(table) {
+    let code = this.readBit();
+    let length = 1;
+    while (code > table.maxCode[length]) {
+      code = (code << 1) | this.readBit();
+      length += 1;
+      if (length > 16) {
+        throw invalid('The JPEG image data is corrupt');
+      }
+    }
+    return table.symbols[table.valueOffset[length] + code];
+  }
+
+  /**
+   * Skip to the restart marker ending an interval
+   */
+  restart() {
+    this.bitCount = 0;
+    while (this.position + 1 < this.buffer.length) {
+      if (this.buffer[this.position] === 0xff && this.buffer[this.position + 1] >= 0xd0
+        && this.buffer[this.position + 1] <= 0xd7) {
+        this.position += 2;
+        return;
+      }
+      this.position += 1;
+    }
+  }
+
+  /**
+   * Position of the next marker after the scan's data
+   */
+  end() {
+    let position = this.position;
+    while (position + 1 < this.buffer.length) {
+      const next = this.buffer[position + 1];
+      if (this.buffer[position] === 0xff && next !== 0x00 && !(next >= 0xd0 && next <= 0xd7)) {
+        return position;
+      }
+      position += 1;
+    }
+    return this.buffer.length;
+  }
+}
+
+
+/**
+ * Dequantize and inverse-transform one block into a component's samples
+ * @param {Int16Array} coefficients - The component's coefficients, 64 per block in natural order
+ * @param {number} block - Index of the block's first coefficient
+ * @param {Uint16Array} quantization - Quantization table in natural order
+ * @param {Uint8Array} samples - The component's samples
+ * @param {number} offset - Index of the block's top-left sample
+ * @param {number} stride - Samples per row of the component
+ * @param {Float64Array} workspace - 64 scratch values
+ */
+const inverseTransform = (coefficients, block, quantization, samples, offset, stride, workspace) => {
+  // Rows: workspace[v * 8 + x] = sum over u of F(v, u) * basis(x, u)
+  for (let v = 0; v < 8; v += 1) {
+    for (let x = 0; x < 8; x += 1) {
+      let sum = 0;
+      for (let u = 0; u < 8; u += 1) {
+        const coefficient = coefficients[block + v * 8 + u];
+        if (coefficient !== 0) {
+          sum += coefficient * quantization[v * 8 + u] * COSINES[x * 8 + u];
+        }
+      }
+      workspace[v * 8 + x] = sum;
+    }
+  }
+
+  // Columns, then level shift and clamp
+  for (let x = 0; x < 8; x += 1) {
+    for (let y = 0; y < 8; y += 1) {
+      let sum = 0;
+      for (let v = 0; v < 8; v += 1) {
+        sum += workspace[v * 8 + x] * COSINES[y * 8 + v];
+      }
+      const sample = Math.round(sum + 128);
+      samples[offset + y * stride + x] = sample < 0 ? 0 : (sample > 255 ? 255 : sample);
+    }
+  }
+};
+
+/**
+ * Decoders of one block's coefficients for each kind of scan
+ * (JPEG specification, F.2.2 for sequential and G.1.2 for progressive scans). Each reads from
+ * the scan's reader and state ({ reader, start, end, low, eobRun, refineState, refineValue })
+ * into component.coefficients at the block's index.
+ */
+const BLOCK_DECODERS = {
+  sequential: (scan, component, block) => {
+    const { reader } = scan;
+    const coefficients = component.coefficients;
+
+    component.prediction += reader.receiveExtend(reader.decode(component.dcTable));
+    coefficients[block] = component.prediction;
+
+    for (let k = 1; k < 64;) {
+      const symbol = reader.decode(component.acTable);
+      const run = symbol >> 4;
+      const length = symbol & 15;
+      if (length === 0) {
+        if (run !== 15) break;
+        k += 16;
+      } else {
+        k += run;
+        if (k > 63) break;
+        coefficients[block + ZIGZAG[k]] = reader.receiveExtend(length);
+        k += 1;
+      }
+    }
+  },
+
+  dcFirst: (scan, component, block) => {
+    component.prediction += scan.reader.receiveExtend(scan.reader.decode(component.dcTable));
+    component.coefficients[block] = component.prediction * (1 << scan.low);
+  },
+
+  dcRefine: (scan, component, block) => {
+    if (scan.reader.readBit()) {
+      component.coefficients[block] |= 1 << scan.low;
+    }
+  },
+
+  acFirst: (scan, component, block) => {
+    if (scan.eobRun > 0) {
+      scan.eobRun -= 1;
+      return;
+    }
+
+    const { reader } = scan;
+    for (let k = scan.start; k <= scan.end;) {
+      const symbol = reader.decode(component.acTable);
+      const run = symbol >> 4;
+      const length = symbol & 15;
+      if (length === 0) {
+        if (run < 15) {
+          scan.eobRun = reader.receive(run) + (1 << run) - 1;
+          break;
+        }
+        k += 16;
+      } else {
+        k += run;
+        if (k > 63) break;
+        component.coefficients[block + ZIGZAG[k]] = reader.receiveExtend(length) * (1 << scan.low);
+        k += 1;
+      }
+    }
+  },
+
+  // Refinement walks the band, correcting coefficients already non-zero with one bit each,
+  // and places each new coefficient after skipping the given number of zero ones
+  acRefine: (scan, component, block) => {
+    const { reader } = scan;
+    const coefficients = component.coefficients;
+    const bit = 1 << scan.low;
+    let run = 0;
+
+    for (let k = scan.start; k <= scan.end;) {
+      const index = block + ZIGZAG[k];
+      const coefficient = coefficients[index];
+
+      if (scan.refineState === 'start') {
+        const symbol = reader.decode(component.acTable);
+        const length = symbol & 15;
+        run = symbol >> 4;
+        if (length === 0) {
+          if (run < 15) {
+            scan.eobRun = reader.receive(run) + (1 << run);
+            scan.refineState = 'eob';
+          } else {
+            run = 16;
+            scan.refineState = 'skip';
+          }
+        } else {
+          if (length !== 1) {
+            throw invalid('The JPEG image data is corrupt');
+          }
+          scan.refineValue = reader.receiveExtend(1);
+          scan.refineState = run ? 'skipThenSet' : 'set';
+        }
+        continue;
+      }
+
+      if (coefficient !== 0) {
+        if (reader.readBit() && (coefficient & bit) === 0) {
+          coefficients[index] += coefficient > 0 ? bit : -bit;
+        }
+      } else if (scan.refineState === 'skip' || scan.refineState === 'skipThenSet') {
+        run -= 1;
+        if (run === 0) {
+          scan.refineState = scan.refineState === 'skipThenSet' ? 'set' : 'start';
+        }
+      } else if (scan.refineState === 'set') {
+        coefficients[index] = scan.refineValue * bit;
+        scan.refineState = 'start';
+      }
+      k += 1;
+    }
+
+    if (scan.refineState === 'eob') {
+      scan.eobRun -= 1;
+      if (scan.eobRun === 0) {
+        scan.refineState = 'start';
+      }
+    }
+  },
+};
+
+/**
+ * Pick the block decoder for a scan
+ * @param {object} frame - Frame the scan belongs to
+ * @param {object} scan - { start, end, high }
+ * @returns {function}
+ */
+const blockDecoderFor = (frame, scan) => {
+  if (!frame.progressive) return BLOCK_DECODERS.sequential;
+  if (scan.start === 0) return scan.high === 0 ? BLOCK_DECODERS.dcFirst : BLOCK_DECODERS.dcRefine;
+  return scan.high === 0 ? BLOCK_DECODERS.acFirst : BLOCK_DECODERS.acRefine;
+};
+
+/**
+ * Decode one scan into the frame's coefficients
+ * @param {Buffer} buffer - JPEG file
+ * @param {object} frame - Frame being decoded
+ * @param {object} tables - { dc, ac } Huffman tables by id
+ * @param {number} restartInterval - MCUs between restart markers, 0 for none
+ * @param {Buffer} segment - Scan header
+ * @param {number} dataStart - Position of the scan's entropy-coded data
+ * @returns {number} - Position of the marker after the scan's data
+ */
+const decodeScan = (buffer, frame, tables, restartInterval, segment, dataStart) => {
+  ensureLength(segment, 1);
+  const count = segment[0];
+  ensureLength(segment, 4 + count * 2);
+  if (count === 0) {
+    throw invalid('The JPEG image has a scan without components');
+  }
+  const scan = {
+    reader: new BitReader(buffer, dataStart),
+    start: segment[1 + count * 2],
+    end: segment[2 + count * 2],
+    high: segment[3 + count * 2] >> 4,
+    low: segment[3 + count * 2] & 15,
+    eobRun: 0,
+    refineState: 'start',
+    refineValue: 0,
+  };
+  const decodeBlock = blockDecoderFor(frame, scan);
+  const needsDc = !frame.progressive || (scan.start === 0 && scan.high === 0);
+  const needsAc = !frame.progressive || scan.start > 0;
+
+  const components = [];
+  for (let i = 0; i < count; i += 1) {
+    const component = frame.components.find((c) => c.id === segment[1 + i * 2]);
+    const selectors = segment[2 + i * 2];
+    if (!component) {
+      throw invalid('The JPEG image refers to a missing component');
+    }
+    component.dcTable = tables.dc[selectors >> 4];
+    component.acTable = tables.ac[selectors & 15];
+    if ((needsDc && !component.dcTable) || (needsAc && !component.acTable)) {
+      throw invalid('The JPEG image refers to a missing table');
+    }
+    component.prediction = 0;
+    components.push(component);
+  }
+
+  // A scan of one component codes its blocks in raster order, without padding to whole MCUs
+  const single = components.length === 1;
+  const mcusPerLine = single ? Math.ceil(components[0].width / 8) : frame.mcusPerLine;
+  const mcusPerColumn = single ? Math.ceil(components[0].height / 8) : frame.mcusPerColumn;
+  const total = mcusPerLine * mcusPerColumn;
+
+  for (let mcu = 0; mcu < total; mcu += 1) {
+    if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+      scan.reader.restart();
+      scan.eobRun = 0;
+      scan.refineState = 'start';
+      components.forEach((component) => {
+        component.prediction = 0;
+      });
+    }
+
+    const mcuRow = Math.floor(mcu / mcusPerLine);
+    const mcuColumn = mcu % mcusPerLine;
+    components.forEach((component) => {
+      const blockIndex = (row, column) => (row * component.blocksPerLine + column) * 64;
+      if (single) {
+        decodeBlock(scan, component, blockIndex(mcuRow, mcuColumn));
+        return;
+      }
+      for (let v = 0; v < component.v; v += 1) {
+        for (let h = 0; h < component.h; h += 1) {
+          decodeBlock(scan, component, blockIndex(mcuRow * component.v + v, mcuColumn * component.h + h));
+        }
+      }
+    });
+  }
+
+  return scan.reader.end();
+};
+
+/**
+ * Lay out a frame's components: their size, block grid and coefficient storage
+ * @param {object} frame - Output of readFrame
+ */
+const prepareFrame = (frame) => {
+  frame.maxH = Math.max(...frame.components.map((c) => c.h));
+  frame.maxV = Math.max(...frame.components.map((c) => c.v));
+  frame.mcusPerLine = Math.ceil(frame.width / (8 * frame.maxH));
+  frame.mcusPerColumn = Math.ceil(frame.height / (8 * frame.maxV));
+
+  frame.components.forEach((component) => {
+    component.width = Math.ceil((frame.width * component.h) / frame.maxH);
+    component.height = Math.ceil((frame.height * component.v) / frame.maxV);
+    component.blocksPerLine = frame.mcusPerLine * component.h;
+    component.blocksPerColumn = frame.mcusPerColumn * component.v;
+    component.coefficients = new Int16Array(component.blocksPerLine * component.blocksPerColumn * 64);
+  });
+};
+
+/**
+ * Turn a component's coefficients into samples
+ * @param {object} component - Frame component
+ * @param {Uint16Array} quantization - The component's quantization table
+ * @returns {Uint8Array} - Samples, blocksPerLine * 8 per row
+ */
+const componentSamples = (component, quantization) => {
+  const stride = component.blocksPerLine * 8;
+  const samples = new Uint8Array(stride * component.blocksPerColumn * 8);
+  const workspace = new Float64Array(64);
+
+  for (let row = 0; row < component.blocksPerColumn; row += 1) {
+    for (let column = 0; column < component.blocksPerLine; column += 1) {
+      const block = (row * component.blocksPerLine + column) * 64;
+      inverseTransform(component.coefficients, block, quantization, samples, row * 8 * stride + column * 8, stride, workspace);
+    }
+  }
+  return samples;
+};
+
+/**
+ * Decode a JPEG image
+ * @param {Buffer} buffer - JPEG file
+ * @returns {object} - { width, height, data, orientation } with data as RGBA bytes, row by row,
+ *   in the stored orientation
+ */
+const decodeJpeg = (buffer) => {
+  const quantizationTables = [];
+  const tables = { dc: [], ac: [] };
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let orientation = 1;
+  let scans = 0;
+  let position = 2;
+
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== MARKERS.SOI) {
+    throw invalid('Not a JPEG image');
+  }
+
+  while (position + 1 < buffer.length) {
+    if (buffer[position] !== 0xff) {
+      throw invalid('The JPEG image is corrupt');
+    }
+    const marker = buffer[position + 1];
+    if (marker === 0xff) {
+      position += 1;
+      continue;
+    }
+    if (marker === MARKERS.EOI) break;
+    if (position + 4 > buffer.length) {
+      throw invalid('The JPEG image is truncated');
+    }
+
+    const length = buffer.readUInt16BE(position + 2);
+    const end = position + 2 + length;
+    if (length < 2 || end > buffer.length) {
+      throw invalid('The JPEG image is truncated');
+    }
+    const segment = buffer.subarray(position + 4, end);
+    position = end;
+
+    if (marker === MARKERS.APP1) {
+      orientation = readExifOrientation(segment) || orientation;
+    } else if (marker === MARKERS.APP14 && segment.length >= 12 && segment.toString('latin1', 0, 5) === 'Adobe') {
+      adobeTransform = segment[11];
+    } else if (marker === MARKERS.DQT) {
+      for (let offset = 0; offset < segment.length;) {
+        const wide = segment[offset] >> 4;
+        ensureLength(segment, offset + 1 + (wide ? 128 : 64));
+        const table = new Uint16Array(64);
+        for (let k = 0; k < 64; k += 1) {
+          table[ZIGZAG[k]] = wide ? segment.readUInt16BE(offset + 1 + k * 2) : segment[offset + 1 + k];
+        }
+        quantizationTables[segment[offset] & 15] = table;
+        offset += 1 + (wide ? 128 : 64);
+      }
+    } else if (marker === MARKERS.DHT) {
+      for (let offset = 0; offset < segment.length;) {
+        ensureLength(segment, offset + 17);
+        const counts = segment.subarray(offset + 1, offset + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        ensureLength(segment, offset + 17 + total);
+        const table = buildHuffmanTable(counts, segment.subarray(offset + 17, offset + 17 + total));
+        (segment[offset] >> 4 ? tables.ac : tables.dc)[segment[offset] & 15] = table;
+        offset += 17 + total;
+      }
+    } else if (marker === MARKERS.DRI) {
+      ensureLength(segment, 2);
+      restartInterval = segment.readUInt16BE(0);
+    } else if (isFrameMarker(marker)) {
+      frame = readFrame(marker, segment);
+      if (!isDecodable(marker, frame)) {
+        throw imageError(IMAGE_ERROR_CODES.UNSUPPORTED, 'Lossless, arithmetic-coded, 12-bit and CMYK JPEG images are not supported');
+      }
+      prepareFrame(frame);
+    } else if (marker === MARKERS.SOS) {
+      if (!frame) {
+        throw invalid('The JPEG image has no frame header');
+      }
+      position = decodeScan(buffer, frame, tables, restartInterval, segment, end);
+      scans += 1;
+    }
+  }
+
+  if (!frame || scans === 0) {
+    throw invalid('The JPEG image has no image data');
+  }
+  if (frame.components.some((component) => !quantizationTables[component.quantizationTable])) {
+    throw invalid('The JPEG image refers to a missing table');
+  }
+
+  const { width, height, components } = frame;
+  const planes = components.map((component) => componentSamples(component, quantizationTables[component.quantizationTable]));
+  const data = new Uint8Array(width * height * 4);
+  // Three components are YCbCr unless an Adobe marker says they are RGB
+  const rgb = components.length === 3 && adobeTransform === 0;
+  const clamp = (value) => (value < 0 ? 0 : (value > 255 ? 255 : Math.round(value)));
+
+  // Sample column of each component for each pixel column, upsampling subsampled components
+  const columns = components.map((component) => Int32Array.from(
+    { length: width },
+    (_, x) => Math.floor((x * component.h) / frame.maxH)
+  ));
+
+  for (let y = 0; y < height; y += 1) {
+    const rows = components.map((component) => Math.floor((y * component.v) / frame.maxV) * component.blocksPerLine * 8);
+    for (let x = 0; x < width; x += 1) {
+      const o = (y * width + x) * 4;
+      const c0 = planes[0][rows[0] + columns[0][x]];
+
+      if (components.length === 1) {
+        data[o] = c0;
+        data[o + 1] = c0;
+        data[o + 2] = c0;
+      } else {
+        const c1 = planes[1][rows[1] + columns[1][x]];
+        const c2 = planes[2][rows[2] + columns[2][x]];
+        if (rgb) {
+          data[o] = c0;
+          data[o + 1] = c1;
+          data[o + 2] = c2;
+        } else {
+          data[o] = clamp(c0 + 1.402 * (c2 - 128));
+          data[o + 1] = clamp(c0 - 0.344136 * (c1 - 128) - 0.714136 * (c2 - 128));
+          data[o + 2] = clamp(c0 + 1.772 * (c1 - 128));
+        }
+      }
+      data[o + 3] = 255;
+    }
+  }
+
+  return { width, height, data, orientation };
+};
+
+module.exports = {
+  readJpegHeader,
+  decodeJpeg,
+};
@@ -0,0 +1,302 @@
+/**
+ * PNG Codec
+ * Decodes non-interlaced PNG images of any color type and bit depth to 8-bit RGBA, and
+ * encodes RGB images (thumbnails) as PNG. Compression uses the built-in zlib module.
+ */
+
+const zlib = require('zlib');
+const { IMAGE_ERROR_CODES, imageError } = require('../ImageError');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const COLOR_TYPES = {
+  GRAYSCALE: 0,
+  RGB: 2,
+  PALETTE: 3,
+  GRAYSCALE_ALPHA: 4,
+  RGBA: 6,
+};
+
+/**
+ * Samples per pixel of each color type
+ */
+const CHANNELS = {
+  [COLOR_TYPES.GRAYSCALE]: 1,
+  [COLOR_TYPES.RGB]: 3,
+  [COLOR_TYPES.PALETTE]: 1,
+  [COLOR_TYPES.GRAYSCALE_ALPHA]: 2,
+  [COLOR_TYPES.RGBA]: 4,
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Read the chunks of a PNG file
+ * @param {Buffer} buffer - PNG file
+ * @returns {array} - [{ type, data }]
+ */
+const readChunks = (buffer) => {
+  if (buffer.length < SIGNATURE.length || !buffer.subarray(0, SIGNATURE.length).equals(SIGNATURE)) {
+    throw imageError(IMAGE_ERROR_CODES.INVALID, 'Not a PNG image');
+  }
+
+  const chunks = [];
+  let position = SIGNATURE.length;
+  while (position + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(position);
+    const type = buffer.toString('latin1', position + 4, position + 8);
+    const end = position + 8 + length;
+    if (end + 4 > buffer.length) {
+      throw imageError(IMAGE_ERROR_CODES.INVALID, 'The PNG image is truncated');
+    }
+    chunks.push({ type, data: buffer.subarray(position + 8, end) });
+    position = end + 4;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+};
+
+/**
+ * Read a PNG image's header
+ * @param {Buffer} buffer - PNG file
+ * @returns {object} - { width, height, bitDepth, colorType, interlaced }
+ */
+const readPngHeader = (buffer) => {
+  const header = readChunks(buffer)[0];
+  if (!header || header.type !== 'IHDR' || header.data.length < 13) {
+    throw imageError(IMAGE_ERROR_CODES.INVALID, 'The PNG image has no header');
+  }
+
+  const info = {
+    width: header.data.readUInt32BE(0),
+    height: header.data.readUInt32BE(4),
+    bitDepth: header.data[8],
+    colorType: header.data[9],
+    interlaced: header.data[12] === 1,
+  };
+  if (!info.width || !info.height || CHANNELS[info.colorType] === undefined) {
+    throw imageError(IMAGE_ERROR_CODES.INVALID, 'The PNG image header is invalid');
+  }
+  return info;
+};
+
+/**
+ * Paeth predictor (PNG specification, section 9.4)
+ */
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+/**
+ * Undo the per-row filters
+ * @param {Buffer} raw - Inflated image data: each row is a filter byte and the row's bytes
+ * @param {number} rowBytes - Bytes per row, without the filter byte
+ * @param {number} height - Rows
+ * @param {number} bytesPerPixel - Bytes per complete pixel, at least 1
+ * @returns {Buffer} - Unfiltered rows, without filter bytes
+ */
+const unfilter = (raw, rowBytes, height, bytesPerPixel) => {
+  const out = Buffer.alloc(rowBytes * height);
+
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (rowBytes + 1)];
+    const source = y * (rowBytes + 1) + 1;
+    const row = y * rowBytes;
+    const previous = row - rowBytes;
+
+    for (let x = 0; x < rowBytes; x += 1) {
+      const left = x >= bytesPerPixel ? out[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? out[previous + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? out[previous + x - bytesPerPixel] : 0;
+      let value = raw[source + x];
+
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      else if (filter !== 0) throw imageError(IMAGE_ERROR_CODES.INVALID, 'The PNG image data is corrupt');
+
+      out[row + x] = value & 0xff;
+    }
+  }
+
+  return out;
+};
+
+/**
+ * Decode a PNG image
+ * @param {Buffer} buffer - PNG file
+ * @returns {object} - { width, height, data } with data as RGBA bytes, row by row
+ */
+const decodePng = (buffer) => {
+  const header = readPngHeader(buffer);
+  const { width, height, bitDepth, colorType } = header;
+  if (header.interlaced) {
+    throw imageError(IMAGE_ERROR_CODES.UNSUPPORTED, 'Interlaced PNG images are not supported');
+  }
+
+  const chunks = readChunks(buffer);
+  const palette = chunks.find((chunk) => chunk.type === 'PLTE');
+  const transparency = chunks.find((chunk) => chunk.type === 'tRNS');
+  const compressed = Buffer.concat(chunks.filter((chunk) => chunk.type === 'IDAT').map((chunk) => chunk.data));
+
+  const channels = CHANNELS[colorType];
+  const rowBytes = Math.ceil((width * channels * bitDepth) / 8);
+  const expected = (rowBytes + 1) * height;
+
+  let raw;
+  try {
+    raw = zlib.inflateSync(compressed, { maxOutputLength: expected });
+  } catch (error) {
+    throw imageError(IMAGE_ERROR_CODES.INVALID, 'The PNG image data is corrupt');
+  }
+  if (raw.length < expected) {
+    throw imageError(IMAGE_ERROR_CODES.INVALID, 'The PNG image is truncated');
+  }
+  if (colorType === COLOR_TYPES.PALETTE && !palette) {
+    throw imageError(IMAGE_ERROR_CODES.INVALID, 'The PNG image has no palette');
+  }
+
+  const pixels = unfilter(raw, rowBytes, height, Math.max(1, (channels * bitDepth) >> 3));
+  const maxSample = (1 << bitDepth) - 1;
+
+  // Sample n of a row, scaled to 8 bits (palette indexes are left unscaled)
+  const sample = (row, n, scale) => {
+    if (bitDepth === 8) return pixels[row + n];
+    if (bitDepth === 16) return pixels[row + n * 2];
+    const bit = n * bitDepth;
+    const value = (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    return scale ? Math.round((value * 255) / maxSample) : value;
+  };
+
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    const row = y * rowBytes;
+    for (let x = 0; x < width; x += 1) {
+      const o = (y * width + x) * 4;
+      const n = x * channels;
+
+      if (colorType === COLOR_TYPES.PALETTE) {
+        const index = sample(row, n, false);
+        data[o] = palette.data[index * 3] || 0;
+        data[o + 1] = palette.data[index * 3 + 1] || 0;
+        data[o + 2] = palette.data[index * 3 + 2] || 0;
+        data[o + 3] = transparency && index < transparency.data.length ? transparency.data[index] : 255;
+      } else if (colorType === COLOR_TYPES.GRAYSCALE || colorType === COLOR_TYPES.GRAYSCALE_ALPHA) {
+        const gray = sample(row, n, true);
+        data[o] = gray;
+        data[o + 1] = gray;
+        data[o + 2] = gray;
+        data[o + 3] = colorType === COLOR_TYPES.GRAYSCALE_ALPHA ? sample(row, n + 1, true) : 255;
+      } else {
+        data[o] = sample(row, n, true);
+        data[o + 1] = sample(row, n + 1, true);
+        data[o + 2] = sample(row, n + 2, true);
+        data[o + 3] = colorType === COLOR_TYPES.RGBA ? sample(row, n + 3, true) : 255;
+      }
+    }
+  }
+
+  return { width, height, data };
+};
+
+/**
+ * Build one PNG chunk
+ */
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Encode an image as an 8-bit RGB PNG; alpha is dropped
+ * @param {object} image - { width, height, data } with data as RGBA bytes
+ * @returns {Buffer} - PNG file
+ */
+const encodePng = ({ width, height, data }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = COLOR_TYPES.RGB;
+
+  // Each row takes the filter leaving the smallest residuals (PNG specification, section 12.8)
+  const rowBytes = width * 3;
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  const rgb = Buffer.alloc(rowBytes * height);
+  for (let i = 0; i < width * height; i += 1) {
+    rgb[i * 3] = data[i * 4];
+    rgb[i * 3 + 1] = data[i * 4 + 1];
+    rgb[i * 3 + 2] = data[i * 4 + 2];
+  }
+
+  const candidate = Buffer.alloc(rowBytes);
+  for (let y = 0; y < height; y += 1) {
+    const row = y * rowBytes;
+    let best = Infinity;
+
+    for (let filter = 0; filter <= 4; filter += 1) {
+      let cost = 0;
+      for (let x = 0; x < rowBytes; x += 1) {
+        const left = x >= 3 ? rgb[row + x - 3] : 0;
+        const up = y > 0 ? rgb[row - rowBytes + x] : 0;
+        const upLeft = y > 0 && x >= 3 ? rgb[row - rowBytes + x - 3] : 0;
+        let predicted = 0;
+        if (filter === 1) predicted = left;
+        else if (filter === 2) predicted = up;
+        else if (filter === 3) predicted = (left + up) >> 1;
+        else if (filter === 4) predicted = paeth(left, up, upLeft);
+
+        const residual = (rgb[row + x] - predicted) & 0xff;
+        candidate[x] = residual;
+        cost += residual < 128 ? residual : 256 - residual;
+      }
+
+      if (cost < best) {
+        best = cost;
+        raw[y * (rowBytes + 1)] = filter;
+        candidate.copy(raw, y * (rowBytes + 1) + 1);
+      }
+    }
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+module.exports = {
+  readPngHeader,
+  decodePng,
+  encodePng,
+};
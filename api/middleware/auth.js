@@ -0,0 +1,160 @@
+/**
+ * Authentication & Authorization Middleware
+ * Resolves the bearer token into req.user and enforces per-route roles
+ * Draft routes take a resume token instead (see requireResumeToken), and
+ * status links a status token (see requireStatusToken)
+ */
+
+const AuthService = require('../AuthService');
+
+const { ROLES } = AuthService;
+
+/**
+ * Require a valid bearer token and attach the principal to req.user
+ */
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const principal = AuthService.verifyToken(token);
+  if (!principal) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+
+  req.user = principal;
+  next();
+};
+
+/**
+ * Allow only the listed roles
+ * @param {...string} roles - Roles permitted to call the route
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+/**
+ * Restrict applicants to their own customer record
+ * Staff roles pass through unchanged
+ * @param {string} paramName - Route parameter holding the customer ID
+ */
+const ownCustomerOnly = (paramName = 'customerId') => (req, res, next) => {
+  if (req.user && req.user.role === ROLES.APPLICANT &&
+      req.user.customerId !== req.params[paramName]) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to access this customer'
+    });
+  }
+  next();
+};
+
+/**
+ * Check the request's resume token against a draft ID
+ * Responds with 401/403 and returns false when it does not open that draft
+ * @param {string} draftId - Draft ID the request acts on
+ */
+const checkResumeToken = (req, res, draftId) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    res.status(401).json({
+      success: false,
+      message: 'Resume token required'
+    });
+    return false;
+  }
+
+  const tokenDraftId = AuthService.verifyResumeToken(token);
+  if (!tokenDraftId) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired resume link'
+    });
+    return false;
+  }
+
+  if (tokenDraftId !== draftId) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to access this application'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Require a resume token for the draft in the route
+ * @param {string} paramName - Route parameter holding the draft ID
+ */
+const requireResumeToken = (paramName = 'id') => (req, res, next) => {
+  if (checkResumeToken(req, res, req.params[paramName])) {
+    next();
+  }
+};
+
+/**
+ * Require a resume token only when the body names a drafted application
+ * @param {string} fieldName - Body field holding the application (draft) ID
+ */
+const resumeTokenForBody = (fieldName = 'applicationId') => (req, res, next) => {
+  const draftId = req.body && req.body[fieldName];
+  if (!draftId || checkResumeToken(req, res, draftId)) {
+    next();
+  }
+};
+
+/**
+ * Require a status token and attach the application it shows to req.statusApplicationId
+ * The route checks it against the application it is asked for
+ */
+const requireStatusToken = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Status link token required'
+    });
+  }
+
+  const applicationId = AuthService.verifyStatusToken(token);
+  if (!applicationId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired status link'
+    });
+  }
+
+  req.statusApplicationId = applicationId;
+  next();
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+  ownCustomerOnly,
+  requireResumeToken,
+  resumeTokenForBody,
+  requireStatusToken,
+};
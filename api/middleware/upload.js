@@ -0,0 +1,194 @@
+/**
+ * Upload Middleware
+ * Reads a multipart/form-data upload of a single file into memory and parses it
+ *
+ * Uploads are small (see MAX_DOCUMENT_BYTES in src/shared/documents/DocumentTypes.js) and
+ * are encrypted before they are stored, so the whole body is buffered rather than streamed
+ * to disk. The size limit is enforced while reading, so a larger body is refused without
+ * being read in full.
+ */
+
+const express = require('express');
+
+/**
+ * Room for the multipart boundaries, part headers and form fields around the file
+ */
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+const MAX_PARTS = 10;
+const MAX_FIELD_LENGTH = 1000;
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Error for a malformed upload
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const uploadError = (message) => {
+  const error = new Error(message);
+  error.isUploadError = true;
+  return error;
+};
+
+/**
+ * Read the parameters of a header value, e.g. name and filename of a Content-Disposition
+ * @param {string} value - Header value
+ * @returns {object} - { value, params }
+ */
+const parseHeaderValue = (value) => {
+  const [first, ...rest] = value.split(';');
+  const params = {};
+  rest.forEach((param) => {
+    const match = param.match(/^\s*([^=\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s;]*))\s*$/);
+    if (match) {
+      params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    }
+  });
+  return { value: first.trim().toLowerCase(), params };
+};
+
+/**
+ * Parse the headers of one part
+ * @param {Buffer} block - Header block, without the blank line ending it
+ * @returns {object} - Header values by lowercase name
+ */
+const parsePartHeaders = (block) => block.toString('utf8').split('\r\n').reduce((headers, line) => {
+  const colon = line.indexOf(':');
+  if (colon > 0) {
+    headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}, {});
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header, with the boundary
+ * @returns {object} - { fields: { name: value }, files: [{ fieldName, filename, contentType, content }] }
+ */
+const parseMultipart = (body, contentType) => {
+  const { value: type, params } = parseHeaderValue(contentType || '');
+  if (type !== 'multipart/form-data' || !params.boundary) {
+    throw uploadError('Upload the file as multipart/form-data');
+  }
+  if (!Buffer.isBuffer(body)) {
+    throw uploadError('The upload is empty');
+  }
+
+  const delimiter = Buffer.from(`--${params.boundary}`);
+  const separator = Buffer.concat([CRLF, delimiter]);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw uploadError('The upload is malformed');
+  }
+  position += delimiter.length;
+
+  for (let parts = 0; ; parts += 1) {
+    // The closing delimiter is followed by "--"
+    if (body[position] === 0x2d && body[position + 1] === 0x2d) break;
+    if (!body.subarray(position, position + 2).equals(CRLF)) {
+      throw uploadError('The upload is malformed');
+    }
+    if (parts === MAX_PARTS) {
+      throw uploadError('The upload has too many parts');
+    }
+
+    const headerEnd = body.indexOf(HEADER_END, position + 2);
+    const next = body.indexOf(separator, position + 2);
+    if (headerEnd === -1 || next === -1 || headerEnd > next) {
+      throw uploadError('The upload is malformed');
+    }
+
+    const headers = parsePartHeaders(body.subarray(position + 2, headerEnd));
+    const disposition = parseHeaderValue(headers['content-disposition'] || '');
+    const content = body.subarray(headerEnd + HEADER_END.length, next);
+
+    if (disposition.value !== 'form-data' || !disposition.params.name) {
+      throw uploadError('The upload is malformed');
+    }
+
+    if (disposition.params.filename !== undefined) {
+      files.push({
+        fieldName: disposition.params.name,
+        filename: disposition.params.filename,
+        contentType: headers['content-type'] || null,
+        content,
+      });
+    } else {
+      if (content.length > MAX_FIELD_LENGTH) {
+        throw uploadError(`${disposition.params.name} is too long`);
+      }
+      fields[disposition.params.name] = content.toString('utf8');
+    }
+
+    position = next + separator.length;
+  }
+
+  return { fields, files };
+};
+
+/**
+ * Accept a multipart upload of one file
+ * Sets req.uploadFields to the form fields and req.uploadFile to the file
+ * ({ fieldName, filename, contentType, content }), and responds 400 for a malformed upload,
+ * one without a file, or one with more than one, and 413 for one over the size limit
+ * @param {object} options - { maxFileBytes }
+ */
+const singleFileUpload = ({ maxFileBytes }) => {
+  const readBody = express.raw({ type: 'multipart/form-data', limit: maxFileBytes + MULTIPART_OVERHEAD_BYTES });
+
+  const reject = (res, status, message, code) => res.status(status).json({
+    success: false,
+    status,
+    message,
+    code,
+    timestamp: new Date().toISOString()
+  });
+
+  const tooLarge = (res) => reject(
+    res, 413, `The file is larger than ${Math.floor(maxFileBytes / (1024 * 1024))} MB`, 'FILE_TOO_LARGE'
+  );
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return reject(res, 415, 'Upload the file as multipart/form-data', 'UNSUPPORTED_MEDIA_TYPE');
+    }
+
+    readBody(req, res, (error) => {
+      if (error) {
+        return error.type === 'entity.too.large'
+          ? tooLarge(res)
+          : reject(res, 400, 'The upload could not be read', 'INVALID_UPLOAD');
+      }
+
+      try {
+        const { fields, files } = parseMultipart(req.body, req.headers['content-type']);
+        if (files.length !== 1) {
+          return reject(res, 400, files.length === 0 ? 'Choose a file to upload' : 'Upload one file at a time', 'INVALID_UPLOAD');
+        }
+        if (files[0].content.length > maxFileBytes) {
+          return tooLarge(res);
+        }
+
+        req.uploadFields = fields;
+        req.uploadFile = files[0];
+        next();
+      } catch (parseError) {
+        if (!parseError.isUploadError) {
+          return next(parseError);
+        }
+        reject(res, 400, parseError.message, 'INVALID_UPLOAD');
+      }
+    });
+  };
+};
+
+module.exports = {
+  parseMultipart,
+  singleFileUpload,
+};
@@ -0,0 +1,121 @@
+/**
+ * Request Validation Middleware
+ * Validates request bodies with the form schema the React pages use
+ * (src/shared/validation/FormSchema.js), so a 400 response carries the same
+ * { field: message } errors the pages show next to their inputs
+ */
+
+const { checkForm } = require('../../src/shared/validation/FormSchema');
+const { normalizeAddress } = require('../../src/shared/validation/AddressValidator');
+
+/**
+ * Build a validation error response
+ * `field` and `code` describe the first error; `errors` maps every invalid field to its message
+ * @param {array} errors - [{ field, code, message }]
+ * @returns {object} - Error response
+ */
+const validationErrorResponse = (errors) => ({
+  success: false,
+  status: 400,
+  message: errors[0].message,
+  code: errors[0].code,
+  field: errors[0].field,
+  errors: errors.reduce((map, { field, message }) => ({ ...map, [field]: message }), {}),
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Treat a payload that is not an object (null, an array, a string) as empty,
+ * so its fields fail as required instead of throwing
+ * @param {*} payload - Payload from the request body
+ * @returns {object} - The payload, or {}
+ */
+const asFormPayload = (payload) => (
+  payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : {}
+);
+
+/**
+ * Map a customer payload onto the customer form's fields
+ * The address fields come from the residential address (or the first address given);
+ * fields the payload names like the form (e.g. ones added to its definition) pass through
+ * @param {object} customer - Customer payload ({ firstName, phoneNumber, annualIncome, addresses, ... })
+ * @returns {object} - Customer form data
+ */
+const customerFormData = (payload) => {
+  const customer = asFormPayload(payload);
+  const addresses = Array.isArray(customer.addresses) ? customer.addresses.filter(Boolean) : [];
+  const residential = addresses.find((address) => (
+    String(address.type || 'residential').toLowerCase() === 'residential'
+  )) || addresses[0] || {};
+
+  return {
+    ...customer,
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    email: customer.email,
+    phone: customer.phoneNumber,
+    dateOfBirth: customer.dateOfBirth,
+    address: residential.addressLine1,
+    city: residential.city,
+    state: residential.state,
+    zipCode: residential.postalCode,
+    income: customer.annualIncome
+  };
+};
+
+/**
+ * Find the address line of the address marked as the KYC address
+ * @param {array} addresses - Addresses submitted with a customer
+ * @returns {string|null} - Address line, or null when no address is marked sameAsKyc
+ */
+const kycAddressLine = (addresses) => {
+  if (!Array.isArray(addresses)) return null;
+  const kycAddress = addresses.filter(Boolean).map(normalizeAddress).find((address) => address.sameAsKyc);
+  return kycAddress ? kycAddress.addressLine1 : null;
+};
+
+/**
+ * Map a KYC payload onto the KYC form's fields
+ * @param {object} kyc - KYC payload
+ * @param {string} savedAddress - Address line of the customer's KYC address, reused when the payload has no kycAddress
+ * @returns {object} - KYC form data
+ */
+const kycFormData = (payload, savedAddress = null) => {
+  const kyc = asFormPayload(payload);
+  return {
+    ...kyc,
+    kycAddress: kyc.kycAddress || savedAddress || undefined
+  };
+};
+
+/**
+ * Validate the request body against one or more forms
+ * Errors from all forms are reported together
+ * @param {object} forms - { formType: (req) => formData } (may return a promise)
+ * @param {function} getContext - (req) => context for cross-field rules ({ lastName, market })
+ */
+const validateRequest = (forms, getContext = () => ({})) => async (req, res, next) => {
+  try {
+    const context = await getContext(req);
+
+    const errors = [];
+    for (const [formType, getFormData] of Object.entries(forms)) {
+      errors.push(...checkForm(await getFormData(req), formType, context));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json(validationErrorResponse(errors));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  validationErrorResponse,
+  customerFormData,
+  kycAddressLine,
+  kycFormData,
+  validateRequest,
+};
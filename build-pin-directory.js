@@ -0,0 +1,156 @@
+/**
+ * Build PIN Code Directory Script
+ * Regenerates src/shared/locale/data/pinCodes.json, the offline PIN code dataset used
+ * to auto-fill the customer form, from India Post's All India Pincode Directory CSV
+ * (data.gov.in; columns include pincode, district and statename)
+ *
+ * Usage: node build-pin-directory.js <path-to-csv>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findStateByName, normalizeStateName } = require('./src/shared/locale/IndianStates');
+
+const OUTPUT_FILE = path.join(__dirname, 'src', 'shared', 'locale', 'data', 'pinCodes.json');
+
+/**
+ * Former or alternative state names found in India Post data
+ */
+const STATE_NAME_ALIASES = {
+  'dadra and nagar haveli': 'DH',
+  'daman and diu': 'DH',
+  'the dadra and nagar haveli and daman and diu': 'DH',
+  'nct of delhi': 'DL',
+  'pondicherry': 'PY',
+  'orissa': 'OD',
+  'chattisgarh': 'CG',
+  'uttaranchal': 'UK',
+};
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {array} - Field values
+ */
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map((value) => value.trim());
+};
+
+/**
+ * Title-case an uppercase district name ("BENGALURU URBAN" -> "Bengaluru Urban"), spelling
+ * out "&" so the name is accepted as a city by the form validation
+ * @param {string} name - District name
+ * @returns {string}
+ */
+const districtName = (name) => name
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/(^|[\s(.-])([a-z])/g, (match, sep, letter) => sep + letter.toUpperCase())
+  .replace(/ And /g, ' and ');
+
+/**
+ * Resolve a state name from the CSV to its code
+ * @param {string} name - State name as written by India Post
+ * @returns {string|null} - State code
+ */
+const stateCodeFor = (name) => {
+  const state = findStateByName(name);
+  return state ? state.code : STATE_NAME_ALIASES[normalizeStateName(name)] || null;
+};
+
+function buildPinDirectory() {
+  const [csvFile] = process.argv.slice(2);
+
+  if (!csvFile) {
+    console.error('Usage: node build-pin-directory.js <path-to-csv>');
+    process.exit(1);
+  }
+
+  try {
+    const lines = fs.readFileSync(csvFile, 'utf8').split(/\r?\n/).filter((line) => line.trim());
+    const header = parseCsvLine(lines[0]).map((column) => column.toLowerCase());
+    const columns = {
+      pinCode: header.indexOf('pincode'),
+      district: header.indexOf('district'),
+      state: header.indexOf('statename'),
+    };
+
+    if (Object.values(columns).some((index) => index === -1)) {
+      console.error('\n❌ CSV must have pincode, district and statename columns');
+      process.exitCode = 1;
+      return;
+    }
+
+    const pinCodes = {};
+    const unknownStates = new Set();
+
+    for (const line of lines.slice(1)) {
+      const fields = parseCsvLine(line);
+      const pinCode = fields[columns.pinCode];
+      if (!/^[1-9]\d{5}$/.test(pinCode) || pinCodes[pinCode]) continue;
+
+      const stateCode = stateCodeFor(fields[columns.state]);
+      if (!stateCode) {
+        unknownStates.add(fields[columns.state]);
+        continue;
+      }
+
+      pinCodes[pinCode] = [districtName(fields[columns.district]), stateCode];
+    }
+
+    // One PIN per line keeps the bundled file diffable
+    const entries = Object.keys(pinCodes).sort()
+      .map((pinCode) => `    ${JSON.stringify(pinCode)}: [${pinCodes[pinCode].map((value) => JSON.stringify(value)).join(', ')}]`);
+    const source = 'India Post All India Pincode Directory (data.gov.in); regenerate with `node build-pin-directory.js <csv>`';
+    fs.writeFileSync(OUTPUT_FILE, [
+      '{',
+      `  "source": ${JSON.stringify(source)},`,
+      '  "pinCodes": {',
+      entries.join(',\n'),
+      '  }',
+      '}',
+      '',
+    ].join('\n'));
+
+    console.log(`\n✅ Wrote ${entries.length} PIN codes to ${path.relative(__dirname, OUTPUT_FILE)}`);
+
+    if (unknownStates.size > 0) {
+      console.error(`\n⚠️  Skipped rows with unknown states: ${[...unknownStates].join(', ')}`);
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('\n❌ Error building PIN code directory:');
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
+
+buildPinDirectory();
@@ -0,0 +1,57 @@
+/**
+ * Audit Chain Migration Script
+ * Applies db/migrations/013_audit_hash_chain.sql, chains every audit_logs row written before
+ * the hash chain existed and then makes the chain columns NOT NULL, in one transaction.
+ *
+ * Usage: node chain-audit-logs.js [batchSize]
+ * Safe to re-run: rows already chained are left as they are.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const db = require('./db/config');
+const AuditLogModel = require('./db/models/AuditLogModel');
+
+async function chainAuditLogs() {
+  const batchSize = parseInt(process.argv[2], 10) || 1000;
+
+  try {
+    const sqlFile = path.join(__dirname, 'db', 'migrations', '013_audit_hash_chain.sql');
+
+    const chained = await db.transaction(async (client) => {
+      console.log('📝 Applying migration 013_audit_hash_chain...');
+      await client.query(fs.readFileSync(sqlFile, 'utf8'));
+
+      console.log(`🔗 Chaining existing audit rows in batches of ${batchSize}...`);
+      const count = await AuditLogModel.chainUnhashedRows(client, batchSize);
+
+      await client.query(`
+        ALTER TABLE audit_logs
+          ALTER COLUMN chain_position SET NOT NULL,
+          ALTER COLUMN prev_hash SET NOT NULL,
+          ALTER COLUMN row_hash SET NOT NULL;
+      `);
+      return count;
+    });
+    console.log(`   ✓ ${chained} rows chained`);
+
+    const result = await AuditLogModel.verifyChain(batchSize);
+    if (!result.valid) {
+      console.error(`\n❌ Chain broken at position ${result.brokenAt.chainPosition}: ${result.brokenAt.reason}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`\n✅ Audit chain complete: ${result.rowsChecked} rows verified`);
+  } catch (err) {
+    console.error('\n❌ Error chaining audit logs:');
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+chainAuditLogs();
@@ -0,0 +1,46 @@
+/**
+ * Create Back-Office User Script
+ * Bootstraps reviewer/supervisor/admin accounts from the command line
+ *
+ * Usage: node create-user.js <email> <password> <role> [full name]
+ */
+
+require('dotenv').config();
+
+const AuthService = require('./api/AuthService');
+const db = require('./db/config');
+
+async function createUser() {
+  const [email, password, role, ...nameParts] = process.argv.slice(2);
+
+  if (!email || !password || !role) {
+    console.error('Usage: node create-user.js <email> <password> <role> [full name]');
+    console.error(`Roles: ${AuthService.STAFF_ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    const result = await AuthService.createStaffUser({
+      email,
+      password,
+      role,
+      fullName: nameParts.join(' ') || null,
+    });
+
+    if (!result.success) {
+      console.error(`\n❌ ${result.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`\n✅ Created ${result.data.role} ${result.data.email} (${result.data.id})`);
+  } catch (err) {
+    console.error('\n❌ Error creating user:');
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+createUser();
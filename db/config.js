@@ -12,8 +12,9 @@ require('dotenv').config();
  */
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false, // Required for Neon DB
+  // Required for Neon DB; set DATABASE_SSL=false for a local Postgres
+  ssl: process.env.DATABASE_SSL === 'false' ? false : {
+    rejectUnauthorized: false,
   },
   max: 5, // Reduced from 20 (Neon free tier has limits)
   idleTimeoutMillis: 30000, // Close idle connections after 30s
@@ -65,8 +66,14 @@ const queryAll = async (sql, params = []) => {
 
 /**
  * Execute a transaction
+ * Rolls back if the callback throws. Pass the client of an enclosing transaction
+ * as `outerClient` to run the callback inside it instead of opening a new one.
  */
-const transaction = async (callback) => {
+const transaction = async (callback, outerClient = null) => {
+  if (outerClient) {
+    return callback(outerClient);
+  }
+
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
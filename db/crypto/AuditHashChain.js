@@ -0,0 +1,109 @@
+/**
+ * Audit Hash Chain
+ * Computes and verifies the tamper-evident hash chain over audit_logs rows
+ *
+ * Each row stores the hash of the previous row (prev_hash) and a hash of its own
+ * contents combined with prev_hash (row_hash). Editing, deleting or reordering any
+ * row breaks every link after it.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * prev_hash of the first row in the chain
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Serialize a value as JSON with object keys sorted recursively
+ * JSONB does not preserve key order, so hashing must not depend on it
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON string
+ */
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Compute the hash of an audit row chained to the previous row's hash
+ * @param {string} prevHash - row_hash of the previous row (GENESIS_HASH for the first)
+ * @param {object} row - Audit row (snake_case columns as stored)
+ * @returns {string} - SHA-256 hex digest
+ */
+const computeRowHash = (prevHash, row) => {
+  const payload = canonicalize({
+    id: row.id,
+    chain_position: String(row.chain_position),
+    table_name: row.table_name,
+    record_id: row.record_id ? String(row.record_id).toLowerCase() : null,
+    action: row.action,
+    old_values: row.old_values || null,
+    new_values: row.new_values || null,
+    user_id: row.user_id || null,
+    ip_address: row.ip_address || null,
+    created_at: row.created_at ? new Date(row.created_at).toISOString() : null,
+  });
+
+  return crypto
+    .createHash('sha256')
+    .update(`${prevHash}|${payload}`)
+    .digest('hex');
+};
+
+/**
+ * Verify a contiguous, ordered slice of the chain
+ * @param {array} rows - Audit rows ordered by chain_position
+ * @param {object} previous - Last verified link ({ hash, position }); omit at the start of the chain
+ * @returns {object} - { valid, checked, last, brokenAt }
+ */
+const verifyRows = (rows, previous = { hash: GENESIS_HASH, position: 0 }) => {
+  let last = previous;
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index];
+    const position = Number(row.chain_position);
+    let reason = null;
+
+    if (position !== last.position + 1) {
+      reason = 'SEQUENCE_GAP';
+    } else if (row.prev_hash !== last.hash) {
+      reason = 'PREV_HASH_MISMATCH';
+    } else if (row.row_hash !== computeRowHash(row.prev_hash, row)) {
+      reason = 'ROW_HASH_MISMATCH';
+    }
+
+    if (reason) {
+      return {
+        valid: false,
+        checked: index,
+        last,
+        brokenAt: {
+          id: row.id,
+          chainPosition: position,
+          expectedPosition: last.position + 1,
+          reason,
+        },
+      };
+    }
+
+    last = { hash: row.row_hash, position };
+  }
+
+  return { valid: true, checked: rows.length, last, brokenAt: null };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalize,
+  computeRowHash,
+  verifyRows,
+};
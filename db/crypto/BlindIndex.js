@@ -0,0 +1,103 @@
+/**
+ * Blind Index
+ * Keyed HMAC-SHA256 indexes for duplicate detection on encrypted identifiers
+ *
+ * PAN and Aadhaar numbers come from small, structured spaces, so a plain hash can be
+ * reversed by enumerating every candidate. A keyed HMAC cannot be computed without
+ * the index secret, which is kept separate from the encryption key and per identifier type.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Identifier types with a blind index
+ */
+const IDENTIFIER_TYPES = {
+  PAN: 'pan',
+  AADHAAR: 'aadhaar',
+};
+
+/**
+ * Variable holding the index secret of each identifier type
+ */
+const INDEX_KEY_VARIABLES = {
+  [IDENTIFIER_TYPES.PAN]: 'PAN_INDEX_KEY',
+  [IDENTIFIER_TYPES.AADHAAR]: 'AADHAAR_INDEX_KEY',
+};
+
+/**
+ * Index secrets used outside production when PAN_INDEX_KEY or AADHAAR_INDEX_KEY is not set
+ */
+const DEVELOPMENT_INDEX_KEYS = {
+  [IDENTIFIER_TYPES.PAN]: 'default-pan-index-key-change-in-production',
+  [IDENTIFIER_TYPES.AADHAAR]: 'default-aadhaar-index-key-change-in-production',
+};
+
+/**
+ * Load the index secrets, one per identifier type
+ * Production refuses to start without them, or with one equal to ENCRYPTION_KEY: under a
+ * known key every PAN or Aadhaar number could be tried against the index again.
+ * @param {object} env - Configuration (defaults to process.env)
+ * @returns {object} - Secret by identifier type
+ */
+const loadIndexKeys = (env = process.env) => {
+  if (env.NODE_ENV === 'production') {
+    const missing = Object.values(INDEX_KEY_VARIABLES).filter((name) => !env[name]);
+    if (missing.length > 0) {
+      throw new Error(`Blind indexes require ${missing.join(' and ')} in production`);
+    }
+    const reused = Object.values(INDEX_KEY_VARIABLES).filter((name) => env[name] === env.ENCRYPTION_KEY);
+    if (reused.length > 0) {
+      throw new Error(`${reused.join(' and ')} must differ from ENCRYPTION_KEY`);
+    }
+  }
+
+  return Object.keys(INDEX_KEY_VARIABLES).reduce((keys, type) => Object.assign(keys, {
+    [type]: env[INDEX_KEY_VARIABLES[type]] || DEVELOPMENT_INDEX_KEYS[type],
+  }), {});
+};
+
+const INDEX_KEYS = loadIndexKeys();
+
+/**
+ * Normalize an identifier so formatting differences map to the same index
+ * Trims and uppercases; Aadhaar also drops the spaces/hyphens it is often written with
+ * @param {string} type - Identifier type (pan, aadhaar)
+ * @param {string} value - Raw identifier
+ * @returns {string} - Normalized identifier
+ */
+const normalizeIdentifier = (type, value) => {
+  const normalized = String(value).trim().toUpperCase();
+  if (type === IDENTIFIER_TYPES.AADHAAR) {
+    return normalized.replace(/[\s-]/g, '');
+  }
+  return normalized;
+};
+
+/**
+ * Compute the blind index of an identifier
+ * @param {string} type - Identifier type (pan, aadhaar)
+ * @param {string} value - Raw identifier
+ * @returns {string} - HMAC-SHA256 hex digest
+ */
+const computeBlindIndex = (type, value) => {
+  const key = INDEX_KEYS[type];
+  if (!key) {
+    throw new Error(`Unsupported identifier type: ${type}`);
+  }
+  if (value === null || value === undefined || String(value).trim() === '') {
+    throw new Error(`Cannot index an empty ${type}`);
+  }
+
+  return crypto
+    .createHmac('sha256', key)
+    .update(normalizeIdentifier(type, value))
+    .digest('hex');
+};
+
+module.exports = {
+  IDENTIFIER_TYPES,
+  loadIndexKeys,
+  normalizeIdentifier,
+  computeBlindIndex,
+};
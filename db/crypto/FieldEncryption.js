@@ -0,0 +1,266 @@
+/**
+ * Field Encryption
+ * Authenticated encryption of individual column values with versioned keys from the keyring
+ *
+ * Values are encrypted with AES-256-GCM. The record id and column name are bound in as
+ * associated data, so a ciphertext copied to another row or column fails to decrypt.
+ * Every failure throws; nothing is ever stored or returned unencrypted.
+ *
+ * Ciphertext formats:
+ *   d:<iv hex>:<tag hex>:<ciphertext hex>           - AES-256-GCM under a per-record data key (envelope)
+ *   k<version>:<iv hex>:<tag hex>:<ciphertext hex>  - AES-256-GCM, written by encrypt()
+ *   k<version>:<iv hex>:<ciphertext hex>            - AES-256-CBC, read-only (pre-GCM)
+ *   <iv hex>:<ciphertext hex>                       - AES-256-CBC, read-only (pre-versioning, version 0)
+ * CBC values are only read so existing data can be migrated with `node reencrypt-kyc.js`.
+ *
+ * Files (uploaded documents) are encrypted the same way under a per-record data key, as
+ * binary: <iv (12 bytes)><tag (16 bytes)><ciphertext>.
+ */
+
+const crypto = require('crypto');
+const { keyring: defaultKeyring, LEGACY_KEY_VERSION } = require('./Keyring');
+
+const SCHEMES = {
+  GCM: 'aes-256-gcm',
+  CBC: 'aes-256-cbc',
+};
+
+const GCM_IV_BYTES = 12;
+const GCM_TAG_BYTES = 16;
+
+const DATA_KEY_FORMAT = /^d:([0-9a-f]{24}):([0-9a-f]{32}):([0-9a-f]*)$/i;
+const GCM_FORMAT = /^k(\d+):([0-9a-f]{24}):([0-9a-f]{32}):([0-9a-f]*)$/i;
+const VERSIONED_CBC_FORMAT = /^k(\d+):([0-9a-f]{32}):([0-9a-f]+)$/i;
+const LEGACY_CBC_FORMAT = /^([0-9a-f]{32}):([0-9a-f]+)$/i;
+
+/**
+ * Split a stored value into its scheme, key version and components
+ * Data-key ciphertexts have a null version: their key is identified by the record, not the keyring
+ * @param {string} value - Stored ciphertext
+ * @returns {object|null} - { scheme, version, dataKey, iv, tag, ciphertext } or null if not a recognized format
+ */
+const parseCiphertext = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const envelope = value.match(DATA_KEY_FORMAT);
+  if (envelope) {
+    return { scheme: SCHEMES.GCM, version: null, dataKey: true, iv: envelope[1], tag: envelope[2], ciphertext: envelope[3] };
+  }
+
+  const gcm = value.match(GCM_FORMAT);
+  if (gcm) {
+    return { scheme: SCHEMES.GCM, version: parseInt(gcm[1], 10), iv: gcm[2], tag: gcm[3], ciphertext: gcm[4] };
+  }
+
+  const versioned = value.match(VERSIONED_CBC_FORMAT);
+  if (versioned) {
+    return { scheme: SCHEMES.CBC, version: parseInt(versioned[1], 10), iv: versioned[2], ciphertext: versioned[3] };
+  }
+
+  const legacy = value.match(LEGACY_CBC_FORMAT);
+  if (legacy) {
+    return { scheme: SCHEMES.CBC, version: LEGACY_KEY_VERSION, iv: legacy[1], ciphertext: legacy[2] };
+  }
+
+  return null;
+};
+
+/**
+ * Build the associated data that binds a ciphertext to its location
+ * @param {object} context - { recordId, column }
+ * @returns {Buffer} - Associated data
+ */
+const associatedData = (context = {}) => {
+  const { recordId, column } = context;
+  if (!recordId || !column) {
+    throw new Error('Field encryption requires a recordId and column');
+  }
+  return Buffer.from(`${recordId}:${column}`, 'utf8');
+};
+
+/**
+ * AES-256-GCM encrypt with associated data
+ * @param {Buffer} key - 32-byte key
+ * @param {string} text - Plain text
+ * @param {object} context - { recordId, column }
+ * @returns {string} - "<iv hex>:<tag hex>:<ciphertext hex>"
+ */
+const gcmEncrypt = (key, text, context) => {
+  if (text === null || text === undefined) {
+    throw new Error('Cannot encrypt an empty value');
+  }
+
+  const iv = crypto.randomBytes(GCM_IV_BYTES);
+  const cipher = crypto.createCipheriv(SCHEMES.GCM, key, iv, { authTagLength: GCM_TAG_BYTES });
+  cipher.setAAD(associatedData(context));
+
+  let encrypted = cipher.update(String(text), 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+
+  return `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted}`;
+};
+
+/**
+ * AES-256-GCM decrypt and authenticate against the associated data
+ * @param {Buffer} key - 32-byte key
+ * @param {object} parsed - Output of parseCiphertext
+ * @param {object} context - { recordId, column }
+ * @returns {string} - Plain text
+ */
+const gcmDecrypt = (key, parsed, context) => {
+  const decipher = crypto.createDecipheriv(SCHEMES.GCM, key, Buffer.from(parsed.iv, 'hex'), { authTagLength: GCM_TAG_BYTES });
+  decipher.setAAD(associatedData(context));
+  decipher.setAuthTag(Buffer.from(parsed.tag, 'hex'));
+
+  let decrypted = decipher.update(parsed.ciphertext, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+  return decrypted;
+};
+
+/**
+ * Encrypt a value under a per-record data key (envelope encryption)
+ * @param {Buffer} dataKey - 32-byte data key of the record
+ * @param {string} text - Plain text
+ * @param {object} context - { recordId, column } the value is stored under
+ * @returns {string} - Data-key ciphertext ("d:...")
+ */
+const encryptWithDataKey = (dataKey, text, context) => `d:${gcmEncrypt(dataKey, text, context)}`;
+
+/**
+ * Decrypt a value encrypted under a per-record data key
+ * @param {Buffer} dataKey - 32-byte data key of the record
+ * @param {string} value - Data-key ciphertext ("d:...")
+ * @param {object} context - { recordId, column } the value is stored under
+ * @returns {string} - Plain text
+ */
+const decryptWithDataKey = (dataKey, value, context) => {
+  const parsed = parseCiphertext(value);
+  if (!parsed || !parsed.dataKey) {
+    throw new Error('Not a data-key ciphertext');
+  }
+  return gcmDecrypt(dataKey, parsed, context);
+};
+
+/**
+ * Encrypt a file under a per-record data key
+ * @param {Buffer} dataKey - 32-byte data key of the record
+ * @param {Buffer} content - File content
+ * @param {object} context - { recordId, column } the file is stored under
+ * @returns {Buffer} - IV, authentication tag and ciphertext
+ */
+const encryptBytesWithDataKey = (dataKey, content, context) => {
+  if (!Buffer.isBuffer(content)) {
+    throw new Error('File content must be a Buffer');
+  }
+
+  const iv = crypto.randomBytes(GCM_IV_BYTES);
+  const cipher = crypto.createCipheriv(SCHEMES.GCM, dataKey, iv, { authTagLength: GCM_TAG_BYTES });
+  cipher.setAAD(associatedData(context));
+
+  const encrypted = Buffer.concat([cipher.update(content), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+};
+
+/**
+ * Decrypt a file encrypted under a per-record data key
+ * @param {Buffer} dataKey - 32-byte data key of the record
+ * @param {Buffer} stored - Output of encryptBytesWithDataKey
+ * @param {object} context - { recordId, column } the file is stored under
+ * @returns {Buffer} - File content
+ */
+const decryptBytesWithDataKey = (dataKey, stored, context) => {
+  if (!Buffer.isBuffer(stored) || stored.length < GCM_IV_BYTES + GCM_TAG_BYTES) {
+    throw new Error('Not an encrypted file');
+  }
+
+  const iv = stored.subarray(0, GCM_IV_BYTES);
+  const tag = stored.subarray(GCM_IV_BYTES, GCM_IV_BYTES + GCM_TAG_BYTES);
+  const decipher = crypto.createDecipheriv(SCHEMES.GCM, dataKey, iv, { authTagLength: GCM_TAG_BYTES });
+  decipher.setAAD(associatedData(context));
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(stored.subarray(GCM_IV_BYTES + GCM_TAG_BYTES)), decipher.final()]);
+};
+
+/**
+ * Create field encryption bound to a keyring
+ * @param {object} keyring - Keyring from db/crypto/Keyring
+ * @returns {object} - Field encryption API
+ */
+const createFieldEncryption = (keyring = defaultKeyring) => {
+  const FieldEncryption = {
+    /**
+     * Encrypt a value with the current key
+     * @param {string} text - Plain text
+     * @param {object} context - { recordId, column } the value is stored under
+     * @returns {string} - Versioned GCM ciphertext
+     */
+    encrypt: (text, context) => {
+      const version = keyring.getCurrentVersion();
+      return `k${version}:${gcmEncrypt(keyring.getKey(version), text, context)}`;
+    },
+
+    /**
+     * Decrypt a stored value
+     * GCM values are authenticated against the context; CBC values are read for migration only
+     * @param {string} value - Stored ciphertext
+     * @param {object} context - { recordId, column } the value is stored under
+     * @returns {string} - Plain text
+     */
+    decrypt: (value, context) => {
+      const parsed = parseCiphertext(value);
+      if (!parsed) {
+        throw new Error('Unrecognized ciphertext format');
+      }
+      if (parsed.dataKey) {
+        throw new Error('Value is encrypted under a data key; use decryptWithDataKey');
+      }
+
+      const key = keyring.getKey(parsed.version);
+      if (parsed.scheme === SCHEMES.GCM) {
+        return gcmDecrypt(key, parsed, context);
+      }
+
+      const decipher = crypto.createDecipheriv(SCHEMES.CBC, key, Buffer.from(parsed.iv, 'hex'));
+      let decrypted = decipher.update(parsed.ciphertext, 'hex', 'utf8');
+      decrypted += decipher.final('utf8');
+      return decrypted;
+    },
+
+    /**
+     * Key version a stored value was encrypted with
+     * @param {string} value - Stored ciphertext
+     * @returns {number|null} - Key version, or null if not a recognized format
+     */
+    getKeyVersion: (value) => {
+      const parsed = parseCiphertext(value);
+      return parsed ? parsed.version : null;
+    },
+
+    /**
+     * Whether a stored value should be rewritten: CBC, or not on the current key
+     * Data-key values never need it; their data key is re-wrapped instead
+     * @param {string} value - Stored ciphertext
+     * @returns {boolean}
+     */
+    needsReencryption: (value) => {
+      if (value === null || value === undefined) return false;
+      const parsed = parseCiphertext(value);
+      if (parsed && parsed.dataKey) return false;
+      return !parsed || parsed.scheme !== SCHEMES.GCM || parsed.version !== keyring.getCurrentVersion();
+    },
+  };
+
+  return FieldEncryption;
+};
+
+module.exports = {
+  SCHEMES,
+  parseCiphertext,
+  encryptWithDataKey,
+  decryptWithDataKey,
+  encryptBytesWithDataKey,
+  decryptBytesWithDataKey,
+  createFieldEncryption,
+  ...createFieldEncryption(),
+};
@@ -0,0 +1,88 @@
+/**
+ * Key Provider
+ * Envelope encryption: every record gets its own random data key, and only the data key
+ * wrapped by a master key is stored. The master key never leaves the provider, so moving
+ * to a cloud KMS means adding a provider here, not touching the models.
+ *
+ * A KeyProvider implements (all async):
+ *   wrap(dataKey, { recordId })       -> wrappedKey (string)
+ *   unwrap(wrappedKey, { recordId })  -> dataKey (Buffer)
+ *   rotate(wrappedKey, { recordId })  -> { wrappedKey, rotated } re-wrapped under the current master key
+ *
+ * Configuration:
+ *   KEY_PROVIDER - provider name (default: local)
+ */
+
+const crypto = require('crypto');
+const { createLocalKeyProvider } = require('./providers/LocalKeyProvider');
+
+const DATA_KEY_BYTES = 32;
+
+/**
+ * Registered providers by name
+ */
+const PROVIDERS = {
+  local: createLocalKeyProvider,
+};
+
+const REQUIRED_METHODS = ['wrap', 'unwrap', 'rotate'];
+
+/**
+ * Check that an object implements the KeyProvider interface
+ * @param {object} provider - Candidate provider
+ * @returns {object} - The provider
+ */
+const assertKeyProvider = (provider) => {
+  const missing = REQUIRED_METHODS.filter((method) => typeof (provider && provider[method]) !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Key provider is missing: ${missing.join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Create the configured key provider
+ * @param {object} env - Configuration (defaults to process.env)
+ * @returns {object} - KeyProvider
+ */
+const createKeyProvider = (env = process.env) => {
+  const name = env.KEY_PROVIDER || 'local';
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown KEY_PROVIDER "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return assertKeyProvider(factory(env));
+};
+
+let defaultProvider = null;
+
+/**
+ * Shared key provider for the process, created on first use
+ * @returns {object} - KeyProvider
+ */
+const getKeyProvider = () => {
+  if (!defaultProvider) {
+    defaultProvider = createKeyProvider();
+  }
+  return defaultProvider;
+};
+
+/**
+ * Generate a fresh data key and its wrapped form
+ * @param {object} provider - KeyProvider
+ * @param {string} recordId - Record the data key belongs to
+ * @returns {Promise<object>} - { dataKey, wrappedKey }
+ */
+const generateDataKey = async (provider, recordId) => {
+  const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+  const wrappedKey = await provider.wrap(dataKey, { recordId });
+  return { dataKey, wrappedKey };
+};
+
+module.exports = {
+  PROVIDERS,
+  assertKeyProvider,
+  createKeyProvider,
+  getKeyProvider,
+  generateDataKey,
+};
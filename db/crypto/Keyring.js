@@ -0,0 +1,138 @@
+/**
+ * Encryption Keyring
+ * Holds every data-encryption key that may still be needed to decrypt stored values,
+ * and designates one of them as the key for new ciphertexts.
+ *
+ * Configuration:
+ *   ENCRYPTION_KEYS        - comma-separated "version:secret" pairs, e.g. "1:<64 hex>,2:<64 hex>"
+ *                            A 64-character hex secret is used as-is; anything else is SHA-256 derived
+ *   ENCRYPTION_KEY_VERSION - version used for new ciphertexts (defaults to the highest configured)
+ *   ENCRYPTION_KEY         - legacy key, loaded as version 0 so unversioned values stay readable
+ *
+ * In production the legacy key only decrypts: new ciphertexts need a versioned key from
+ * ENCRYPTION_KEYS, the development default is never loaded, and a keyring without any key
+ * refuses to load (unless MASTER_KEY_FILE supplies the key provider's keys instead). Elsewhere
+ * the legacy key, or that default, stands in when no versioned key is configured.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Version assigned to the legacy ENCRYPTION_KEY and to ciphertexts without a version prefix
+ */
+const LEGACY_KEY_VERSION = 0;
+
+/**
+ * Legacy key loaded outside production when ENCRYPTION_KEY is not set
+ */
+const DEFAULT_LEGACY_KEY = 'default-encryption-key-change-in-production';
+
+/**
+ * Turn a configured secret into a 32-byte AES-256 key
+ * @param {string} secret - 64-character hex key or passphrase
+ * @returns {Buffer} - 32-byte key
+ */
+const deriveKey = (secret) => {
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Build a keyring from environment-style configuration
+ * @param {object} env - Object with ENCRYPTION_KEYS, ENCRYPTION_KEY_VERSION, ENCRYPTION_KEY, MASTER_KEY_FILE and NODE_ENV
+ * @returns {object} - { keys: Map<number, Buffer>, currentVersion } with currentVersion null
+ *   in production when no versioned key is configured
+ */
+const loadKeyring = (env = process.env) => {
+  const keys = new Map();
+  const production = env.NODE_ENV === 'production';
+
+  // Legacy key derivation kept byte-for-byte so existing ciphertexts still decrypt
+  const legacySecret = env.ENCRYPTION_KEY || (production ? null : DEFAULT_LEGACY_KEY);
+  if (legacySecret) {
+    keys.set(LEGACY_KEY_VERSION, Buffer.from(legacySecret.padEnd(32, '0').substring(0, 32)));
+  }
+
+  (env.ENCRYPTION_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(':');
+      const version = parseInt(entry.substring(0, separator), 10);
+      const secret = entry.substring(separator + 1);
+
+      if (separator < 1 || !Number.isInteger(version) || version <= LEGACY_KEY_VERSION || !secret) {
+        throw new Error('Invalid ENCRYPTION_KEYS entry. Expected "<version>:<secret>" with version >= 1');
+      }
+      keys.set(version, deriveKey(secret));
+    });
+
+  if (production && keys.size === 0 && !env.MASTER_KEY_FILE) {
+    throw new Error('Encryption requires ENCRYPTION_KEYS or ENCRYPTION_KEY in production');
+  }
+
+  const versions = [...keys.keys()].filter((version) => !production || version !== LEGACY_KEY_VERSION);
+  const currentVersion = env.ENCRYPTION_KEY_VERSION !== undefined && env.ENCRYPTION_KEY_VERSION !== ''
+    ? parseInt(env.ENCRYPTION_KEY_VERSION, 10)
+    : (versions.length > 0 ? Math.max(...versions) : null);
+
+  if (currentVersion !== null && !versions.includes(currentVersion)) {
+    throw new Error(production && currentVersion === LEGACY_KEY_VERSION
+      ? 'ENCRYPTION_KEY_VERSION cannot be the legacy version 0 in production'
+      : `ENCRYPTION_KEY_VERSION ${env.ENCRYPTION_KEY_VERSION} is not in the keyring`);
+  }
+
+  return { keys, currentVersion };
+};
+
+/**
+ * Create a keyring accessor
+ * @param {object} env - Configuration (defaults to process.env)
+ * @returns {object} - Keyring API
+ */
+const createKeyring = (env = process.env) => {
+  const { keys, currentVersion } = loadKeyring(env);
+
+  return {
+    /**
+     * Version used for new ciphertexts
+     * @returns {number}
+     */
+    getCurrentVersion: () => {
+      if (currentVersion === null) {
+        throw new Error('No current encryption key: set ENCRYPTION_KEYS (the legacy ENCRYPTION_KEY only decrypts in production)');
+      }
+      return currentVersion;
+    },
+
+    /**
+     * Key for a given version
+     * @param {number} version - Key version
+     * @returns {Buffer} - 32-byte key
+     */
+    getKey: (version) => {
+      const key = keys.get(version);
+      if (!key) {
+        throw new Error(`Encryption key version ${version} is not in the keyring`);
+      }
+      return key;
+    },
+
+    /**
+     * All loaded key versions, ascending
+     * @returns {number[]}
+     */
+    getVersions: () => [...keys.keys()].sort((a, b) => a - b),
+  };
+};
+
+module.exports = {
+  LEGACY_KEY_VERSION,
+  deriveKey,
+  loadKeyring,
+  createKeyring,
+  keyring: createKeyring(),
+};
@@ -0,0 +1,79 @@
+/**
+ * Local Key Provider
+ * Offline stand-in for a cloud KMS: master keys live in a local file or the environment
+ * and data keys are wrapped with AES-256-GCM under the current master key version.
+ *
+ * Configuration:
+ *   MASTER_KEY_FILE        - path to a file of "version:secret" lines (one per line or comma-separated)
+ *   ENCRYPTION_KEYS        - same format, used when MASTER_KEY_FILE is not set
+ *   ENCRYPTION_KEY_VERSION - master key version used for wrapping (defaults to the highest)
+ */
+
+const fs = require('fs');
+const { createKeyring } = require('../Keyring');
+const { createFieldEncryption } = require('../FieldEncryption');
+
+const WRAPPED_KEY_COLUMN = 'data_key';
+
+/**
+ * Load master key configuration, preferring MASTER_KEY_FILE over ENCRYPTION_KEYS
+ * @param {object} env - Configuration (defaults to process.env)
+ * @returns {object} - Keyring configuration
+ */
+const loadMasterKeyConfig = (env) => {
+  if (!env.MASTER_KEY_FILE) {
+    return env;
+  }
+
+  const keys = fs.readFileSync(env.MASTER_KEY_FILE, 'utf8')
+    .split(/[\r\n,]+/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .join(',');
+
+  return { ...env, ENCRYPTION_KEYS: keys };
+};
+
+/**
+ * Create the local key provider
+ * @param {object} env - Configuration (defaults to process.env)
+ * @returns {object} - KeyProvider
+ */
+const createLocalKeyProvider = (env = process.env) => {
+  const config = loadMasterKeyConfig(env);
+
+  if (env.NODE_ENV === 'production' && !config.ENCRYPTION_KEYS) {
+    throw new Error('Local key provider requires MASTER_KEY_FILE or ENCRYPTION_KEYS in production');
+  }
+
+  const keyring = createKeyring(config);
+  const masterKeys = createFieldEncryption(keyring);
+
+  const context = (recordId) => ({ recordId, column: WRAPPED_KEY_COLUMN });
+
+  const provider = {
+    name: 'local',
+
+    wrap: async (dataKey, { recordId } = {}) => (
+      masterKeys.encrypt(dataKey.toString('hex'), context(recordId))
+    ),
+
+    unwrap: async (wrappedKey, { recordId } = {}) => (
+      Buffer.from(masterKeys.decrypt(wrappedKey, context(recordId)), 'hex')
+    ),
+
+    rotate: async (wrappedKey, { recordId } = {}) => {
+      if (!masterKeys.needsReencryption(wrappedKey)) {
+        return { wrappedKey, rotated: false };
+      }
+      const dataKey = await provider.unwrap(wrappedKey, { recordId });
+      return { wrappedKey: await provider.wrap(dataKey, { recordId }), rotated: true };
+    },
+  };
+
+  return provider;
+};
+
+module.exports = {
+  createLocalKeyProvider,
+};
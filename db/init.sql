@@ -2,8 +2,12 @@
 -- PostgreSQL initialization script for Neon DB
 
 -- Drop existing tables if they exist (for fresh setup)
+DROP TABLE IF EXISTS identifier_hashes CASCADE;
+DROP TABLE IF EXISTS pan_hashes CASCADE;
 DROP TABLE IF EXISTS kyc_submissions CASCADE;
+DROP TABLE IF EXISTS customer_addresses CASCADE;
 DROP TABLE IF EXISTS customer_forms CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
 
 -- ============================================
 -- Customer Forms Table
@@ -32,6 +36,31 @@ CREATE INDEX idx_customer_email ON customer_forms(email);
 CREATE INDEX idx_customer_status ON customer_forms(status);
 CREATE INDEX idx_customer_created_at ON customer_forms(created_at);
 
+-- ============================================
+-- Customer Addresses Table
+-- Residential, permanent and mailing addresses of a customer
+-- At most one address per customer is marked as the KYC address
+-- ============================================
+CREATE TABLE customer_addresses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customer_forms(id) ON DELETE CASCADE,
+  address_type VARCHAR(20) NOT NULL CHECK (address_type IN ('residential', 'permanent', 'mailing')),
+  address_line1 VARCHAR(500) NOT NULL,
+  address_line2 VARCHAR(500),
+  city VARCHAR(100) NOT NULL,
+  state VARCHAR(100) NOT NULL,
+  postal_code VARCHAR(20) NOT NULL,
+  country VARCHAR(100),
+  same_as_kyc BOOLEAN NOT NULL DEFAULT FALSE, -- reused as the KYC address
+
+  -- Audit fields
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_customer_addresses_type UNIQUE (customer_id, address_type)
+);
+
+CREATE UNIQUE INDEX idx_customer_addresses_kyc ON customer_addresses(customer_id) WHERE same_as_kyc;
+
 -- ============================================
 -- KYC Submissions Table
 -- Stores KYC (Know Your Customer) data
@@ -45,6 +74,7 @@ CREATE TABLE kyc_submissions (
   gov_id VARCHAR(500) NOT NULL,   -- Encrypted (Passport, Aadhaar, etc.)
   gov_id_type VARCHAR(50),        -- Type of government ID
   aadhaar_number VARCHAR(255),    -- Encrypted 12-digit Aadhaar Number
+  data_key TEXT,                  -- Per-record data key, wrapped by the key provider
   date_of_birth DATE NOT NULL,
   nationality VARCHAR(100),
   
@@ -59,6 +89,10 @@ CREATE TABLE kyc_submissions (
   occupation VARCHAR(100),
   politically_exposed_person BOOLEAN DEFAULT FALSE,
   risk_assessment VARCHAR(50), -- low, medium, high
+  risk_score INTEGER,
+  risk_reasons JSONB,             -- [{ rule, label, points, detail }]
+  risk_rules_version VARCHAR(50), -- version of src/shared/risk/riskRules.json scored with
+  risk_assessed_at TIMESTAMP WITH TIME ZONE,
   
   -- Document Verification
   document_url VARCHAR(500),
@@ -66,6 +100,14 @@ CREATE TABLE kyc_submissions (
   verification_notes TEXT,
   verified_by VARCHAR(100),
   verified_at TIMESTAMP WITH TIME ZONE,
+  reason_code VARCHAR(50), -- see src/shared/review/ReasonCodes.js
+
+  -- Review queue: the reviewer working the case
+  claimed_by VARCHAR(100),
+  claimed_at TIMESTAMP WITH TIME ZONE,
+
+  -- Watchlist screening: entries changed up to this time have been screened
+  screened_at TIMESTAMP WITH TIME ZONE,
   
   -- Audit fields
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -83,19 +125,216 @@ CREATE INDEX idx_kyc_pan ON kyc_submissions(pan);
 CREATE INDEX idx_kyc_status ON kyc_submissions(verification_status);
 CREATE INDEX idx_kyc_created_at ON kyc_submissions(created_at);
 CREATE INDEX idx_kyc_risk ON kyc_submissions(risk_assessment);
+CREATE INDEX idx_kyc_claimed_by ON kyc_submissions(claimed_by);
+CREATE INDEX idx_kyc_pep ON kyc_submissions(politically_exposed_person);
+CREATE INDEX idx_kyc_ip_created_at ON kyc_submissions(ip_address, created_at);
 
 -- ============================================
--- PAN Hash Table (For duplicate detection)
--- Stores hashed PAN values for quick duplicate checks
+-- Identifier Hash Table (For duplicate detection)
+-- Stores keyed HMAC blind indexes of PAN and Aadhaar values
+-- (see db/crypto/BlindIndex.js); replaces the former pan_hashes table
 -- ============================================
-CREATE TABLE pan_hashes (
+CREATE TABLE identifier_hashes (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  pan_hash VARCHAR(255) NOT NULL UNIQUE,
+  identifier_type VARCHAR(20) NOT NULL, -- pan, aadhaar
+  blind_index CHAR(64) NOT NULL,        -- HMAC-SHA256 hex
   kyc_id UUID NOT NULL REFERENCES kyc_submissions(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_identifier_hashes_type_index UNIQUE (identifier_type, blind_index)
+);
+
+CREATE INDEX idx_identifier_hashes_kyc_id ON identifier_hashes(kyc_id);
+
+-- ============================================
+-- Applications Table
+-- One card application per submission, with a human-readable reference
+-- (CO-YYYY-NNNNNN) and a status lifecycle enforced by the API
+-- (see src/shared/applications/ApplicationLifecycle.js)
+-- ============================================
+CREATE SEQUENCE application_reference_seq;
+
+CREATE TABLE applications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reference VARCHAR(20) NOT NULL UNIQUE,
+  customer_id UUID REFERENCES customer_forms(id) ON DELETE CASCADE, -- NULL while a draft
+  kyc_id UUID REFERENCES kyc_submissions(id) ON DELETE SET NULL,
+  status VARCHAR(30) NOT NULL DEFAULT 'draft' CHECK (status IN (
+    'draft', 'submitted', 'kyc_pending', 'under_review',
+    'approved', 'declined', 'withdrawn', 'card_issued'
+  )),
+  submitted_at TIMESTAMP WITH TIME ZONE,
+  decided_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_applications_customer_id ON applications(customer_id);
+CREATE INDEX idx_applications_status ON applications(status);
+
+-- ============================================
+-- Application Status History Table
+-- Every status an application has been in, with who moved it and why
+-- ============================================
+CREATE TABLE application_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  from_status VARCHAR(30), -- NULL for the status the application was created in
+  to_status VARCHAR(30) NOT NULL,
+  reason TEXT,
+  changed_by VARCHAR(255),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
-CREATE INDEX idx_pan_hash ON pan_hashes(pan_hash);
+CREATE INDEX idx_application_status_history_application ON application_status_history(application_id, created_at);
+
+-- ============================================
+-- Pending Actions Table
+-- Maker-checker approvals: KYC decisions, customer approvals and application decisions
+-- wait here until a second person approves them (see src/shared/review/PendingActions.js)
+-- ============================================
+CREATE TABLE pending_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  action_type VARCHAR(30) NOT NULL CHECK (action_type IN ('kyc_decision', 'customer_status', 'application_status')),
+  record_id UUID NOT NULL,           -- kyc_submissions.id, customer_forms.id or applications.id
+  proposed_values JSONB NOT NULL,    -- e.g. { "status": "verified", "reasonCode": "DOCUMENTS_MATCH", "notes": "..." }
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  maker_id VARCHAR(100) NOT NULL,    -- User who proposed the change
+  checker_id VARCHAR(100),           -- User who approved or rejected it
+  checker_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  decided_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT pending_actions_no_self_check CHECK (checker_id IS NULL OR checker_id <> maker_id)
+);
+
+-- At most one open proposal per record
+CREATE UNIQUE INDEX idx_pending_actions_open ON pending_actions(action_type, record_id) WHERE status = 'pending';
+CREATE INDEX idx_pending_actions_status ON pending_actions(status, created_at);
+
+-- ============================================
+-- Watchlist Tables
+-- Individuals on the sanctions and PEP watchlists applicants are screened against,
+-- loaded from the lists' files with load-watchlists.js, the potential matches found
+-- for KYC submissions (see src/shared/screening/Screening.js), and the runs of
+-- rescreen-customers.js screening the customer base against each list's delta
+-- ============================================
+CREATE TABLE watchlist_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  list_name VARCHAR(50) NOT NULL,       -- e.g. UN, OFAC
+  list_type VARCHAR(20) NOT NULL CHECK (list_type IN ('sanctions', 'pep')),
+  entry_ref VARCHAR(100) NOT NULL,      -- The list's own ID of the entry
+  primary_name VARCHAR(500) NOT NULL,
+  names JSONB NOT NULL,                 -- Primary name and aliases
+  name_keys TEXT[] NOT NULL,            -- Phonetic keys of the names' tokens, for finding candidates
+  dates_of_birth JSONB NOT NULL DEFAULT '[]', -- YYYY-MM-DD, YYYY-MM or YYYY
+  nationalities JSONB NOT NULL DEFAULT '[]',
+  loaded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP, -- Added, or its names, dates of birth or nationalities changed
+  UNIQUE (list_name, entry_ref)
+);
+
+CREATE INDEX idx_watchlist_name_keys ON watchlist_entries USING GIN (name_keys);
+CREATE INDEX idx_watchlist_changed_at ON watchlist_entries(changed_at);
+
+CREATE TABLE screening_results (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kyc_id UUID NOT NULL REFERENCES kyc_submissions(id) ON DELETE CASCADE,
+  list_name VARCHAR(50) NOT NULL,
+  list_type VARCHAR(20) NOT NULL,
+  entry_ref VARCHAR(100) NOT NULL,
+  matched_name VARCHAR(500) NOT NULL,
+  score INTEGER NOT NULL,               -- 0-100
+  match_details JSONB NOT NULL,         -- How the name, date of birth and nationality compared, and the entry as listed
+  status VARCHAR(20) NOT NULL DEFAULT 'potential_match'
+    CHECK (status IN ('potential_match', 'true_positive', 'false_positive')),
+  resolved_by VARCHAR(100),             -- Reviewer who confirmed or dismissed the hit
+  resolution_note TEXT,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (kyc_id, list_name, entry_ref)
+);
+
+CREATE INDEX idx_screening_results_status ON screening_results(kyc_id, status);
+
+CREATE TABLE screening_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed')),
+  entries_since TIMESTAMP WITH TIME ZONE,        -- Entries changed after this (the previous run's entries_until)...
+  entries_until TIMESTAMP WITH TIME ZONE NOT NULL, -- ...and up to this are screened
+  delta_entries INTEGER NOT NULL DEFAULT 0,
+  last_customer_id UUID,                         -- Resume point: customers are screened in id order
+  customers_screened INTEGER NOT NULL DEFAULT 0,
+  customers_with_hits INTEGER NOT NULL DEFAULT 0,
+  new_hits INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,                               -- Why the run last stopped before completing
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- At most one run in progress
+CREATE UNIQUE INDEX idx_screening_runs_running ON screening_runs(status) WHERE status = 'running';
+
+-- ============================================
+-- Application Drafts Table
+-- Partially completed applications saved for resuming later;
+-- sensitive fields are encrypted under the draft's own data key
+-- ============================================
+CREATE TABLE application_drafts (
+  id UUID PRIMARY KEY,
+  form_data JSONB NOT NULL DEFAULT '{}',       -- Customer and KYC form values, except sensitive fields
+  sensitive_data JSONB NOT NULL DEFAULT '{}',  -- Sensitive fields, each encrypted under the data key
+  data_key TEXT NOT NULL,                      -- Per-draft data key, wrapped by the key provider
+  completed_steps JSONB NOT NULL DEFAULT '[]', -- Wizard steps the applicant has continued from
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_application_drafts_expires_at ON application_drafts(expires_at);
+
+-- ============================================
+-- KYC Documents Table
+-- Documents uploaded with an application; the files are in the document
+-- storage, encrypted under each document's own data key
+-- ============================================
+CREATE TABLE kyc_documents (
+  id UUID PRIMARY KEY,
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  kyc_id UUID REFERENCES kyc_submissions(id) ON DELETE SET NULL, -- NULL until the application is submitted
+  document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('front', 'back', 'selfie', 'address_proof')),
+  mime_type VARCHAR(100) NOT NULL,  -- Sniffed from the file's content
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,                    -- Images only, as displayed
+  height INTEGER,
+  storage_key VARCHAR(255) NOT NULL,
+  thumbnail_key VARCHAR(255),       -- NULL for PDFs and images that could not be decoded
+  data_key TEXT NOT NULL,           -- Per-document data key, wrapped by the key provider
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (application_id, document_type) -- Uploading a type again replaces the document
+);
+
+CREATE INDEX idx_kyc_documents_kyc_id ON kyc_documents(kyc_id);
+
+-- ============================================
+-- Users Table
+-- Back-office accounts (reviewer, supervisor, admin)
+-- Applicants authenticate with customer-scoped tokens instead
+-- ============================================
+CREATE TABLE users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL, -- bcrypt
+  full_name VARCHAR(200),
+  role VARCHAR(50) NOT NULL, -- reviewer, supervisor, admin
+  is_active BOOLEAN DEFAULT TRUE,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+
+  -- Audit fields
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_users_role ON users(role);
 
 -- ============================================
 -- Audit Log Table
@@ -103,14 +342,19 @@ CREATE INDEX idx_pan_hash ON pan_hashes(pan_hash);
 -- ============================================
 CREATE TABLE audit_logs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chain_position BIGINT NOT NULL UNIQUE, -- 1-based position in the hash chain
   table_name VARCHAR(100) NOT NULL,
   record_id UUID NOT NULL,
-  action VARCHAR(50) NOT NULL, -- INSERT, UPDATE, DELETE
+  action VARCHAR(50) NOT NULL, -- INSERT, UPDATE, DELETE, REVEAL
   old_values JSONB,
   new_values JSONB,
   user_id VARCHAR(255),
   ip_address INET,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+  -- Tamper-evident hash chain (SHA-256 hex)
+  prev_hash CHAR(64) NOT NULL, -- row_hash of the previous row, zeros for the first
+  row_hash CHAR(64) NOT NULL   -- hash of this row's contents chained to prev_hash
 );
 
 CREATE INDEX idx_audit_table_record ON audit_logs(table_name, record_id);
@@ -134,18 +378,48 @@ CREATE TRIGGER update_customer_forms_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_customer_addresses_updated_at
+  BEFORE UPDATE ON customer_addresses
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_kyc_submissions_updated_at
   BEFORE UPDATE ON kyc_submissions
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_applications_updated_at
+  BEFORE UPDATE ON applications
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_application_drafts_updated_at
+  BEFORE UPDATE ON application_drafts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_users_updated_at
+  BEFORE UPDATE ON users
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
 -- ============================================
 -- Grant appropriate permissions
 -- ============================================
 -- Note: Adjust username as needed for your setup
 GRANT SELECT, INSERT, UPDATE, DELETE ON customer_forms TO neondb_owner;
+GRANT SELECT, INSERT, UPDATE, DELETE ON customer_addresses TO neondb_owner;
 GRANT SELECT, INSERT, UPDATE, DELETE ON kyc_submissions TO neondb_owner;
-GRANT SELECT, INSERT, UPDATE, DELETE ON pan_hashes TO neondb_owner;
+GRANT SELECT, INSERT, UPDATE, DELETE ON identifier_hashes TO neondb_owner;
+GRANT SELECT, INSERT, UPDATE ON applications TO neondb_owner;
+GRANT SELECT, INSERT ON application_status_history TO neondb_owner;
+GRANT SELECT, INSERT, UPDATE, DELETE ON application_drafts TO neondb_owner;
+GRANT SELECT, INSERT, UPDATE, DELETE ON kyc_documents TO neondb_owner;
+GRANT SELECT, INSERT, UPDATE ON pending_actions TO neondb_owner;
+GRANT SELECT, INSERT, UPDATE, DELETE ON watchlist_entries TO neondb_owner;
+GRANT SELECT, INSERT, UPDATE ON screening_results TO neondb_owner;
+GRANT SELECT, INSERT, UPDATE ON screening_runs TO neondb_owner;
+GRANT SELECT, INSERT, UPDATE ON users TO neondb_owner;
 GRANT SELECT, INSERT ON audit_logs TO neondb_owner;
 
 -- Allow seq access for UUID generation
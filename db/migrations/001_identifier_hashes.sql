@@ -0,0 +1,15 @@
+-- Migration 001: Keyed blind indexes for PAN and Aadhaar
+-- Creates identifier_hashes alongside the legacy pan_hashes table.
+-- Run with `node reindex-identifiers.js`, which applies this file, re-indexes
+-- every existing KYC submission and then drops pan_hashes.
+
+CREATE TABLE IF NOT EXISTS identifier_hashes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  identifier_type VARCHAR(20) NOT NULL, -- pan, aadhaar
+  blind_index CHAR(64) NOT NULL,        -- HMAC-SHA256 hex
+  kyc_id UUID NOT NULL REFERENCES kyc_submissions(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_identifier_hashes_type_index UNIQUE (identifier_type, blind_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_identifier_hashes_kyc_id ON identifier_hashes(kyc_id);
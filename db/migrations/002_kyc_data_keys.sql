@@ -0,0 +1,6 @@
+-- Migration 002: Envelope encryption for KYC submissions
+-- Adds the wrapped per-record data key column. Existing rows keep data_key NULL and are
+-- read with the keyring until `node reencrypt-kyc.js`, which applies this file, gives each
+-- row its own data key and re-encrypts pan, gov_id and aadhaar_number under it.
+
+ALTER TABLE kyc_submissions ADD COLUMN IF NOT EXISTS data_key TEXT;
@@ -0,0 +1,28 @@
+-- Migration 003: Customer addresses
+-- Creates customer_addresses for residential, permanent and mailing addresses.
+-- Existing customers have no address rows; their KYC submissions keep their own
+-- kyc_address. Apply once with `psql "$DATABASE_URL" -f db/migrations/003_customer_addresses.sql`.
+
+CREATE TABLE IF NOT EXISTS customer_addresses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customer_forms(id) ON DELETE CASCADE,
+  address_type VARCHAR(20) NOT NULL CHECK (address_type IN ('residential', 'permanent', 'mailing')),
+  address_line1 VARCHAR(500) NOT NULL,
+  address_line2 VARCHAR(500),
+  city VARCHAR(100) NOT NULL,
+  state VARCHAR(100) NOT NULL,
+  postal_code VARCHAR(20) NOT NULL,
+  country VARCHAR(100),
+  same_as_kyc BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_customer_addresses_type UNIQUE (customer_id, address_type)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_kyc ON customer_addresses(customer_id) WHERE same_as_kyc;
+
+DROP TRIGGER IF EXISTS update_customer_addresses_updated_at ON customer_addresses;
+CREATE TRIGGER update_customer_addresses_updated_at
+  BEFORE UPDATE ON customer_addresses
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,23 @@
+-- Migration 004: Application drafts
+-- Creates application_drafts for save-and-resume of partially completed applications.
+-- Sensitive fields are encrypted under each draft's own data key, like kyc_submissions.
+-- Apply once with `psql "$DATABASE_URL" -f db/migrations/004_application_drafts.sql`.
+
+CREATE TABLE IF NOT EXISTS application_drafts (
+  id UUID PRIMARY KEY,
+  form_data JSONB NOT NULL DEFAULT '{}',       -- Customer and KYC form values, except sensitive fields
+  sensitive_data JSONB NOT NULL DEFAULT '{}',  -- Sensitive fields, each encrypted under the data key
+  data_key TEXT NOT NULL,                      -- Per-draft data key, wrapped by the key provider
+  completed_steps JSONB NOT NULL DEFAULT '[]', -- Wizard steps the applicant has continued from
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_drafts_expires_at ON application_drafts(expires_at);
+
+DROP TRIGGER IF EXISTS update_application_drafts_updated_at ON application_drafts;
+CREATE TRIGGER update_application_drafts_updated_at
+  BEFORE UPDATE ON application_drafts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
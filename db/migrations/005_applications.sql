@@ -0,0 +1,96 @@
+-- Migration 005: Applications
+-- Creates applications, with CO-YYYY-NNNNNN reference numbers and a status lifecycle
+-- (src/shared/applications/ApplicationLifecycle.js), and application_status_history.
+-- Every existing customer gets an application: approved or rejected customers become
+-- approved or declined, customers with a KYC submission kyc_pending, the rest submitted.
+-- Every unexpired draft gets an application in draft under the draft's ID.
+-- Apply once with `psql "$DATABASE_URL" -f db/migrations/005_applications.sql`.
+
+CREATE SEQUENCE IF NOT EXISTS application_reference_seq;
+
+CREATE TABLE IF NOT EXISTS applications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reference VARCHAR(20) NOT NULL UNIQUE,
+  customer_id UUID REFERENCES customer_forms(id) ON DELETE CASCADE, -- NULL while a draft
+  kyc_id UUID REFERENCES kyc_submissions(id) ON DELETE SET NULL,
+  status VARCHAR(30) NOT NULL DEFAULT 'draft' CHECK (status IN (
+    'draft', 'submitted', 'kyc_pending', 'under_review',
+    'approved', 'declined', 'withdrawn', 'card_issued'
+  )),
+  submitted_at TIMESTAMP WITH TIME ZONE,
+  decided_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_applications_customer_id ON applications(customer_id);
+CREATE INDEX IF NOT EXISTS idx_applications_status ON applications(status);
+
+CREATE TABLE IF NOT EXISTS application_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  from_status VARCHAR(30), -- NULL for the status the application was created in
+  to_status VARCHAR(30) NOT NULL,
+  reason TEXT,
+  changed_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_status_history_application ON application_status_history(application_id, created_at);
+
+DROP TRIGGER IF EXISTS update_applications_updated_at ON applications;
+CREATE TRIGGER update_applications_updated_at
+  BEFORE UPDATE ON applications
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Backfill one application per existing customer, numbered in the order customers signed up
+INSERT INTO applications (reference, customer_id, kyc_id, status, submitted_at, decided_at, created_at)
+SELECT
+  'CO-' || to_char(c.created_at, 'YYYY') || '-' || lpad(n.seq::text, greatest(6, length(n.seq::text)), '0'),
+  c.id,
+  k.id,
+  CASE
+    WHEN c.status = 'approved' THEN 'approved'
+    WHEN c.status = 'rejected' THEN 'declined'
+    WHEN k.id IS NOT NULL THEN 'kyc_pending'
+    ELSE 'submitted'
+  END,
+  c.created_at,
+  CASE WHEN c.status IN ('approved', 'rejected') THEN c.updated_at END,
+  c.created_at
+FROM (
+  SELECT id, nextval('application_reference_seq') AS seq
+  FROM (
+    SELECT id FROM customer_forms cf
+    WHERE NOT EXISTS (SELECT 1 FROM applications a WHERE a.customer_id = cf.id)
+    ORDER BY created_at, id
+  ) ordered
+) n
+JOIN customer_forms c ON c.id = n.id
+LEFT JOIN LATERAL (
+  SELECT id FROM kyc_submissions WHERE customer_id = c.id ORDER BY created_at DESC LIMIT 1
+) k ON TRUE;
+
+-- Backfill an application in draft for every unexpired draft
+INSERT INTO applications (id, reference, status, created_at)
+SELECT
+  d.id,
+  'CO-' || to_char(d.created_at, 'YYYY') || '-' || lpad(n.seq::text, greatest(6, length(n.seq::text)), '0'),
+  'draft',
+  d.created_at
+FROM (
+  SELECT id, nextval('application_reference_seq') AS seq
+  FROM (
+    SELECT id FROM application_drafts ad
+    WHERE expires_at > CURRENT_TIMESTAMP
+      AND NOT EXISTS (SELECT 1 FROM applications a WHERE a.id = ad.id)
+    ORDER BY created_at, id
+  ) ordered
+) n
+JOIN application_drafts d ON d.id = n.id;
+
+INSERT INTO application_status_history (application_id, from_status, to_status, reason, created_at)
+SELECT a.id, NULL, a.status, 'Created by migration 005', a.created_at
+FROM applications a
+WHERE NOT EXISTS (SELECT 1 FROM application_status_history h WHERE h.application_id = a.id);
@@ -0,0 +1,10 @@
+-- Migration 006: KYC review queue
+-- Adds the reviewer claim and the decision reason code to kyc_submissions, used by the
+-- back-office review queue. Apply once with `psql "$DATABASE_URL" -f db/migrations/006_kyc_review.sql`.
+
+ALTER TABLE kyc_submissions ADD COLUMN IF NOT EXISTS claimed_by VARCHAR(100);
+ALTER TABLE kyc_submissions ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE kyc_submissions ADD COLUMN IF NOT EXISTS reason_code VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_kyc_claimed_by ON kyc_submissions(claimed_by);
+CREATE INDEX IF NOT EXISTS idx_kyc_pep ON kyc_submissions(politically_exposed_person);
@@ -0,0 +1,23 @@
+-- Migration 007: Maker-checker approvals
+-- Creates pending_actions, where KYC decisions and customer approvals wait for a second
+-- person to approve them (src/shared/review/PendingActions.js).
+-- Apply once with `psql "$DATABASE_URL" -f db/migrations/007_pending_actions.sql`.
+
+CREATE TABLE IF NOT EXISTS pending_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  action_type VARCHAR(30) NOT NULL CHECK (action_type IN ('kyc_decision', 'customer_status')),
+  record_id UUID NOT NULL,           -- kyc_submissions.id or customer_forms.id
+  proposed_values JSONB NOT NULL,    -- e.g. { "status": "verified", "reasonCode": "DOCUMENTS_MATCH", "notes": "..." }
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  maker_id VARCHAR(100) NOT NULL,    -- User who proposed the change
+  checker_id VARCHAR(100),           -- User who approved or rejected it
+  checker_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  decided_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT pending_actions_no_self_check CHECK (checker_id IS NULL OR checker_id <> maker_id)
+);
+
+-- At most one open proposal per record
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_actions_open
+  ON pending_actions(action_type, record_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_pending_actions_status ON pending_actions(status, created_at);
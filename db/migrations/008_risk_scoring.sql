@@ -0,0 +1,13 @@
+-- Migration 008: KYC risk scoring
+-- Adds the risk score, the reasons that make it up and the version of the rules it was
+-- computed with (src/shared/risk/riskRules.json) to kyc_submissions, and an index for
+-- counting recent submissions from one IP address.
+-- Apply once with `psql "$DATABASE_URL" -f db/migrations/008_risk_scoring.sql`, then score the
+-- existing submissions with `node rescore-kyc.js`.
+
+ALTER TABLE kyc_submissions ADD COLUMN IF NOT EXISTS risk_score INTEGER;
+ALTER TABLE kyc_submissions ADD COLUMN IF NOT EXISTS risk_reasons JSONB;
+ALTER TABLE kyc_submissions ADD COLUMN IF NOT EXISTS risk_rules_version VARCHAR(50);
+ALTER TABLE kyc_submissions ADD COLUMN IF NOT EXISTS risk_assessed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_kyc_ip_created_at ON kyc_submissions(ip_address, created_at);
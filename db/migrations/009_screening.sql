@@ -0,0 +1,43 @@
+-- Migration 009: Watchlist screening
+-- Creates watchlist_entries, the sanctions and PEP list entries loaded with
+-- load-watchlists.js, and screening_results, the potential matches found for KYC
+-- submissions (src/shared/screening/Screening.js), and records when each submission
+-- was last screened. Apply once with `psql "$DATABASE_URL" -f db/migrations/009_screening.sql`.
+
+ALTER TABLE kyc_submissions ADD COLUMN IF NOT EXISTS screened_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS watchlist_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  list_name VARCHAR(50) NOT NULL,       -- e.g. UN, OFAC
+  list_type VARCHAR(20) NOT NULL CHECK (list_type IN ('sanctions', 'pep')),
+  entry_ref VARCHAR(100) NOT NULL,      -- The list's own ID of the entry
+  primary_name VARCHAR(500) NOT NULL,
+  names JSONB NOT NULL,                 -- Primary name and aliases
+  name_keys TEXT[] NOT NULL,            -- Phonetic keys of the names' tokens, for finding candidates
+  dates_of_birth JSONB NOT NULL DEFAULT '[]', -- YYYY-MM-DD, YYYY-MM or YYYY
+  nationalities JSONB NOT NULL DEFAULT '[]',
+  loaded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (list_name, entry_ref)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_name_keys ON watchlist_entries USING GIN (name_keys);
+
+CREATE TABLE IF NOT EXISTS screening_results (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kyc_id UUID NOT NULL REFERENCES kyc_submissions(id) ON DELETE CASCADE,
+  list_name VARCHAR(50) NOT NULL,
+  list_type VARCHAR(20) NOT NULL,
+  entry_ref VARCHAR(100) NOT NULL,
+  matched_name VARCHAR(500) NOT NULL,
+  score INTEGER NOT NULL,               -- 0-100
+  match_details JSONB NOT NULL,         -- How the name, date of birth and nationality compared, and the entry as listed
+  status VARCHAR(20) NOT NULL DEFAULT 'potential_match'
+    CHECK (status IN ('potential_match', 'true_positive', 'false_positive')),
+  resolved_by VARCHAR(100),             -- Reviewer who confirmed or dismissed the hit
+  resolution_note TEXT,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (kyc_id, list_name, entry_ref)
+);
+
+CREATE INDEX IF NOT EXISTS idx_screening_results_status ON screening_results(kyc_id, status);
@@ -0,0 +1,29 @@
+-- Migration 010: Re-screening the customer base
+-- Records when each watchlist entry was added or last changed, so a refreshed list can be
+-- screened by its delta only, and creates screening_runs, the runs of rescreen-customers.js
+-- with their progress and statistics.
+-- Apply once with `psql "$DATABASE_URL" -f db/migrations/010_rescreening.sql`. Entries already
+-- loaded count as changed now, so the first run screens every customer against them.
+
+ALTER TABLE watchlist_entries ADD COLUMN IF NOT EXISTS changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_changed_at ON watchlist_entries(changed_at);
+
+CREATE TABLE IF NOT EXISTS screening_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed')),
+  entries_since TIMESTAMP WITH TIME ZONE,        -- Entries changed after this (the previous run's entries_until)...
+  entries_until TIMESTAMP WITH TIME ZONE NOT NULL, -- ...and up to this are screened
+  delta_entries INTEGER NOT NULL DEFAULT 0,
+  last_customer_id UUID,                         -- Resume point: customers are screened in id order
+  customers_screened INTEGER NOT NULL DEFAULT 0,
+  customers_with_hits INTEGER NOT NULL DEFAULT 0,
+  new_hits INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,                               -- Why the run last stopped before completing
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- At most one run in progress
+CREATE UNIQUE INDEX IF NOT EXISTS idx_screening_runs_running ON screening_runs(status) WHERE status = 'running';
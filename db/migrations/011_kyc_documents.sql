@@ -0,0 +1,25 @@
+-- Migration 011: KYC documents
+-- Creates kyc_documents, the identity document images, selfies and proofs of address
+-- applicants upload with an application. The files themselves are in the document storage
+-- (db/storage), encrypted under each document's own data key; this table holds their
+-- storage keys. Documents are uploaded while the application is a draft and linked to the
+-- KYC submission when it is submitted.
+-- Apply once with `psql "$DATABASE_URL" -f db/migrations/011_kyc_documents.sql`.
+
+CREATE TABLE IF NOT EXISTS kyc_documents (
+  id UUID PRIMARY KEY,
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  kyc_id UUID REFERENCES kyc_submissions(id) ON DELETE SET NULL, -- NULL until the application is submitted
+  document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('front', 'back', 'selfie', 'address_proof')),
+  mime_type VARCHAR(100) NOT NULL,  -- Sniffed from the file's content
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,                    -- Images only, as displayed
+  height INTEGER,
+  storage_key VARCHAR(255) NOT NULL,
+  thumbnail_key VARCHAR(255),       -- NULL for PDFs and images that could not be decoded
+  data_key TEXT NOT NULL,           -- Per-document data key, wrapped by the key provider
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (application_id, document_type) -- Uploading a type again replaces the document
+);
+
+CREATE INDEX IF NOT EXISTS idx_kyc_documents_kyc_id ON kyc_documents(kyc_id);
@@ -0,0 +1,8 @@
+-- Migration 012: Maker-checker application decisions
+-- Lets pending_actions hold application approvals and declines, which now wait for a
+-- second person to approve them like KYC decisions (src/shared/review/PendingActions.js).
+-- Apply once with `psql "$DATABASE_URL" -f db/migrations/012_application_approvals.sql`.
+
+ALTER TABLE pending_actions DROP CONSTRAINT IF EXISTS pending_actions_action_type_check;
+ALTER TABLE pending_actions ADD CONSTRAINT pending_actions_action_type_check
+  CHECK (action_type IN ('kyc_decision', 'customer_status', 'application_status'));
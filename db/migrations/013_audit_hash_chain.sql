@@ -0,0 +1,10 @@
+-- Migration 013: Audit hash chain
+-- Adds the chain columns to audit_logs, nullable until the existing rows are chained.
+-- Run with `node chain-audit-logs.js`, which applies this file, chains every existing row
+-- in the order it was written and then makes the columns NOT NULL, in one transaction.
+-- Audit rows cannot be written until it has run.
+
+ALTER TABLE audit_logs
+  ADD COLUMN IF NOT EXISTS chain_position BIGINT UNIQUE, -- 1-based position in the hash chain
+  ADD COLUMN IF NOT EXISTS prev_hash CHAR(64),           -- row_hash of the previous row, zeros for the first
+  ADD COLUMN IF NOT EXISTS row_hash CHAR(64);            -- hash of this row's contents chained to prev_hash
@@ -0,0 +1,25 @@
+-- Migration 014: Back-office users
+-- Creates users, the reviewer, supervisor and admin accounts that sign in at /api/auth/login.
+-- Applicants authenticate with customer-scoped tokens instead. Create the first admin
+-- afterwards with `node create-user.js`.
+-- Apply once with `psql "$DATABASE_URL" -f db/migrations/014_users.sql`.
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL, -- bcrypt
+  full_name VARCHAR(200),
+  role VARCHAR(50) NOT NULL, -- reviewer, supervisor, admin
+  is_active BOOLEAN DEFAULT TRUE,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+CREATE TRIGGER update_users_updated_at
+  BEFORE UPDATE ON users
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,251 @@
+/**
+ * Application Draft Model
+ * Database operations for partially completed applications saved for resuming later
+ *
+ * Sensitive fields (those marked `sensitive` in the form definitions) are encrypted under
+ * the draft's own data key, the same envelope encryption as kyc_submissions. Drafts are
+ * working copies the applicant saves every few seconds, so they are not audited; the
+ * submitted application is.
+ */
+
+const db = require('../config');
+const FieldEncryption = require('../crypto/FieldEncryption');
+const { getKeyProvider, generateDataKey } = require('../crypto/KeyProvider');
+const { FORM_DEFINITIONS, getFields } = require('../../src/shared/forms/FormDefinition');
+
+/**
+ * Days a draft can be resumed for, counted from when it was started
+ * Changing it only affects drafts started afterwards
+ */
+const DRAFT_EXPIRY_DAYS = parseInt(process.env.DRAFT_EXPIRY_DAYS, 10) || 30;
+
+/**
+ * Fields of the customer and KYC forms
+ */
+const DRAFT_FIELDS = Object.keys(FORM_DEFINITIONS).reduce((fields, formType) => (
+  fields.concat(getFields(FORM_DEFINITIONS[formType]))
+), []);
+
+/**
+ * Names of the fields stored encrypted
+ */
+const SENSITIVE_FIELDS = DRAFT_FIELDS.filter((field) => field.sensitive).map((field) => field.name);
+
+/**
+ * Encryption context of a sensitive field: bound to the draft and the field
+ * @param {string} draftId - Draft UUID
+ * @param {string} field - Field name
+ * @returns {object} - { recordId, column }
+ */
+const fieldContext = (draftId, field) => ({ recordId: draftId, column: `sensitive_data.${field}` });
+
+/**
+ * Split form values into plain and encrypted sensitive values
+ * Empty sensitive values are stored as null so a cleared field stays cleared
+ * @param {Buffer} dataKey - The draft's unwrapped data key
+ * @param {string} draftId - Draft UUID
+ * @param {object} values - Form values
+ * @returns {object} - { formData, sensitiveData }
+ */
+const splitValues = (dataKey, draftId, values = {}) => Object.keys(values).reduce((split, field) => {
+  const value = values[field];
+  if (!SENSITIVE_FIELDS.includes(field)) {
+    split.formData[field] = value;
+  } else {
+    split.sensitiveData[field] = value
+      ? FieldEncryption.encryptWithDataKey(dataKey, value, fieldContext(draftId, field))
+      : null;
+  }
+  return split;
+}, { formData: {}, sensitiveData: {} });
+
+/**
+ * Map a draft row onto its plain form values
+ * @param {object} row - application_drafts row
+ * @returns {Promise<object>} - Draft with decrypted values and an `expired` flag
+ */
+const decryptRow = async (row) => {
+  const dataKey = await getKeyProvider().unwrap(row.data_key, { recordId: row.id });
+  const values = Object.assign({}, row.form_data);
+  Object.keys(row.sensitive_data || {}).forEach((field) => {
+    const value = row.sensitive_data[field];
+    values[field] = value
+      ? FieldEncryption.decryptWithDataKey(dataKey, value, fieldContext(row.id, field))
+      : '';
+  });
+
+  return {
+    id: row.id,
+    values,
+    completedSteps: row.completed_steps || [],
+    expiresAt: row.expires_at,
+    expired: row.expired,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+const ApplicationDraftModel = {
+  DRAFT_EXPIRY_DAYS,
+  DRAFT_FIELDS,
+  SENSITIVE_FIELDS,
+
+  /**
+   * Create a draft that expires DRAFT_EXPIRY_DAYS from now
+   * @param {string} draftId - Draft UUID chosen by the client
+   * @param {object} draft - { values, completedSteps }
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - { success, draftId, expiresAt, updatedAt } or { success: false, error, code }
+   */
+  create: async (draftId, draft, client = null) => {
+    try {
+      const { dataKey, wrappedKey } = await generateDataKey(getKeyProvider(), draftId);
+      const { formData, sensitiveData } = splitValues(dataKey, draftId, draft.values);
+
+      const query = `
+        INSERT INTO application_drafts (
+          id, form_data, sensitive_data, data_key, completed_steps, expires_at
+        )
+        VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6))
+        RETURNING id, expires_at, updated_at;
+      `;
+
+      const result = await db.transaction(async (tx) => {
+        const { rows } = await tx.query(query, [
+          draftId,
+          JSON.stringify(formData),
+          JSON.stringify(sensitiveData),
+          wrappedKey,
+          JSON.stringify(draft.completedSteps || []),
+          DRAFT_EXPIRY_DAYS,
+        ]);
+        return rows[0];
+      }, client);
+
+      return {
+        success: true,
+        draftId: result.id,
+        expiresAt: result.expires_at,
+        updatedAt: result.updated_at,
+      };
+    } catch (error) {
+      console.error('Draft creation error:', error);
+      if (error.code === '23505') {
+        return {
+          success: false,
+          error: 'A draft with this ID already exists',
+          code: 'DUPLICATE_DRAFT',
+        };
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Save values into an unexpired draft
+   * Fields not in `values` keep their saved value; the completed steps are replaced
+   * @param {string} draftId - Draft UUID
+   * @param {object} draft - { values, completedSteps }
+   * @returns {Promise<object>} - Updated row ({ id, expires_at, updated_at }), or undefined
+   *   if the draft does not exist or has expired
+   */
+  update: async (draftId, draft) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const { rows } = await tx.query(
+          'SELECT id, data_key FROM application_drafts WHERE id = $1 AND expires_at > CURRENT_TIMESTAMP FOR UPDATE;',
+          [draftId]
+        );
+        if (!rows[0]) return undefined;
+
+        const dataKey = await getKeyProvider().unwrap(rows[0].data_key, { recordId: draftId });
+        const { formData, sensitiveData } = splitValues(dataKey, draftId, draft.values);
+
+        const updated = await tx.query(
+          `UPDATE application_drafts
+           SET form_data = form_data || $2::jsonb,
+               sensitive_data = sensitive_data || $3::jsonb,
+               completed_steps = $4::jsonb
+           WHERE id = $1
+           RETURNING id, expires_at, updated_at;`,
+          [
+            draftId,
+            JSON.stringify(formData),
+            JSON.stringify(sensitiveData),
+            JSON.stringify(draft.completedSteps || []),
+          ]
+        );
+        return updated.rows[0];
+      });
+    } catch (error) {
+      console.error('Draft update error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a draft by ID
+   * @param {string} draftId - Draft UUID
+   * @returns {Promise<object>} - Draft with decrypted values, or undefined if not found.
+   *   Expired drafts are returned with `expired: true` and no values
+   */
+  getById: async (draftId) => {
+    try {
+      const query = `
+        SELECT id, form_data, sensitive_data, data_key, completed_steps, expires_at,
+               expires_at <= CURRENT_TIMESTAMP AS expired, created_at, updated_at
+        FROM application_drafts
+        WHERE id = $1;
+      `;
+
+      const result = await db.queryOne(query, [draftId]);
+      if (!result) return result;
+      if (result.expired) {
+        return { id: result.id, expired: true, expiresAt: result.expires_at };
+      }
+      return await decryptRow(result);
+    } catch (error) {
+      console.error('Get draft error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a draft
+   * @param {string} draftId - Draft UUID
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<boolean>} - True if a draft was deleted
+   */
+  delete: async (draftId, client = null) => {
+    try {
+      const result = await db.transaction(
+        (tx) => tx.query('DELETE FROM application_drafts WHERE id = $1;', [draftId]),
+        client
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Delete draft error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete every expired draft
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<array>} - IDs of the deleted drafts
+   */
+  deleteExpired: async (client = null) => {
+    try {
+      const result = await db.transaction(
+        (tx) => tx.query('DELETE FROM application_drafts WHERE expires_at <= CURRENT_TIMESTAMP RETURNING id;'),
+        client
+      );
+      return result.rows.map((row) => row.id);
+    } catch (error) {
+      console.error('Delete expired drafts error:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = ApplicationDraftModel;
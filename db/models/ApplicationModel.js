@@ -0,0 +1,326 @@
+/**
+ * Application Model
+ * Database operations for card applications and their status history
+ *
+ * Statuses only change through `transition`, which enforces the lifecycle in
+ * src/shared/applications/ApplicationLifecycle.js and records each change in
+ * application_status_history and the audit log.
+ */
+
+const db = require('../config');
+const AuditLogModel = require('./AuditLogModel');
+const {
+  APPLICATION_STATUSES,
+  canTransition,
+  getAllowedTransitions,
+  formatReference,
+} = require('../../src/shared/applications/ApplicationLifecycle');
+
+const { DRAFT, SUBMITTED, APPROVED, DECLINED, WITHDRAWN } = APPLICATION_STATUSES;
+
+/**
+ * Statuses an application can be created in
+ */
+const INITIAL_STATUSES = [DRAFT, SUBMITTED];
+
+/**
+ * Statuses that close the application with a decision
+ */
+const DECISION_STATUSES = [APPROVED, DECLINED, WITHDRAWN];
+
+const APPLICATION_COLUMNS = `
+  id, reference, customer_id, kyc_id, status, submitted_at, decided_at, created_at, updated_at
+`;
+
+/**
+ * Record a status change in the history
+ * @param {object} tx - pg client of the enclosing transaction
+ * @param {object} change - { applicationId, fromStatus, toStatus, reason, changedBy }
+ */
+const recordHistory = async (tx, change) => {
+  await tx.query(
+    `INSERT INTO application_status_history (application_id, from_status, to_status, reason, changed_by)
+     VALUES ($1, $2, $3, $4, $5);`,
+    [change.applicationId, change.fromStatus, change.toStatus, change.reason || null, change.changedBy || null]
+  );
+};
+
+const ApplicationModel = {
+  /**
+   * Create an application with the next reference number
+   * @param {object} application - { id, customerId, kycId, status }; id is generated when
+   *   left out, status is draft or submitted
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - Created application record
+   */
+  create: async (application, context = {}, client = null) => {
+    const { id = null, customerId = null, kycId = null, status = DRAFT } = application;
+    if (!INITIAL_STATUSES.includes(status)) {
+      throw new Error(`Applications cannot be created as ${status}`);
+    }
+
+    try {
+      return await db.transaction(async (tx) => {
+        const sequence = await tx.query("SELECT nextval('application_reference_seq') AS seq;");
+        const reference = formatReference(new Date().getFullYear(), sequence.rows[0].seq);
+
+        const { rows } = await tx.query(
+          `INSERT INTO applications (id, reference, customer_id, kyc_id, status, submitted_at)
+           VALUES (COALESCE($1::uuid, gen_random_uuid()), $2, $3, $4, $5,
+                   CASE WHEN $6 THEN CURRENT_TIMESTAMP END)
+           RETURNING ${APPLICATION_COLUMNS};`,
+          [id, reference, customerId, kycId, status, status === SUBMITTED]
+        );
+
+        await recordHistory(tx, {
+          applicationId: rows[0].id,
+          fromStatus: null,
+          toStatus: status,
+          changedBy: context.userId,
+        });
+
+        await AuditLogModel.record(tx, {
+          tableName: 'applications',
+          recordId: rows[0].id,
+          action: 'INSERT',
+          newValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return rows[0];
+      }, client);
+    } catch (error) {
+      console.error('Application creation error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move an application to a new status, if the lifecycle allows it
+   * @param {string} applicationId - Application UUID
+   * @param {string} toStatus - Requested status
+   * @param {object} details - { reason, customerId, kycId }; the IDs link the
+   *   application's customer and KYC records when it is submitted
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - { success, application } or { success: false, error, code, allowed }
+   */
+  transition: async (applicationId, toStatus, details = {}, context = {}, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          `SELECT ${APPLICATION_COLUMNS} FROM applications WHERE id = $1 FOR UPDATE;`,
+          [applicationId]
+        );
+        const current = before.rows[0];
+
+        if (!current) {
+          return {
+            success: false,
+            error: 'Application not found',
+            code: 'APPLICATION_NOT_FOUND',
+          };
+        }
+
+        if (!canTransition(current.status, toStatus)) {
+          return {
+            success: false,
+            error: `Application cannot move from ${current.status} to ${toStatus}`,
+            code: 'INVALID_TRANSITION',
+            allowed: getAllowedTransitions(current.status),
+          };
+        }
+
+        const { rows } = await tx.query(
+          `UPDATE applications
+           SET status = $2,
+               customer_id = COALESCE($3, customer_id),
+               kyc_id = COALESCE($4, kyc_id),
+               submitted_at = CASE WHEN $5 THEN CURRENT_TIMESTAMP ELSE submitted_at END,
+               decided_at = CASE WHEN $6 THEN CURRENT_TIMESTAMP ELSE decided_at END
+           WHERE id = $1
+           RETURNING ${APPLICATION_COLUMNS};`,
+          [
+            applicationId,
+            toStatus,
+            details.customerId || null,
+            details.kycId || null,
+            toStatus === SUBMITTED,
+            DECISION_STATUSES.includes(toStatus),
+          ]
+        );
+
+        await recordHistory(tx, {
+          applicationId,
+          fromStatus: current.status,
+          toStatus,
+          reason: details.reason,
+          changedBy: context.userId,
+        });
+
+        await AuditLogModel.record(tx, {
+          tableName: 'applications',
+          recordId: applicationId,
+          action: 'UPDATE',
+          oldValues: current,
+          newValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return { success: true, application: rows[0] };
+      }, client);
+    } catch (error) {
+      console.error('Application transition error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get application by ID
+   * @param {string} applicationId - Application UUID
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - Application record
+   */
+  getById: async (applicationId, client = null) => {
+    try {
+      const { rows } = await db.transaction((tx) => tx.query(
+        `SELECT ${APPLICATION_COLUMNS} FROM applications WHERE id = $1;`,
+        [applicationId]
+      ), client);
+      return rows[0];
+    } catch (error) {
+      console.error('Get application error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get application by reference number
+   * @param {string} reference - Reference number (CO-YYYY-NNNNNN)
+   * @returns {Promise<object>} - Application record
+   */
+  getByReference: async (reference) => {
+    try {
+      return await db.queryOne(
+        `SELECT ${APPLICATION_COLUMNS} FROM applications WHERE reference = $1;`,
+        [reference]
+      );
+    } catch (error) {
+      console.error('Get application by reference error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get what the status page needs about an application, by reference number:
+   * the application, the applicant's email and date of birth to check against,
+   * and the verification status of its KYC submission
+   * @param {string} reference - Reference number (CO-YYYY-NNNNNN)
+   * @returns {Promise<object>} - Application record with email, date_of_birth (YYYY-MM-DD),
+   *   kyc_status and kyc_verified_at
+   */
+  getStatusByReference: async (reference) => {
+    try {
+      return await db.queryOne(
+        `SELECT a.id, a.reference, a.status, a.submitted_at, a.decided_at, a.updated_at,
+                c.email, to_char(c.date_of_birth, 'YYYY-MM-DD') AS date_of_birth,
+                k.verification_status AS kyc_status, k.verified_at AS kyc_verified_at
+         FROM applications a
+         LEFT JOIN customer_forms c ON c.id = a.customer_id
+         LEFT JOIN kyc_submissions k ON k.id = a.kyc_id
+         WHERE a.reference = $1;`,
+        [reference]
+      );
+    } catch (error) {
+      console.error('Get application status error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a customer's most recent application
+   * @param {string} customerId - Customer UUID
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - Application record
+   */
+  getLatestByCustomerId: async (customerId, client = null) => {
+    try {
+      const { rows } = await db.transaction((tx) => tx.query(
+        `SELECT ${APPLICATION_COLUMNS} FROM applications
+         WHERE customer_id = $1
+         ORDER BY created_at DESC
+         LIMIT 1;`,
+        [customerId]
+      ), client);
+      return rows[0];
+    } catch (error) {
+      console.error('Get application by customer error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the status history of an application
+   * @param {string} applicationId - Application UUID
+   * @returns {Promise<array>} - History rows, oldest first
+   */
+  getHistory: async (applicationId) => {
+    try {
+      return await db.queryAll(
+        `SELECT id, from_status, to_status, reason, changed_by, created_at
+         FROM application_status_history
+         WHERE application_id = $1
+         ORDER BY created_at, id;`,
+        [applicationId]
+      );
+    } catch (error) {
+      console.error('Get application history error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get applications (paginated), optionally in one status
+   * @param {object} filters - { status }
+   * @param {number} limit - Number of records per page
+   * @param {number} offset - Pagination offset
+   * @returns {Promise<array>} - Application records, newest first
+   */
+  getAll: async (filters = {}, limit = 20, offset = 0) => {
+    try {
+      return await db.queryAll(
+        `SELECT ${APPLICATION_COLUMNS} FROM applications
+         WHERE ($1::varchar IS NULL OR status = $1)
+         ORDER BY created_at DESC
+         LIMIT $2 OFFSET $3;`,
+        [filters.status || null, limit, offset]
+      );
+    } catch (error) {
+      console.error('Get all applications error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Count applications, optionally in one status
+   * @param {object} filters - { status }
+   * @returns {Promise<number>} - Application count
+   */
+  count: async (filters = {}) => {
+    try {
+      const result = await db.queryOne(
+        'SELECT COUNT(*) AS count FROM applications WHERE ($1::varchar IS NULL OR status = $1);',
+        [filters.status || null]
+      );
+      return parseInt(result.count, 10);
+    } catch (error) {
+      console.error('Count applications error:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = ApplicationModel;
@@ -0,0 +1,269 @@
+/**
+ * Audit Log Model
+ * Records before/after snapshots of customer and KYC mutations
+ * Rows form a tamper-evident hash chain (see db/crypto/AuditHashChain.js)
+ */
+
+const db = require('../config');
+const { v4: uuidv4 } = require('uuid');
+const {
+  GENESIS_HASH,
+  computeRowHash,
+  verifyRows,
+} = require('../crypto/AuditHashChain');
+
+/**
+ * Tables whose history can be written and read back
+ */
+const AUDITED_TABLES = ['customer_forms', 'customer_addresses', 'kyc_submissions', 'applications', 'pending_actions', 'screening_results', 'kyc_documents'];
+
+/**
+ * Columns holding encrypted values that must never be copied into the audit trail
+ */
+const REDACTED_COLUMNS = {
+  customer_forms: [],
+  customer_addresses: [],
+  kyc_submissions: ['pan', 'gov_id', 'aadhaar_number', 'data_key'],
+  applications: [],
+  pending_actions: [],
+  screening_results: [],
+  kyc_documents: ['data_key'],
+};
+
+const REDACTED_VALUE = '[REDACTED]';
+
+/**
+ * Advisory lock key serializing appends to the hash chain
+ */
+const AUDIT_CHAIN_LOCK_KEY = 7240113;
+
+/**
+ * Copy a row, replacing encrypted columns with a placeholder
+ * @param {string} tableName - Source table
+ * @param {object} row - Database row
+ * @returns {object|null} - Snapshot safe to store in audit_logs
+ */
+const redact = (tableName, row) => {
+  if (!row) return null;
+
+  const snapshot = { ...row };
+  (REDACTED_COLUMNS[tableName] || []).forEach((column) => {
+    if (snapshot[column] !== undefined && snapshot[column] !== null) {
+      snapshot[column] = REDACTED_VALUE;
+    }
+  });
+  return snapshot;
+};
+
+const AuditLogModel = {
+  AUDITED_TABLES,
+
+  redact,
+
+  /**
+   * Insert an audit row using the caller's transaction client
+   * The chain lock is held until the caller's transaction ends, so appends are serialized
+   * @param {object} client - pg client from db.transaction
+   * @param {object} entry - { tableName, recordId, action, oldValues, newValues, userId, ipAddress }
+   * @returns {Promise<object>} - Created audit row
+   */
+  record: async (client, entry) => {
+    const {
+      tableName,
+      recordId,
+      action,
+      oldValues,
+      newValues,
+      userId,
+      ipAddress,
+    } = entry;
+
+    const query = `
+      INSERT INTO audit_logs (
+        id, chain_position, table_name, record_id, action, old_values, new_values,
+        user_id, ip_address, created_at, prev_hash, row_hash
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING id, chain_position, row_hash, created_at;
+    `;
+
+    await client.query('SELECT pg_advisory_xact_lock($1);', [AUDIT_CHAIN_LOCK_KEY]);
+
+    const lastResult = await client.query(`
+      SELECT chain_position, row_hash
+      FROM audit_logs
+      ORDER BY chain_position DESC
+      LIMIT 1;
+    `);
+    const last = lastResult.rows[0];
+
+    // Normalize the IP the same way Postgres will return it, so the hash verifies later
+    let normalizedIP = null;
+    if (ipAddress) {
+      const ipResult = await client.query('SELECT $1::inet AS ip;', [ipAddress]);
+      normalizedIP = ipResult.rows[0].ip;
+    }
+
+    const oldSnapshot = redact(tableName, oldValues);
+    const newSnapshot = redact(tableName, newValues);
+
+    // Round-trip snapshots through JSON so the hash sees exactly what JSONB stores
+    const row = {
+      id: uuidv4(),
+      chain_position: last ? Number(last.chain_position) + 1 : 1,
+      table_name: tableName,
+      record_id: recordId,
+      action,
+      old_values: oldSnapshot ? JSON.parse(JSON.stringify(oldSnapshot)) : null,
+      new_values: newSnapshot ? JSON.parse(JSON.stringify(newSnapshot)) : null,
+      user_id: userId || null,
+      ip_address: normalizedIP,
+      created_at: new Date(),
+    };
+    const prevHash = last ? last.row_hash : GENESIS_HASH;
+    const rowHash = computeRowHash(prevHash, row);
+
+    const result = await client.query(query, [
+      row.id,
+      row.chain_position,
+      row.table_name,
+      row.record_id,
+      row.action,
+      row.old_values ? JSON.stringify(row.old_values) : null,
+      row.new_values ? JSON.stringify(row.new_values) : null,
+      row.user_id,
+      row.ip_address,
+      row.created_at,
+      prevHash,
+      rowHash,
+    ]);
+
+    return result.rows[0];
+  },
+
+  /**
+   * Chain rows written before the hash chain existed, oldest first, after the last chained row
+   * Used once by chain-audit-logs.js; holds the chain lock until the caller's transaction ends
+   * @param {object} client - pg client from db.transaction
+   * @param {number} batchSize - Rows fetched per query
+   * @returns {Promise<number>} - Number of rows chained
+   */
+  chainUnhashedRows: async (client, batchSize = 1000) => {
+    await client.query('SELECT pg_advisory_xact_lock($1);', [AUDIT_CHAIN_LOCK_KEY]);
+
+    const lastResult = await client.query(`
+      SELECT chain_position, row_hash
+      FROM audit_logs
+      WHERE chain_position IS NOT NULL
+      ORDER BY chain_position DESC
+      LIMIT 1;
+    `);
+    const last = lastResult.rows[0];
+
+    let position = last ? Number(last.chain_position) : 0;
+    let prevHash = last ? last.row_hash : GENESIS_HASH;
+    let chained = 0;
+
+    const query = `
+      SELECT id, table_name, record_id, action, old_values, new_values,
+             user_id, ip_address, created_at
+      FROM audit_logs
+      WHERE chain_position IS NULL
+      ORDER BY created_at ASC, id ASC
+      LIMIT $1;
+    `;
+
+    let rows = (await client.query(query, [batchSize])).rows;
+    while (rows.length > 0) {
+      for (const row of rows) {
+        position += 1;
+        const rowHash = computeRowHash(prevHash, { ...row, chain_position: position });
+
+        await client.query(
+          'UPDATE audit_logs SET chain_position = $2, prev_hash = $3, row_hash = $4 WHERE id = $1;',
+          [row.id, position, prevHash, rowHash]
+        );
+        prevHash = rowHash;
+        chained += 1;
+      }
+
+      rows = (await client.query(query, [batchSize])).rows;
+    }
+
+    return chained;
+  },
+
+  /**
+   * Walk the whole hash chain and report the first broken link
+   * @param {number} batchSize - Rows fetched per query
+   * @returns {Promise<object>} - { valid, rowsChecked, lastPosition, brokenAt }
+   */
+  verifyChain: async (batchSize = 1000) => {
+    try {
+      const query = `
+        SELECT id, chain_position, table_name, record_id, action, old_values, new_values,
+               user_id, ip_address, created_at, prev_hash, row_hash
+        FROM audit_logs
+        WHERE chain_position > $1
+        ORDER BY chain_position ASC
+        LIMIT $2;
+      `;
+
+      let previous = { hash: GENESIS_HASH, position: 0 };
+      let rowsChecked = 0;
+      let rows = await db.queryAll(query, [previous.position, batchSize]);
+
+      while (rows.length > 0) {
+        const result = verifyRows(rows, previous);
+        rowsChecked += result.checked;
+
+        if (!result.valid) {
+          return {
+            valid: false,
+            rowsChecked,
+            lastPosition: result.last.position,
+            brokenAt: result.brokenAt,
+          };
+        }
+
+        previous = result.last;
+        rows = await db.queryAll(query, [previous.position, batchSize]);
+      }
+
+      return {
+        valid: true,
+        rowsChecked,
+        lastPosition: previous.position,
+        brokenAt: null,
+      };
+    } catch (error) {
+      console.error('Verify audit chain error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the change history for a record, oldest first
+   * @param {string} tableName - Audited table name
+   * @param {string} recordId - Record UUID
+   * @returns {Promise<array>} - Array of audit rows
+   */
+  getHistory: async (tableName, recordId) => {
+    try {
+      const query = `
+        SELECT id, chain_position, table_name, record_id, action, old_values, new_values,
+               user_id, ip_address, created_at, row_hash
+        FROM audit_logs
+        WHERE table_name = $1 AND record_id = $2
+        ORDER BY chain_position ASC;
+      `;
+
+      return await db.queryAll(query, [tableName, recordId]);
+    } catch (error) {
+      console.error('Get audit history error:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = AuditLogModel;
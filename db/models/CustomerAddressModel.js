@@ -0,0 +1,173 @@
+/**
+ * Customer Address Model
+ * Database operations for residential, permanent and mailing addresses
+ */
+
+const db = require('../config');
+const AuditLogModel = require('./AuditLogModel');
+const { ADDRESS_TYPES, normalizeAddress } = require('../../src/shared/validation/AddressValidator');
+
+/**
+ * Clear the KYC flag on a customer's other addresses, auditing each change
+ * @param {object} tx - pg client of the enclosing transaction
+ * @param {string} customerId - Customer UUID
+ * @param {string} keepType - Address type that keeps the flag
+ * @param {object} context - Audit context ({ userId, ipAddress })
+ */
+const clearKycFlag = async (tx, customerId, keepType, context) => {
+  const before = await tx.query(
+    `SELECT * FROM customer_addresses
+     WHERE customer_id = $1 AND same_as_kyc AND address_type <> $2
+     FOR UPDATE;`,
+    [customerId, keepType]
+  );
+
+  for (const row of before.rows) {
+    const { rows } = await tx.query(
+      'UPDATE customer_addresses SET same_as_kyc = FALSE WHERE id = $1 RETURNING *;',
+      [row.id]
+    );
+
+    await AuditLogModel.record(tx, {
+      tableName: 'customer_addresses',
+      recordId: row.id,
+      action: 'UPDATE',
+      oldValues: row,
+      newValues: rows[0],
+      userId: context.userId,
+      ipAddress: context.ipAddress,
+    });
+  }
+};
+
+const CustomerAddressModel = {
+  ADDRESS_TYPES,
+
+  /**
+   * Create or replace a customer's address of the given type
+   * Marking an address as the KYC address clears the flag on the customer's other addresses
+   * @param {string} customerId - Customer UUID
+   * @param {object} address - { type, addressLine1, addressLine2, city, state, postalCode, country, sameAsKyc }
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - Stored address record
+   */
+  upsert: async (customerId, address, context = {}, client = null) => {
+    try {
+      const {
+        type,
+        addressLine1,
+        addressLine2,
+        city,
+        state,
+        postalCode,
+        country,
+        sameAsKyc,
+      } = normalizeAddress(address);
+
+      const query = `
+        INSERT INTO customer_addresses (
+          customer_id, address_type, address_line1, address_line2, city,
+          state, postal_code, country, same_as_kyc
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (customer_id, address_type) DO UPDATE SET
+          address_line1 = EXCLUDED.address_line1,
+          address_line2 = EXCLUDED.address_line2,
+          city = EXCLUDED.city,
+          state = EXCLUDED.state,
+          postal_code = EXCLUDED.postal_code,
+          country = EXCLUDED.country,
+          same_as_kyc = EXCLUDED.same_as_kyc
+        RETURNING *;
+      `;
+
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM customer_addresses WHERE customer_id = $1 AND address_type = $2 FOR UPDATE;',
+          [customerId, type]
+        );
+
+        if (sameAsKyc) {
+          await clearKycFlag(tx, customerId, type, context);
+        }
+
+        const { rows } = await tx.query(query, [
+          customerId,
+          type,
+          addressLine1,
+          addressLine2,
+          city,
+          state,
+          postalCode,
+          country,
+          sameAsKyc,
+        ]);
+
+        await AuditLogModel.record(tx, {
+          tableName: 'customer_addresses',
+          recordId: rows[0].id,
+          action: before.rows[0] ? 'UPDATE' : 'INSERT',
+          oldValues: before.rows[0] || null,
+          newValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return rows[0];
+      }, client);
+    } catch (error) {
+      console.error('Upsert customer address error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all addresses of a customer
+   * @param {string} customerId - Customer UUID
+   * @returns {Promise<array>} - Address records, residential first
+   */
+  getByCustomerId: async (customerId) => {
+    try {
+      const query = `
+        SELECT id, customer_id, address_type, address_line1, address_line2, city,
+               state, postal_code, country, same_as_kyc, created_at, updated_at
+        FROM customer_addresses
+        WHERE customer_id = $1
+        ORDER BY CASE address_type
+          WHEN 'residential' THEN 1
+          WHEN 'permanent' THEN 2
+          ELSE 3
+        END;
+      `;
+
+      return await db.queryAll(query, [customerId]);
+    } catch (error) {
+      console.error('Get customer addresses error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the address a customer marked as their KYC address
+   * @param {string} customerId - Customer UUID
+   * @returns {Promise<object>} - Address record, or undefined if none is marked
+   */
+  getKycAddress: async (customerId) => {
+    try {
+      const query = `
+        SELECT id, customer_id, address_type, address_line1, address_line2, city,
+               state, postal_code, country, same_as_kyc, created_at, updated_at
+        FROM customer_addresses
+        WHERE customer_id = $1 AND same_as_kyc;
+      `;
+
+      return await db.queryOne(query, [customerId]);
+    } catch (error) {
+      console.error('Get KYC address error:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = CustomerAddressModel;
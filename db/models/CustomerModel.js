@@ -4,15 +4,19 @@
  */
 
 const db = require('../config');
+const AuditLogModel = require('./AuditLogModel');
+const CustomerAddressModel = require('./CustomerAddressModel');
 const { v4: uuidv4 } = require('uuid');
 
 const CustomerModel = {
   /**
-   * Create a new customer record
-   * @param {object} customerData - Customer form data
+   * Create a new customer record, with its addresses, in one transaction
+   * @param {object} customerData - Customer form data, optionally with an `addresses` array
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
    * @returns {Promise<object>} - Created customer record
    */
-  create: async (customerData) => {
+  create: async (customerData, context = {}, client = null) => {
     try {
       const {
         firstName,
@@ -24,6 +28,7 @@ const CustomerModel = {
         annualIncome,
         dateOfBirth,
         nationality,
+        addresses = [],
       } = customerData;
 
       const query = `
@@ -32,20 +37,37 @@ const CustomerModel = {
           employment_status, annual_income, date_of_birth, nationality
         )
         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        RETURNING id, created_at;
+        RETURNING *;
       `;
 
-      const result = await db.queryOne(query, [
-        firstName,
-        lastName,
-        email,
-        phoneNumber || null,
-        accountType,
-        employmentStatus || null,
-        annualIncome || null,
-        dateOfBirth || null,
-        nationality || null,
-      ]);
+      const result = await db.transaction(async (tx) => {
+        const { rows } = await tx.query(query, [
+          firstName,
+          lastName,
+          email,
+          phoneNumber || null,
+          accountType,
+          employmentStatus || null,
+          annualIncome || null,
+          dateOfBirth || null,
+          nationality || null,
+        ]);
+
+        await AuditLogModel.record(tx, {
+          tableName: 'customer_forms',
+          recordId: rows[0].id,
+          action: 'INSERT',
+          newValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        for (const address of addresses) {
+          await CustomerAddressModel.upsert(rows[0].id, address, context, tx);
+        }
+
+        return rows[0];
+      }, client);
 
       return {
         success: true,
@@ -114,18 +136,40 @@ const CustomerModel = {
    * Update customer status
    * @param {string} customerId - Customer UUID
    * @param {string} status - New status (pending, approved, rejected)
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
    * @returns {Promise<object>} - Updated customer record
    */
-  updateStatus: async (customerId, status) => {
+  updateStatus: async (customerId, status, context = {}, client = null) => {
     try {
-      const query = `
-        UPDATE customer_forms
-        SET status = $1
-        WHERE id = $2
-        RETURNING id, status, updated_at;
-      `;
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM customer_forms WHERE id = $1 FOR UPDATE;',
+          [customerId]
+        );
+        if (!before.rows[0]) return undefined;
+
+        const query = `
+          UPDATE customer_forms
+          SET status = $1
+          WHERE id = $2
+          RETURNING *;
+        `;
+        const { rows } = await tx.query(query, [status, customerId]);
+
+        await AuditLogModel.record(tx, {
+          tableName: 'customer_forms',
+          recordId: customerId,
+          action: 'UPDATE',
+          oldValues: before.rows[0],
+          newValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
 
-      return await db.queryOne(query, [status, customerId]);
+        const updated = rows[0];
+        return { id: updated.id, status: updated.status, updated_at: updated.updated_at };
+      }, client);
     } catch (error) {
       console.error('Update customer status error:', error);
       throw error;
@@ -173,18 +217,35 @@ const CustomerModel = {
   /**
    * Delete customer (soft delete via status)
    * @param {string} customerId - Customer UUID
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
    * @returns {Promise<object>} - Result of deletion
    */
-  delete: async (customerId) => {
+  delete: async (customerId, context = {}, client = null) => {
     try {
       const query = `
         DELETE FROM customer_forms
         WHERE id = $1
-        RETURNING id;
+        RETURNING *;
       `;
 
-      const result = await db.queryOne(query, [customerId]);
-      return { success: !!result };
+      const deleted = await db.transaction(async (tx) => {
+        const { rows } = await tx.query(query, [customerId]);
+        if (!rows[0]) return null;
+
+        await AuditLogModel.record(tx, {
+          tableName: 'customer_forms',
+          recordId: customerId,
+          action: 'DELETE',
+          oldValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return rows[0];
+      }, client);
+
+      return { success: !!deleted };
     } catch (error) {
       console.error('Delete customer error:', error);
       throw error;
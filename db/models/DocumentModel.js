@@ -0,0 +1,396 @@
+/**
+ * Document Model
+ * Database operations for the documents applicants upload with an application
+ *
+ * Each document has its own data key, wrapped by the key provider like those of KYC
+ * submissions. The file and its thumbnail are encrypted under it and kept in the document
+ * storage (db/storage/DocumentStorage.js); kyc_documents holds their storage keys. Files
+ * are written before their row and removed after it, so a row always has its files; a
+ * failure in between can only leave an unreferenced file behind.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config');
+const AuditLogModel = require('./AuditLogModel');
+const { getKeyProvider, generateDataKey } = require('../crypto/KeyProvider');
+const { encryptBytesWithDataKey, decryptBytesWithDataKey } = require('../crypto/FieldEncryption');
+const { getDocumentStorage, storageKey } = require('../storage/DocumentStorage');
+
+/**
+ * The stored files of a document: the upload itself and its thumbnail
+ */
+const VARIANTS = {
+  FILE: 'file',
+  THUMBNAIL: 'thumbnail',
+};
+
+/**
+ * Columns returned for a document; data_key only leaves the model to be unwrapped
+ */
+const DOCUMENT_COLUMNS = `id, application_id, kyc_id, document_type, mime_type, size_bytes, width, height,
+  thumbnail_key IS NOT NULL AS has_thumbnail, created_at`;
+
+/**
+ * Shape a full kyc_documents row like the rows selected with DOCUMENT_COLUMNS
+ * @param {object} row - kyc_documents row
+ * @returns {object} - Document, without its keys
+ */
+const toDocument = (row) => ({
+  id: row.id,
+  application_id: row.application_id,
+  kyc_id: row.kyc_id,
+  document_type: row.document_type,
+  mime_type: row.mime_type,
+  size_bytes: row.size_bytes,
+  width: row.width,
+  height: row.height,
+  has_thumbnail: Boolean(row.thumbnail_key),
+  created_at: row.created_at,
+});
+
+/**
+ * Remove stored files, logging rather than throwing: their rows are already gone
+ * @param {array} rows - kyc_documents rows with storage_key and thumbnail_key
+ */
+const removeStoredFiles = async (rows) => {
+  const storage = getDocumentStorage();
+  const keys = rows.reduce((all, row) => all.concat([row.storage_key, row.thumbnail_key].filter(Boolean)), []);
+
+  for (const key of keys) {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.error(`Remove stored document ${key} error:`, error);
+    }
+  }
+};
+
+/**
+ * Read and decrypt one of a document's stored files
+ * @param {object} row - kyc_documents row
+ * @param {string} variant - One of VARIANTS
+ * @returns {Promise<Buffer|null>} - File content, or null if the document has no such file
+ */
+const readStoredFile = async (row, variant) => {
+  const key = variant === VARIANTS.THUMBNAIL ? row.thumbnail_key : row.storage_key;
+  if (!key) return null;
+
+  const stored = await getDocumentStorage().get(key);
+  if (!stored) {
+    throw new Error(`Stored ${variant} of document ${row.id} is missing`);
+  }
+
+  const dataKey = await getKeyProvider().unwrap(row.data_key, { recordId: row.id });
+  return decryptBytesWithDataKey(dataKey, stored, { recordId: row.id, column: variant });
+};
+
+const DocumentModel = {
+  VARIANTS,
+
+  /**
+   * Store a document for an application, replacing any of the same type
+   * @param {string} applicationId - Application UUID
+   * @param {object} document - { documentType, mimeType, width, height, content, thumbnail }
+   *   with content and thumbnail (optional) as Buffers
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @returns {Promise<object>} - { success, document, replaced } or { success: false, error, code }
+   */
+  create: async (applicationId, document, context = {}) => {
+    const id = uuidv4();
+    const storage = getDocumentStorage();
+    const fileKey = storageKey(applicationId, id, VARIANTS.FILE);
+    const thumbnailKey = document.thumbnail ? storageKey(applicationId, id, VARIANTS.THUMBNAIL) : null;
+    const written = [{ storage_key: fileKey, thumbnail_key: thumbnailKey }];
+
+    try {
+      const { dataKey, wrappedKey } = await generateDataKey(getKeyProvider(), id);
+      await storage.put(fileKey, encryptBytesWithDataKey(dataKey, document.content, { recordId: id, column: VARIANTS.FILE }));
+      if (thumbnailKey) {
+        await storage.put(
+          thumbnailKey,
+          encryptBytesWithDataKey(dataKey, document.thumbnail, { recordId: id, column: VARIANTS.THUMBNAIL })
+        );
+      }
+
+      const result = await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM kyc_documents WHERE application_id = $1 AND document_type = $2 FOR UPDATE;',
+          [applicationId, document.documentType]
+        );
+        const replaced = before.rows[0] || null;
+
+        if (replaced) {
+          await tx.query('DELETE FROM kyc_documents WHERE id = $1;', [replaced.id]);
+          await AuditLogModel.record(tx, {
+            tableName: 'kyc_documents',
+            recordId: replaced.id,
+            action: 'DELETE',
+            oldValues: replaced,
+            userId: context.userId,
+            ipAddress: context.ipAddress,
+          });
+        }
+
+        const { rows } = await tx.query(
+          `INSERT INTO kyc_documents (
+             id, application_id, document_type, mime_type, size_bytes, width, height,
+             storage_key, thumbnail_key, data_key
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           RETURNING *;`,
+          [
+            id,
+            applicationId,
+            document.documentType,
+            document.mimeType,
+            document.content.length,
+            document.width || null,
+            document.height || null,
+            fileKey,
+            thumbnailKey,
+            wrappedKey,
+          ]
+        );
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_documents',
+          recordId: id,
+          action: 'INSERT',
+          newValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return { row: rows[0], replaced };
+      });
+
+      if (result.replaced) {
+        await removeStoredFiles([result.replaced]);
+      }
+
+      return { success: true, document: toDocument(result.row), replaced: Boolean(result.replaced) };
+    } catch (error) {
+      await removeStoredFiles(written);
+      console.error('Document creation error:', error);
+      if (error.code === '23503') {
+        return { success: false, error: 'Application not found', code: 'APPLICATION_NOT_FOUND' };
+      }
+      if (error.code === '23505') {
+        return { success: false, error: 'Another upload of this document is in progress', code: 'UPLOAD_IN_PROGRESS' };
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Get a document
+   * @param {string} documentId - Document UUID
+   * @returns {Promise<object|undefined>} - Document, without its keys
+   */
+  getById: async (documentId) => {
+    try {
+      return await db.queryOne(`SELECT ${DOCUMENT_COLUMNS} FROM kyc_documents WHERE id = $1;`, [documentId]);
+    } catch (error) {
+      console.error('Get document error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the documents uploaded to an application
+   * @param {string} applicationId - Application UUID
+   * @returns {Promise<array>} - Documents, oldest first
+   */
+  getByApplication: async (applicationId) => {
+    try {
+      return await db.queryAll(
+        `SELECT ${DOCUMENT_COLUMNS} FROM kyc_documents WHERE application_id = $1 ORDER BY created_at;`,
+        [applicationId]
+      );
+    } catch (error) {
+      console.error('Get application documents error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the documents of a KYC submission
+   * @param {string} kycId - KYC UUID
+   * @returns {Promise<array>} - Documents, oldest first
+   */
+  getByKycId: async (kycId) => {
+    try {
+      return await db.queryAll(
+        `SELECT ${DOCUMENT_COLUMNS} FROM kyc_documents WHERE kyc_id = $1 ORDER BY created_at;`,
+        [kycId]
+      );
+    } catch (error) {
+      console.error('Get KYC documents error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Read a document's thumbnail
+   * @param {string} documentId - Document UUID
+   * @returns {Promise<object|undefined>} - { document, content } with content null if the
+   *   document has no thumbnail, or undefined if the document does not exist
+   */
+  readThumbnail: async (documentId) => {
+    try {
+      const row = await db.queryOne('SELECT * FROM kyc_documents WHERE id = $1;', [documentId]);
+      if (!row) return undefined;
+
+      return { document: row, content: await readStoredFile(row, VARIANTS.THUMBNAIL) };
+    } catch (error) {
+      console.error('Read document thumbnail error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Read a document's file for a reviewer, recording a REVEAL in the audit log
+   * @param {string} documentId - Document UUID
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @returns {Promise<object|undefined>} - { document, content }, or undefined if not found
+   */
+  revealFile: async (documentId, context = {}) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const { rows } = await tx.query('SELECT * FROM kyc_documents WHERE id = $1;', [documentId]);
+        if (!rows[0]) return undefined;
+
+        const content = await readStoredFile(rows[0], VARIANTS.FILE);
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_documents',
+          recordId: documentId,
+          action: 'REVEAL',
+          newValues: { field: VARIANTS.FILE },
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return { document: rows[0], content };
+      });
+    } catch (error) {
+      console.error('Reveal document error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a document of an application
+   * @param {string} applicationId - Application UUID
+   * @param {string} documentId - Document UUID
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @returns {Promise<boolean>} - Whether the document existed
+   */
+  delete: async (applicationId, documentId, context = {}) => {
+    try {
+      const deleted = await db.transaction(async (tx) => {
+        const { rows } = await tx.query(
+          'DELETE FROM kyc_documents WHERE id = $1 AND application_id = $2 RETURNING *;',
+          [documentId, applicationId]
+        );
+        if (!rows[0]) return null;
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_documents',
+          recordId: documentId,
+          action: 'DELETE',
+          oldValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+        return rows[0];
+      });
+      if (!deleted) return false;
+
+      await removeStoredFiles([deleted]);
+      return true;
+    } catch (error) {
+      console.error('Delete document error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete the documents of applications; call removeFiles with the result once the
+   * enclosing transaction has committed
+   * @param {array} applicationIds - Application UUIDs
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<array>} - Deleted kyc_documents rows
+   */
+  deleteByApplications: async (applicationIds, context = {}, client = null) => {
+    if (applicationIds.length === 0) return [];
+
+    try {
+      return await db.transaction(async (tx) => {
+        const { rows } = await tx.query(
+          'DELETE FROM kyc_documents WHERE application_id = ANY($1::uuid[]) RETURNING *;',
+          [applicationIds]
+        );
+
+        for (const row of rows) {
+          await AuditLogModel.record(tx, {
+            tableName: 'kyc_documents',
+            recordId: row.id,
+            action: 'DELETE',
+            oldValues: row,
+            userId: context.userId,
+            ipAddress: context.ipAddress,
+          });
+        }
+        return rows;
+      }, client);
+    } catch (error) {
+      console.error('Delete application documents error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove the stored files of deleted documents
+   * @param {array} rows - Rows returned by deleteByApplications
+   */
+  removeFiles: removeStoredFiles,
+
+  /**
+   * Attach an application's documents to the KYC submission it was submitted with
+   * @param {string} applicationId - Application UUID
+   * @param {string} kycId - KYC UUID
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<number>} - Number of documents attached
+   */
+  linkToKyc: async (applicationId, kycId, context = {}, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const { rows } = await tx.query(
+          'UPDATE kyc_documents SET kyc_id = $2 WHERE application_id = $1 RETURNING *;',
+          [applicationId, kycId]
+        );
+
+        for (const row of rows) {
+          await AuditLogModel.record(tx, {
+            tableName: 'kyc_documents',
+            recordId: row.id,
+            action: 'UPDATE',
+            oldValues: Object.assign({}, row, { kyc_id: null }),
+            newValues: row,
+            userId: context.userId,
+            ipAddress: context.ipAddress,
+          });
+        }
+        return rows.length;
+      }, client);
+    } catch (error) {
+      console.error('Link documents error:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = DocumentModel;
@@ -4,78 +4,139 @@
  */
 
 const db = require('../config');
-const crypto = require('crypto');
+const AuditLogModel = require('./AuditLogModel');
+const { v4: uuidv4 } = require('uuid');
+const { IDENTIFIER_TYPES, computeBlindIndex } = require('../crypto/BlindIndex');
+const FieldEncryption = require('../crypto/FieldEncryption');
+const { getKeyProvider, generateDataKey } = require('../crypto/KeyProvider');
+const { isReviewDecision } = require('../../src/shared/review/ReasonCodes');
+const { DEFAULT_RULES, assessRisk, getVelocityWindowHours } = require('../../src/shared/risk/RiskEngine');
 
-// Encryption configuration
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'default-encryption-key-change-in-production';
-const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
+/**
+ * Columns of kyc_submissions stored encrypted
+ */
+const ENCRYPTED_COLUMNS = ['pan', 'gov_id', 'aadhaar_number'];
 
 /**
- * Encrypt sensitive data using AES-256-CBC
- * @param {string} text - Data to encrypt
- * @returns {string} - Encrypted and base64-encoded data
+ * Identifiers a reviewer can reveal, by field name, and the column each is stored in
  */
-const encryptData = (text) => {
-  try {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(
-      ENCRYPTION_ALGORITHM,
-      Buffer.from(ENCRYPTION_KEY.padEnd(32, '0').substring(0, 32)),
-      iv
-    );
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return iv.toString('hex') + ':' + encrypted;
-  } catch (error) {
-    console.error('Encryption error:', error);
-    return Buffer.from(text).toString('base64');
-  }
+const REVEALABLE_FIELDS = {
+  pan: 'pan',
+  govID: 'gov_id',
+  aadhaarNumber: 'aadhaar_number',
+};
+
+/**
+ * Encrypt a kyc_submissions column value under the row's data key, bound to its row and column
+ * @param {Buffer} dataKey - The row's unwrapped data key
+ * @param {string} kycId - KYC UUID the value is stored under
+ * @param {string} column - Column name
+ * @param {string} value - Plain-text value
+ * @returns {string|null} - Data-key ciphertext, or null for an empty value
+ */
+const encryptColumn = (dataKey, kycId, column, value) => (
+  value ? FieldEncryption.encryptWithDataKey(dataKey, value, { recordId: kycId, column }) : null
+);
+
+/**
+ * Decrypt a kyc_submissions column value; throws if it was tampered with or moved
+ * Rows written before envelope encryption have no data key and are read with the keyring
+ * @param {Buffer|null} dataKey - The row's unwrapped data key, or null for pre-envelope rows
+ * @param {string} kycId - KYC UUID the value is stored under
+ * @param {string} column - Column name
+ * @param {string} value - Stored ciphertext
+ * @returns {string|null} - Plain-text value, or null for an empty value
+ */
+const decryptColumn = (dataKey, kycId, column, value) => {
+  if (!value) return null;
+  const context = { recordId: kycId, column };
+  return dataKey
+    ? FieldEncryption.decryptWithDataKey(dataKey, value, context)
+    : FieldEncryption.decrypt(value, context);
+};
+
+/**
+ * Unwrap a row's data key through the key provider
+ * @param {object} row - kyc_submissions row with id and data_key
+ * @returns {Promise<Buffer|null>} - Data key, or null for pre-envelope rows
+ */
+const openDataKey = async (row) => (
+  row.data_key ? getKeyProvider().unwrap(row.data_key, { recordId: row.id }) : null
+);
+
+/**
+ * Replace a row's encrypted columns with their decrypted values
+ * @param {object} row - kyc_submissions row
+ * @returns {Promise<object>} - Row with pan, govID and aadhaarNumber in plain text
+ */
+const decryptRow = async (row) => {
+  const dataKey = await openDataKey(row);
+  row.pan = decryptColumn(dataKey, row.id, 'pan', row.pan);
+  row.govID = decryptColumn(dataKey, row.id, 'gov_id', row.gov_id);
+  row.aadhaarNumber = decryptColumn(dataKey, row.id, 'aadhaar_number', row.aadhaar_number);
+  delete row.gov_id; // Remove encrypted field
+  delete row.aadhaar_number; // Remove encrypted field
+  delete row.data_key; // Remove wrapped key
+  return row;
 };
 
 /**
- * Decrypt sensitive data
- * @param {string} encryptedText - Encrypted data
- * @returns {string} - Decrypted data
+ * Insert blind indexes for a KYC submission's identifiers
+ * @param {object} client - pg client of the enclosing transaction
+ * @param {string} kycId - KYC UUID
+ * @param {object} identifiers - { pan, aadhaar } plain-text identifiers
  */
-const decryptData = (encryptedText) => {
-  try {
-    const parts = encryptedText.split(':');
-    if (parts.length !== 2) {
-      return Buffer.from(encryptedText, 'base64').toString('utf8');
+const insertIdentifierHashes = async (client, kycId, identifiers) => {
+  const query = `
+    INSERT INTO identifier_hashes (identifier_type, blind_index, kyc_id)
+    VALUES ($1, $2, $3);
+  `;
+
+  for (const [type, value] of Object.entries(identifiers)) {
+    if (value) {
+      await client.query(query, [type, computeBlindIndex(type, value), kycId]);
     }
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    const decipher = crypto.createDecipheriv(
-      ENCRYPTION_ALGORITHM,
-      Buffer.from(ENCRYPTION_KEY.padEnd(32, '0').substring(0, 32)),
-      iv
-    );
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
-  } catch (error) {
-    console.error('Decryption error:', error);
-    return null;
   }
 };
 
 /**
- * Generate hash of PAN for duplicate detection
- * @param {string} pan - PAN number
- * @returns {string} - SHA-256 hash of PAN
+ * Build the WHERE clause of the review queue
+ * @param {string} status - Verification status, or null for any
+ * @param {object} filters - { risk, pep, olderThanDays, screening }
+ * @returns {object} - { clause, params }; params are numbered from $1
  */
-const generatePANHash = (pan) => {
-  return crypto.createHash('sha256').update(pan).digest('hex');
+const buildQueueFilter = (status, filters = {}) => {
+  const conditions = [];
+  const params = [];
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `$${params.length}`));
+  };
+
+  if (status) add('k.verification_status = ?', status);
+  if (filters.risk) add('k.risk_assessment = ?', filters.risk);
+  if (typeof filters.pep === 'boolean') add('k.politically_exposed_person = ?', filters.pep);
+  if (filters.olderThanDays) add('k.created_at <= CURRENT_TIMESTAMP - make_interval(days => ?)', filters.olderThanDays);
+  // Submissions with a watchlist hit awaiting a reviewer, whatever their status
+  if (filters.screening === 'open') {
+    add('EXISTS (SELECT 1 FROM screening_results s WHERE s.kyc_id = k.id AND s.status = ?)', 'potential_match');
+  }
+
+  return { clause: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
 };
 
 const KYCModel = {
+  REVEALABLE_FIELDS,
+
   /**
    * Create a new KYC submission
    * @param {string} customerId - Customer UUID
    * @param {object} kycData - KYC form data
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
    * @returns {Promise<object>} - Created KYC record
    */
-  create: async (customerId, kycData) => {
+  create: async (customerId, kycData, context = {}, client = null) => {
     try {
       let {
         pan,
@@ -105,50 +166,66 @@ const KYCModel = {
       occupation = (occupation || '').substring(0, 100);
       userAgent = (userAgent || '').substring(0, 500);
 
-      // Encrypt sensitive fields
-      const encryptedPAN = encryptData(pan);
-      const encryptedGovID = encryptData(govID);
-      const encryptedAadhaar = aadhaarNumber ? encryptData(aadhaarNumber) : null;
+      // The id is generated up front because it is bound into each ciphertext and the data key
+      const kycId = uuidv4();
+      const { dataKey, wrappedKey } = await generateDataKey(getKeyProvider(), kycId);
 
-      // Generate PAN hash for duplicate detection
-      const panHash = generatePANHash(pan);
+      // Encrypt sensitive fields under the submission's own data key
+      const encryptedPAN = encryptColumn(dataKey, kycId, 'pan', pan);
+      const encryptedGovID = encryptColumn(dataKey, kycId, 'gov_id', govID);
+      const encryptedAadhaar = encryptColumn(dataKey, kycId, 'aadhaar_number', aadhaarNumber);
 
       const query = `
         INSERT INTO kyc_submissions (
-          customer_id, pan, gov_id, gov_id_type, aadhaar_number, date_of_birth, nationality,
+          id, customer_id, pan, gov_id, gov_id_type, aadhaar_number, data_key, date_of_birth, nationality,
           kyc_address, city, state, postal_code, country, occupation,
           politically_exposed_person, ip_address, user_agent, submission_source
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
-        RETURNING id, created_at;
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+        RETURNING *;
       `;
 
-      const result = await db.queryOne(query, [
-        customerId,
-        encryptedPAN,
-        encryptedGovID,
-        govIDType || null,
-        encryptedAadhaar,
-        dateOfBirth || null,
-        nationality || null,
-        kycAddress,
-        city || null,
-        state || null,
-        postalCode || null,
-        country || null,
-        occupation || null,
-        politicallyExposedPerson || false,
-        ipAddress || null,
-        userAgent || null,
-        'web-form',
-      ]);
-
-      // Store PAN hash for duplicate detection
-      const hashQuery = `
-        INSERT INTO pan_hashes (pan_hash, kyc_id)
-        VALUES ($1, $2);
-      `;
-      await db.query(hashQuery, [panHash, result.id]);
+      // KYC row, identifier blind indexes and audit row are written atomically
+      const result = await db.transaction(async (tx) => {
+        const { rows } = await tx.query(query, [
+          kycId,
+          customerId,
+          encryptedPAN,
+          encryptedGovID,
+          govIDType || null,
+          encryptedAadhaar,
+          wrappedKey,
+          dateOfBirth || null,
+          nationality || null,
+          kycAddress,
+          city || null,
+          state || null,
+          postalCode || null,
+          country || null,
+          occupation || null,
+          politicallyExposedPerson || false,
+          ipAddress || null,
+          userAgent || null,
+          'web-form',
+        ]);
+
+        // Store blind indexes for duplicate detection
+        await insertIdentifierHashes(tx, rows[0].id, {
+          [IDENTIFIER_TYPES.PAN]: pan,
+          [IDENTIFIER_TYPES.AADHAAR]: aadhaarNumber,
+        });
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_submissions',
+          recordId: rows[0].id,
+          action: 'INSERT',
+          newValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress || ipAddress,
+        });
+
+        return rows[0];
+      }, client);
 
       return {
         success: true,
@@ -158,7 +235,14 @@ const KYCModel = {
     } catch (error) {
       console.error('KYC creation error:', error);
       if (error.code === '23505') {
-        // Unique constraint violation
+        // Unique constraint violation; the detail names the identifier type that collided
+        if (/aadhaar/.test(error.detail || '')) {
+          return {
+            success: false,
+            error: 'Aadhaar Number already exists in the system',
+            code: 'DUPLICATE_AADHAAR',
+          };
+        }
         return {
           success: false,
           error: 'PAN already exists in the system',
@@ -177,7 +261,7 @@ const KYCModel = {
   getById: async (kycId) => {
     try {
       const query = `
-        SELECT id, customer_id, pan, gov_id, aadhaar_number, gov_id_type, date_of_birth, nationality,
+        SELECT id, customer_id, pan, gov_id, aadhaar_number, data_key, gov_id_type, date_of_birth, nationality,
                kyc_address, city, state, postal_code, country, occupation,
                politically_exposed_person, document_url, verification_status,
                verification_notes, verified_by, verified_at, created_at, updated_at
@@ -186,15 +270,8 @@ const KYCModel = {
       `;
 
       const result = await db.queryOne(query, [kycId]);
-      if (result) {
-        // Decrypt sensitive fields
-        result.pan = decryptData(result.pan);
-        result.govID = decryptData(result.gov_id);
-        result.aadhaarNumber = result.aadhaar_number ? decryptData(result.aadhaar_number) : null;
-        delete result.gov_id; // Remove encrypted field
-        delete result.aadhaar_number; // Remove encrypted field
-      }
-      return result;
+      // Decrypt sensitive fields
+      return result ? await decryptRow(result) : result;
     } catch (error) {
       console.error('Get KYC error:', error);
       throw error;
@@ -209,7 +286,7 @@ const KYCModel = {
   getByCustomerId: async (customerId) => {
     try {
       const query = `
-        SELECT id, customer_id, pan, gov_id, aadhaar_number, gov_id_type, date_of_birth, nationality,
+        SELECT id, customer_id, pan, gov_id, aadhaar_number, data_key, gov_id_type, date_of_birth, nationality,
                kyc_address, city, state, postal_code, country, occupation,
                politically_exposed_person, document_url, verification_status,
                verification_notes, verified_by, verified_at, created_at, updated_at
@@ -220,14 +297,7 @@ const KYCModel = {
       `;
 
       const result = await db.queryOne(query, [customerId]);
-      if (result) {
-        result.pan = decryptData(result.pan);
-        result.govID = decryptData(result.gov_id);
-        result.aadhaarNumber = result.aadhaar_number ? decryptData(result.aadhaar_number) : null;
-        delete result.gov_id;
-        delete result.aadhaar_number;
-      }
-      return result;
+      return result ? await decryptRow(result) : result;
     } catch (error) {
       console.error('Get KYC by customer error:', error);
       throw error;
@@ -235,70 +305,509 @@ const KYCModel = {
   },
 
   /**
-   * Check if PAN already exists
-   * @param {string} pan - PAN number
-   * @returns {Promise<boolean>} - True if PAN exists
+   * Check if an identifier is already registered, via its blind index
+   * @param {string} type - Identifier type (pan, aadhaar)
+   * @param {string} value - Plain-text identifier
+   * @returns {Promise<boolean>} - True if the identifier exists
    */
-  panExists: async (pan) => {
+  identifierExists: async (type, value) => {
     try {
-      const panHash = generatePANHash(pan);
       const query = `
-        SELECT id FROM pan_hashes
-        WHERE pan_hash = $1
+        SELECT id FROM identifier_hashes
+        WHERE identifier_type = $1 AND blind_index = $2
         LIMIT 1;
       `;
 
-      const result = await db.queryOne(query, [panHash]);
+      const result = await db.queryOne(query, [type, computeBlindIndex(type, value)]);
       return !!result;
     } catch (error) {
-      console.error('Check PAN exists error:', error);
+      console.error('Check identifier exists error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check if PAN already exists
+   * @param {string} pan - PAN number
+   * @returns {Promise<boolean>} - True if PAN exists
+   */
+  panExists: async (pan) => {
+    return KYCModel.identifierExists(IDENTIFIER_TYPES.PAN, pan);
+  },
+
+  /**
+   * Check if Aadhaar Number already exists
+   * @param {string} aadhaarNumber - 12-digit Aadhaar Number
+   * @returns {Promise<boolean>} - True if Aadhaar Number exists
+   */
+  aadhaarExists: async (aadhaarNumber) => {
+    return KYCModel.identifierExists(IDENTIFIER_TYPES.AADHAAR, aadhaarNumber);
+  },
+
+  /**
+   * Rebuild the blind indexes of one KYC submission from its decrypted identifiers
+   * Used by the identifier re-index migration; existing indexes for the row are replaced
+   * @param {string} kycId - KYC UUID
+   * @param {object} client - pg client of the enclosing transaction
+   * @returns {Promise<object>} - { reindexed, conflicts } where conflicts lists duplicate types
+   */
+  reindexIdentifiers: async (kycId, client) => {
+    const { rows } = await client.query(
+      'SELECT id, pan, aadhaar_number, data_key FROM kyc_submissions WHERE id = $1;',
+      [kycId]
+    );
+    if (!rows[0]) return { reindexed: false, conflicts: [] };
+
+    const dataKey = await openDataKey(rows[0]);
+    const identifiers = {
+      [IDENTIFIER_TYPES.PAN]: decryptColumn(dataKey, kycId, 'pan', rows[0].pan),
+      [IDENTIFIER_TYPES.AADHAAR]: decryptColumn(dataKey, kycId, 'aadhaar_number', rows[0].aadhaar_number),
+    };
+
+    await client.query('DELETE FROM identifier_hashes WHERE kyc_id = $1;', [kycId]);
+
+    const conflicts = [];
+    for (const [type, value] of Object.entries(identifiers)) {
+      if (!value) continue;
+      const result = await client.query(`
+        INSERT INTO identifier_hashes (identifier_type, blind_index, kyc_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (identifier_type, blind_index) DO NOTHING
+        RETURNING id;
+      `, [type, computeBlindIndex(type, value), kycId]);
+      if (result.rows.length === 0) conflicts.push(type);
+    }
+
+    return { reindexed: true, conflicts };
+  },
+
+  /**
+   * Bring one KYC submission onto the current keys
+   * Rows with a data key only have it re-wrapped under the current master key. Rows written
+   * before envelope encryption get a data key and their columns re-encrypted under it.
+   * Columns that cannot be decrypted are left as they are and reported, never overwritten.
+   * @param {string} kycId - KYC UUID
+   * @param {object} client - pg client of the enclosing transaction
+   * @returns {Promise<object>} - { found, rewritten, unreadable } listing column names
+   */
+  reencryptRow: async (kycId, client) => {
+    const { rows } = await client.query(
+      'SELECT id, pan, gov_id, aadhaar_number, data_key FROM kyc_submissions WHERE id = $1 FOR UPDATE;',
+      [kycId]
+    );
+    if (!rows[0]) return { found: false, rewritten: [], unreadable: [] };
+
+    const provider = getKeyProvider();
+
+    if (rows[0].data_key) {
+      const { wrappedKey, rotated } = await provider.rotate(rows[0].data_key, { recordId: kycId });
+      if (rotated) {
+        await client.query('UPDATE kyc_submissions SET data_key = $2 WHERE id = $1;', [kycId, wrappedKey]);
+      }
+      return { found: true, rewritten: rotated ? ['data_key'] : [], unreadable: [] };
+    }
+
+    const plain = {};
+    const unreadable = [];
+    for (const column of ENCRYPTED_COLUMNS) {
+      try {
+        plain[column] = decryptColumn(null, kycId, column, rows[0][column]);
+      } catch (error) {
+        unreadable.push(column);
+      }
+    }
+
+    // The row moves to envelope encryption only once every column can be read
+    if (unreadable.length > 0) {
+      return { found: true, rewritten: [], unreadable };
+    }
+
+    const { dataKey, wrappedKey } = await generateDataKey(provider, kycId);
+    await client.query(
+      'UPDATE kyc_submissions SET pan = $2, gov_id = $3, aadhaar_number = $4, data_key = $5 WHERE id = $1;',
+      [
+        kycId,
+        ...ENCRYPTED_COLUMNS.map((column) => encryptColumn(dataKey, kycId, column, plain[column])),
+        wrappedKey,
+      ]
+    );
+
+    return { found: true, rewritten: [...ENCRYPTED_COLUMNS, 'data_key'], unreadable };
+  },
+
+  /**
+   * Lock a pending case for a decision by the reviewer holding its claim
+   * @param {string} kycId - KYC UUID
+   * @param {string} userId - Reviewer's user ID
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - { success } or { success: false, error, code }
+   */
+  checkClaim: async (kycId, userId, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const { rows } = await tx.query(
+          'SELECT verification_status, claimed_by FROM kyc_submissions WHERE id = $1 FOR UPDATE;',
+          [kycId]
+        );
+        const current = rows[0];
+
+        if (!current) {
+          return { success: false, error: 'KYC record not found', code: 'KYC_NOT_FOUND' };
+        }
+        if (current.verification_status !== 'pending') {
+          return { success: false, error: 'Only pending cases can be decided', code: 'NOT_PENDING' };
+        }
+        if (current.claimed_by !== userId) {
+          return current.claimed_by ? {
+            success: false,
+            error: 'This case is claimed by another reviewer',
+            code: 'CLAIMED_BY_OTHER',
+          } : {
+            success: false,
+            error: 'Claim this case before deciding it',
+            code: 'NOT_CLAIMED',
+          };
+        }
+
+        return { success: true };
+      }, client);
+    } catch (error) {
+      console.error('Check KYC claim error:', error);
       throw error;
     }
   },
 
   /**
    * Update KYC verification status
+   * A decision (verified, rejected) is only applied to a pending case, once a checker has
+   * approved it: verifiedBy is the checker, and the case's claim is released
    * @param {string} kycId - KYC UUID
-   * @param {string} status - New status (pending, verified, rejected)
-   * @param {string} notes - Verification notes
-   * @param {string} verifiedBy - User who verified
-   * @returns {Promise<object>} - Updated KYC record
+   * @param {object} decision - { status, reasonCode, notes, verifiedBy }; status is pending,
+   *   verified, rejected or expired
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - { success, id, customer_id, verification_status, reason_code, verified_by, verified_at },
+   *   or { success: false, error, code } if it is not found or already decided
    */
-  updateVerificationStatus: async (kycId, status, notes = null, verifiedBy = null) => {
+  updateVerificationStatus: async (kycId, decision, context = {}, client = null) => {
+    const { status, reasonCode = null, notes = null, verifiedBy = null } = decision;
+
     try {
       const query = `
         UPDATE kyc_submissions
         SET verification_status = $1,
-            verification_notes = $2,
-            verified_by = $3,
-            verified_at = CASE WHEN $1 = 'verified' THEN CURRENT_TIMESTAMP ELSE verified_at END
-        WHERE id = $4
-        RETURNING id, verification_status, verified_at;
+            reason_code = $2,
+            verification_notes = $3,
+            verified_by = CASE WHEN $5 THEN $4 ELSE verified_by END,
+            verified_at = CASE WHEN $1 = 'verified' THEN CURRENT_TIMESTAMP ELSE verified_at END,
+            claimed_by = CASE WHEN $5 THEN NULL ELSE claimed_by END,
+            claimed_at = CASE WHEN $5 THEN NULL ELSE claimed_at END
+        WHERE id = $6
+        RETURNING *;
       `;
 
-      return await db.queryOne(query, [status, notes, verifiedBy, kycId]);
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM kyc_submissions WHERE id = $1 FOR UPDATE;',
+          [kycId]
+        );
+        if (!before.rows[0]) {
+          return { success: false, error: 'KYC record not found', code: 'KYC_NOT_FOUND' };
+        }
+
+        const decided = isReviewDecision(status);
+        if (decided && before.rows[0].verification_status !== 'pending') {
+          return { success: false, error: 'Only pending cases can be decided', code: 'NOT_PENDING' };
+        }
+
+        const { rows } = await tx.query(query, [status, reasonCode, notes, verifiedBy, decided, kycId]);
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_submissions',
+          recordId: kycId,
+          action: 'UPDATE',
+          oldValues: before.rows[0],
+          newValues: rows[0],
+          userId: context.userId || verifiedBy,
+          ipAddress: context.ipAddress,
+        });
+
+        const updated = rows[0];
+        return {
+          success: true,
+          id: updated.id,
+          customer_id: updated.customer_id,
+          verification_status: updated.verification_status,
+          reason_code: updated.reason_code,
+          verified_by: updated.verified_by,
+          verified_at: updated.verified_at,
+        };
+      }, client);
     } catch (error) {
       console.error('Update KYC status error:', error);
       throw error;
     }
   },
 
+  /**
+   * Claim a pending case for a reviewer, so no one else works it
+   * Claiming a case the reviewer already holds renews the claim
+   * @param {string} kycId - KYC UUID
+   * @param {string} userId - Reviewer's user ID
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - { success, claimedBy, claimedAt } or { success: false, error, code }
+   */
+  claim: async (kycId, userId, context = {}, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM kyc_submissions WHERE id = $1 FOR UPDATE;',
+          [kycId]
+        );
+        const current = before.rows[0];
+
+        if (!current) {
+          return { success: false, error: 'KYC record not found', code: 'KYC_NOT_FOUND' };
+        }
+        if (current.verification_status !== 'pending') {
+          return { success: false, error: 'Only pending cases can be claimed', code: 'NOT_PENDING' };
+        }
+        if (current.claimed_by && current.claimed_by !== userId) {
+          return { success: false, error: 'This case is already claimed by another reviewer', code: 'ALREADY_CLAIMED' };
+        }
+
+        const { rows } = await tx.query(
+          `UPDATE kyc_submissions
+           SET claimed_by = $2, claimed_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING *;`,
+          [kycId, userId]
+        );
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_submissions',
+          recordId: kycId,
+          action: 'UPDATE',
+          oldValues: current,
+          newValues: rows[0],
+          userId: context.userId || userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return { success: true, claimedBy: rows[0].claimed_by, claimedAt: rows[0].claimed_at };
+      }, client);
+    } catch (error) {
+      console.error('Claim KYC error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Release a reviewer's claim on a case
+   * @param {string} kycId - KYC UUID
+   * @param {string} userId - Reviewer's user ID
+   * @param {boolean} force - Release another reviewer's claim (supervisors)
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - { success } or { success: false, error, code }
+   */
+  release: async (kycId, userId, force = false, context = {}, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM kyc_submissions WHERE id = $1 FOR UPDATE;',
+          [kycId]
+        );
+        const current = before.rows[0];
+
+        if (!current) {
+          return { success: false, error: 'KYC record not found', code: 'KYC_NOT_FOUND' };
+        }
+        if (!current.claimed_by) {
+          return { success: true };
+        }
+        if (current.claimed_by !== userId && !force) {
+          return { success: false, error: 'This case is claimed by another reviewer', code: 'CLAIMED_BY_OTHER' };
+        }
+
+        const { rows } = await tx.query(
+          `UPDATE kyc_submissions
+           SET claimed_by = NULL, claimed_at = NULL
+           WHERE id = $1
+           RETURNING *;`,
+          [kycId]
+        );
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_submissions',
+          recordId: kycId,
+          action: 'UPDATE',
+          oldValues: current,
+          newValues: rows[0],
+          userId: context.userId || userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return { success: true };
+      }, client);
+    } catch (error) {
+      console.error('Release KYC error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Decrypt one identifier of a case for a reviewer, recording a REVEAL in the audit log
+   * @param {string} kycId - KYC UUID
+   * @param {string} field - Field name (see REVEALABLE_FIELDS)
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @returns {Promise<object>} - { field, value }, or undefined if not found
+   */
+  revealIdentifier: async (kycId, field, context = {}) => {
+    const column = REVEALABLE_FIELDS[field];
+    if (!column) {
+      throw new Error(`${field} cannot be revealed`);
+    }
+
+    try {
+      return await db.transaction(async (tx) => {
+        const { rows } = await tx.query(
+          `SELECT id, ${column}, data_key FROM kyc_submissions WHERE id = $1;`,
+          [kycId]
+        );
+        if (!rows[0]) return undefined;
+
+        const dataKey = await openDataKey(rows[0]);
+        const value = decryptColumn(dataKey, kycId, column, rows[0][column]);
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_submissions',
+          recordId: kycId,
+          action: 'REVEAL',
+          newValues: { field: column },
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return { field, value };
+      });
+    } catch (error) {
+      console.error('Reveal KYC identifier error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the facts a submission's risk is scored on
+   * @param {string} kycId - KYC UUID
+   * @param {number|null} velocityWindowHours - Hours before the submission to count other
+   *   submissions from its IP address over; null to skip the count
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object|undefined>} - Facts for the risk engine (src/shared/risk/RiskEngine.js)
+   */
+  getRiskFacts: async (kycId, velocityWindowHours = null, client = null) => {
+    try {
+      const query = `
+        SELECT k.politically_exposed_person, k.nationality, k.country, k.occupation, k.date_of_birth,
+               k.city, k.state, k.postal_code, k.created_at,
+               c.nationality AS customer_nationality, c.employment_status, c.annual_income, c.account_type,
+               COALESCE((
+                 SELECT json_agg(json_build_object(
+                   'type', ca.address_type, 'city', ca.city, 'state', ca.state, 'postalCode', ca.postal_code
+                 ))
+                 FROM customer_addresses ca
+                 WHERE ca.customer_id = k.customer_id
+               ), '[]'::json) AS addresses,
+               CASE WHEN $2::int IS NULL OR k.ip_address IS NULL THEN 0 ELSE (
+                 SELECT COUNT(*)::int FROM kyc_submissions o
+                 WHERE o.ip_address = k.ip_address
+                   AND o.id <> k.id
+                   AND o.created_at BETWEEN k.created_at - make_interval(hours => $2::int) AND k.created_at
+               ) END AS submissions_from_ip
+        FROM kyc_submissions k
+        LEFT JOIN customer_forms c ON c.id = k.customer_id
+        WHERE k.id = $1;
+      `;
+
+      const { rows } = await db.transaction((tx) => tx.query(query, [kycId, velocityWindowHours]), client);
+      const row = rows[0];
+      if (!row) return undefined;
+
+      return {
+        politicallyExposedPerson: row.politically_exposed_person,
+        nationality: row.nationality || row.customer_nationality,
+        country: row.country,
+        occupation: row.occupation,
+        employmentStatus: row.employment_status,
+        dateOfBirth: row.date_of_birth,
+        annualIncome: row.annual_income,
+        accountType: row.account_type,
+        kycAddress: { city: row.city, state: row.state, postalCode: row.postal_code },
+        addresses: row.addresses,
+        submissionsFromIp: row.submissions_from_ip,
+        submittedAt: row.created_at,
+      };
+    } catch (error) {
+      console.error('Get risk facts error:', error);
+      throw error;
+    }
+  },
+
   /**
    * Update risk assessment
    * @param {string} kycId - KYC UUID
-   * @param {string} riskLevel - Risk level (low, medium, high)
+   * @param {object} assessment - { level, score, reasons, rulesVersion } from the risk engine
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
    * @returns {Promise<object>} - Updated KYC record
    */
-  updateRiskAssessment: async (kycId, riskLevel) => {
+  updateRiskAssessment: async (kycId, assessment, context = {}, client = null) => {
     try {
       const query = `
         UPDATE kyc_submissions
-        SET risk_assessment = $1
-        WHERE id = $2
-        RETURNING id, risk_assessment;
+        SET risk_assessment = $1,
+            risk_score = $2,
+            risk_reasons = $3,
+            risk_rules_version = $4,
+            risk_assessed_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING *;
       `;
 
-      return await db.queryOne(query, [riskLevel, kycId]);
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM kyc_submissions WHERE id = $1 FOR UPDATE;',
+          [kycId]
+        );
+        if (!before.rows[0]) return undefined;
+
+        const { rows } = await tx.query(query, [
+          assessment.level,
+          assessment.score,
+          JSON.stringify(assessment.reasons || []),
+          assessment.rulesVersion || null,
+          kycId,
+        ]);
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_submissions',
+          recordId: kycId,
+          action: 'UPDATE',
+          oldValues: before.rows[0],
+          newValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return {
+          id: rows[0].id,
+          risk_assessment: rows[0].risk_assessment,
+          risk_score: rows[0].risk_score,
+          risk_reasons: rows[0].risk_reasons,
+          risk_rules_version: rows[0].risk_rules_version,
+        };
+      }, client);
     } catch (error) {
       console.error('Update risk assessment error:', error);
       throw error;
@@ -306,27 +815,146 @@ const KYCModel = {
   },
 
   /**
-   * Get all KYC submissions (paginated)
+   * Mark the applicant of a submission as a politically exposed person, e.g. once a PEP
+   * watchlist match is confirmed
+   * @param {string} kycId - KYC UUID
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<boolean>} - Whether the submission exists
+   */
+  markPoliticallyExposed: async (kycId, context = {}, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM kyc_submissions WHERE id = $1 FOR UPDATE;',
+          [kycId]
+        );
+        if (!before.rows[0]) return false;
+        if (before.rows[0].politically_exposed_person) return true;
+
+        const { rows } = await tx.query(
+          'UPDATE kyc_submissions SET politically_exposed_person = TRUE WHERE id = $1 RETURNING *;',
+          [kycId]
+        );
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_submissions',
+          recordId: kycId,
+          action: 'UPDATE',
+          oldValues: before.rows[0],
+          newValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return true;
+      }, client);
+    } catch (error) {
+      console.error('Mark politically exposed error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Point a submission at its uploaded documents
+   * @param {string} kycId - KYC UUID
+   * @param {string} url - Where reviewers list the documents
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<boolean>} - Whether the submission exists
+   */
+  setDocumentUrl: async (kycId, url, context = {}, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM kyc_submissions WHERE id = $1 FOR UPDATE;',
+          [kycId]
+        );
+        if (!before.rows[0]) return false;
+
+        const { rows } = await tx.query(
+          'UPDATE kyc_submissions SET document_url = $2 WHERE id = $1 RETURNING *;',
+          [kycId, url]
+        );
+
+        await AuditLogModel.record(tx, {
+          tableName: 'kyc_submissions',
+          recordId: kycId,
+          action: 'UPDATE',
+          oldValues: before.rows[0],
+          newValues: rows[0],
+          userId: context.userId,
+          ipAddress: context.ipAddress,
+        });
+
+        return true;
+      }, client);
+    } catch (error) {
+      console.error('Set KYC document URL error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Score a submission's risk with the risk rules and store the result
+   * Used when a submission is created and to re-score it after the rules change
+   * @param {string} kycId - KYC UUID
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @param {object} rules - Rule configuration (src/shared/risk/riskRules.json by default)
+   * @returns {Promise<object|undefined>} - Updated KYC record, or undefined if it does not exist
+   */
+  scoreRisk: async (kycId, context = {}, client = null, rules = DEFAULT_RULES) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const facts = await KYCModel.getRiskFacts(kycId, getVelocityWindowHours(rules), tx);
+        if (!facts) return undefined;
+
+        return KYCModel.updateRiskAssessment(kycId, assessRisk(facts, rules), context, tx);
+      }, client);
+    } catch (error) {
+      console.error('Score risk error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all KYC submissions (paginated), as the review queue
    * @param {number} limit - Records per page
    * @param {number} offset - Pagination offset
    * @param {string} status - Filter by verification status
-   * @returns {Promise<array>} - Array of KYC records
+   * @param {object} filters - { risk, pep, olderThanDays, screening, oldestFirst }
+   * @returns {Promise<array>} - Array of KYC records with the applicant's name, the
+   *   application reference, the claiming reviewer's email, whether a decision is
+   *   awaiting approval and the number of unresolved screening hits
    */
-  getAll: async (limit = 20, offset = 0, status = null) => {
+  getAll: async (limit = 20, offset = 0, status = null, filters = {}) => {
     try {
-      const statusFilter = status ? 'AND verification_status = $3' : '';
+      const { clause, params } = buildQueueFilter(status, filters);
       const query = `
-        SELECT id, customer_id, gov_id_type, date_of_birth, nationality,
-               city, state, country, politically_exposed_person,
-               verification_status, risk_assessment, created_at, updated_at
-        FROM kyc_submissions
-        WHERE 1=1 ${statusFilter}
-        ORDER BY created_at DESC
-        LIMIT $1 OFFSET $2;
+        SELECT k.id, k.customer_id, k.gov_id_type, k.date_of_birth, k.nationality,
+               k.city, k.state, k.country, k.politically_exposed_person,
+               k.verification_status, k.risk_assessment, k.risk_score, k.claimed_by, k.claimed_at,
+               k.created_at, k.updated_at,
+               c.first_name, c.last_name, a.reference, u.email AS claimed_by_email,
+               EXISTS (
+                 SELECT 1 FROM pending_actions p
+                 WHERE p.action_type = 'kyc_decision' AND p.record_id = k.id AND p.status = 'pending'
+               ) AS awaiting_approval,
+               (
+                 SELECT COUNT(*)::int FROM screening_results s
+                 WHERE s.kyc_id = k.id AND s.status = 'potential_match'
+               ) AS open_screening_hits
+        FROM kyc_submissions k
+        LEFT JOIN customer_forms c ON c.id = k.customer_id
+        LEFT JOIN applications a ON a.kyc_id = k.id
+        LEFT JOIN users u ON u.id::text = k.claimed_by
+        ${clause}
+        ORDER BY k.created_at ${filters.oldestFirst ? 'ASC' : 'DESC'}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2};
       `;
 
-      const params = status ? [limit, offset, status] : [limit, offset];
-      return await db.queryAll(query, params);
+      return await db.queryAll(query, [...params, limit, offset]);
     } catch (error) {
       console.error('Get all KYC error:', error);
       throw error;
@@ -336,17 +964,17 @@ const KYCModel = {
   /**
    * Count KYC submissions
    * @param {string} status - Filter by status
+   * @param {object} filters - { risk, pep, olderThanDays, screening }
    * @returns {Promise<number>} - Total count
    */
-  count: async (status = null) => {
+  count: async (status = null, filters = {}) => {
     try {
-      const statusFilter = status ? 'AND verification_status = $1' : '';
+      const { clause, params } = buildQueueFilter(status, filters);
       const query = `
-        SELECT COUNT(*) as count FROM kyc_submissions
-        WHERE 1=1 ${statusFilter};
+        SELECT COUNT(*) as count FROM kyc_submissions k
+        ${clause};
       `;
 
-      const params = status ? [status] : [];
       const result = await db.queryOne(query, params);
       return parseInt(result.count, 10);
     } catch (error) {
@@ -354,6 +982,38 @@ const KYCModel = {
       throw error;
     }
   },
+
+  /**
+   * Get a case for review, with its applicant and application
+   * @param {string} kycId - KYC UUID
+   * @returns {Promise<object>} - KYC record with decrypted identifiers, the applicant's
+   *   name and contact details, the application and the claiming reviewer's email
+   */
+  getForReview: async (kycId) => {
+    try {
+      const query = `
+        SELECT k.id, k.customer_id, k.pan, k.gov_id, k.aadhaar_number, k.data_key, k.gov_id_type,
+               k.date_of_birth, k.nationality, k.kyc_address, k.city, k.state, k.postal_code,
+               k.country, k.occupation, k.politically_exposed_person, k.risk_assessment,
+               k.risk_score, k.risk_reasons, k.risk_rules_version, k.risk_assessed_at, k.screened_at, k.document_url, k.verification_status, k.reason_code, k.verification_notes,
+               k.verified_by, k.verified_at, k.claimed_by, k.claimed_at, k.created_at, k.updated_at,
+               c.first_name, c.last_name, c.email, c.phone_number,
+               a.id AS application_id, a.reference, a.status AS application_status,
+               u.email AS claimed_by_email
+        FROM kyc_submissions k
+        LEFT JOIN customer_forms c ON c.id = k.customer_id
+        LEFT JOIN applications a ON a.kyc_id = k.id
+        LEFT JOIN users u ON u.id::text = k.claimed_by
+        WHERE k.id = $1;
+      `;
+
+      const result = await db.queryOne(query, [kycId]);
+      return result ? await decryptRow(result) : result;
+    } catch (error) {
+      console.error('Get KYC for review error:', error);
+      throw error;
+    }
+  },
 };
 
 module.exports = KYCModel;
@@ -0,0 +1,214 @@
+/**
+ * Pending Action Model
+ * Database operations for maker-checker proposals
+ *
+ * A maker's proposal is stored here until a checker approves or rejects it; `decide`
+ * enforces the rules in src/shared/review/PendingActions.js. Applying an approved change
+ * is left to the caller, inside the same transaction.
+ */
+
+const db = require('../config');
+const AuditLogModel = require('./AuditLogModel');
+const {
+  ACTION_STATUSES,
+  checkApprover,
+} = require('../../src/shared/review/PendingActions');
+
+/**
+ * Columns of a proposal, with the maker's and checker's emails and the customer it concerns
+ */
+const ACTION_SELECT = `
+  SELECT p.id, p.action_type, p.record_id, p.proposed_values, p.status,
+         p.maker_id, p.checker_id, p.checker_note, p.created_at, p.decided_at,
+         m.email AS maker_email, ch.email AS checker_email,
+         c.id AS customer_id, c.first_name, c.last_name
+  FROM pending_actions p
+  LEFT JOIN users m ON m.id::text = p.maker_id
+  LEFT JOIN users ch ON ch.id::text = p.checker_id
+  LEFT JOIN kyc_submissions k ON p.action_type = 'kyc_decision' AND k.id = p.record_id
+  LEFT JOIN applications a ON p.action_type = 'application_status' AND a.id = p.record_id
+  LEFT JOIN customer_forms c ON c.id = COALESCE(k.customer_id, a.customer_id, CASE WHEN p.action_type = 'customer_status' THEN p.record_id END)
+`;
+
+const PendingActionModel = {
+  /**
+   * Propose a change, unless the record already has one awaiting approval
+   * @param {object} action - { actionType, recordId, proposedValues, makerId }
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - { success, action } or { success: false, error, code }
+   */
+  create: async (action, context = {}, client = null) => {
+    const { actionType, recordId, proposedValues, makerId } = action;
+
+    try {
+      return await db.transaction(async (tx) => {
+        // idx_pending_actions_open allows one open proposal per record, so of two concurrent
+        // proposals the second inserts nothing rather than failing the transaction
+        const { rows } = await tx.query(
+          `INSERT INTO pending_actions (action_type, record_id, proposed_values, maker_id)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (action_type, record_id) WHERE status = 'pending' DO NOTHING
+           RETURNING *;`,
+          [actionType, recordId, JSON.stringify(proposedValues), makerId]
+        );
+        if (!rows[0]) {
+          return {
+            success: false,
+            error: 'A change to this record is already awaiting approval',
+            code: 'ACTION_PENDING',
+          };
+        }
+
+        await AuditLogModel.record(tx, {
+          tableName: 'pending_actions',
+          recordId: rows[0].id,
+          action: 'INSERT',
+          newValues: rows[0],
+          userId: context.userId || makerId,
+          ipAddress: context.ipAddress,
+        });
+
+        return { success: true, action: rows[0] };
+      }, client);
+    } catch (error) {
+      console.error('Pending action creation error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Approve or reject a proposal
+   * @param {string} actionId - Pending action UUID
+   * @param {string} decision - approved or rejected
+   * @param {object} checker - { id, role } of the user deciding
+   * @param {string} note - Checker's note
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - { success, action } or { success: false, error, code }
+   */
+  decide: async (actionId, decision, checker, note = null, context = {}, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM pending_actions WHERE id = $1 FOR UPDATE;',
+          [actionId]
+        );
+        const current = before.rows[0];
+
+        if (!current) {
+          return { success: false, error: 'Pending action not found', code: 'ACTION_NOT_FOUND' };
+        }
+
+        const refusal = checkApprover({
+          actionType: current.action_type,
+          status: current.status,
+          makerId: current.maker_id,
+        }, checker);
+        if (refusal) {
+          return { success: false, error: refusal.message, code: refusal.code };
+        }
+
+        const { rows } = await tx.query(
+          `UPDATE pending_actions
+           SET status = $2, checker_id = $3, checker_note = $4, decided_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING *;`,
+          [actionId, decision, checker.id, note || null]
+        );
+
+        await AuditLogModel.record(tx, {
+          tableName: 'pending_actions',
+          recordId: actionId,
+          action: 'UPDATE',
+          oldValues: current,
+          newValues: rows[0],
+          userId: context.userId || checker.id,
+          ipAddress: context.ipAddress,
+        });
+
+        return { success: true, action: rows[0] };
+      }, client);
+    } catch (error) {
+      console.error('Pending action decision error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a proposal by ID
+   * @param {string} actionId - Pending action UUID
+   * @returns {Promise<object>} - Pending action record
+   */
+  getById: async (actionId) => {
+    try {
+      return await db.queryOne(`${ACTION_SELECT} WHERE p.id = $1;`, [actionId]);
+    } catch (error) {
+      console.error('Get pending action error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the proposal awaiting approval for a record, if any
+   * @param {string} actionType - Type of change
+   * @param {string} recordId - Record UUID
+   * @returns {Promise<object>} - Pending action record
+   */
+  getOpenFor: async (actionType, recordId) => {
+    try {
+      return await db.queryOne(
+        `${ACTION_SELECT} WHERE p.action_type = $1 AND p.record_id = $2 AND p.status = $3;`,
+        [actionType, recordId, ACTION_STATUSES.PENDING]
+      );
+    } catch (error) {
+      console.error('Get open pending action error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get proposals (paginated)
+   * @param {object} filters - { status, actionType }
+   * @param {number} limit - Number of records per page
+   * @param {number} offset - Pagination offset
+   * @returns {Promise<array>} - Pending action records, oldest first
+   */
+  getAll: async (filters = {}, limit = 20, offset = 0) => {
+    try {
+      return await db.queryAll(
+        `${ACTION_SELECT}
+         WHERE ($1::varchar IS NULL OR p.status = $1)
+           AND ($2::varchar IS NULL OR p.action_type = $2)
+         ORDER BY p.created_at
+         LIMIT $3 OFFSET $4;`,
+        [filters.status || null, filters.actionType || null, limit, offset]
+      );
+    } catch (error) {
+      console.error('Get all pending actions error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Count proposals
+   * @param {object} filters - { status, actionType }
+   * @returns {Promise<number>} - Pending action count
+   */
+  count: async (filters = {}) => {
+    try {
+      const result = await db.queryOne(
+        `SELECT COUNT(*) AS count FROM pending_actions
+         WHERE ($1::varchar IS NULL OR status = $1)
+           AND ($2::varchar IS NULL OR action_type = $2);`,
+        [filters.status || null, filters.actionType || null]
+      );
+      return parseInt(result.count, 10);
+    } catch (error) {
+      console.error('Count pending actions error:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = PendingActionModel;
@@ -0,0 +1,301 @@
+/**
+ * Screening Model
+ * Database operations for watchlist screening of KYC submissions
+ *
+ * `screen` matches a submission's applicant against the watchlist entries and records
+ * each potential match (src/shared/screening/Screening.js) in screening_results, where
+ * a reviewer resolves it as a true or false positive. Screening again keeps the hits
+ * already recorded, with their resolution. A submission's screened_at is the time up to
+ * which changed entries have been screened; rescreen-customers.js screens the customer
+ * base against entries changed since with `screenAgainst`.
+ */
+
+const db = require('../config');
+const AuditLogModel = require('./AuditLogModel');
+const WatchlistModel = require('./WatchlistModel');
+const { nameKeys } = require('../../src/shared/screening/NameMatching');
+const {
+  MATCH_THRESHOLD,
+  SCREENING_STATUSES,
+  scoreCandidate,
+  isBlocking,
+} = require('../../src/shared/screening/Screening');
+
+/**
+ * Lock a KYC submission and read the applicant it screens
+ * @param {object} tx - pg client of the enclosing transaction
+ * @param {string} kycId - KYC UUID
+ * @returns {Promise<object|undefined>} - { name, dateOfBirth, nationality }, or undefined if
+ *   the submission does not exist
+ */
+const lockSubject = async (tx, kycId) => {
+  const { rows } = await tx.query(
+    `SELECT k.id, k.date_of_birth, k.nationality, c.first_name, c.last_name,
+            c.nationality AS customer_nationality
+     FROM kyc_submissions k
+     LEFT JOIN customer_forms c ON c.id = k.customer_id
+     WHERE k.id = $1
+     FOR UPDATE OF k;`,
+    [kycId]
+  );
+  const row = rows[0];
+  if (!row) return undefined;
+
+  return {
+    name: [row.first_name, row.last_name].filter(Boolean).join(' '),
+    dateOfBirth: row.date_of_birth,
+    nationality: row.nationality || row.customer_nationality,
+  };
+};
+
+/**
+ * Score a subject against candidate entries and record each potential match not
+ * recorded before
+ * @param {object} tx - pg client of the enclosing transaction
+ * @param {string} kycId - KYC UUID
+ * @param {object} subject - { name, dateOfBirth, nationality }
+ * @param {array} candidates - Watchlist entries
+ * @param {object} context - Audit context ({ userId, ipAddress })
+ * @returns {Promise<array>} - screening_results rows recorded
+ */
+const recordHits = async (tx, kycId, subject, candidates, context) => {
+  const newHits = [];
+
+  for (const entry of candidates) {
+    const match = scoreCandidate(subject, entry);
+    if (match.score < MATCH_THRESHOLD) continue;
+
+    const { rows } = await tx.query(
+      `INSERT INTO screening_results (
+         kyc_id, list_name, list_type, entry_ref, matched_name, score, match_details
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (kyc_id, list_name, entry_ref) DO NOTHING
+       RETURNING *;`,
+      [
+        kycId,
+        entry.listName,
+        entry.listType,
+        entry.entryRef,
+        match.matchedName.substring(0, 500),
+        match.score,
+        JSON.stringify({
+          nameScore: match.nameScore,
+          dateOfBirth: match.dateOfBirth,
+          nationality: match.nationality,
+          entry: {
+            primaryName: entry.primaryName,
+            names: entry.names,
+            datesOfBirth: entry.datesOfBirth,
+            nationalities: entry.nationalities,
+          },
+        }),
+      ]
+    );
+    if (!rows[0]) continue;
+
+    await AuditLogModel.record(tx, {
+      tableName: 'screening_results',
+      recordId: rows[0].id,
+      action: 'INSERT',
+      newValues: rows[0],
+      userId: context.userId,
+      ipAddress: context.ipAddress,
+    });
+    newHits.push(rows[0]);
+  }
+
+  return newHits;
+};
+
+const ScreeningModel = {
+  /**
+   * Screen a KYC submission's applicant against the watchlists
+   * @param {string} kycId - KYC UUID
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object|undefined>} - { screenedAt, newHits } with the hits recorded by
+   *   this screening, or undefined if the submission does not exist
+   */
+  screen: async (kycId, context = {}, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const subject = await lockSubject(tx, kycId);
+        if (!subject) return undefined;
+
+        const candidates = await WatchlistModel.findCandidates(nameKeys([subject.name]), tx);
+        const newHits = await recordHits(tx, kycId, subject, candidates, context);
+
+        const screened = await tx.query(
+          'UPDATE kyc_submissions SET screened_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING screened_at;',
+          [kycId]
+        );
+
+        return { screenedAt: screened.rows[0].screened_at, newHits };
+      }, client);
+    } catch (error) {
+      console.error('Screening error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Screen a KYC submission against some entries only, e.g. those a list refresh added
+   * or changed, and record that entries changed up to screenedThrough have been screened
+   * @param {string} kycId - KYC UUID
+   * @param {array} candidates - Watchlist entries, already narrowed to those sounding alike
+   * @param {Date} screenedThrough - Every entry changed up to this has now been screened
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object|undefined>} - { screenedAt, newHits }, or undefined if the
+   *   submission does not exist
+   */
+  screenAgainst: async (kycId, candidates, screenedThrough, context = {}, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const subject = await lockSubject(tx, kycId);
+        if (!subject) return undefined;
+
+        const newHits = await recordHits(tx, kycId, subject, candidates, context);
+
+        const screened = await tx.query(
+          `UPDATE kyc_submissions SET screened_at = GREATEST(screened_at, $2::timestamptz)
+           WHERE id = $1
+           RETURNING screened_at;`,
+          [kycId, screenedThrough]
+        );
+
+        return { screenedAt: screened.rows[0].screened_at, newHits };
+      }, client);
+    } catch (error) {
+      console.error('Screening against entries error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a batch of customers, in id order, whose latest KYC submission has not been
+   * screened against the entries changed up to a time
+   * @param {string} afterCustomerId - Customers after this one
+   * @param {Date} until - Entries changed up to this
+   * @param {number} limit - Batch size
+   * @returns {Promise<array>} - Rows with customer_id, first_name, last_name, kyc_id and screened_at
+   */
+  getCustomersToRescreen: async (afterCustomerId, until, limit) => {
+    try {
+      return await db.queryAll(
+        `SELECT c.id AS customer_id, c.first_name, c.last_name, k.id AS kyc_id, k.screened_at
+         FROM customer_forms c
+         JOIN LATERAL (
+           SELECT id, screened_at FROM kyc_submissions
+           WHERE customer_id = c.id
+           ORDER BY created_at DESC
+           LIMIT 1
+         ) k ON TRUE
+         WHERE c.id > $1 AND (k.screened_at IS NULL OR k.screened_at < $2)
+         ORDER BY c.id
+         LIMIT $3;`,
+        [afterCustomerId, until, limit]
+      );
+    } catch (error) {
+      console.error('Get customers to re-screen error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the screening hits of a KYC submission, unresolved ones first, then by score
+   * @param {string} kycId - KYC UUID
+   * @returns {Promise<array>} - screening_results rows with the resolving reviewer's email
+   */
+  getByKycId: async (kycId) => {
+    try {
+      return await db.queryAll(
+        `SELECT s.*, u.email AS resolved_by_email
+         FROM screening_results s
+         LEFT JOIN users u ON u.id::text = s.resolved_by
+         WHERE s.kyc_id = $1
+         ORDER BY (s.status = $2) DESC, s.score DESC, s.created_at;`,
+        [kycId, SCREENING_STATUSES.POTENTIAL_MATCH]
+      );
+    } catch (error) {
+      console.error('Get screening results error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Resolve a potential match as a true or false positive
+   * @param {string} resultId - Screening result UUID
+   * @param {object} resolution - { status, note, resolvedBy }
+   * @param {object} context - Audit context ({ userId, ipAddress })
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - { success, result } or { success: false, error, code }
+   */
+  resolve: async (resultId, resolution, context = {}, client = null) => {
+    try {
+      return await db.transaction(async (tx) => {
+        const before = await tx.query(
+          'SELECT * FROM screening_results WHERE id = $1 FOR UPDATE;',
+          [resultId]
+        );
+        const current = before.rows[0];
+
+        if (!current) {
+          return { success: false, error: 'Screening result not found', code: 'RESULT_NOT_FOUND' };
+        }
+        if (current.status !== SCREENING_STATUSES.POTENTIAL_MATCH) {
+          return { success: false, error: 'This hit has already been resolved', code: 'RESULT_RESOLVED' };
+        }
+
+        const { rows } = await tx.query(
+          `UPDATE screening_results
+           SET status = $2, resolution_note = $3, resolved_by = $4, resolved_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING *;`,
+          [resultId, resolution.status, resolution.note, resolution.resolvedBy]
+        );
+
+        await AuditLogModel.record(tx, {
+          tableName: 'screening_results',
+          recordId: resultId,
+          action: 'UPDATE',
+          oldValues: current,
+          newValues: rows[0],
+          userId: context.userId || resolution.resolvedBy,
+          ipAddress: context.ipAddress,
+        });
+
+        return { success: true, result: rows[0] };
+      }, client);
+    } catch (error) {
+      console.error('Resolve screening result error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the hits that stop a submission being verified or a customer approved
+   * (see isBlocking in src/shared/screening/Screening.js)
+   * @param {object} subject - { kycId } for one submission, or { customerId } for all of a customer's
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<array>} - screening_results rows
+   */
+  getBlocking: async (subject, client = null) => {
+    try {
+      const { rows } = await db.transaction((tx) => tx.query(
+        `SELECT s.*
+         FROM screening_results s
+         JOIN kyc_submissions k ON k.id = s.kyc_id
+         WHERE (k.id = $1 OR k.customer_id = $2) AND s.status <> $3;`,
+        [subject.kycId || null, subject.customerId || null, SCREENING_STATUSES.FALSE_POSITIVE]
+      ), client);
+      return rows.filter((row) => isBlocking({ status: row.status, listType: row.list_type }));
+    } catch (error) {
+      console.error('Get blocking screening results error:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = ScreeningModel;
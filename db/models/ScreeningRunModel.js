@@ -0,0 +1,144 @@
+/**
+ * Screening Run Model
+ * Database operations for the runs of rescreen-customers.js, which screen the customer
+ * base against the watchlist entries added or changed since the previous run
+ *
+ * A run covers the entries changed after the last completed run's entries_until and up to
+ * its own, and records how far it got after every batch, so an interrupted run is resumed
+ * rather than started again. At most one run is in progress.
+ */
+
+const db = require('../config');
+
+const RUN_STATUSES = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+};
+
+const ScreeningRunModel = {
+  RUN_STATUSES,
+
+  /**
+   * Resume the run in progress, or start one covering the entries changed since the last
+   * completed run
+   * @returns {Promise<object>} - { run, resumed }
+   */
+  start: async () => {
+    try {
+      return await db.transaction(async (tx) => {
+        const running = await tx.query(
+          'SELECT * FROM screening_runs WHERE status = $1 FOR UPDATE;',
+          [RUN_STATUSES.RUNNING]
+        );
+        if (running.rows[0]) {
+          return { run: running.rows[0], resumed: true };
+        }
+
+        const { rows } = await tx.query(
+          `WITH previous AS (
+             SELECT MAX(entries_until) AS until FROM screening_runs WHERE status = $1
+           )
+           INSERT INTO screening_runs (entries_since, entries_until, delta_entries)
+           SELECT previous.until, CURRENT_TIMESTAMP, (
+             SELECT COUNT(*)::int FROM watchlist_entries w
+             WHERE (previous.until IS NULL OR w.changed_at > previous.until)
+               AND w.changed_at <= CURRENT_TIMESTAMP
+           )
+           FROM previous
+           RETURNING *;`,
+          [RUN_STATUSES.COMPLETED]
+        );
+
+        return { run: rows[0], resumed: false };
+      });
+    } catch (error) {
+      console.error('Start screening run error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record a finished batch; call it in the batch's transaction so the resume point
+   * never runs ahead of the screening
+   * @param {string} runId - Run UUID
+   * @param {object} progress - { lastCustomerId, customersScreened, customersWithHits, newHits }
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - Updated run
+   */
+  recordBatch: async (runId, progress, client = null) => {
+    try {
+      const { rows } = await db.transaction((tx) => tx.query(
+        `UPDATE screening_runs
+         SET last_customer_id = $2,
+             customers_screened = customers_screened + $3,
+             customers_with_hits = customers_with_hits + $4,
+             new_hits = new_hits + $5,
+             last_error = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *;`,
+        [runId, progress.lastCustomerId, progress.customersScreened, progress.customersWithHits, progress.newHits]
+      ), client);
+      return rows[0];
+    } catch (error) {
+      console.error('Record screening run batch error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a run completed; the next run covers the entries changed after its entries_until
+   * @param {string} runId - Run UUID
+   * @returns {Promise<object>} - Completed run
+   */
+  complete: async (runId) => {
+    try {
+      return await db.queryOne(
+        `UPDATE screening_runs
+         SET status = $2, last_error = NULL, updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *;`,
+        [runId, RUN_STATUSES.COMPLETED]
+      );
+    } catch (error) {
+      console.error('Complete screening run error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record why a run stopped; it stays in progress, to be resumed
+   * @param {string} runId - Run UUID
+   * @param {string} message - Error message
+   */
+  recordError: async (runId, message) => {
+    try {
+      await db.query(
+        'UPDATE screening_runs SET last_error = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1;',
+        [runId, String(message).substring(0, 1000)]
+      );
+    } catch (error) {
+      console.error('Record screening run error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the latest runs, newest first
+   * @param {number} limit - Number of runs
+   * @returns {Promise<array>} - screening_runs rows
+   */
+  getRecent: async (limit = 20) => {
+    try {
+      return await db.queryAll(
+        'SELECT * FROM screening_runs ORDER BY started_at DESC LIMIT $1;',
+        [limit]
+      );
+    } catch (error) {
+      console.error('Get screening runs error:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = ScreeningRunModel;
@@ -0,0 +1,111 @@
+/**
+ * User Model
+ * Database operations for back-office user accounts (reviewers, supervisors, admins)
+ */
+
+const db = require('../config');
+
+const UserModel = {
+  /**
+   * Create a new user account
+   * @param {object} userData - User data with an already-hashed password
+   * @returns {Promise<object>} - Created user record
+   */
+  create: async (userData) => {
+    try {
+      const { email, passwordHash, fullName, role } = userData;
+
+      const query = `
+        INSERT INTO users (email, password_hash, full_name, role)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, email, full_name, role, created_at;
+      `;
+
+      const result = await db.queryOne(query, [
+        email.toLowerCase(),
+        passwordHash,
+        fullName || null,
+        role,
+      ]);
+
+      return {
+        success: true,
+        user: result,
+      };
+    } catch (error) {
+      console.error('User creation error:', error);
+      if (error.code === '23505') {
+        // Unique constraint violation (email already exists)
+        return {
+          success: false,
+          error: 'Email already registered',
+          code: 'DUPLICATE_EMAIL',
+        };
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Get user by ID
+   * @param {string} userId - User UUID
+   * @returns {Promise<object>} - User record (without password hash)
+   */
+  getById: async (userId) => {
+    try {
+      const query = `
+        SELECT id, email, full_name, role, is_active, last_login_at, created_at
+        FROM users
+        WHERE id = $1;
+      `;
+
+      return await db.queryOne(query, [userId]);
+    } catch (error) {
+      console.error('Get user error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get user by email, including the password hash for credential checks
+   * @param {string} email - User email
+   * @returns {Promise<object>} - User record
+   */
+  getByEmailWithPassword: async (email) => {
+    try {
+      const query = `
+        SELECT id, email, full_name, role, is_active, password_hash
+        FROM users
+        WHERE email = $1;
+      `;
+
+      return await db.queryOne(query, [String(email).toLowerCase()]);
+    } catch (error) {
+      console.error('Get user by email error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record a successful login
+   * @param {string} userId - User UUID
+   * @returns {Promise<object>} - Updated user record
+   */
+  touchLastLogin: async (userId) => {
+    try {
+      const query = `
+        UPDATE users
+        SET last_login_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, last_login_at;
+      `;
+
+      return await db.queryOne(query, [userId]);
+    } catch (error) {
+      console.error('Update last login error:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = UserModel;
@@ -0,0 +1,162 @@
+/**
+ * Watchlist Model
+ * Database operations for the sanctions and PEP watchlist entries applicants are
+ * screened against; lists are loaded from their files with load-watchlists.js
+ *
+ * Loading a list keeps the entries it still has, stamping changed_at only on those added
+ * or changed, so rescreen-customers.js can screen the customer base against the delta.
+ */
+
+const db = require('../config');
+const { nameKeys } = require('../../src/shared/screening/NameMatching');
+
+/**
+ * Entries inserted per statement when a list is loaded
+ */
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * Map a watchlist_entries row onto the entry shape of src/shared/screening/WatchlistFormats.js
+ * @param {object} row - Database row
+ * @returns {object} - { listName, listType, entryRef, primaryName, names, datesOfBirth, nationalities, changedAt }
+ */
+const toEntry = (row) => ({
+  listName: row.list_name,
+  listType: row.list_type,
+  entryRef: row.entry_ref,
+  primaryName: row.primary_name,
+  names: row.names,
+  datesOfBirth: row.dates_of_birth,
+  nationalities: row.nationalities,
+  changedAt: row.changed_at,
+});
+
+const WatchlistModel = {
+  /**
+   * Replace the entries of a list with the entries of a newly loaded file: new entries are
+   * added, changed ones updated and those no longer listed removed
+   * @param {string} listName - e.g. UN, OFAC
+   * @param {string} listType - sanctions or pep
+   * @param {array} entries - Entries read by src/shared/screening/WatchlistFormats.js
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<object>} - { added, changed, unchanged, removed } entry counts
+   */
+  replaceList: async (listName, listType, entries, client = null) => {
+    try {
+      // An entry is only stamped changed_at when its list type, names, dates of birth or
+      // nationalities differ from the stored ones
+      const query = `
+        INSERT INTO watchlist_entries (
+          list_name, list_type, entry_ref, primary_name, names, name_keys, dates_of_birth, nationalities
+        )
+        SELECT $1, $2, e.entry_ref, e.primary_name, e.names,
+               ARRAY(SELECT jsonb_array_elements_text(e.name_keys)), e.dates_of_birth, e.nationalities
+        FROM jsonb_to_recordset($3::jsonb) AS e(
+          entry_ref TEXT, primary_name TEXT, names JSONB, name_keys JSONB, dates_of_birth JSONB, nationalities JSONB
+        )
+        ON CONFLICT (list_name, entry_ref) DO UPDATE
+        SET list_type = EXCLUDED.list_type,
+            primary_name = EXCLUDED.primary_name,
+            names = EXCLUDED.names,
+            name_keys = EXCLUDED.name_keys,
+            dates_of_birth = EXCLUDED.dates_of_birth,
+            nationalities = EXCLUDED.nationalities,
+            changed_at = CURRENT_TIMESTAMP
+        WHERE (watchlist_entries.list_type, watchlist_entries.names,
+               watchlist_entries.dates_of_birth, watchlist_entries.nationalities)
+          IS DISTINCT FROM (EXCLUDED.list_type, EXCLUDED.names, EXCLUDED.dates_of_birth, EXCLUDED.nationalities)
+        RETURNING (xmax = 0) AS added;
+      `;
+
+      // A file listing an entry twice keeps its first listing
+      const byRef = new Map();
+      entries.forEach((entry) => {
+        const entryRef = String(entry.entryRef).substring(0, 100);
+        if (!byRef.has(entryRef)) byRef.set(entryRef, entry);
+      });
+      const rows = Array.from(byRef, ([entryRef, entry]) => ({
+        entry_ref: entryRef,
+        primary_name: entry.primaryName.substring(0, 500),
+        names: entry.names,
+        name_keys: nameKeys(entry.names),
+        dates_of_birth: entry.datesOfBirth || [],
+        nationalities: entry.nationalities || [],
+      }));
+
+      return await db.transaction(async (tx) => {
+        let added = 0;
+        let changed = 0;
+        for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+          const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+          const result = await tx.query(query, [listName, listType, JSON.stringify(batch)]);
+          const batchAdded = result.rows.filter((row) => row.added).length;
+          added += batchAdded;
+          changed += result.rows.length - batchAdded;
+        }
+
+        const removed = await tx.query(
+          'DELETE FROM watchlist_entries WHERE list_name = $1 AND entry_ref <> ALL($2::text[]);',
+          [listName, Array.from(byRef.keys())]
+        );
+
+        return {
+          added,
+          changed,
+          unchanged: rows.length - added - changed,
+          removed: removed.rowCount,
+        };
+      }, client);
+    } catch (error) {
+      console.error('Replace watchlist error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Find the entries with a name token that sounds like one of the given keys
+   * @param {array} keys - Phonetic keys (see nameKeys in src/shared/screening/NameMatching.js)
+   * @param {object} client - Optional pg client of an enclosing transaction
+   * @returns {Promise<array>} - Candidate entries
+   */
+  findCandidates: async (keys, client = null) => {
+    try {
+      if (keys.length === 0) return [];
+
+      const { rows } = await db.transaction((tx) => tx.query(
+        `SELECT list_name, list_type, entry_ref, primary_name, names, dates_of_birth, nationalities, changed_at
+         FROM watchlist_entries
+         WHERE name_keys && $1::text[];`,
+        [keys]
+      ), client);
+      return rows.map(toEntry);
+    } catch (error) {
+      console.error('Find watchlist candidates error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the entries added or changed in a period, across every list
+   * @param {Date|null} since - Changed after this; null for every entry
+   * @param {Date} until - Changed up to this
+   * @returns {Promise<array>} - Entries, with their phonetic name keys as nameKeys
+   */
+  getChanged: async (since, until) => {
+    try {
+      const rows = await db.queryAll(
+        `SELECT list_name, list_type, entry_ref, primary_name, names, name_keys, dates_of_birth,
+                nationalities, changed_at
+         FROM watchlist_entries
+         WHERE ($1::timestamptz IS NULL OR changed_at > $1) AND changed_at <= $2
+         ORDER BY changed_at;`,
+        [since, until]
+      );
+      return rows.map((row) => Object.assign(toEntry(row), { nameKeys: row.name_keys }));
+    } catch (error) {
+      console.error('Get changed watchlist entries error:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = WatchlistModel;
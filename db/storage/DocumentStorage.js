@@ -0,0 +1,94 @@
+/**
+ * Document Storage
+ * Where uploaded KYC documents are kept. Files reach the storage already encrypted under
+ * their document's data key (see DocumentModel), so a storage backend only ever holds
+ * ciphertext; moving to an S3-compatible bucket means adding a provider here, not touching
+ * the models.
+ *
+ * A StorageProvider implements (all async):
+ *   put(key, content)  -> stores a Buffer under the key, replacing any previous content
+ *   get(key)           -> Buffer, or null if nothing is stored under the key
+ *   delete(key)        -> removes the key; removing a missing key is not an error
+ *
+ * Configuration:
+ *   DOCUMENT_STORAGE - provider name (default: local)
+ */
+
+const { createLocalStorageProvider } = require('./providers/LocalStorageProvider');
+
+/**
+ * Registered providers by name
+ */
+const PROVIDERS = {
+  local: createLocalStorageProvider,
+};
+
+const REQUIRED_METHODS = ['put', 'get', 'delete'];
+
+/**
+ * Storage keys are built from record UUIDs; anything else is refused before reaching a provider
+ */
+const KEY_FORMAT = /^[0-9a-f-]{36}\/[0-9a-f-]{36}\.[a-z]+$/;
+
+/**
+ * Check that an object implements the StorageProvider interface
+ * @param {object} provider - Candidate provider
+ * @returns {object} - The provider
+ */
+const assertStorageProvider = (provider) => {
+  const missing = REQUIRED_METHODS.filter((method) => typeof (provider && provider[method]) !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage provider is missing: ${missing.join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Create the configured storage provider
+ * @param {object} env - Configuration (defaults to process.env)
+ * @returns {object} - StorageProvider
+ */
+const createDocumentStorage = (env = process.env) => {
+  const name = env.DOCUMENT_STORAGE || 'local';
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown DOCUMENT_STORAGE "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return assertStorageProvider(factory(env));
+};
+
+let defaultStorage = null;
+
+/**
+ * Shared storage provider for the process, created on first use
+ * @returns {object} - StorageProvider
+ */
+const getDocumentStorage = () => {
+  if (!defaultStorage) {
+    defaultStorage = createDocumentStorage();
+  }
+  return defaultStorage;
+};
+
+/**
+ * Storage key of one of a document's files
+ * @param {string} applicationId - Application the document was uploaded to
+ * @param {string} documentId - Document UUID
+ * @param {string} variant - file or thumbnail
+ * @returns {string} - Storage key
+ */
+const storageKey = (applicationId, documentId, variant) => {
+  const key = `${applicationId}/${documentId}.${variant}`;
+  if (!KEY_FORMAT.test(key)) {
+    throw new Error('Invalid document storage key');
+  }
+  return key;
+};
+
+module.exports = {
+  PROVIDERS,
+  assertStorageProvider,
+  createDocumentStorage,
+  getDocumentStorage,
+  storageKey,
+};
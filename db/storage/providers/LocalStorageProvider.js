@@ -0,0 +1,64 @@
+/**
+ * Local Storage Provider
+ * Keeps documents as files under a local directory, one subdirectory per application.
+ * Files are written to a temporary name and renamed, so a failed write never leaves a
+ * partial file under a document's key.
+ *
+ * Configuration:
+ *   DOCUMENT_STORAGE_DIR - directory to store documents in (default: ./uploads)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create the local storage provider
+ * @param {object} env - Configuration (defaults to process.env)
+ * @returns {object} - StorageProvider
+ */
+const createLocalStorageProvider = (env = process.env) => {
+  const root = path.resolve(env.DOCUMENT_STORAGE_DIR || 'uploads');
+
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error('Storage key is outside the storage directory');
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, content) => {
+      const file = resolve(key);
+      const temporary = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+      try {
+        await fs.promises.writeFile(temporary, content, { mode: 0o600 });
+        await fs.promises.rename(temporary, file);
+      } catch (error) {
+        await fs.promises.rm(temporary, { force: true });
+        throw error;
+      }
+    },
+
+    get: async (key) => {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    delete: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+module.exports = {
+  createLocalStorageProvider,
+};
@@ -11,7 +11,7 @@ require('dotenv').config();
 async function initializeDatabase() {
   const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
-    ssl: {
+    ssl: process.env.DATABASE_SSL === 'false' ? false : {
       rejectUnauthorized: false,
     },
   });
@@ -46,8 +46,18 @@ async function initializeDatabase() {
     console.log('\n✅ Database initialization complete!');
     console.log('\n📊 Tables created:');
     console.log('   ✓ customer_forms');
+    console.log('   ✓ customer_addresses');
     console.log('   ✓ kyc_submissions');
-    console.log('   ✓ pan_hashes');
+    console.log('   ✓ identifier_hashes');
+    console.log('   ✓ applications');
+    console.log('   ✓ application_status_history');
+    console.log('   ✓ application_drafts');
+    console.log('   ✓ kyc_documents');
+    console.log('   ✓ pending_actions');
+    console.log('   ✓ watchlist_entries');
+    console.log('   ✓ screening_results');
+    console.log('   ✓ screening_runs');
+    console.log('   ✓ users');
     console.log('   ✓ audit_logs');
 
     process.exit(0);
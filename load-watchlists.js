@@ -0,0 +1,76 @@
+/**
+ * Watchlist Load Script
+ * Loads a sanctions or PEP watchlist file into watchlist_entries, replacing the
+ * entries previously loaded for that list. Applicants are screened against it from
+ * their next submission on; run rescreen-customers.js afterwards to screen the existing
+ * customers against the entries the file added or changed.
+ *
+ * Usage: node load-watchlists.js <file> [--list NAME] [--type sanctions|pep] [--format FORMAT]
+ * Formats (src/shared/screening/WatchlistFormats.js): un-xml (UN consolidated list),
+ * ofac-xml and ofac-csv (OFAC SDN list), and csv (name, id, aliases, date_of_birth,
+ * nationality columns; several values separated by ";"). The format is detected from the
+ * content when not given; --list is required for the generic csv format.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db/config');
+const WatchlistModel = require('./db/models/WatchlistModel');
+const { DEFAULT_LIST_NAMES, parseWatchlist } = require('./src/shared/screening/WatchlistFormats');
+const { LIST_TYPES } = require('./src/shared/screening/Screening');
+
+/**
+ * Read the value following a --flag
+ * @param {array} args - Command line arguments
+ * @param {string} flag - e.g. --list
+ * @returns {string|null}
+ */
+function option(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] || null : null;
+}
+
+async function loadWatchlist() {
+  const args = process.argv.slice(2);
+  const file = args.find((arg, index) => !arg.startsWith('--') && (index === 0 || !args[index - 1].startsWith('--')));
+
+  try {
+    if (!file) {
+      throw new Error('Usage: node load-watchlists.js <file> [--list NAME] [--type sanctions|pep] [--format FORMAT]');
+    }
+
+    const listType = option(args, '--type') || LIST_TYPES.SANCTIONS;
+    if (!Object.values(LIST_TYPES).includes(listType)) {
+      throw new Error(`--type must be one of: ${Object.values(LIST_TYPES).join(', ')}`);
+    }
+
+    console.log(`📄 Reading ${path.basename(file)}...`);
+    const { format, entries } = parseWatchlist(fs.readFileSync(file, 'utf8'), option(args, '--format'));
+
+    const listName = option(args, '--list') || DEFAULT_LIST_NAMES[format];
+    if (!listName) {
+      throw new Error(`--list is required for ${format} files`);
+    }
+    if (entries.length === 0) {
+      throw new Error('The file has no individuals to load; the list was left unchanged');
+    }
+
+    console.log(`📋 Loading ${entries.length} ${listType} entries (${format}) as list ${listName}...`);
+    const { added, changed, unchanged, removed } = await WatchlistModel.replaceList(listName, listType, entries);
+
+    console.log(`\n✅ ${listName} loaded: ${added} added, ${changed} changed, ${unchanged} unchanged, ${removed} removed`);
+    if (added + changed > 0) {
+      console.log('   Run `node rescreen-customers.js` to screen existing customers against them.');
+    }
+  } catch (err) {
+    console.error('\n❌ Error loading watchlist:');
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+loadWatchlist();
@@ -0,0 +1,46 @@
+/**
+ * Draft Purge Script
+ * Deletes saved application drafts that have passed their expiry date, with the documents
+ * uploaded to them, and withdraws their applications
+ *
+ * Usage: node purge-drafts.js
+ * Expired drafts can no longer be resumed; run this daily so their encrypted data
+ * is not kept any longer than needed.
+ */
+
+require('dotenv').config();
+
+const ApplicationDraftModel = require('./db/models/ApplicationDraftModel');
+const ApplicationModel = require('./db/models/ApplicationModel');
+const DocumentModel = require('./db/models/DocumentModel');
+const { APPLICATION_STATUSES } = require('./src/shared/applications/ApplicationLifecycle');
+const db = require('./db/config');
+
+async function purgeDrafts() {
+  try {
+    console.log('🧹 Deleting expired drafts...');
+    const deleted = await db.transaction(async (client) => {
+      const draftIds = await ApplicationDraftModel.deleteExpired(client);
+      for (const draftId of draftIds) {
+        await ApplicationModel.transition(draftId, APPLICATION_STATUSES.WITHDRAWN, {
+          reason: 'Draft expired',
+        }, {}, client);
+      }
+      const documents = await DocumentModel.deleteByApplications(draftIds, {}, client);
+      return { drafts: draftIds.length, documents };
+    });
+
+    // Stored files are removed once their rows are gone for good
+    await DocumentModel.removeFiles(deleted.documents);
+    console.log(`\n✅ ${deleted.drafts} expired drafts deleted and their applications withdrawn`);
+    console.log(`   ${deleted.documents.length} uploaded documents deleted`);
+  } catch (err) {
+    console.error('\n❌ Error deleting expired drafts:');
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+purgeDrafts();
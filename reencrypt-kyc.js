@@ -0,0 +1,95 @@
+/**
+ * KYC Re-encryption Script
+ * Applies db/migrations/002_kyc_data_keys.sql and brings every KYC submission onto the
+ * current keys:
+ *   - submissions with a data key have it re-wrapped under the current master key
+ *   - submissions from before envelope encryption (including AES-CBC values) get their own
+ *     data key, and pan, gov_id and aadhaar_number are re-encrypted under it
+ *
+ * Usage: node reencrypt-kyc.js [batchSize]
+ * Safe to re-run or interrupt: each batch commits on its own and rows already on the
+ * current key are skipped. Retire an old key only after a run rewrites 0 submissions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const db = require('./db/config');
+const KYCModel = require('./db/models/KYCModel');
+const { getKeyProvider } = require('./db/crypto/KeyProvider');
+
+/**
+ * Re-encrypt one batch of KYC submissions in a single transaction
+ * @param {array} rows - Rows with an id column
+ * @returns {Promise<object>} - { rewritten, unreadable } where unreadable lists { kycId, column }
+ */
+async function reencryptBatch(rows) {
+  return db.transaction(async (client) => {
+    let rewritten = 0;
+    const unreadable = [];
+    for (const row of rows) {
+      const result = await KYCModel.reencryptRow(row.id, client);
+      if (result.rewritten.length > 0) rewritten++;
+      result.unreadable.forEach((column) => unreadable.push({ kycId: row.id, column }));
+    }
+    return { rewritten, unreadable };
+  });
+}
+
+async function reencryptKYC() {
+  const batchSize = parseInt(process.argv[2], 10) || 500;
+
+  try {
+    const sqlFile = path.join(__dirname, 'db', 'migrations', '002_kyc_data_keys.sql');
+    console.log('📝 Applying migration 002_kyc_data_keys...');
+    await db.query(fs.readFileSync(sqlFile, 'utf8'));
+
+    const total = parseInt((await db.queryOne('SELECT COUNT(*) AS count FROM kyc_submissions;')).count, 10);
+    console.log(`🔐 Re-encrypting ${total} KYC submissions with the ${getKeyProvider().name} key provider in batches of ${batchSize}...`);
+
+    let lastId = '00000000-0000-0000-0000-000000000000';
+    let processed = 0;
+    let rewritten = 0;
+    const unreadable = [];
+
+    let batch = await db.queryAll(
+      'SELECT id FROM kyc_submissions WHERE id > $1 ORDER BY id LIMIT $2;',
+      [lastId, batchSize]
+    );
+
+    while (batch.length > 0) {
+      const result = await reencryptBatch(batch);
+      rewritten += result.rewritten;
+      unreadable.push(...result.unreadable);
+
+      processed += batch.length;
+      lastId = batch[batch.length - 1].id;
+      const percent = total > 0 ? Math.round((processed / total) * 100) : 100;
+      console.log(`   ✓ ${processed}/${total} (${percent}%) - ${rewritten} re-encrypted`);
+
+      batch = await db.queryAll(
+        'SELECT id FROM kyc_submissions WHERE id > $1 ORDER BY id LIMIT $2;',
+        [lastId, batchSize]
+      );
+    }
+
+    if (unreadable.length > 0) {
+      console.warn(`\n⚠️  ${unreadable.length} values could not be decrypted and were left unchanged:`);
+      unreadable.forEach(({ kycId, column }) => console.warn(`   - ${column} on KYC ${kycId}`));
+      console.warn('   Do not retire any key until these are resolved.');
+      process.exitCode = 1;
+    }
+
+    console.log(`\n✅ Re-encryption complete: ${rewritten} of ${processed} submissions rewritten`);
+  } catch (err) {
+    console.error('\n❌ Error re-encrypting KYC data:');
+    console.error(err.message);
+    console.error('   Completed batches are committed; re-run to continue.');
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+reencryptKYC();
@@ -0,0 +1,86 @@
+/**
+ * Identifier Re-index Script
+ * Applies db/migrations/001_identifier_hashes.sql and rebuilds the HMAC blind
+ * indexes for every existing KYC submission from its decrypted PAN and Aadhaar.
+ *
+ * Usage: node reindex-identifiers.js [batchSize]
+ * Safe to re-run: each submission's indexes are replaced, not duplicated.
+ * pan_hashes is dropped only when every row was re-indexed without conflicts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const db = require('./db/config');
+const KYCModel = require('./db/models/KYCModel');
+
+/**
+ * Re-index one batch of KYC submissions in a single transaction
+ * @param {array} rows - Rows with an id column
+ * @returns {Promise<array>} - Conflicts ({ kycId, type }) found in the batch
+ */
+async function reindexBatch(rows) {
+  return db.transaction(async (client) => {
+    const conflicts = [];
+    for (const row of rows) {
+      const result = await KYCModel.reindexIdentifiers(row.id, client);
+      result.conflicts.forEach((type) => conflicts.push({ kycId: row.id, type }));
+    }
+    return conflicts;
+  });
+}
+
+async function reindexIdentifiers() {
+  const batchSize = parseInt(process.argv[2], 10) || 500;
+
+  try {
+    const sqlFile = path.join(__dirname, 'db', 'migrations', '001_identifier_hashes.sql');
+    console.log('📝 Applying migration 001_identifier_hashes...');
+    await db.query(fs.readFileSync(sqlFile, 'utf8'));
+
+    const total = parseInt((await db.queryOne('SELECT COUNT(*) AS count FROM kyc_submissions;')).count, 10);
+    console.log(`🔑 Re-indexing ${total} KYC submissions in batches of ${batchSize}...`);
+
+    let lastId = '00000000-0000-0000-0000-000000000000';
+    let processed = 0;
+    const conflicts = [];
+
+    let batch = await db.queryAll(
+      'SELECT id FROM kyc_submissions WHERE id > $1 ORDER BY id LIMIT $2;',
+      [lastId, batchSize]
+    );
+
+    while (batch.length > 0) {
+      conflicts.push(...await reindexBatch(batch));
+
+      processed += batch.length;
+      lastId = batch[batch.length - 1].id;
+      console.log(`   ✓ ${processed}/${total}`);
+
+      batch = await db.queryAll(
+        'SELECT id FROM kyc_submissions WHERE id > $1 ORDER BY id LIMIT $2;',
+        [lastId, batchSize]
+      );
+    }
+
+    if (conflicts.length > 0) {
+      console.warn(`\n⚠️  ${conflicts.length} duplicate identifiers were found and not indexed:`);
+      conflicts.forEach(({ kycId, type }) => console.warn(`   - ${type} on KYC ${kycId}`));
+      console.warn('   pan_hashes was kept. Resolve the duplicates and re-run.');
+      process.exitCode = 1;
+      return;
+    }
+
+    await db.query('DROP TABLE IF EXISTS pan_hashes;');
+    console.log('\n✅ Re-index complete, pan_hashes dropped');
+  } catch (err) {
+    console.error('\n❌ Error re-indexing identifiers:');
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+reindexIdentifiers();
@@ -0,0 +1,80 @@
+/**
+ * KYC Risk Re-score Script
+ * Scores KYC submissions again with the current risk rules
+ * (src/shared/risk/riskRules.json), e.g. after the rules or their version changed.
+ *
+ * Usage: node rescore-kyc.js [batchSize] [--all]
+ * Only submissions scored with another rules version, or never scored, are re-scored;
+ * --all re-scores every submission. Safe to stop and re-run: finished batches are kept.
+ */
+
+require('dotenv').config();
+
+const db = require('./db/config');
+const KYCModel = require('./db/models/KYCModel');
+const { DEFAULT_RULES, validateRules } = require('./src/shared/risk/RiskEngine');
+
+/**
+ * Re-score one batch of KYC submissions in a single transaction
+ * @param {array} rows - Rows with id and risk_assessment columns
+ * @returns {Promise<number>} - Number of submissions whose risk level changed
+ */
+async function rescoreBatch(rows) {
+  return db.transaction(async (client) => {
+    let changed = 0;
+    for (const row of rows) {
+      const result = await KYCModel.scoreRisk(row.id, {}, client);
+      if (result && result.risk_assessment !== row.risk_assessment) {
+        changed += 1;
+      }
+    }
+    return changed;
+  });
+}
+
+async function rescoreKYC() {
+  const args = process.argv.slice(2);
+  const all = args.includes('--all');
+  const batchSize = parseInt(args.find((arg) => arg !== '--all'), 10) || 500;
+
+  try {
+    validateRules(DEFAULT_RULES);
+    const { version } = DEFAULT_RULES;
+
+    // With --all the version filter matches every row
+    const filter = all ? '$1::text IS NOT NULL' : 'risk_rules_version IS DISTINCT FROM $1';
+    const total = parseInt((await db.queryOne(
+      `SELECT COUNT(*) AS count FROM kyc_submissions WHERE ${filter};`,
+      [version]
+    )).count, 10);
+    console.log(`📊 Re-scoring ${total} KYC submissions with risk rules ${version} in batches of ${batchSize}...`);
+
+    const nextBatch = (lastId) => db.queryAll(
+      `SELECT id, risk_assessment FROM kyc_submissions WHERE ${filter} AND id > $2 ORDER BY id LIMIT $3;`,
+      [version, lastId, batchSize]
+    );
+
+    let processed = 0;
+    let changed = 0;
+    let batch = await nextBatch('00000000-0000-0000-0000-000000000000');
+
+    while (batch.length > 0) {
+      changed += await rescoreBatch(batch);
+
+      processed += batch.length;
+      console.log(`   ✓ ${processed}/${total}`);
+
+      batch = await nextBatch(batch[batch.length - 1].id);
+    }
+
+    console.log(`\n✅ Re-score complete, ${changed} submissions changed risk level`);
+  } catch (err) {
+    console.error('\n❌ Error re-scoring KYC submissions:');
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+rescoreKYC();
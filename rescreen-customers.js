@@ -0,0 +1,101 @@
+/**
+ * Customer Re-screening Script
+ * Screens every onboarded customer's latest KYC submission against the watchlist entries
+ * added or changed since the previous run, e.g. after load-watchlists.js refreshed a list.
+ * New potential matches are recorded like those found at submission, so they show in the
+ * review queue (?screening=open) and stop approvals until resolved.
+ *
+ * Usage: node rescreen-customers.js [batchSize]
+ * Customers are read in id order, in batches; each batch is screened and recorded in one
+ * transaction, so a run that is stopped or fails is resumed from its last batch by running
+ * the script again. Run statistics are kept in screening_runs.
+ */
+
+require('dotenv').config();
+
+const db = require('./db/config');
+const WatchlistModel = require('./db/models/WatchlistModel');
+const ScreeningModel = require('./db/models/ScreeningModel');
+const ScreeningRunModel = require('./db/models/ScreeningRunModel');
+const { indexEntries, findIndexed } = require('./src/shared/screening/Screening');
+
+/**
+ * Screen one batch of customers in a single transaction, recording the run's progress
+ * @param {object} run - screening_runs row
+ * @param {Map} index - Changed entries, indexed by indexEntries
+ * @param {array} rows - Rows from ScreeningModel.getCustomersToRescreen
+ * @returns {Promise<object>} - Updated run
+ */
+async function rescreenBatch(run, index, rows) {
+  return db.transaction(async (client) => {
+    let customersWithHits = 0;
+    let newHits = 0;
+
+    for (const row of rows) {
+      const name = [row.first_name, row.last_name].filter(Boolean).join(' ');
+      // Entries changed before the submission was last screened have already been screened
+      const candidates = findIndexed(index, name, row.screened_at);
+
+      const result = await ScreeningModel.screenAgainst(row.kyc_id, candidates, run.entries_until, {}, client);
+      if (result && result.newHits.length > 0) {
+        customersWithHits += 1;
+        newHits += result.newHits.length;
+      }
+    }
+
+    return ScreeningRunModel.recordBatch(run.id, {
+      lastCustomerId: rows[rows.length - 1].customer_id,
+      customersScreened: rows.length,
+      customersWithHits,
+      newHits,
+    }, client);
+  });
+}
+
+async function rescreenCustomers() {
+  const batchSize = parseInt(process.argv[2], 10) || 500;
+  let run = null;
+
+  try {
+    const started = await ScreeningRunModel.start();
+    run = started.run;
+
+    const since = run.entries_since ? new Date(run.entries_since).toISOString() : 'the first load';
+    console.log(`${started.resumed ? '🔁 Resuming' : '🔍 Starting'} re-screening run ${run.id}`);
+    console.log(`   Watchlist entries changed since ${since}: ${run.delta_entries}`);
+
+    if (run.delta_entries === 0) {
+      await ScreeningRunModel.complete(run.id);
+      console.log('\n✅ No watchlist entries changed, nothing to re-screen');
+      return;
+    }
+
+    const index = indexEntries(await WatchlistModel.getChanged(run.entries_since, run.entries_until));
+    const nextBatch = (lastId) => ScreeningModel.getCustomersToRescreen(lastId, run.entries_until, batchSize);
+
+    let batch = await nextBatch(run.last_customer_id || '00000000-0000-0000-0000-000000000000');
+
+    while (batch.length > 0) {
+      run = await rescreenBatch(run, index, batch);
+      console.log(`   ✓ ${run.customers_screened} customers screened, ${run.new_hits} new hits`);
+
+      batch = await nextBatch(run.last_customer_id);
+    }
+
+    run = await ScreeningRunModel.complete(run.id);
+    console.log(`\n✅ Re-screening complete: ${run.customers_screened} customers screened, `
+      + `${run.customers_with_hits} with new hits (${run.new_hits} in all)`);
+  } catch (err) {
+    console.error('\n❌ Error re-screening customers:');
+    console.error(err.message);
+    if (run) {
+      await ScreeningRunModel.recordError(run.id, err.message).catch(() => {});
+      console.error('   Run the script again to resume from the last finished batch.');
+    }
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+rescreenCustomers();
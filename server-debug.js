@@ -8,6 +8,7 @@ require('dotenv').config();
 
 const CustomerModel = require('./db/models/CustomerModel');
 const KYCModel = require('./db/models/KYCModel');
+const { maskAadhaar, maskGovID, maskIdentifier } = require('./src/shared/masking/IdentifierMasking');
 
 const app = express();
 const PORT = process.env.API_PORT || 5000;
@@ -20,11 +21,22 @@ app.use(cors({
 
 app.use(express.json({ limit: '10mb' }));
 
+/**
+ * Copy a request body for the logs with PAN, Government ID and Aadhaar Number masked
+ */
+const loggable = (body) => {
+  const masked = { ...body };
+  if (body.pan) masked.pan = maskIdentifier(body.pan);
+  if (body.govID) masked.govID = maskGovID(body.govID, body.govIDType);
+  if (body.aadhaarNumber) masked.aadhaarNumber = maskAadhaar(body.aadhaarNumber);
+  return masked;
+};
+
 // Log all requests
 app.use((req, res, next) => {
   console.log(`\n📨 ${new Date().toISOString()} - ${req.method} ${req.path}`);
   if (Object.keys(req.body).length > 0) {
-    console.log('📦 Body:', JSON.stringify(req.body).substring(0, 200));
+    console.log('📦 Body:', JSON.stringify(loggable(req.body)).substring(0, 200));
   }
   next();
 });
@@ -48,7 +60,7 @@ app.get('/api/test-connection', async (req, res) => {
 app.post('/api/customers', async (req, res) => {
   try {
     console.log('🔍 Creating customer...');
-    console.log('   Data:', JSON.stringify(req.body, null, 2));
+    console.log('   Data:', JSON.stringify(loggable(req.body), null, 2));
 
     const result = await CustomerModel.create(req.body);
 
@@ -97,7 +109,7 @@ app.post('/api/kyc/:customerId', async (req, res) => {
   try {
     const customerId = req.params.customerId;
     console.log('🔍 Creating KYC for customer:', customerId);
-    console.log('   Data:', JSON.stringify(req.body, null, 2));
+    console.log('   Data:', JSON.stringify(loggable(req.body), null, 2));
 
     // Check if customer exists
     const customer = await CustomerModel.getById(customerId);
@@ -9,12 +9,47 @@ const cors = require('cors');
 require('dotenv').config();
 
 const CustomerModel = require('./db/models/CustomerModel');
+const CustomerAddressModel = require('./db/models/CustomerAddressModel');
 const KYCModel = require('./db/models/KYCModel');
+const AuditLogModel = require('./db/models/AuditLogModel');
 const APIService = require('./api/APIService_DB');
+const AuthService = require('./api/AuthService');
+const {
+  authenticate,
+  authorize,
+  ownCustomerOnly,
+  requireResumeToken,
+  resumeTokenForBody,
+  requireStatusToken,
+} = require('./api/middleware/auth');
+const { validateRequest, customerFormData, kycAddressLine, kycFormData } = require('./api/middleware/validate');
+const { singleFileUpload } = require('./api/middleware/upload');
+const { MAX_DOCUMENT_BYTES } = require('./src/shared/documents/DocumentTypes');
+
+const { ROLES, STAFF_ROLES } = AuthService;
 
 const app = express();
 const PORT = process.env.API_PORT || 5000;
 
+/**
+ * Send a document read by APIService.getReviewDocumentFile, or its error as JSON
+ * Documents are shown inline and kept out of caches; nosniff stops the browser from
+ * treating them as anything but their checked type
+ */
+const sendDocument = (res, result) => {
+  if (!result.success) {
+    return res.status(result.status).json(result);
+  }
+
+  res.set({
+    'Content-Type': result.data.mimeType,
+    'Content-Disposition': `inline; filename="${result.data.filename}"`,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.status(200).send(result.data.content);
+};
+
 // ============================================
 // Middleware
 // ============================================
@@ -32,32 +67,90 @@ app.use((req, res, next) => {
   next();
 });
 
+// ============================================
+// Auth Endpoints
+// ============================================
+
+/**
+ * POST /api/auth/login
+ * Exchange back-office credentials for a token
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const result = await AuthService.login(email, password);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Return the authenticated principal
+ */
+app.get('/api/auth/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+/**
+ * POST /api/auth/users
+ * Create a back-office user (admin only)
+ */
+app.post('/api/auth/users', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await AuthService.createStaffUser(req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating user',
+      error: error.message
+    });
+  }
+});
+
 // ============================================
 // Customer Form Endpoints
 // ============================================
 
 /**
  * POST /api/customers
- * Submit new customer form
+ * Submit new customer form, with optional addresses (public)
+ * Returns an applicant token scoped to the new customer record, and a status token
+ * for following the application
  */
-app.post('/api/customers', async (req, res) => {
+app.post('/api/customers', validateRequest({
+  customer: (req) => customerFormData(req.body)
+}), async (req, res) => {
   try {
-    const result = await CustomerModel.create(req.body);
+    const result = await APIService.createCustomer(req.body, {
+      ip: req.ip,
+      userId: req.user ? req.user.id : null
+    });
 
     if (!result.success) {
-      return res.status(409).json({
-        success: false,
-        message: result.error,
-        code: result.code,
-        error: result.error
-      });
+      return res.status(result.status).json(result);
     }
 
     res.status(201).json({
       success: true,
-      customerId: result.customerId,
-      message: 'Customer record created successfully',
-      createdAt: result.createdAt
+      customerId: result.data.customerId,
+      applicationId: result.data.applicationId,
+      reference: result.data.reference,
+      token: AuthService.issueApplicantToken(result.data.customerId),
+      statusToken: AuthService.issueStatusToken(result.data.applicationId),
+      message: result.message,
+      createdAt: result.data.createdAt
     });
   } catch (error) {
     console.error('Error creating customer:', error);
@@ -73,7 +166,7 @@ app.post('/api/customers', async (req, res) => {
  * GET /api/customers/:customerId
  * Retrieve customer by ID
  */
-app.get('/api/customers/:customerId', async (req, res) => {
+app.get('/api/customers/:customerId', authenticate, authorize(ROLES.APPLICANT, ...STAFF_ROLES), ownCustomerOnly('customerId'), async (req, res) => {
   try {
     const customer = await CustomerModel.getById(req.params.customerId);
 
@@ -98,11 +191,38 @@ app.get('/api/customers/:customerId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/customers/:customerId/addresses
+ * Retrieve a customer's residential, permanent and mailing addresses
+ */
+app.get('/api/customers/:customerId/addresses', authenticate, authorize(ROLES.APPLICANT, ...STAFF_ROLES), ownCustomerOnly('customerId'), async (req, res) => {
+  try {
+    const customer = await CustomerModel.getById(req.params.customerId);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const result = await APIService.getCustomerAddresses(req.params.customerId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving customer addresses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving customer addresses',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/customers
  * Get all customers (paginated)
  */
-app.get('/api/customers', async (req, res) => {
+app.get('/api/customers', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     const offset = parseInt(req.query.offset) || 0;
@@ -132,38 +252,311 @@ app.get('/api/customers', async (req, res) => {
 
 /**
  * PUT /api/customers/:customerId
- * Update customer status
+ * Update customer status; approving a customer is proposed for a checker's approval (202)
  */
-app.put('/api/customers/:customerId', async (req, res) => {
+app.put('/api/customers/:customerId', authenticate, authorize(ROLES.SUPERVISOR, ROLES.ADMIN), async (req, res) => {
   try {
-    const { status } = req.body;
+    const result = await APIService.updateCustomerStatus(req.params.customerId, req.body.status, {
+      ip: req.ip,
+      userId: req.user.id
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating customer',
+      error: error.message
+    });
+  }
+});
 
-    if (!['pending', 'approved', 'rejected'].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status. Must be: pending, approved, or rejected'
-      });
+// ============================================
+// Onboarding Endpoints
+// ============================================
+
+/**
+ * POST /api/onboarding
+ * Create customer and KYC records atomically and submit the application (public)
+ * Submitting a drafted application (body.applicationId) takes the draft's resume token
+ * Returns an applicant token scoped to the new customer record, and a status token
+ * for following the application
+ */
+app.post('/api/onboarding', resumeTokenForBody('applicationId'), validateRequest({
+  customer: (req) => customerFormData(req.body.customer),
+  kyc: (req) => kycFormData(req.body.kyc, kycAddressLine((req.body.customer || {}).addresses))
+}, (req) => ({
+  // The PAN's name initial is checked against the applicant's last name
+  lastName: req.body.customer && req.body.customer.lastName
+})), async (req, res) => {
+  try {
+    const result = await APIService.submitOnboarding(req.body, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json(result);
     }
 
-    const result = await CustomerModel.updateStatus(req.params.customerId, status);
+    res.status(201).json({
+      ...result,
+      token: AuthService.issueApplicantToken(result.data.customerId),
+      statusToken: AuthService.issueStatusToken(result.data.applicationId)
+    });
+  } catch (error) {
+    console.error('Error submitting onboarding:', error);
+    res.status(500).json({
+      success: false,
+      status: 500,
+      message: 'Error submitting onboarding',
+      error: error.message
+    });
+  }
+});
 
-    if (!result) {
-      return res.status(404).json({
-        success: false,
-        message: 'Customer not found'
-      });
+// ============================================
+// Application Draft Endpoints
+// ============================================
+
+/**
+ * POST /api/applications/:id/draft
+ * Start an application in draft under a client-generated UUID (public)
+ * Returns a resume token scoped to the draft, valid until the draft expires
+ */
+app.post('/api/applications/:id/draft', async (req, res) => {
+  try {
+    const result = await APIService.createDraft(req.params.id, req.body, { ip: req.ip });
+
+    if (!result.success) {
+      return res.status(result.status).json(result);
     }
 
-    res.json({
-      success: true,
-      message: 'Customer status updated',
-      data: result
+    res.status(201).json({
+      ...result,
+      token: AuthService.issueResumeToken(result.data.draftId, result.data.expiresAt)
     });
   } catch (error) {
-    console.error('Error updating customer:', error);
+    console.error('Error creating draft:', error);
     res.status(500).json({
       success: false,
-      message: 'Error updating customer',
+      message: 'Error saving application',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/applications/:id/draft
+ * Save values into a draft
+ */
+app.put('/api/applications/:id/draft', requireResumeToken('id'), async (req, res) => {
+  try {
+    const result = await APIService.saveDraft(req.params.id, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error saving draft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving application',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/applications/:id/draft
+ * Retrieve a draft to resume it
+ */
+app.get('/api/applications/:id/draft', requireResumeToken('id'), async (req, res) => {
+  try {
+    const result = await APIService.getDraft(req.params.id);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving draft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving saved application',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/applications/:id/draft
+ * Discard a draft and withdraw its application
+ */
+app.delete('/api/applications/:id/draft', requireResumeToken('id'), async (req, res) => {
+  try {
+    const result = await APIService.deleteDraft(req.params.id, { ip: req.ip });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting draft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting saved application',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/applications/:id/documents
+ * Upload a document to an application in draft, as multipart/form-data with a documentType
+ * field (front | back | selfie | address_proof) and a file part; replaces any document of
+ * the same type
+ */
+app.post('/api/applications/:id/documents', requireResumeToken('id'), singleFileUpload({ maxFileBytes: MAX_DOCUMENT_BYTES }), async (req, res) => {
+  try {
+    const result = await APIService.uploadDocument(req.params.id, req.uploadFields.documentType, req.uploadFile, {
+      ip: req.ip
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error uploading document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading document'
+    });
+  }
+});
+
+/**
+ * GET /api/applications/:id/documents
+ * List the documents uploaded to an application in draft
+ */
+app.get('/api/applications/:id/documents', requireResumeToken('id'), async (req, res) => {
+  try {
+    const result = await APIService.getDocuments(req.params.id);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving documents'
+    });
+  }
+});
+
+/**
+ * DELETE /api/applications/:id/documents/:documentId
+ * Delete a document of an application in draft
+ */
+app.delete('/api/applications/:id/documents/:documentId', requireResumeToken('id'), async (req, res) => {
+  try {
+    const result = await APIService.deleteDocument(req.params.id, req.params.documentId, { ip: req.ip });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting document'
+    });
+  }
+});
+
+// ============================================
+// Application Endpoints
+// ============================================
+
+/**
+ * GET /api/applications
+ * Get all applications (paginated), optionally filtered by ?status=
+ */
+app.get('/api/applications', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await APIService.getApplications({ status: req.query.status }, limit, offset);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving applications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving applications',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/applications/:id
+ * Retrieve an application with its status history
+ */
+app.get('/api/applications/:id', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.getApplication(req.params.id);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving application:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving application',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/applications/:id/status
+ * Move an application to a new status; illegal transitions are refused with 409, and
+ * approving or declining is proposed for a checker's approval (202)
+ */
+app.put('/api/applications/:id/status', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const result = await APIService.transitionApplication(req.params.id, status, reason || '', {
+      ip: req.ip,
+      userId: req.user.id
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating application status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating application status',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// Application Status Endpoints
+// ============================================
+
+/**
+ * POST /api/application-status
+ * Look up an application's status by reference number, email and date of birth (public)
+ */
+app.post('/api/application-status', async (req, res) => {
+  try {
+    const result = await APIService.lookupApplicationStatus(req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error looking up application status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving application status',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/application-status/:reference
+ * Retrieve an application's status from a status link
+ */
+app.get('/api/application-status/:reference', requireStatusToken, async (req, res) => {
+  try {
+    const result = await APIService.getApplicationStatus(req.params.reference, req.statusApplicationId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving application status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving application status',
       error: error.message
     });
   }
@@ -177,11 +570,20 @@ app.put('/api/customers/:customerId', async (req, res) => {
  * POST /api/kyc/:customerId
  * Submit KYC data for a customer
  */
-app.post('/api/kyc/:customerId', async (req, res) => {
+app.post('/api/kyc/:customerId', authenticate, authorize(ROLES.APPLICANT, ROLES.ADMIN), ownCustomerOnly('customerId'), validateRequest({
+  kyc: async (req) => {
+    const kycAddress = await CustomerAddressModel.getKycAddress(req.params.customerId);
+    return kycFormData(req.body, kycAddress && kycAddress.address_line1);
+  }
+}, async (req) => {
+  // The PAN's name initial is checked against the name on the customer record
+  const customer = await CustomerModel.getById(req.params.customerId);
+  return { lastName: customer ? customer.last_name : undefined };
+}), async (req, res) => {
   try {
     const customerId = req.params.customerId;
 
-    console.log('KYC Submission received:', JSON.stringify(req.body, null, 2));
+    console.log(`KYC submission received for customer ${customerId}`);
 
     // Verify customer exists
     const customer = await CustomerModel.getById(customerId);
@@ -195,7 +597,8 @@ app.post('/api/kyc/:customerId', async (req, res) => {
     // Submit KYC data
     const result = await APIService.submitKYCData(req.body, customerId, {
       ip: req.ip,
-      userAgent: req.headers['user-agent']
+      userAgent: req.headers['user-agent'],
+      userId: req.user.id
     });
 
     if (!result.success) {
@@ -218,7 +621,7 @@ app.post('/api/kyc/:customerId', async (req, res) => {
  * GET /api/kyc/:customerId
  * Retrieve KYC data for a customer
  */
-app.get('/api/kyc/:customerId', async (req, res) => {
+app.get('/api/kyc/:customerId', authenticate, authorize(ROLES.APPLICANT, ...STAFF_ROLES), ownCustomerOnly('customerId'), async (req, res) => {
   try {
     const customerId = req.params.customerId;
 
@@ -243,7 +646,7 @@ app.get('/api/kyc/:customerId', async (req, res) => {
  * GET /api/kyc/submission/:kycId
  * Retrieve specific KYC submission by ID
  */
-app.get('/api/kyc/submission/:kycId', async (req, res) => {
+app.get('/api/kyc/submission/:kycId', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
   try {
     const result = await APIService.getKYCData(req.params.kycId);
 
@@ -264,23 +667,20 @@ app.get('/api/kyc/submission/:kycId', async (req, res) => {
 
 /**
  * PUT /api/kyc/:kycId/verify
- * Update KYC verification status
+ * Update KYC verification status; verifying or rejecting needs a reason code and
+ * the reviewer's claim on the case, and is proposed for a checker's approval (202)
  */
-app.put('/api/kyc/:kycId/verify', async (req, res) => {
+app.put('/api/kyc/:kycId/verify', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
   try {
-    const { status, notes } = req.body;
+    const { status, reasonCode, notes } = req.body;
 
     const result = await APIService.updateVerificationStatus(
       req.params.kycId,
-      status,
-      notes || ''
+      { status, reasonCode, notes: notes || '' },
+      req.user.id,
+      { ip: req.ip }
     );
-
-    if (!result.success) {
-      return res.status(result.status).json(result);
-    }
-
-    res.json(result);
+    res.status(result.status).json(result);
   } catch (error) {
     console.error('Error updating verification status:', error);
     res.status(500).json({
@@ -295,7 +695,7 @@ app.put('/api/kyc/:kycId/verify', async (req, res) => {
  * DELETE /api/kyc/:kycId
  * Delete KYC record
  */
-app.delete('/api/kyc/:kycId', async (req, res) => {
+app.delete('/api/kyc/:kycId', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
   try {
     const result = await APIService.deleteKYCData(req.params.kycId);
 
@@ -314,15 +714,387 @@ app.delete('/api/kyc/:kycId', async (req, res) => {
   }
 });
 
+// ============================================
+// Review Endpoints
+// ============================================
+
+/**
+ * GET /api/review/queue
+ * Get KYC submissions for review (paginated), filtered by ?status=, ?risk=, ?pep=true|false,
+ * ?olderThanDays= and ?screening=open (unresolved watchlist hits); ?sort=oldest lists the
+ * longest-waiting first
+ */
+app.get('/api/review/queue', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+    const { status, risk, pep, olderThanDays, screening, sort } = req.query;
+
+    const result = await APIService.getReviewQueue({
+      status,
+      risk,
+      pep: pep === undefined ? undefined : pep === 'true',
+      olderThanDays: olderThanDays === undefined ? undefined : Number(olderThanDays),
+      screening,
+      oldestFirst: sort === 'oldest'
+    }, limit, offset);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving review queue',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/review/kyc/:kycId
+ * Retrieve a case for review, with its identifiers masked
+ */
+app.get('/api/review/kyc/:kycId', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.getReviewCase(req.params.kycId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving review case:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving review case',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/review/kyc/:kycId/reveal
+ * Reveal one identifier ({ field: pan | govID | aadhaarNumber }); recorded in the audit log
+ */
+app.post('/api/review/kyc/:kycId/reveal', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.revealKYCIdentifier(req.params.kycId, req.body.field, {
+      ip: req.ip,
+      userId: req.user.id
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error revealing KYC identifier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revealing identifier',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/review/kyc/:kycId/documents
+ * List the documents uploaded with a case
+ */
+app.get('/api/review/kyc/:kycId/documents', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.getReviewDocuments(req.params.kycId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving review documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving documents'
+    });
+  }
+});
+
+/**
+ * GET /api/review/kyc/:kycId/documents/:documentId/thumbnail
+ * A document's thumbnail, as a PNG image
+ */
+app.get('/api/review/kyc/:kycId/documents/:documentId/thumbnail', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.getReviewDocumentFile(req.params.kycId, req.params.documentId, 'thumbnail', {
+      ip: req.ip,
+      userId: req.user.id
+    });
+    sendDocument(res, result);
+  } catch (error) {
+    console.error('Error reading document thumbnail:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reading document'
+    });
+  }
+});
+
+/**
+ * GET /api/review/kyc/:kycId/documents/:documentId/file
+ * A document as uploaded; recorded in the audit log
+ */
+app.get('/api/review/kyc/:kycId/documents/:documentId/file', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.getReviewDocumentFile(req.params.kycId, req.params.documentId, 'file', {
+      ip: req.ip,
+      userId: req.user.id
+    });
+    sendDocument(res, result);
+  } catch (error) {
+    console.error('Error reading document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reading document'
+    });
+  }
+});
+
+/**
+ * POST /api/review/kyc/:kycId/claim
+ * Claim a pending case, so no other reviewer works it
+ */
+app.post('/api/review/kyc/:kycId/claim', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.claimKYC(req.params.kycId, { ip: req.ip, userId: req.user.id });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error claiming KYC case:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error claiming case',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/review/kyc/:kycId/claim
+ * Release a claim; supervisors and admins can release another reviewer's with ?force=true
+ */
+app.delete('/api/review/kyc/:kycId/claim', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const force = req.query.force === 'true' && [ROLES.SUPERVISOR, ROLES.ADMIN].includes(req.user.role);
+
+    const result = await APIService.releaseKYC(req.params.kycId, force, { ip: req.ip, userId: req.user.id });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error releasing KYC case:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing case',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/review/kyc/:kycId/screening
+ * Screen a case against the watchlists again; hits already recorded keep their resolution
+ */
+app.post('/api/review/kyc/:kycId/screening', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.screenKYC(req.params.kycId, { ip: req.ip, userId: req.user.id });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error screening KYC case:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error screening case',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/review/screening/:resultId
+ * Resolve a watchlist hit ({ status: true_positive | false_positive, note })
+ */
+app.put('/api/review/screening/:resultId', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const result = await APIService.resolveScreeningResult(req.params.resultId, { status, note }, {
+      ip: req.ip,
+      userId: req.user.id
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error resolving screening result:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving screening result',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// Pending Action (Maker-Checker) Endpoints
+// ============================================
+
+/**
+ * GET /api/pending-actions
+ * Get maker-checker proposals (paginated), oldest first; ?status= (default pending) and ?type= filter them
+ */
+app.get('/api/pending-actions', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const result = await APIService.getPendingActions({
+      status: req.query.status === undefined ? 'pending' : req.query.status,
+      actionType: req.query.type
+    }, limit, offset);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving pending actions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving pending actions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/pending-actions/:id
+ * Retrieve a maker-checker proposal
+ */
+app.get('/api/pending-actions/:id', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.getPendingAction(req.params.id);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving pending action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving pending action',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pending-actions/:id/approve
+ * Approve a proposal and apply it; the checker must not be its maker
+ */
+app.post('/api/pending-actions/:id/approve', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.decidePendingAction(req.params.id, 'approved', req.body.note || '', req.user, {
+      ip: req.ip
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error approving pending action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving pending action',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pending-actions/:id/reject
+ * Reject a proposal; the record is left unchanged
+ */
+app.post('/api/pending-actions/:id/reject', authenticate, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await APIService.decidePendingAction(req.params.id, 'rejected', req.body.note || '', req.user, {
+      ip: req.ip
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error rejecting pending action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting pending action',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// Audit Endpoints
+// ============================================
+
+/**
+ * GET /api/audit/verify
+ * Walk the audit hash chain and report the first broken link (admin only)
+ */
+app.get('/api/audit/verify', authenticate, authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await AuditLogModel.verifyChain();
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error verifying audit chain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying audit chain',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/audit/:table/:recordId
+ * Retrieve the change history of a customer or KYC record
+ */
+app.get('/api/audit/:table/:recordId', authenticate, authorize(ROLES.SUPERVISOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { table, recordId } = req.params;
+
+    if (!AuditLogModel.AUDITED_TABLES.includes(table)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid table. Must be one of: ${AuditLogModel.AUDITED_TABLES.join(', ')}`
+      });
+    }
+
+    const history = await AuditLogModel.getHistory(table, recordId);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error retrieving audit history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving audit history',
+      error: error.message
+    });
+  }
+});
+
 // ============================================
 // Admin/Monitoring Endpoints
 // ============================================
 
+/**
+ * GET /api/screening/runs
+ * Get the latest runs re-screening the customer base against refreshed watchlists, newest first
+ */
+app.get('/api/screening/runs', authenticate, authorize(ROLES.SUPERVISOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const result = await APIService.getScreeningRuns(limit);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrieving screening runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving screening runs',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/stats
  * Get database statistics
  */
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', authenticate, authorize(ROLES.SUPERVISOR, ROLES.ADMIN), async (req, res) => {
   try {
     const stats = await APIService.getStats();
     res.json(stats);
@@ -388,16 +1160,58 @@ Environment:  ${process.env.NODE_ENV || 'development'}
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   API Endpoints:
+  POST   /api/auth/login          - Back-office login
+  GET    /api/auth/me             - Current user
+  POST   /api/auth/users          - Create back-office user
+
   POST   /api/customers           - Submit customer form
   GET    /api/customers           - Get all customers
   GET    /api/customers/:id       - Get customer by ID
   PUT    /api/customers/:id       - Update customer status
 
+  POST   /api/onboarding          - Submit customer + KYC atomically
+
+  POST   /api/applications/:id/draft - Start a draft
+  PUT    /api/applications/:id/draft - Save a draft
+  GET    /api/applications/:id/draft - Resume a draft
+  DELETE /api/applications/:id/draft - Discard a draft
+  POST   /api/applications/:id/documents - Upload a document
+  GET    /api/applications/:id/documents - List uploaded documents
+  DELETE /api/applications/:id/documents/:docId - Delete a document
+
+  GET    /api/applications        - Get all applications
+  GET    /api/applications/:id    - Get application and history
+  PUT    /api/applications/:id/status - Change application status
+
+  POST   /api/application-status  - Look up status (reference, email, DOB)
+  GET    /api/application-status/:ref - Status from a status link
+
   POST   /api/kyc/:customerId    - Submit KYC data
   GET    /api/kyc/:customerId    - Get customer's KYC
   GET    /api/kyc/submission/:id - Get KYC by ID
   PUT    /api/kyc/:id/verify     - Update verification status
   DELETE /api/kyc/:id            - Delete KYC record
+
+  GET    /api/review/queue       - KYC review queue
+  GET    /api/review/kyc/:id     - Case detail (masked)
+  POST   /api/review/kyc/:id/reveal - Reveal an identifier
+  GET    /api/review/kyc/:id/documents - Case documents
+  GET    /api/review/kyc/:id/documents/:docId/thumbnail - Thumbnail
+  GET    /api/review/kyc/:id/documents/:docId/file - Document (audited)
+  POST   /api/review/kyc/:id/claim  - Claim a case
+  DELETE /api/review/kyc/:id/claim  - Release a case
+  POST   /api/review/kyc/:id/screening - Screen a case again
+  PUT    /api/review/screening/:id - Resolve a watchlist hit
+
+  GET    /api/pending-actions    - Changes awaiting approval
+  GET    /api/pending-actions/:id - Get a proposed change
+  POST   /api/pending-actions/:id/approve - Approve and apply
+  POST   /api/pending-actions/:id/reject  - Reject
+
+  GET    /api/audit/verify       - Verify audit hash chain
+  GET    /api/audit/:table/:id   - Record change history
+
+  GET    /api/screening/runs     - Customer re-screening runs
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   `);
 });
@@ -1,11 +1,19 @@
 import React, { useState, lazy, Suspense } from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import LandingPage from './pages/LandingPage';
-import CustomerForm from './pages/CustomerForm';
 import './App.css';
 
-// Lazy load KYC component for performance optimization
-const KYCPage = lazy(() => import('./pages/KYCPage'));
+// Lazy load the onboarding wizard for performance optimization
+const OnboardingPage = lazy(() => import('./pages/OnboardingPage'));
+const ResumePage = lazy(() => import('./pages/ResumePage'));
+const StatusPage = lazy(() => import('./pages/StatusPage'));
+
+// Reviewer back-office, a separate route tree under /admin
+const AdminLayout = lazy(() => import('./pages/admin/AdminLayout'));
+const AdminLoginPage = lazy(() => import('./pages/admin/LoginPage'));
+const QueuePage = lazy(() => import('./pages/admin/QueuePage'));
+const CaseDetailPage = lazy(() => import('./pages/admin/CaseDetailPage'));
+const ApprovalsPage = lazy(() => import('./pages/admin/ApprovalsPage'));
 
 // Loading component for lazy-loaded routes
 function LoadingSpinner() {
@@ -151,15 +159,66 @@ function App() {
       <div className="app-container">
         <Routes>
           <Route path="/" element={<LandingPage />} />
-          <Route path="/form" element={<CustomerForm />} />
-          <Route 
-            path="/kyc" 
+          {/* Each wizard step is deep-linkable; the wizard redirects to the first incomplete step */}
+          <Route path="/apply" element={<Navigate to="/apply/personal" replace />} />
+          <Route
+            path="/apply/:stepId"
+            element={
+              <Suspense fallback={<LoadingSpinner />}>
+                <OnboardingPage />
+              </Suspense>
+            }
+          />
+          {/* Resume links of saved drafts */}
+          <Route
+            path="/resume/:draftId"
+            element={
+              <Suspense fallback={<LoadingSpinner />}>
+                <ResumePage />
+              </Suspense>
+            }
+          />
+          {/* Application status, looked up or opened from a status link */}
+          <Route
+            path="/status"
+            element={
+              <Suspense fallback={<LoadingSpinner />}>
+                <StatusPage />
+              </Suspense>
+            }
+          />
+          <Route
+            path="/status/:reference"
+            element={
+              <Suspense fallback={<LoadingSpinner />}>
+                <StatusPage />
+              </Suspense>
+            }
+          />
+          {/* Reviewer back-office */}
+          <Route
+            path="/admin/login"
             element={
               <Suspense fallback={<LoadingSpinner />}>
-                <KYCPage />
+                <AdminLoginPage />
               </Suspense>
-            } 
+            }
           />
+          <Route
+            path="/admin"
+            element={
+              <Suspense fallback={<LoadingSpinner />}>
+                <AdminLayout />
+              </Suspense>
+            }
+          >
+            <Route index element={<QueuePage />} />
+            <Route path="kyc/:kycId" element={<CaseDetailPage />} />
+            <Route path="approvals" element={<ApprovalsPage />} />
+          </Route>
+          {/* Earlier URLs of the customer form and KYC page */}
+          <Route path="/form" element={<Navigate to="/apply/personal" replace />} />
+          <Route path="/kyc" element={<Navigate to="/apply/kyc" replace />} />
         </Routes>
       </div>
     </Router>
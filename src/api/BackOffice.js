@@ -0,0 +1,253 @@
+/**
+ * BackOffice API Service
+ * Calls made by the reviewer back-office: staff login, the KYC review queue and approvals
+ */
+
+/**
+ * API Base URL pointing to Express backend
+ */
+const API_BASE_URL = 'http://localhost:5000';
+
+/**
+ * Session storage keys for the signed-in staff user
+ */
+const STAFF_TOKEN_KEY = 'staffToken';
+const STAFF_USER_KEY = 'staffUser';
+
+/**
+ * Call a back-office endpoint with the staff token
+ * A 401 means the token has expired, so the session is cleared
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /api
+ * @param {object} body - Request body (optional)
+ * @returns {Promise<object>} - API response, with success and status taken from the HTTP response
+ */
+const staffRequest = async (method, path, body) => {
+  try {
+    const token = sessionStorage.getItem(STAFF_TOKEN_KEY);
+    const response = await fetch(`${API_BASE_URL}/api${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (response.status === 401) {
+      BackOffice.logout();
+    }
+
+    const result = await response.json();
+    return {
+      ...result,
+      success: response.ok,
+      status: response.status,
+    };
+  } catch (error) {
+    console.error(`Error calling ${method} ${path}:`, error);
+    return {
+      success: false,
+      status: 500,
+      message: 'Could not reach the server. Please try again.',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+};
+
+/**
+ * Fetch a file from a back-office endpoint with the staff token
+ * Files are kept in memory as object URLs, since an <img> or a new tab cannot send the token;
+ * the caller revokes the URL once it is no longer shown
+ * @param {string} path - Path under /api
+ * @returns {Promise<object>} - { success, status, url } or { success: false, status, message }
+ */
+const staffFile = async (path) => {
+  try {
+    const token = sessionStorage.getItem(STAFF_TOKEN_KEY);
+    const response = await fetch(`${API_BASE_URL}/api${path}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+    if (response.status === 401) {
+      BackOffice.logout();
+    }
+    if (!response.ok) {
+      const result = await response.json();
+      return { ...result, success: false, status: response.status };
+    }
+
+    return { success: true, status: response.status, url: URL.createObjectURL(await response.blob()) };
+  } catch (error) {
+    console.error(`Error fetching ${path}:`, error);
+    return {
+      success: false,
+      status: 500,
+      message: 'Could not reach the server. Please try again.',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+};
+
+/**
+ * Build a query string, leaving out empty values
+ * @param {object} filters - Query parameters
+ * @returns {string}
+ */
+const toQuery = (filters) => {
+  const params = new URLSearchParams();
+  Object.keys(filters).forEach((name) => {
+    if (filters[name] !== '' && filters[name] !== null && filters[name] !== undefined) {
+      params.set(name, filters[name]);
+    }
+  });
+  return params.toString();
+};
+
+const BackOffice = {
+  /**
+   * Sign in a back-office user and keep the token for the session
+   * @param {string} email - User email
+   * @param {string} password - Password
+   * @returns {Promise<object>} - API response with the user
+   */
+  login: async (email, password) => {
+    const result = await staffRequest('POST', '/auth/login', { email, password });
+    if (result.success) {
+      sessionStorage.setItem(STAFF_TOKEN_KEY, result.token);
+      sessionStorage.setItem(STAFF_USER_KEY, JSON.stringify(result.user));
+    }
+    return result;
+  },
+
+  /**
+   * Sign out, forgetting the session's token
+   */
+  logout: () => {
+    sessionStorage.removeItem(STAFF_TOKEN_KEY);
+    sessionStorage.removeItem(STAFF_USER_KEY);
+  },
+
+  /**
+   * The signed-in staff user
+   * @returns {object|null} - { id, email, role }, or null when signed out
+   */
+  getUser: () => {
+    if (!sessionStorage.getItem(STAFF_TOKEN_KEY)) return null;
+    try {
+      return JSON.parse(sessionStorage.getItem(STAFF_USER_KEY));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Get the review queue
+   * @param {object} filters - { status, risk, pep, olderThanDays, screening, sort, limit, offset }
+   * @returns {Promise<object>} - API response with the queue and pagination
+   */
+  getQueue: async (filters = {}) => staffRequest('GET', `/review/queue?${toQuery(filters)}`),
+
+  /**
+   * Get a case, with its identifiers masked
+   * @param {string} kycId - KYC UUID
+   * @returns {Promise<object>} - API response with the case
+   */
+  getCase: async (kycId) => staffRequest('GET', `/review/kyc/${kycId}`),
+
+  /**
+   * Reveal one identifier of a case; the server records the reveal in the audit log
+   * @param {string} kycId - KYC UUID
+   * @param {string} field - pan, govID or aadhaarNumber
+   * @returns {Promise<object>} - API response with { field, value }
+   */
+  reveal: async (kycId, field) => staffRequest('POST', `/review/kyc/${kycId}/reveal`, { field }),
+
+  /**
+   * Get a document's thumbnail as an object URL
+   * @param {string} kycId - KYC record ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<object>} - { success, url }
+   */
+  getDocumentThumbnail: async (kycId, documentId) => (
+    staffFile(`/review/kyc/${kycId}/documents/${documentId}/thumbnail`)
+  ),
+
+  /**
+   * Get a document as uploaded, as an object URL; recorded in the audit log
+   * @param {string} kycId - KYC record ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<object>} - { success, url }
+   */
+  getDocumentFile: async (kycId, documentId) => staffFile(`/review/kyc/${kycId}/documents/${documentId}/file`),
+
+  /**
+   * Claim a case for the signed-in reviewer
+   * @param {string} kycId - KYC UUID
+   * @returns {Promise<object>} - API response
+   */
+  claim: async (kycId) => staffRequest('POST', `/review/kyc/${kycId}/claim`),
+
+  /**
+   * Release a claim on a case
+   * @param {string} kycId - KYC UUID
+   * @param {boolean} force - Release another reviewer's claim (supervisors and admins)
+   * @returns {Promise<object>} - API response
+   */
+  release: async (kycId, force = false) => (
+    staffRequest('DELETE', `/review/kyc/${kycId}/claim${force ? '?force=true' : ''}`)
+  ),
+
+  /**
+   * Verify or reject a case
+   * @param {string} kycId - KYC UUID
+   * @param {object} decision - { status, reasonCode, notes }
+   * @returns {Promise<object>} - API response
+   */
+  decide: async (kycId, decision) => staffRequest('PUT', `/kyc/${kycId}/verify`, decision),
+
+  /**
+   * Screen a case against the watchlists again
+   * @param {string} kycId - KYC UUID
+   * @returns {Promise<object>} - API response with { screenedAt, results }
+   */
+  screen: async (kycId) => staffRequest('POST', `/review/kyc/${kycId}/screening`),
+
+  /**
+   * Resolve a watchlist hit
+   * @param {string} resultId - Screening result UUID
+   * @param {string} status - true_positive or false_positive
+   * @param {string} note - Why this is or is not the listed person
+   * @returns {Promise<object>} - API response with the resolved hit
+   */
+  resolveScreeningResult: async (resultId, status, note) => (
+    staffRequest('PUT', `/review/screening/${resultId}`, { status, note })
+  ),
+
+  /**
+   * Get changes awaiting a checker's approval
+   * @param {object} filters - { status, type, limit, offset }
+   * @returns {Promise<object>} - API response with the pending actions and pagination
+   */
+  getPendingActions: async (filters = {}) => staffRequest('GET', `/pending-actions?${toQuery(filters)}`),
+
+  /**
+   * Approve a proposed change, which applies it
+   * @param {string} actionId - Pending action UUID
+   * @param {string} note - Checker's note
+   * @returns {Promise<object>} - API response
+   */
+  approve: async (actionId, note = '') => staffRequest('POST', `/pending-actions/${actionId}/approve`, { note }),
+
+  /**
+   * Reject a proposed change
+   * @param {string} actionId - Pending action UUID
+   * @param {string} note - Checker's note
+   * @returns {Promise<object>} - API response
+   */
+  reject: async (actionId, note = '') => staffRequest('POST', `/pending-actions/${actionId}/reject`, { note }),
+};
+
+export default BackOffice;
@@ -4,12 +4,26 @@
  */
 
 import FormValidator from '../services/FormValidator';
+import { getMarket } from '../shared/locale/Markets';
 
 /**
  * API Base URL pointing to Express backend
  */
 const API_BASE_URL = 'http://localhost:5000';
 
+/**
+ * Session storage key for the applicant token issued on customer creation
+ */
+const APPLICANT_TOKEN_KEY = 'applicantToken';
+
+/**
+ * Build the Authorization header for the current applicant session
+ */
+const getAuthHeaders = () => {
+  const token = sessionStorage.getItem(APPLICANT_TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 /**
  * Simulated API delay for realistic behavior
  */
@@ -28,13 +42,81 @@ const generateUUID = () => {
   });
 };
 
+/**
+ * Build the residential address sent with a customer from the form's address fields
+ * @param {object} formData - Customer form data (address, city, state, zipCode)
+ * @param {boolean} sameAsKyc - Whether the KYC step reuses this address
+ * @returns {object} - Address in the API's shape
+ */
+const toResidentialAddress = (formData, sameAsKyc = false) => ({
+  type: 'residential',
+  addressLine1: (formData.address || '').substring(0, 500),
+  city: (formData.city || '').substring(0, 100),
+  state: (formData.state || '').substring(0, 100),
+  postalCode: (formData.zipCode || '').substring(0, 20),
+  country: getMarket().country,
+  sameAsKyc: sameAsKyc === true,
+});
+
+/**
+ * Call a draft endpoint with the draft's resume token
+ * @param {string} method - HTTP method
+ * @param {string} draftId - Draft UUID
+ * @param {string} token - Resume token, or null when starting a draft
+ * @param {object} body - Request body (optional)
+ * @returns {Promise<object>} - API response
+ */
+const draftRequest = async (method, draftId, token, body) => {
+  const response = await fetch(`${API_BASE_URL}/api/applications/${draftId}/draft`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const result = await response.json();
+  return {
+    ...result,
+    success: response.ok,
+    status: response.status,
+  };
+};
+
+/**
+ * Call a document endpoint of a drafted application with the draft's resume token
+ * @param {string} method - HTTP method
+ * @param {object} draft - { id, token }
+ * @param {string} documentId - Document UUID, for a single document (optional)
+ * @param {FormData} formData - Multipart body of an upload (optional)
+ * @returns {Promise<object>} - API response
+ */
+const documentRequest = async (method, draft, documentId, formData) => {
+  const path = documentId ? `documents/${documentId}` : 'documents';
+  // The browser sets the multipart Content-Type, with its boundary, for a FormData body
+  const response = await fetch(`${API_BASE_URL}/api/applications/${draft.id}/${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${draft.token}` },
+    body: formData,
+  });
+
+  const result = await response.json();
+  return {
+    ...result,
+    success: response.ok,
+    status: response.status,
+  };
+};
+
 const CustomerDataSubmission = {
   /**
    * Submit customer form data to database
    * @param {object} customerData - Customer form data
+   * @param {object} options - { sameAsKyc } to reuse the residential address for KYC
    * @returns {Promise<object>} - API response with customer ID
    */
-  submitCustomerForm: async (customerData) => {
+  submitCustomerForm: async (customerData, options = {}) => {
     try {
       // Validate customer data
       const errors = FormValidator.validateAll(customerData, 'customer');
@@ -67,6 +149,7 @@ const CustomerDataSubmission = {
           annualIncome: customerData.income || null,
           dateOfBirth: customerData.dateOfBirth || null,
           nationality: customerData.nationality || null,
+          addresses: [toResidentialAddress(customerData, options.sameAsKyc)],
         }),
       });
 
@@ -76,6 +159,9 @@ const CustomerDataSubmission = {
           success: false,
           status: response.status,
           message: errorData.message || 'Failed to submit customer form',
+          code: errorData.code,
+          field: errorData.field,
+          errors: errorData.errors,
           error: errorData.error,
           timestamp: new Date().toISOString()
         };
@@ -85,6 +171,11 @@ const CustomerDataSubmission = {
 
       console.log('Customer data saved:', result);
 
+      // Keep the applicant token so the KYC step can access this customer
+      if (result.token) {
+        sessionStorage.setItem(APPLICANT_TOKEN_KEY, result.token);
+      }
+
       return {
         success: true,
         status: 201,
@@ -111,12 +202,13 @@ const CustomerDataSubmission = {
    * Submit KYC data to database
    * @param {object} kycData - KYC form data
    * @param {string} customerId - Customer ID from previous submission
+   * @param {object} applicant - Applicant details for cross-field checks ({ lastName })
    * @returns {Promise<object>} - API response with KYC ID
    */
-  submitKYCData: async (kycData, customerId = null) => {
+  submitKYCData: async (kycData, customerId = null, applicant = {}) => {
     try {
       // Validate KYC data
-      const errors = FormValidator.validateAll(kycData, 'kyc');
+      const errors = FormValidator.validateAll(kycData, 'kyc', applicant);
       if (Object.keys(errors).length > 0) {
         return {
           success: false,
@@ -145,12 +237,14 @@ const CustomerDataSubmission = {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...getAuthHeaders(),
         },
         body: JSON.stringify({
           govID: (kycData.govID || '').substring(0, 20),
           govIDType: (kycData.govIDType || 'passport').substring(0, 50),
           pan: (kycData.pan || '').substring(0, 50),
-          dateOfBirth: kycData.kycDob,
+          aadhaarNumber: (kycData.aadhaarNumber || '').trim(),
+          kycDob: kycData.kycDob,
           nationality: (kycData.nationality || '').substring(0, 100),
           kycAddress: (kycData.kycAddress || '').substring(0, 1000),
           city: (kycData.city || '').substring(0, 100),
@@ -169,6 +263,8 @@ const CustomerDataSubmission = {
           status: response.status,
           message: errorData.message || 'Failed to submit KYC data',
           code: errorData.code,
+          field: errorData.field,
+          errors: errorData.errors,
           error: errorData.error,
           timestamp: new Date().toISOString()
         };
@@ -183,10 +279,10 @@ const CustomerDataSubmission = {
         status: 201,
         message: 'KYC data submitted successfully',
         data: {
-          kycId: result.kycId,
+          kycId: result.data.kycId,
           customerId: customerId,
           verificationStatus: 'pending',
-          createdAt: result.createdAt
+          createdAt: result.data.createdAt
         },
         timestamp: new Date().toISOString()
       };
@@ -204,39 +300,20 @@ const CustomerDataSubmission = {
 
   /**
    * Submit complete onboarding (customer form + KYC data)
-   * Handles transaction-like behavior with customer and KYC submission
-   * @param {object} allData - Combined customer and KYC data
-   * @returns {Promise<object>} - API response with customer and KYC IDs
+   * The server creates both records in one transaction, so a failed KYC
+   * submission never leaves an orphaned customer record behind
+   * @param {object} allData - Combined customer and KYC data; `sameAsKyc` marks the
+   *   residential address as the KYC address
+   * @param {object} draft - Saved draft ({ id, token }) of the application, if any
+   * @returns {Promise<object>} - API response with the application reference and status
    */
-  submitCompleteOnboarding: async (allData) => {
+  submitCompleteOnboarding: async (allData, draft = null) => {
     try {
       // Validate customer data
-      const customerErrors = FormValidator.validateAll(
-        {
-          firstName: allData.firstName,
-          lastName: allData.lastName,
-          email: allData.email,
-          phone: allData.phone,
-          dateOfBirth: allData.dateOfBirth,
-          address: allData.address,
-          city: allData.city,
-          state: allData.state,
-          zipCode: allData.zipCode,
-          income: allData.income
-        },
-        'customer'
-      );
+      const customerErrors = FormValidator.validateAll(allData, 'customer');
 
       // Validate KYC data
-      const kycErrors = FormValidator.validateAll(
-        {
-          govID: allData.govID,
-          kycAddress: allData.kycAddress,
-          kycDob: allData.kycDob,
-          pan: allData.pan
-        },
-        'kyc'
-      );
+      const kycErrors = FormValidator.validateAll(allData, 'kyc', { lastName: allData.lastName });
 
       const allErrors = { ...customerErrors, ...kycErrors };
       if (Object.keys(allErrors).length > 0) {
@@ -249,60 +326,79 @@ const CustomerDataSubmission = {
         };
       }
 
-      // Step 1: Submit customer form
-      const customerResponse = await CustomerDataSubmission.submitCustomerForm({
-        firstName: allData.firstName,
-        lastName: allData.lastName,
-        email: allData.email,
-        phone: allData.phone,
-        accountType: allData.accountType || 'individual',
-        employmentStatus: allData.employmentStatus || null,
-        dateOfBirth: allData.dateOfBirth,
-        nationality: allData.nationality || null,
-        income: allData.income,
+      await simulateNetworkDelay(400);
+
+      const response = await fetch(`${API_BASE_URL}/api/onboarding`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(draft ? { Authorization: `Bearer ${draft.token}` } : {}),
+        },
+        body: JSON.stringify({
+          applicationId: draft ? draft.id : undefined,
+          customer: {
+            firstName: allData.firstName,
+            lastName: allData.lastName,
+            email: allData.email,
+            phoneNumber: allData.phone,
+            accountType: allData.accountType || 'individual',
+            employmentStatus: allData.employmentStatus || null,
+            annualIncome: allData.income || null,
+            dateOfBirth: allData.dateOfBirth || null,
+            nationality: allData.nationality || null,
+            addresses: [toResidentialAddress(allData, allData.sameAsKyc)],
+          },
+          kyc: {
+            govID: allData.govID,
+            govIDType: allData.govIDType || 'passport',
+            pan: allData.pan,
+            aadhaarNumber: allData.aadhaarNumber,
+            kycDob: allData.kycDob,
+            nationality: allData.nationality || null,
+            kycAddress: allData.kycAddress,
+            city: allData.city || null,
+            state: allData.state || null,
+            postalCode: allData.zipCode || null,
+            country: allData.country || null,
+            occupation: allData.occupation || null,
+            politicallyExposedPerson: allData.politicallyExposedPerson || false,
+          },
+        }),
       });
 
-      if (!customerResponse.success) {
-        return customerResponse;
-      }
+      const result = await response.json();
 
-      const customerId = customerResponse.data.customerId;
-
-      // Step 2: Submit KYC data
-      const kycResponse = await CustomerDataSubmission.submitKYCData(
-        {
-          govID: allData.govID,
-          govIDType: allData.govIDType || 'passport',
-          pan: allData.pan,
-          kycDob: allData.kycDob,
-          nationality: allData.nationality || null,
-          kycAddress: allData.kycAddress,
-          city: allData.city || null,
-          state: allData.state || null,
-          postalCode: allData.zipCode || null,
-          country: allData.country || null,
-          occupation: allData.occupation || null,
-          politicallyExposedPerson: allData.politicallyExposedPerson || false,
-        },
-        customerId
-      );
+      if (!response.ok) {
+        return {
+          success: false,
+          status: response.status,
+          message: result.message || 'Failed to submit application',
+          code: result.code,
+          field: result.field,
+          errors: result.errors,
+          error: result.error,
+          timestamp: new Date().toISOString()
+        };
+      }
 
-      if (!kycResponse.success) {
-        return kycResponse;
+      if (result.token) {
+        sessionStorage.setItem(APPLICANT_TOKEN_KEY, result.token);
       }
 
-      const kycId = kycResponse.data.kycId;
+      const { applicationId, reference, applicationStatus, customerId, kycId } = result.data;
 
       return {
         success: true,
         status: 201,
         message: 'Onboarding completed successfully',
         data: {
-          applicationId: `APP-${Date.now()}`,
+          applicationId: applicationId,
+          reference: reference,
           customerId: customerId,
           kycId: kycId,
-          status: 'under_review',
-          createdAt: new Date().toISOString(),
+          status: applicationStatus,
+          statusToken: result.statusToken,
+          createdAt: result.data.createdAt,
           nextSteps: 'Your KYC information is being reviewed. You will receive updates shortly.'
         },
         timestamp: new Date().toISOString()
@@ -319,6 +415,214 @@ const CustomerDataSubmission = {
     }
   },
 
+  /**
+   * Save an application draft, starting one when there is no draft yet
+   * @param {object} draft - Saved draft ({ id, token }), or null to start one
+   * @param {object} data - { values, completedSteps }
+   * @returns {Promise<object>} - API response; `data` has the draft's id, token, application
+   *   reference and expiry
+   */
+  saveDraft: async (draft, data) => {
+    try {
+      const draftId = draft ? draft.id : generateUUID();
+      const result = await draftRequest(draft ? 'PUT' : 'POST', draftId, draft && draft.token, data);
+
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        ...result,
+        data: {
+          id: draftId,
+          token: draft ? draft.token : result.token,
+          reference: draft ? draft.reference : result.data.reference,
+          expiresAt: result.data.expiresAt,
+          savedAt: result.data.updatedAt
+        }
+      };
+    } catch (error) {
+      console.error('Error saving draft:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while saving your application',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * Retrieve an application draft to resume it
+   * @param {string} draftId - Draft UUID
+   * @param {string} token - Resume token
+   * @returns {Promise<object>} - API response with { reference, values, completedSteps, expiresAt }
+   */
+  getDraft: async (draftId, token) => {
+    try {
+      return await draftRequest('GET', draftId, token);
+    } catch (error) {
+      console.error('Error retrieving draft:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving your saved application',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * Discard an application draft
+   * @param {object} draft - Saved draft ({ id, token })
+   * @returns {Promise<object>} - API response
+   */
+  deleteDraft: async (draft) => {
+    try {
+      return await draftRequest('DELETE', draft.id, draft.token);
+    } catch (error) {
+      console.error('Error deleting draft:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while deleting your saved application',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * Upload a document to a drafted application, replacing any of the same type
+   * @param {object} draft - { id, token }
+   * @param {string} documentType - One of DOCUMENT_TYPES (src/shared/documents/DocumentTypes.js)
+   * @param {File} file - File chosen by the applicant
+   * @returns {Promise<object>} - API response with the document, or errors.file if it was refused
+   */
+  uploadDocument: async (draft, documentType, file) => {
+    try {
+      const formData = new FormData();
+      formData.append('documentType', documentType);
+      formData.append('file', file, file.name);
+      return await documentRequest('POST', draft, null, formData);
+    } catch (error) {
+      console.error('Error uploading document:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'The document could not be uploaded. Please check your connection and try again.',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * List the documents uploaded to a drafted application
+   * @param {object} draft - { id, token }
+   * @returns {Promise<object>} - API response with the documents
+   */
+  listDocuments: async (draft) => {
+    try {
+      return await documentRequest('GET', draft);
+    } catch (error) {
+      console.error('Error retrieving documents:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving your documents',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * Delete a document of a drafted application
+   * @param {object} draft - { id, token }
+   * @param {string} documentId - Document UUID
+   * @returns {Promise<object>} - API response
+   */
+  deleteDocument: async (draft, documentId) => {
+    try {
+      return await documentRequest('DELETE', draft, documentId);
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while removing the document',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * Look up an application's status
+   * @param {object} lookup - { reference, email, dateOfBirth }
+   * @returns {Promise<object>} - API response with { reference, statusLabel, email, timeline }
+   */
+  lookupApplicationStatus: async (lookup) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/application-status`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(lookup),
+      });
+
+      const result = await response.json();
+      return {
+        ...result,
+        success: response.ok,
+        status: response.status,
+      };
+    } catch (error) {
+      console.error('Error looking up application status:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving your application status',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
+  /**
+   * Retrieve an application's status from a status link
+   * @param {string} reference - Application reference
+   * @param {string} token - Status token from the link
+   * @returns {Promise<object>} - API response with { reference, statusLabel, email, timeline }
+   */
+  getApplicationStatus: async (reference, token) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/application-status/${encodeURIComponent(reference)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      const result = await response.json();
+      return {
+        ...result,
+        success: response.ok,
+        status: response.status,
+      };
+    } catch (error) {
+      console.error('Error retrieving application status:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'An error occurred while retrieving your application status',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+
   /**
    * Retrieve customer data from database
    * @param {string} customerId - Customer ID
@@ -326,7 +630,9 @@ const CustomerDataSubmission = {
    */
   getCustomer: async (customerId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/customers/${customerId}`);
+      const response = await fetch(`${API_BASE_URL}/api/customers/${customerId}`, {
+        headers: getAuthHeaders(),
+      });
 
       if (!response.ok) {
         return {
@@ -363,7 +669,9 @@ const CustomerDataSubmission = {
    */
   getKYC: async (customerId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/kyc/${customerId}`);
+      const response = await fetch(`${API_BASE_URL}/api/kyc/${customerId}`, {
+        headers: getAuthHeaders(),
+      });
 
       if (!response.ok) {
         return {
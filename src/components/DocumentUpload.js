@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MIME_TYPES, MAX_DOCUMENT_BYTES, checkDocumentFile, describeAccepted } from '../shared/documents/DocumentTypes';
+
+/**
+ * Read the first bytes of a file, enough to tell its type
+ * @param {File} file - File chosen by the applicant
+ * @returns {Promise<Uint8Array>}
+ */
+const readHead = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(file.slice(0, 8));
+});
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+/**
+ * Upload slot for one document type: pick a file, see it, and retry or replace it
+ * Files are checked here against the document type before they are sent, and again by the
+ * server, which has the last word and also checks the quality of images. Images are previewed
+ * from the chosen file itself.
+ *
+ * @param {object} props.definition - Document type definition ({ type, label, description, quality })
+ * @param {object} props.document - Uploaded document from the API, or null
+ * @param {function} props.onUpload - (file) => Promise of the upload's API response
+ * @param {function} props.onRemove - () => Promise of the removal's API response
+ * @param {boolean} props.disabled - Whether uploads are unavailable
+ */
+function DocumentUpload({ definition, document, onUpload, onRemove, disabled }) {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [status, setStatus] = useState(document ? 'uploaded' : 'empty');
+  const [error, setError] = useState('');
+  // What to change before taking a refused photo again
+  const [issues, setIssues] = useState([]);
+  // Only failures of the connection or the server are worth sending the same file again
+  const [retryable, setRetryable] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (document && status === 'empty') setStatus('uploaded');
+  }, [document, status]);
+
+  // Each preview URL is released once it is replaced or the slot goes away
+  useEffect(() => () => {
+    if (preview) URL.revokeObjectURL(preview);
+  }, [preview]);
+
+  const upload = async (chosen) => {
+    setStatus('uploading');
+    setError('');
+    setIssues([]);
+    const response = await onUpload(chosen);
+    if (response.success) {
+      setStatus('uploaded');
+      return;
+    }
+    setStatus('failed');
+    setRetryable(!response.status || response.status >= 500);
+    if (response.issues) {
+      setIssues(response.issues);
+      return;
+    }
+    setError((response.errors && response.errors.file) || response.message || 'The document could not be uploaded');
+  };
+
+  const handleChoose = async (event) => {
+    const chosen = event.target.files[0];
+    // Clear the input so choosing the same file again still fires a change
+    event.target.value = '';
+    if (!chosen) return;
+
+    const check = checkDocumentFile(definition.type, await readHead(chosen), chosen.size);
+    if (!check.valid) {
+      setStatus(document ? 'uploaded' : 'empty');
+      setIssues([]);
+      setError(check.message);
+      return;
+    }
+
+    setFile(chosen);
+    setPreview(check.mimeType === MIME_TYPES.PDF ? null : URL.createObjectURL(chosen));
+    await upload(chosen);
+  };
+
+  const handleRemove = async () => {
+    setError('');
+    setIssues([]);
+    const response = await onRemove();
+    if (!response.success) {
+      setError(response.message || 'The document could not be removed');
+      return;
+    }
+    setFile(null);
+    setPreview(null);
+    setStatus('empty');
+  };
+
+  const busy = status === 'uploading';
+  const { quality } = definition;
+  const statusLabel = {
+    uploading: 'Uploading…',
+    uploaded: 'Uploaded',
+    failed: 'Not uploaded',
+  }[status];
+
+  return (
+    <li className={`document-upload ${status}`}>
+      <div className="document-upload-preview">
+        {preview
+          ? <img src={preview} alt={`${definition.label} preview`} />
+          : <span aria-hidden="true">{status === 'empty' ? '+' : '📄'}</span>}
+      </div>
+
+      <div className="document-upload-body">
+        <strong>{definition.label}</strong>
+        <span>{definition.description}</span>
+        {file && <span className="document-upload-file">{file.name} · {formatSize(file.size)}</span>}
+        {!file && document && (
+          <span className="document-upload-file">Uploaded earlier · {formatSize(document.sizeBytes)}</span>
+        )}
+        {statusLabel && <span className="document-upload-status" role="status">{statusLabel}</span>}
+        {error && <span className="field-error" role="alert">{error}</span>}
+        {issues.length > 0 && (
+          <div className="document-upload-issues" role="alert">
+            <span>Please take this photo again:</span>
+            <ul>
+              {issues.map((issue) => <li key={issue.code}>{issue.message}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <div className="document-upload-actions">
+          <input
+            ref={inputRef}
+            aria-label={definition.label}
+            type="file"
+            accept={definition.mimeTypes.join(',')}
+            onChange={handleChoose}
+            disabled={disabled || busy}
+            hidden
+          />
+          {status === 'failed' && retryable && file && (
+            <button type="button" className="link-button" onClick={() => upload(file)} disabled={disabled}>
+              Retry
+            </button>
+          )}
+          <button type="button" className="link-button" onClick={() => inputRef.current.click()} disabled={disabled || busy}>
+            {status === 'empty' ? 'Choose file' : 'Replace'}
+          </button>
+          {status === 'uploaded' && (
+            <button type="button" className="link-button" onClick={handleRemove} disabled={disabled}>
+              Remove
+            </button>
+          )}
+        </div>
+        <span className="document-upload-hint">
+          {describeAccepted(definition.type)}, up to {formatSize(MAX_DOCUMENT_BYTES)}
+          {quality && `; photos at least ${quality.minLongSide}×${quality.minShortSide} pixels`}
+        </span>
+      </div>
+    </li>
+  );
+}
+
+export default DocumentUpload;
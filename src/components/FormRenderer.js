@@ -0,0 +1,146 @@
+import React from 'react';
+import { resolveField, isFieldRequired, isFieldVisible } from '../shared/forms/FormDefinition';
+
+/**
+ * Render select options, flat or grouped
+ */
+const renderOptions = (options) => options.map((option) => (option.options ? (
+  <optgroup key={option.label} label={option.label}>
+    {renderOptions(option.options)}
+  </optgroup>
+) : (
+  <option key={option.value} value={option.value}>{option.label}</option>
+)));
+
+/**
+ * Split fields into rows: consecutive half-width fields share a row
+ */
+const toRows = (fields) => fields.reduce((rows, field) => {
+  const last = rows[rows.length - 1];
+  if (field.width === 'half' && last && last.length === 1 && last[0].width === 'half') {
+    last.push(field);
+  } else {
+    rows.push([field]);
+  }
+  return rows;
+}, []);
+
+/**
+ * Renders a form from its JSON definition (see shared/forms/FormDefinition.js)
+ * The page keeps the values and errors; the renderer reports changes through onChange
+ * with the usual input event, so pages can keep a single handleChange
+ *
+ * @param {object} props.definition - Form definition
+ * @param {object} props.market - Market settings used to resolve {market.*} text and options
+ * @param {object} props.values - Form values by field name
+ * @param {object} props.errors - Error messages by field name
+ * @param {function} props.onChange - Change handler
+ * @param {object} props.hints - Hints that replace a field's definition hint (e.g. a PIN code match)
+ * @param {boolean} props.disabled - Disable every input
+ */
+function FormRenderer({
+  definition,
+  market,
+  values,
+  errors = {},
+  onChange,
+  hints = {},
+  disabled = false,
+}) {
+  const renderInput = (field, hasError) => {
+    const common = {
+      id: field.name,
+      name: field.name,
+      value: values[field.name],
+      onChange,
+      disabled,
+      className: hasError ? 'input-error' : '',
+    };
+
+    if (field.type === 'select') {
+      return (
+        <select {...common}>
+          <option value="">{field.placeholder}</option>
+          {renderOptions(field.options)}
+        </select>
+      );
+    }
+
+    if (field.type === 'textarea') {
+      return <textarea {...common} placeholder={field.placeholder} rows={field.rows} maxLength={field.maxLength} />;
+    }
+
+    return (
+      <input
+        {...common}
+        type={field.type}
+        placeholder={field.placeholder}
+        maxLength={field.maxLength}
+        pattern={field.pattern}
+        inputMode={field.inputMode}
+      />
+    );
+  };
+
+  const renderField = (field) => {
+    const error = errors[field.name];
+    const hint = hints[field.name] || field.hint;
+
+    if (field.type === 'checkbox') {
+      return (
+        <div className="form-group checkbox-group" key={field.name}>
+          <label htmlFor={field.name}>
+            <input
+              type="checkbox"
+              id={field.name}
+              name={field.name}
+              checked={Boolean(values[field.name])}
+              onChange={onChange}
+              disabled={disabled}
+            />
+            {field.label}
+          </label>
+        </div>
+      );
+    }
+
+    return (
+      <div className="form-group" key={field.name}>
+        <label htmlFor={field.name}>
+          {field.label}
+          {!isFieldRequired(field) && <span className="optional-label"> (optional)</span>}
+        </label>
+        {renderInput(field, Boolean(error))}
+        {error && <small className="field-error">{error}</small>}
+        {!error && hint && <small className="field-hint">{hint}</small>}
+        {field.showCount && (
+          <small className="character-count">{String(values[field.name] || '').length}/{field.maxLength}</small>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <>
+      {definition.sections.map((section) => {
+        const fields = section.fields
+          .filter((field) => isFieldVisible(field, values, market.code))
+          .map((field) => resolveField(field, market));
+        if (fields.length === 0) return null;
+
+        return (
+          <React.Fragment key={section.id}>
+            {section.title && <div className="section-title">{section.title}</div>}
+            {toRows(fields).map((row) => (row.length > 1 ? (
+              <div className="form-row" key={row.map((field) => field.name).join('-')}>
+                {row.map(renderField)}
+              </div>
+            ) : renderField(row[0])))}
+          </React.Fragment>
+        );
+      })}
+    </>
+  );
+}
+
+export default FormRenderer;
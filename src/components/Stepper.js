@@ -0,0 +1,39 @@
+import React from 'react';
+
+/**
+ * Wizard stepper: one numbered item per step, marked complete, current or upcoming
+ * Steps the applicant may open are links to their route
+ *
+ * @param {array} props.steps - [{ id, title }]
+ * @param {string} props.currentStep - ID of the step being shown
+ * @param {function} props.isComplete - (step) => whether the step is complete
+ * @param {function} props.canVisit - (step) => whether the step can be opened
+ * @param {function} props.onSelect - (step) => called when an openable step is chosen
+ */
+function Stepper({ steps, currentStep, isComplete, canVisit, onSelect }) {
+  return (
+    <nav className="stepper" aria-label="Application steps">
+      <ol>
+        {steps.map((step, index) => {
+          const current = step.id === currentStep;
+          const complete = !current && isComplete(step);
+          const openable = !current && canVisit(step);
+          const className = ['stepper-item', current && 'current', complete && 'complete']
+            .filter(Boolean)
+            .join(' ');
+
+          return (
+            <li key={step.id} className={className} aria-current={current ? 'step' : undefined}>
+              <button type="button" onClick={() => onSelect(step)} disabled={!openable}>
+                <span className="stepper-number">{complete ? '✓' : index + 1}</span>
+                <span className="stepper-title">{step.title}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+}
+
+export default Stepper;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 
 function LandingPage() {
   const navigate = useNavigate();
@@ -178,8 +178,9 @@ function LandingPage() {
             <a href="#benefits">Benefits</a>
             <a href="#how-it-works">How it Works</a>
             <a href="#testimonials">Reviews</a>
+            <Link to="/status">Track Application</Link>
           </div>
-          <button className="nav-cta" onClick={() => navigate('/form')}>
+          <button className="nav-cta" onClick={() => navigate('/apply')}>
             Apply Now
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
               <path d="M5 12h14M12 5l7 7-7 7"/>
@@ -208,7 +209,7 @@ function LandingPage() {
               with Aadhaar e-KYC, and exclusive benefits on 500+ partner brands.
             </p>
             <div className={`hero-cta ${sectionClass('hero') ? 'animate-in' : ''}`} style={{animationDelay: '0.4s'}}>
-              <button className="cta-button primary" onClick={() => navigate('/form')}>
+              <button className="cta-button primary" onClick={() => navigate('/apply')}>
                 <span>Apply Now — It's Free</span>
                 <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
                   <path d="M5 12h14M12 5l7 7-7 7"/>
@@ -588,7 +589,7 @@ function LandingPage() {
           </span>
           <h2>Ready to Start Earning Rewards?</h2>
           <p>Join 10 lakh+ Indians who are saving more every day</p>
-          <button className="cta-button primary large" onClick={() => navigate('/form')}>
+          <button className="cta-button primary large" onClick={() => navigate('/apply')}>
             <span>Apply Now — Get Instant Approval</span>
             <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
               <path d="M5 12h14M12 5l7 7-7 7"/>
@@ -0,0 +1,404 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Navigate, useNavigate, useParams } from 'react-router-dom';
+import FormValidator from '../services/FormValidator';
+import OnboardingWizard, { STEPS } from '../services/OnboardingWizard';
+import CustomerDataSubmission from '../api/CustomerDataSubmission_DB';
+import FormRenderer from '../components/FormRenderer';
+import Stepper from '../components/Stepper';
+import DocumentsStep from './onboarding/DocumentsStep';
+import ReviewStep from './onboarding/ReviewStep';
+import SubmittedStep from './onboarding/SubmittedStep';
+import { getProgress } from '../shared/forms/FormDefinition';
+import { getMarket } from '../shared/locale/Markets';
+import { lookupPinCode } from '../shared/locale/PinCodeDirectory';
+
+const market = getMarket();
+
+/**
+ * Wait after the last change before autosaving the draft
+ */
+const AUTOSAVE_DELAY = 1500;
+
+/**
+ * Responses after which the draft cannot be saved again; the next save starts a new one
+ */
+const LOST_DRAFT_STATUSES = [401, 403, 404, 410];
+
+/**
+ * Debounce utility: only the last call within the delay runs
+ */
+const debounce = (func, delay) => {
+  let timeoutId;
+  return (...args) => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => func(...args), delay);
+  };
+};
+
+/**
+ * Onboarding wizard
+ * Each step has its own route (/apply/:stepId); opening a step whose earlier steps
+ * are incomplete redirects to the first incomplete one. Progress is kept in
+ * sessionStorage (see services/OnboardingWizard.js) so a reload resumes the application,
+ * and autosaved to a server-side draft that can be resumed later from its resume link.
+ */
+function OnboardingPage() {
+  const navigate = useNavigate();
+  const { stepId } = useParams();
+  const [state, setState] = useState(() => OnboardingWizard.loadState());
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [pinLocation, setPinLocation] = useState(null);
+  // Sensitive fields are restored from the draft before the steps are shown
+  const [restoring, setRestoring] = useState(() => Boolean(state.draft));
+  const [draftStatus, setDraftStatus] = useState(null);
+  const [showResumeLink, setShowResumeLink] = useState(false);
+
+  // Latest state for the autosave, which runs outside of rendering
+  const stateRef = useRef(state);
+  const lastSaved = useRef(JSON.stringify(OnboardingWizard.toDraftData(state)));
+  const saveQueue = useRef(Promise.resolve());
+
+  useEffect(() => {
+    stateRef.current = state;
+    OnboardingWizard.saveState(state);
+  }, [state]);
+
+  useEffect(() => {
+    if (!restoring) return undefined;
+
+    let cancelled = false;
+    const { draft } = stateRef.current;
+    CustomerDataSubmission.getDraft(draft.id, draft.token).then((response) => {
+      if (cancelled) return;
+      setState((prev) => (response.success
+        ? OnboardingWizard.withSensitiveValues(prev, response.data.values)
+        // The draft has expired or was removed; carry on with what the browser kept
+        : { ...prev, draft: null }));
+      setRestoring(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [restoring]);
+
+  // Saves run one at a time so the first one can start the draft the others update
+  const autosave = useMemo(() => {
+    const saveDraft = async () => {
+      const current = stateRef.current;
+      const data = OnboardingWizard.toDraftData(current);
+      const snapshot = JSON.stringify(data);
+      if (current.submission || snapshot === lastSaved.current) return;
+
+      setDraftStatus('saving');
+      const response = await CustomerDataSubmission.saveDraft(current.draft, data);
+
+      if (response.success) {
+        lastSaved.current = snapshot;
+        stateRef.current = { ...stateRef.current, draft: response.data };
+        setState((prev) => ({ ...prev, draft: response.data }));
+        setDraftStatus('saved');
+        return;
+      }
+
+      if (LOST_DRAFT_STATUSES.includes(response.status)) {
+        stateRef.current = { ...stateRef.current, draft: null };
+        setState((prev) => ({ ...prev, draft: null }));
+      }
+      setDraftStatus('failed');
+    };
+
+    return debounce(() => {
+      saveQueue.current = saveQueue.current.then(saveDraft);
+    }, AUTOSAVE_DELAY);
+  }, []);
+
+  useEffect(() => {
+    if (!restoring) {
+      autosave();
+    }
+  }, [state.values, state.completed, restoring, autosave]);
+
+  const step = OnboardingWizard.getStep(stepId);
+  const stepIndex = STEPS.indexOf(step);
+  const { values } = state;
+
+  // Only the fields the current step shows count towards its progress
+  const progress = useMemo(() => (
+    step && step.form ? getProgress(OnboardingWizard.getStepDefinition(step), values, market.code) : null
+  ), [step, values]);
+
+  if (restoring) {
+    return (
+      <div className="form-container">
+        <div className="form-wrapper wizard">
+          <p className="form-description">Loading your saved application...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!step || !OnboardingWizard.canVisit(step.id, state)) {
+    return <Navigate to={`/apply/${OnboardingWizard.firstIncompleteStep(state)}`} replace />;
+  }
+
+  const goTo = (targetId) => {
+    setError('');
+    navigate(`/apply/${targetId}`);
+  };
+
+  const setValues = (update) => {
+    setState((prev) => ({ ...prev, values: { ...prev.values, ...update(prev.values) } }));
+  };
+
+  const handleChange = (e) => {
+    const { name, type, checked } = e.target;
+    const value = type === 'checkbox' ? checked : e.target.value;
+    setValues(() => ({ [name]: value }));
+    setError('');
+
+    // A complete PIN code fills in the city and state when they are still empty. A state the
+    // applicant chose is only replaced by an exact match, not one guessed from the PIN's prefix
+    if (name === 'zipCode' && market.code === 'IN') {
+      const match = lookupPinCode(value);
+      setPinLocation(match);
+      if (match && (match.exact || !values.state)) {
+        setValues((prev) => ({
+          state: match.state,
+          city: prev.city.trim() ? prev.city : (match.district || '')
+        }));
+        setFieldErrors((prev) => ({ ...prev, state: null }));
+      }
+    }
+
+    // Re-check a field once it has shown an error
+    if (fieldErrors[name]) {
+      const validationError = FormValidator.validateField(name, value, { lastName: values.lastName });
+      setFieldErrors((prev) => ({
+        ...prev,
+        [name]: validationError
+      }));
+    }
+  };
+
+  const handleContinue = (e) => {
+    e.preventDefault();
+
+    const errors = OnboardingWizard.validateStep(step, values);
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      setError(Object.values(errors)[0]);
+      return;
+    }
+
+    setFieldErrors({});
+    setState((prev) => {
+      const next = {
+        ...prev,
+        completed: prev.completed.includes(step.id) ? prev.completed : [...prev.completed, step.id]
+      };
+      // The residential address starts off the KYC address when it doubles as one
+      if (step.id === 'address' && prev.values.sameAsKyc && !prev.values.kycAddress) {
+        next.values = { ...prev.values, kycAddress: prev.values.address };
+      }
+      return next;
+    });
+    goTo(STEPS[stepIndex + 1].id);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!state.consent) {
+      setError('Please confirm your consent to submit the application.');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+
+    try {
+      // Let a pending save start the draft, so the drafted application is the one submitted
+      await saveQueue.current;
+      const response = await CustomerDataSubmission.submitCompleteOnboarding(values, stateRef.current.draft);
+
+      if (response.success) {
+        // The server discards the draft of the submitted application
+        setState((prev) => ({ ...prev, submission: response.data, draft: null }));
+        goTo('submit');
+        return;
+      }
+
+      setError(response.message || 'Failed to submit application. Please try again.');
+      if (response.errors) {
+        setFieldErrors(response.errors);
+        // Send the applicant to the step with the first field to fix
+        const fieldStep = OnboardingWizard.stepForField(Object.keys(response.errors)[0]);
+        if (fieldStep) {
+          navigate(`/apply/${fieldStep}`);
+        }
+      }
+    } catch (err) {
+      console.error('Error submitting application:', err);
+      setError('An error occurred while submitting your application. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleFinish = () => {
+    OnboardingWizard.clearState();
+    navigate('/');
+  };
+
+  const handleBack = () => {
+    if (stepIndex === 0) {
+      navigate('/');
+    } else {
+      goTo(STEPS[stepIndex - 1].id);
+    }
+  };
+
+  // Sensitive identifiers are not kept across reloads, so they are asked for again
+  const reenterIdentifiers = step.id === 'kyc' && state.completed.includes('kyc') && !values.pan;
+  const kycAddressReused = values.sameAsKyc && values.kycAddress && values.kycAddress === values.address;
+
+  const renderDraftStatus = () => {
+    if (draftStatus === 'saving') return 'Saving...';
+    if (draftStatus === 'failed') return 'Your progress could not be saved. We will try again as you continue.';
+    if (state.draft) return `Saved at ${new Date(state.draft.savedAt).toLocaleTimeString()}`;
+    return null;
+  };
+
+  const renderStep = () => {
+    if (step.form) {
+      return (
+        <FormRenderer
+          definition={OnboardingWizard.getStepDefinition(step)}
+          market={market}
+          values={values}
+          errors={fieldErrors}
+          onChange={handleChange}
+          hints={{
+            zipCode: pinLocation ? [pinLocation.district, pinLocation.stateName].filter(Boolean).join(', ') : null,
+            kycAddress: kycAddressReused
+              ? 'Filled in from your application. Edit it if your government ID shows a different address'
+              : null
+          }}
+        />
+      );
+    }
+    if (step.id === 'documents') {
+      return <DocumentsStep draft={state.draft} />;
+    }
+    if (step.id === 'review') {
+      return (
+        <ReviewStep
+          values={values}
+          market={market}
+          consent={state.consent}
+          onConsentChange={(consent) => setState((prev) => ({ ...prev, consent }))}
+          onEdit={goTo}
+          disabled={submitting}
+        />
+      );
+    }
+    return <SubmittedStep submission={state.submission} onFinish={handleFinish} />;
+  };
+
+  const isSubmitStep = step.id === 'submit';
+  const isReviewStep = step.id === 'review';
+
+  return (
+    <div className="form-container">
+      <div className="form-wrapper wizard">
+        {!isSubmitStep && (
+          <button className="back-button" onClick={handleBack} disabled={submitting}>
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M19 12H5M12 19l-7-7 7-7"/>
+            </svg>
+            Back
+          </button>
+        )}
+
+        <Stepper
+          steps={STEPS}
+          currentStep={step.id}
+          isComplete={(candidate) => OnboardingWizard.isStepComplete(candidate, state)}
+          canVisit={(candidate) => OnboardingWizard.canVisit(candidate.id, state)}
+          onSelect={(candidate) => goTo(candidate.id)}
+        />
+
+        <div className="form-header">
+          <h2>{step.title}</h2>
+          <p className="form-description">Step {stepIndex + 1} of {STEPS.length}</p>
+        </div>
+
+        {!isSubmitStep && (
+          <div className="draft-status">
+            <span>{renderDraftStatus()}</span>
+            {state.draft && (
+              <button type="button" className="link-button" onClick={() => setShowResumeLink((shown) => !shown)}>
+                Save &amp; finish later
+              </button>
+            )}
+          </div>
+        )}
+
+        {showResumeLink && state.draft && !isSubmitStep && (
+          <div className="info-message resume-link">
+            <p>
+              Your application{state.draft.reference && ` ${state.draft.reference}`} is saved
+              until {new Date(state.draft.expiresAt).toLocaleDateString()}.
+              Open this link on any device to continue where you left off:
+            </p>
+            <input
+              type="text"
+              readOnly
+              value={OnboardingWizard.getResumeLink(state.draft)}
+              onFocus={(e) => e.target.select()}
+              aria-label="Resume link"
+            />
+          </div>
+        )}
+
+        {progress !== null && (
+          <div className="progress-bar">
+            <div className="progress-fill" style={{ width: `${progress}%` }}></div>
+          </div>
+        )}
+
+        {reenterIdentifiers && (
+          <div className="info-message">
+            For your security, ID numbers are not saved in your browser. Please enter them again.
+          </div>
+        )}
+
+        {error && (
+          <div className="error-message">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <circle cx="12" cy="12" r="10"/>
+              <line x1="12" y1="8" x2="12" y2="12"/>
+              <line x1="12" y1="16" x2="12.01" y2="16"/>
+            </svg>
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={isReviewStep ? handleSubmit : handleContinue}>
+          {renderStep()}
+
+          {!isSubmitStep && (
+            <button type="submit" className="submit-button" disabled={submitting}>
+              {isReviewStep ? (submitting ? 'Submitting...' : 'Submit Application') : 'Continue'}
+            </button>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default OnboardingPage;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import OnboardingWizard from '../services/OnboardingWizard';
+import CustomerDataSubmission from '../api/CustomerDataSubmission_DB';
+
+/**
+ * Message for a draft that could not be loaded
+ * @param {object} response - Failed API response
+ * @returns {string}
+ */
+const resumeErrorMessage = (response) => {
+  if (response.status === 401 || response.status === 403) {
+    return 'This resume link is invalid or has expired. Please start a new application.';
+  }
+  if (response.status === 404 || response.status === 410) {
+    return response.message;
+  }
+  return 'We could not load your saved application. Please try again.';
+};
+
+/**
+ * Resume page
+ * Opened from a resume link (/resume/:draftId?token=...); loads the saved draft into
+ * the wizard and continues at its first incomplete step
+ */
+function ResumePage() {
+  const navigate = useNavigate();
+  const { draftId } = useParams();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    CustomerDataSubmission.getDraft(draftId, token).then((response) => {
+      if (cancelled) return;
+      if (!response.success) {
+        setError(resumeErrorMessage(response));
+        return;
+      }
+
+      const state = OnboardingWizard.resumeState(response.data, { id: draftId, token });
+      OnboardingWizard.saveState(state);
+      navigate(`/apply/${OnboardingWizard.firstIncompleteStep(state)}`, { replace: true });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [draftId, token, navigate]);
+
+  const handleStartOver = () => {
+    OnboardingWizard.clearState();
+    navigate('/apply');
+  };
+
+  return (
+    <div className="form-container">
+      <div className="form-wrapper wizard">
+        <div className="form-header">
+          <h2>Resume Application</h2>
+        </div>
+
+        {!error && <p className="form-description">Loading your saved application...</p>}
+
+        {error && (
+          <>
+            <div className="error-message">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <circle cx="12" cy="12" r="10"/>
+                <line x1="12" y1="8" x2="12" y2="12"/>
+                <line x1="12" y1="16" x2="12.01" y2="16"/>
+              </svg>
+              {error}
+            </div>
+            <button type="button" className="submit-button" onClick={handleStartOver}>
+              Start a New Application
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ResumePage;
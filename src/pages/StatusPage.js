@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import CustomerDataSubmission from '../api/CustomerDataSubmission_DB';
+import { normalizeReference } from '../shared/applications/ApplicationLifecycle';
+import { MILESTONE_STATES } from '../shared/applications/StatusTimeline';
+
+/**
+ * What a milestone without a date says instead
+ */
+const MILESTONE_NOTES = {
+  [MILESTONE_STATES.CURRENT]: 'In progress',
+  [MILESTONE_STATES.UPCOMING]: 'Not started',
+  [MILESTONE_STATES.SKIPPED]: 'Not applicable',
+};
+
+/**
+ * Check the lookup form before sending it
+ * @param {object} lookup - { reference, email, dateOfBirth }
+ * @returns {object} - Error messages by field name
+ */
+const validateLookup = (lookup) => {
+  const errors = {};
+  if (!normalizeReference(lookup.reference)) {
+    errors.reference = 'Please enter your application reference (e.g., CO-2026-000123)';
+  }
+  if (!lookup.email.trim()) {
+    errors.email = 'Email is required';
+  }
+  if (!lookup.dateOfBirth) {
+    errors.dateOfBirth = 'Date of birth is required';
+  }
+  return errors;
+};
+
+/**
+ * Status page
+ * Applicants look up their application with its reference number, email and date of
+ * birth, or open it from the status link shown when they submitted (/status/:reference?token=...),
+ * and follow its progress on a timeline
+ */
+function StatusPage() {
+  const navigate = useNavigate();
+  const { reference } = useParams();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [lookup, setLookup] = useState({ reference: reference || '', email: '', dateOfBirth: '' });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [opening, setOpening] = useState(Boolean(reference && token));
+  const [loading, setLoading] = useState(false);
+  const [application, setApplication] = useState(null);
+
+  useEffect(() => {
+    if (!reference || !token) return undefined;
+
+    let cancelled = false;
+    CustomerDataSubmission.getApplicationStatus(reference, token).then((response) => {
+      if (cancelled) return;
+      setOpening(false);
+      if (response.success) {
+        setApplication(response.data);
+        return;
+      }
+      setError(response.status === 401 || response.status === 404
+        ? 'This status link is invalid or has expired. Please look up your application below.'
+        : 'We could not load your application status. Please try again.');
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reference, token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setLookup((prev) => ({ ...prev, [name]: value }));
+    setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateLookup(lookup);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setLoading(true);
+    setError('');
+
+    const response = await CustomerDataSubmission.lookupApplicationStatus({
+      reference: normalizeReference(lookup.reference),
+      email: lookup.email.trim(),
+      dateOfBirth: lookup.dateOfBirth,
+    });
+
+    setLoading(false);
+    if (response.success) {
+      setApplication(response.data);
+      return;
+    }
+    setError(response.message || 'We could not load your application status. Please try again.');
+    if (response.errors) {
+      setFieldErrors(response.errors);
+    }
+  };
+
+  const handleLookUpAnother = () => {
+    setApplication(null);
+    setLookup({ reference: '', email: '', dateOfBirth: '' });
+    navigate('/status', { replace: true });
+  };
+
+  const renderField = (name, label, type, placeholder) => (
+    <div className="form-group">
+      <label htmlFor={name}>{label}</label>
+      <input
+        id={name}
+        name={name}
+        type={type}
+        value={lookup[name]}
+        placeholder={placeholder}
+        onChange={handleChange}
+        disabled={loading}
+        className={fieldErrors[name] ? 'input-error' : ''}
+      />
+      {fieldErrors[name] && <small className="field-error">{fieldErrors[name]}</small>}
+    </div>
+  );
+
+  return (
+    <div className="form-container">
+      <div className="form-wrapper wizard">
+        <div className="form-header">
+          <h2>Application Status</h2>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <circle cx="12" cy="12" r="10"/>
+              <line x1="12" y1="8" x2="12" y2="12"/>
+              <line x1="12" y1="16" x2="12.01" y2="16"/>
+            </svg>
+            {error}
+          </div>
+        )}
+
+        {application ? (
+          <>
+            <dl className="review-list">
+              <div className="review-item">
+                <dt>Application reference</dt>
+                <dd>{application.reference}</dd>
+              </div>
+              <div className="review-item">
+                <dt>Status</dt>
+                <dd>{application.statusLabel}</dd>
+              </div>
+              <div className="review-item">
+                <dt>Email</dt>
+                <dd>{application.email}</dd>
+              </div>
+            </dl>
+
+            <ol className="status-timeline">
+              {application.timeline.map((milestone) => (
+                <li key={milestone.id} className={`timeline-item ${milestone.state}`}>
+                  <span className="timeline-label">{milestone.label}</span>
+                  <span className="timeline-date">
+                    {milestone.date ? new Date(milestone.date).toLocaleDateString() : MILESTONE_NOTES[milestone.state]}
+                  </span>
+                </li>
+              ))}
+            </ol>
+
+            <button type="button" className="submit-button" onClick={handleLookUpAnother}>
+              Look Up Another Application
+            </button>
+          </>
+        ) : opening ? (
+          <p className="form-description">Loading your application status...</p>
+        ) : (
+          <form onSubmit={handleSubmit} noValidate>
+            <p className="form-description">
+              Enter the reference number from your confirmation, with the email address and date
+              of birth you applied with.
+            </p>
+            {renderField('reference', 'Application Reference', 'text', 'CO-2026-000123')}
+            {renderField('email', 'Email Address', 'email', 'john.doe@example.com')}
+            {renderField('dateOfBirth', 'Date of Birth', 'date')}
+            <button type="submit" className="submit-button" disabled={loading}>
+              {loading ? 'Checking...' : 'Check Status'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StatusPage;
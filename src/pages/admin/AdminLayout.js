@@ -0,0 +1,45 @@
+import React from 'react';
+import { Link, NavLink, Navigate, Outlet, useLocation, useNavigate } from 'react-router-dom';
+import BackOffice from '../../api/BackOffice';
+
+/**
+ * Back-office layout
+ * Frames the reviewer pages under /admin and sends signed-out users to the login page
+ */
+function AdminLayout() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const user = BackOffice.getUser();
+
+  if (!user) {
+    return <Navigate to="/admin/login" replace state={{ from: location.pathname + location.search }} />;
+  }
+
+  const handleSignOut = () => {
+    BackOffice.logout();
+    navigate('/admin/login', { replace: true });
+  };
+
+  return (
+    <div className="admin-shell">
+      <header className="admin-header">
+        <Link to="/admin" className="admin-title">KYC Review</Link>
+        <nav className="admin-nav">
+          <NavLink to="/admin" end>Queue</NavLink>
+          <NavLink to="/admin/approvals">Approvals</NavLink>
+        </nav>
+        <div className="admin-user">
+          <span>{user.email} · {user.role}</span>
+          <button type="button" className="link-button" onClick={handleSignOut}>
+            Sign out
+          </button>
+        </div>
+      </header>
+      <main className="admin-main">
+        <Outlet context={{ user }} />
+      </main>
+    </div>
+  );
+}
+
+export default AdminLayout;
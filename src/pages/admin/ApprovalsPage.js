@@ -0,0 +1,75 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useOutletContext } from 'react-router-dom';
+import BackOffice from '../../api/BackOffice';
+import { ACTION_TYPES } from '../../shared/review/PendingActions';
+import PendingActionPanel from './PendingActionPanel';
+
+const PAGE_SIZE = 50;
+
+/**
+ * Approvals page
+ * Lists changes awaiting a checker's approval, oldest first, for supervisors and admins
+ * to approve or reject
+ */
+function ApprovalsPage() {
+  const navigate = useNavigate();
+  const { user } = useOutletContext();
+
+  const [actions, setActions] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadActions = useCallback(async () => {
+    const response = await BackOffice.getPendingActions({ status: 'pending', limit: PAGE_SIZE });
+    if (response.status === 401) {
+      navigate('/admin/login', { replace: true, state: { from: '/admin/approvals' } });
+      return;
+    }
+    if (!response.success) {
+      setError(response.message || 'The approvals could not be loaded.');
+      return;
+    }
+    setError('');
+    setActions(response.data);
+  }, [navigate]);
+
+  useEffect(() => {
+    loadActions();
+  }, [loadActions]);
+
+  const handleChecked = async (response) => {
+    setNotice(response.success ? response.message : '');
+    await loadActions();
+  };
+
+  return (
+    <div className="admin-panel">
+      <h2>Awaiting Approval</h2>
+
+      {error && <div className="error-message">{error}</div>}
+      {notice && <div className="success-message">{notice}</div>}
+
+      {!actions ? (
+        !error && <p className="form-description">Loading approvals...</p>
+      ) : actions.length === 0 ? (
+        <p className="form-description">No changes are awaiting approval.</p>
+      ) : (
+        <ul className="approval-list">
+          {actions.map((action) => (
+            <li key={action.actionId}>
+              <div className="approval-header">
+                <strong>{action.customerName || 'Unknown customer'}</strong>
+                {action.actionType === ACTION_TYPES.KYC_DECISION && (
+                  <Link to={`/admin/kyc/${action.recordId}`}>Open case</Link>
+                )}
+              </div>
+              <PendingActionPanel action={action} user={user} onDecided={handleChecked} />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ApprovalsPage;
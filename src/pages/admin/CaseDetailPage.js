@@ -0,0 +1,326 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useOutletContext, useParams } from 'react-router-dom';
+import BackOffice from '../../api/BackOffice';
+import { REVIEW_DECISIONS, getReasonCodes, getReasonLabel } from '../../shared/review/ReasonCodes';
+import DocumentsPanel from './DocumentsPanel';
+import PendingActionPanel from './PendingActionPanel';
+import ScreeningPanel from './ScreeningPanel';
+
+/**
+ * Identifiers shown masked, each with a reveal action
+ */
+const IDENTIFIERS = [
+  { field: 'pan', label: 'PAN' },
+  { field: 'govID', label: 'Government ID' },
+  { field: 'aadhaarNumber', label: 'Aadhaar Number' },
+];
+
+/**
+ * Roles that can release another reviewer's claim
+ */
+const SUPERVISOR_ROLES = ['supervisor', 'admin'];
+
+const EMPTY_DECISION = { status: '', reasonCode: '', notes: '' };
+
+/**
+ * Case detail page
+ * Shows one KYC submission with its identifiers masked; a reviewer claims the case,
+ * reveals identifiers as needed (each reveal is audited), resolves any watchlist hits and
+ * proposes to verify or reject it with a reason code, which a supervisor then approves
+ */
+function CaseDetailPage() {
+  const navigate = useNavigate();
+  const { kycId } = useParams();
+  const { user } = useOutletContext();
+
+  const [record, setRecord] = useState(null);
+  const [revealed, setRevealed] = useState({});
+  const [decision, setDecision] = useState(EMPTY_DECISION);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  /**
+   * Report a failed call, sending the reviewer to sign in again if their session has expired
+   * @returns {boolean} - Whether the response failed
+   */
+  const failed = useCallback((response) => {
+    if (response.success) return false;
+    if (response.status === 401) {
+      navigate('/admin/login', { replace: true, state: { from: `/admin/kyc/${kycId}` } });
+      return true;
+    }
+    setError(response.message || 'Something went wrong. Please try again.');
+    return true;
+  }, [navigate, kycId]);
+
+  const loadCase = useCallback(async () => {
+    const response = await BackOffice.getCase(kycId);
+    if (failed(response)) return;
+    setRecord(response.data);
+  }, [kycId, failed]);
+
+  useEffect(() => {
+    setRecord(null);
+    setRevealed({});
+    setError('');
+    loadCase();
+  }, [loadCase]);
+
+  /**
+   * Run an action on the case, then reload it
+   */
+  const runAction = async (action) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    const response = await action();
+    setBusy(false);
+    if (failed(response)) return response;
+    await loadCase();
+    return response;
+  };
+
+  const handleReveal = async (field) => {
+    setBusy(true);
+    setError('');
+    const response = await BackOffice.reveal(kycId, field);
+    setBusy(false);
+    if (failed(response)) return;
+    setRevealed((prev) => ({ ...prev, [field]: response.data.value }));
+  };
+
+  const handleHide = (field) => {
+    setRevealed((prev) => {
+      const next = { ...prev };
+      delete next[field];
+      return next;
+    });
+  };
+
+  const handleDecisionChange = (e) => {
+    const { name, value } = e.target;
+    setDecision((prev) => (name === 'status'
+      ? { ...prev, status: value, reasonCode: '' }
+      : { ...prev, [name]: value }));
+    setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleDecide = async (e) => {
+    e.preventDefault();
+
+    const errors = {};
+    if (!decision.status) errors.status = 'Choose a decision';
+    if (!decision.reasonCode) errors.reasonCode = 'Choose a reason';
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const response = await runAction(() => BackOffice.decide(kycId, decision));
+    if (response.success) {
+      setDecision(EMPTY_DECISION);
+      setNotice(response.message);
+    } else if (response.errors) {
+      setFieldErrors(response.errors);
+    }
+  };
+
+  const handleChecked = async (response) => {
+    if (response.status === 401) {
+      failed(response);
+      return;
+    }
+    setNotice(response.success ? response.message : '');
+    await loadCase();
+  };
+
+  if (!record) {
+    return (
+      <div className="admin-panel">
+        <Link to="/admin" className="back-button">← Back to queue</Link>
+        {error ? <div className="error-message">{error}</div> : <p className="form-description">Loading the case...</p>}
+      </div>
+    );
+  }
+
+  const claimedByMe = record.claimedBy === user.id;
+  const claimedByOther = Boolean(record.claimedBy) && !claimedByMe;
+  const pending = record.verificationStatus === 'pending';
+
+  const renderItem = (label, value) => (
+    <div className="review-item">
+      <dt>{label}</dt>
+      <dd>{value || '—'}</dd>
+    </div>
+  );
+
+  return (
+    <div className="admin-panel">
+      <Link to="/admin" className="back-button">← Back to queue</Link>
+
+      <div className="admin-case-header">
+        <h2>{record.reference || 'KYC Submission'}</h2>
+        <span className={`admin-status ${record.verificationStatus}`}>{record.verificationStatus}</span>
+        {record.politicallyExposedPerson && <span className="admin-flag">PEP</span>}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {notice && <div className="success-message">{notice}</div>}
+
+      <div className="admin-claim">
+        {record.claimedBy ? (
+          <span>
+            Claimed by {claimedByMe ? 'you' : record.claimedByEmail || record.claimedBy}
+            {record.claimedAt && ` on ${new Date(record.claimedAt).toLocaleString()}`}
+          </span>
+        ) : (
+          <span>{pending ? 'Not claimed' : 'Closed'}</span>
+        )}
+        {pending && !record.claimedBy && (
+          <button type="button" className="link-button" disabled={busy} onClick={() => runAction(() => BackOffice.claim(kycId))}>
+            Claim case
+          </button>
+        )}
+        {(claimedByMe || (claimedByOther && SUPERVISOR_ROLES.includes(user.role))) && (
+          <button
+            type="button"
+            className="link-button"
+            disabled={busy}
+            onClick={() => runAction(() => BackOffice.release(kycId, claimedByOther))}
+          >
+            Release claim
+          </button>
+        )}
+      </div>
+
+      {record.pendingAction && (
+        <PendingActionPanel action={record.pendingAction} user={user} onDecided={handleChecked} />
+      )}
+
+      <h3 className="section-title">Applicant</h3>
+      <dl className="review-list">
+        {renderItem('Name', [record.applicant.firstName, record.applicant.lastName].filter(Boolean).join(' '))}
+        {renderItem('Email', record.applicant.email)}
+        {renderItem('Phone', record.applicant.phoneNumber)}
+        {renderItem('Application status', record.applicationStatus)}
+        {renderItem('Submitted', new Date(record.createdAt).toLocaleString())}
+      </dl>
+
+      <h3 className="section-title">Identity</h3>
+      <dl className="review-list">
+        {IDENTIFIERS.map(({ field, label }) => (
+          <div className="review-item" key={field}>
+            <dt>{label}{field === 'govID' && record.govIDType ? ` (${record.govIDType})` : ''}</dt>
+            <dd className="admin-identifier">
+              <span>{revealed[field] || record.identifiers[field] || '—'}</span>
+              {record.identifiers[field] && (revealed[field] ? (
+                <button type="button" className="link-button" onClick={() => handleHide(field)}>Hide</button>
+              ) : (
+                <button type="button" className="link-button" disabled={busy} onClick={() => handleReveal(field)}>Reveal</button>
+              ))}
+            </dd>
+          </div>
+        ))}
+        {renderItem('Date of birth', record.dateOfBirth && new Date(record.dateOfBirth).toLocaleDateString())}
+        {renderItem('Nationality', record.nationality)}
+        {renderItem('Occupation', record.occupation)}
+        {renderItem('Politically exposed', record.politicallyExposedPerson ? 'Yes' : 'No')}
+      </dl>
+
+      <h3 className="section-title">Risk</h3>
+      <dl className="review-list">
+        {renderItem('Risk assessment', record.riskAssessment && `${record.riskAssessment} (score ${record.riskScore})`)}
+        {renderItem('Scored', record.riskAssessedAt && `${new Date(record.riskAssessedAt).toLocaleString()} with rules ${record.riskRulesVersion}`)}
+      </dl>
+      {record.riskReasons.length > 0 && (
+        <ul className="admin-risk-reasons">
+          {record.riskReasons.map((reason, index) => (
+            <li key={`${reason.rule}-${index}`}>
+              <span>{reason.label}{reason.detail ? ` (${reason.detail})` : ''}</span>
+              <span>+{reason.points}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3 className="section-title">Screening</h3>
+      <ScreeningPanel kycId={kycId} screening={record.screening} onChanged={handleChecked} />
+
+      <h3 className="section-title">Documents</h3>
+      <DocumentsPanel kycId={kycId} documents={record.documents} />
+
+      <h3 className="section-title">Address</h3>
+      <dl className="review-list">
+        {renderItem('Address', record.kycAddress)}
+        {renderItem('City', record.city)}
+        {renderItem('State', record.state)}
+        {renderItem('Postal code', record.postalCode)}
+        {renderItem('Country', record.country)}
+      </dl>
+
+      {!pending && (
+        <>
+          <h3 className="section-title">Decision</h3>
+          <dl className="review-list">
+            {renderItem('Reason', record.reasonCode && (getReasonLabel(record.reasonCode) || record.reasonCode))}
+            {renderItem('Notes', record.verificationNotes)}
+            {renderItem('Decided', record.verifiedAt && new Date(record.verifiedAt).toLocaleString())}
+          </dl>
+        </>
+      )}
+
+      {pending && claimedByMe && !record.pendingAction && (
+        <form className="admin-decision" onSubmit={handleDecide} noValidate>
+          <h3 className="section-title">Decision</h3>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="status">Decision</label>
+              <select
+                id="status"
+                name="status"
+                value={decision.status}
+                onChange={handleDecisionChange}
+                className={fieldErrors.status ? 'input-error' : ''}
+              >
+                <option value="">Choose...</option>
+                <option value={REVIEW_DECISIONS.VERIFIED}>Verify</option>
+                <option value={REVIEW_DECISIONS.REJECTED}>Reject</option>
+              </select>
+              {fieldErrors.status && <small className="field-error">{fieldErrors.status}</small>}
+            </div>
+            <div className="form-group">
+              <label htmlFor="reasonCode">Reason</label>
+              <select
+                id="reasonCode"
+                name="reasonCode"
+                value={decision.reasonCode}
+                onChange={handleDecisionChange}
+                disabled={!decision.status}
+                className={fieldErrors.reasonCode ? 'input-error' : ''}
+              >
+                <option value="">Choose...</option>
+                {getReasonCodes(decision.status).map((reason) => (
+                  <option key={reason.code} value={reason.code}>{reason.label}</option>
+                ))}
+              </select>
+              {fieldErrors.reasonCode && <small className="field-error">{fieldErrors.reasonCode}</small>}
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="notes">Notes <span className="optional-label">(optional)</span></label>
+            <textarea id="notes" name="notes" rows="3" value={decision.notes} onChange={handleDecisionChange} />
+          </div>
+          <button type="submit" className="submit-button" disabled={busy}>
+            {busy ? 'Sending...' : 'Send for Approval'}
+          </button>
+        </form>
+      )}
+
+      {pending && !record.claimedBy && (
+        <p className="form-description">Claim this case to verify or reject it.</p>
+      )}
+    </div>
+  );
+}
+
+export default CaseDetailPage;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useRef } from 'react';
+import BackOffice from '../../api/BackOffice';
+import { getDocumentType } from '../../shared/documents/DocumentTypes';
+
+/**
+ * Documents uploaded with a case: a thumbnail of each, and the document itself on request
+ * Opening a document is recorded in the audit log, like revealing an identifier
+ *
+ * @param {string} props.kycId - KYC record ID
+ * @param {array} props.documents - Documents from the case
+ */
+function DocumentsPanel({ kycId, documents }) {
+  // Thumbnail object URLs by document ID
+  const [thumbnails, setThumbnails] = useState({});
+  const opened = useRef([]);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const urls = [];
+
+    documents.filter((document) => document.hasThumbnail).forEach((document) => {
+      BackOffice.getDocumentThumbnail(kycId, document.documentId).then((response) => {
+        if (!response.success) return;
+        urls.push(response.url);
+        if (cancelled) {
+          URL.revokeObjectURL(response.url);
+          return;
+        }
+        setThumbnails((prev) => ({ ...prev, [document.documentId]: response.url }));
+      });
+    });
+
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [kycId, documents]);
+
+  // Opened documents stay readable in their tabs until the case is left
+  useEffect(() => {
+    const urls = opened.current;
+    return () => urls.forEach((url) => URL.revokeObjectURL(url));
+  }, []);
+
+  const handleOpen = async (document) => {
+    setBusy(document.documentId);
+    setError('');
+    const response = await BackOffice.getDocumentFile(kycId, document.documentId);
+    setBusy(null);
+    if (!response.success) {
+      setError(response.message || 'The document could not be opened. Please try again.');
+      return;
+    }
+    opened.current.push(response.url);
+    window.open(response.url, '_blank', 'noopener');
+  };
+
+  return (
+    <div className="admin-documents">
+      {error && <div className="error-message">{error}</div>}
+      {documents.length === 0 && <p>No documents were uploaded with this application.</p>}
+      {documents.length > 0 && (
+        <ul className="admin-document-list">
+          {documents.map((document) => {
+            const definition = getDocumentType(document.documentType);
+            const label = definition ? definition.label : document.documentType;
+            return (
+              <li key={document.documentId}>
+                <div className="admin-document-thumbnail">
+                  {thumbnails[document.documentId]
+                    ? <img src={thumbnails[document.documentId]} alt={`${label} thumbnail`} />
+                    : <span>{document.mimeType === 'application/pdf' ? 'PDF' : 'No preview'}</span>}
+                </div>
+                <strong>{label}</strong>
+                <span>
+                  {[document.width && `${document.width}×${document.height}`, `${Math.ceil(document.sizeBytes / 1024)} KB`]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </span>
+                <button
+                  type="button"
+                  className="link-button"
+                  disabled={busy === document.documentId}
+                  onClick={() => handleOpen(document)}
+                >
+                  View full size
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DocumentsPanel;
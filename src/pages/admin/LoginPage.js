@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import BackOffice from '../../api/BackOffice';
+
+/**
+ * Back-office login page
+ * Signs in a reviewer, supervisor or admin and returns them to the page they asked for
+ */
+function LoginPage() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const from = (location.state && location.state.from) || '/admin';
+
+  const [credentials, setCredentials] = useState({ email: '', password: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  if (BackOffice.getUser()) {
+    return <Navigate to={from} replace />;
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setCredentials((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const response = await BackOffice.login(credentials.email.trim(), credentials.password);
+
+    setLoading(false);
+    if (response.success) {
+      navigate(from, { replace: true });
+      return;
+    }
+    setError(response.message || 'Sign-in failed. Please try again.');
+  };
+
+  return (
+    <div className="form-container">
+      <div className="form-wrapper">
+        <h2>Back-Office Sign In</h2>
+        <p className="form-description">Sign in with your reviewer account to work the KYC queue.</p>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="email">Email Address</label>
+            <input
+              id="email"
+              name="email"
+              type="email"
+              value={credentials.email}
+              onChange={handleChange}
+              disabled={loading}
+              autoComplete="username"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="password">Password</label>
+            <input
+              id="password"
+              name="password"
+              type="password"
+              value={credentials.password}
+              onChange={handleChange}
+              disabled={loading}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <button type="submit" className="submit-button" disabled={loading}>
+            {loading ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default LoginPage;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import BackOffice from '../../api/BackOffice';
+import { getReasonLabel } from '../../shared/review/ReasonCodes';
+import { ACTION_TYPES, checkApprover } from '../../shared/review/PendingActions';
+
+/**
+ * Describe a proposed change
+ * @param {object} action - Pending action from the API
+ * @returns {string}
+ */
+export const describeProposal = (action) => {
+  if (action.actionType === ACTION_TYPES.KYC_DECISION) {
+    const verb = action.proposed.status === 'verified' ? 'Verify' : 'Reject';
+    return `${verb} KYC: ${getReasonLabel(action.proposed.reasonCode) || action.proposed.reasonCode}`;
+  }
+  if (action.actionType === ACTION_TYPES.APPLICATION_STATUS) {
+    const verb = action.proposed.status === 'approved' ? 'Approve' : 'Decline';
+    return action.proposed.reason ? `${verb} application: ${action.proposed.reason}` : `${verb} application`;
+  }
+  return `Mark customer ${action.proposed.status}`;
+};
+
+/**
+ * Pending action panel
+ * Shows a change awaiting approval and, to a user allowed to check it, approve and reject actions
+ *
+ * @param {object} props.action - Pending action from the API
+ * @param {object} props.user - Signed-in staff user ({ id, role })
+ * @param {function} props.onDecided - Called with the API response once the change is approved or rejected
+ */
+function PendingActionPanel({ action, user, onDecided }) {
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const refusal = checkApprover(action, user);
+
+  const handleDecision = async (decide) => {
+    setBusy(true);
+    setError('');
+    const response = await decide(action.actionId, note.trim());
+    setBusy(false);
+    if (!response.success) {
+      setError(response.message || 'The change could not be checked. Please try again.');
+    }
+    onDecided(response);
+  };
+
+  return (
+    <div className="info-message pending-action">
+      <p>
+        Awaiting approval: <strong>{describeProposal(action)}</strong>
+        <br />
+        Proposed by {action.makerId === user.id ? 'you' : action.makerEmail || action.makerId}
+        {action.createdAt && ` on ${new Date(action.createdAt).toLocaleString()}`}
+      </p>
+      {action.proposed.notes && <p>Notes: {action.proposed.notes}</p>}
+      {error && <div className="error-message">{error}</div>}
+
+      {refusal ? (
+        <p className="pending-action-refusal">
+          {refusal.code === 'SELF_APPROVAL' ? 'Another supervisor or admin must check this change.' : refusal.message}
+        </p>
+      ) : (
+        <>
+          <textarea
+            aria-label="Checker's note"
+            placeholder="Note (optional)"
+            rows="2"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            disabled={busy}
+          />
+          <div className="pending-action-buttons">
+            <button type="button" className="link-button" disabled={busy} onClick={() => handleDecision(BackOffice.approve)}>
+              Approve
+            </button>
+            <button type="button" className="link-button" disabled={busy} onClick={() => handleDecision(BackOffice.reject)}>
+              Reject
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PendingActionPanel;
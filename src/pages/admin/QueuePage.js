@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import BackOffice from '../../api/BackOffice';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Filters of the queue, with the value each starts at; they are kept in the URL
+ * so a reviewer returning from a case finds the queue as they left it
+ */
+const DEFAULT_FILTERS = {
+  status: 'pending',
+  risk: '',
+  pep: '',
+  olderThanDays: '',
+  screening: '',
+  sort: 'oldest',
+};
+
+const FILTER_OPTIONS = {
+  status: [
+    { value: '', label: 'Any status' },
+    { value: 'pending', label: 'Pending' },
+    { value: 'verified', label: 'Verified' },
+    { value: 'rejected', label: 'Rejected' },
+    { value: 'expired', label: 'Expired' },
+  ],
+  risk: [
+    { value: '', label: 'Any risk' },
+    { value: 'low', label: 'Low risk' },
+    { value: 'medium', label: 'Medium risk' },
+    { value: 'high', label: 'High risk' },
+  ],
+  pep: [
+    { value: '', label: 'PEP or not' },
+    { value: 'true', label: 'PEP only' },
+    { value: 'false', label: 'Non-PEP only' },
+  ],
+  olderThanDays: [
+    { value: '', label: 'Any age' },
+    { value: '1', label: 'Older than 1 day' },
+    { value: '3', label: 'Older than 3 days' },
+    { value: '7', label: 'Older than 7 days' },
+    { value: '14', label: 'Older than 14 days' },
+  ],
+  screening: [
+    { value: '', label: 'Any screening' },
+    { value: 'open', label: 'Unresolved watchlist hits' },
+  ],
+  sort: [
+    { value: 'oldest', label: 'Oldest first' },
+    { value: 'newest', label: 'Newest first' },
+  ],
+};
+
+/**
+ * Days since a submission was made
+ * @param {string} createdAt - ISO timestamp
+ * @returns {number}
+ */
+const ageInDays = (createdAt) => Math.floor((Date.now() - new Date(createdAt).getTime()) / (24 * 60 * 60 * 1000));
+
+/**
+ * Review queue page
+ * Lists KYC submissions for reviewers, filtered by status, risk, PEP flag, age and
+ * unresolved watchlist hits (raised at submission or by re-screening the customer base)
+ */
+function QueuePage() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const filters = {};
+  Object.keys(DEFAULT_FILTERS).forEach((name) => {
+    filters[name] = searchParams.has(name) ? searchParams.get(name) : DEFAULT_FILTERS[name];
+  });
+  const offset = parseInt(searchParams.get('offset'), 10) || 0;
+  const queryKey = searchParams.toString();
+
+  const [queue, setQueue] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const query = new URLSearchParams(queryKey);
+    const request = { limit: PAGE_SIZE, offset: parseInt(query.get('offset'), 10) || 0 };
+    Object.keys(DEFAULT_FILTERS).forEach((name) => {
+      request[name] = query.has(name) ? query.get(name) : DEFAULT_FILTERS[name];
+    });
+
+    BackOffice.getQueue(request).then((response) => {
+      if (cancelled) return;
+      if (response.status === 401) {
+        navigate('/admin/login', { replace: true, state: { from: `${location.pathname}?${queryKey}` } });
+        return;
+      }
+      if (!response.success) {
+        setError(response.message || 'The review queue could not be loaded.');
+        return;
+      }
+      setError('');
+      setQueue(response);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [queryKey, navigate, location.pathname]);
+
+  const updateSearch = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.keys(changes).forEach((name) => next.set(name, changes[name]));
+    setSearchParams(next);
+  };
+
+  const handleFilterChange = (e) => {
+    updateSearch({ [e.target.name]: e.target.value, offset: 0 });
+  };
+
+  return (
+    <div className="admin-panel">
+      <h2>Review Queue</h2>
+
+      <div className="admin-filters">
+        {Object.keys(FILTER_OPTIONS).map((name) => (
+          <select key={name} name={name} value={filters[name]} onChange={handleFilterChange} aria-label={name}>
+            {FILTER_OPTIONS[name].map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        ))}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!queue ? (
+        !error && <p className="form-description">Loading the queue...</p>
+      ) : queue.data.length === 0 ? (
+        <p className="form-description">No submissions match these filters.</p>
+      ) : (
+        <>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Reference</th>
+                <th>Applicant</th>
+                <th>Age</th>
+                <th>Risk</th>
+                <th>PEP</th>
+                <th>Status</th>
+                <th>Claimed by</th>
+              </tr>
+            </thead>
+            <tbody>
+              {queue.data.map((item) => (
+                <tr key={item.kycId}>
+                  <td><Link to={`/admin/kyc/${item.kycId}`}>{item.reference || item.kycId.slice(0, 8)}</Link></td>
+                  <td>{item.applicantName || '—'}</td>
+                  <td>{ageInDays(item.createdAt)}d</td>
+                  <td>{item.riskAssessment ? `${item.riskAssessment} (${item.riskScore})` : '—'}</td>
+                  <td>
+                    {item.politicallyExposedPerson ? <span className="admin-flag">PEP</span> : 'No'}
+                    {item.openScreeningHits > 0 && <span className="admin-flag watchlist">watchlist hit</span>}
+                  </td>
+                  <td>
+                    <span className={`admin-status ${item.verificationStatus}`}>{item.verificationStatus}</span>
+                    {item.awaitingApproval && <span className="admin-status awaiting">awaiting approval</span>}
+                  </td>
+                  <td>{item.claimedByEmail || item.claimedBy || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="admin-pagination">
+            <span>
+              {queue.pagination.offset + 1}–{queue.pagination.offset + queue.data.length} of {queue.pagination.total}
+            </span>
+            <button
+              type="button"
+              className="link-button"
+              disabled={offset === 0}
+              onClick={() => updateSearch({ offset: Math.max(0, offset - PAGE_SIZE) })}
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              className="link-button"
+              disabled={!queue.pagination.hasMore}
+              onClick={() => updateSearch({ offset: offset + PAGE_SIZE })}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default QueuePage;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import BackOffice from '../../api/BackOffice';
+import { SCREENING_STATUSES } from '../../shared/screening/Screening';
+
+/**
+ * How the applicant's date of birth and nationality compared with a listed person's
+ */
+const COMPARISON_LABELS = {
+  match: 'matches',
+  year: 'same year',
+  mismatch: 'differs',
+  unknown: 'not known',
+};
+
+const STATUS_LABELS = {
+  [SCREENING_STATUSES.POTENTIAL_MATCH]: 'Potential match',
+  [SCREENING_STATUSES.TRUE_POSITIVE]: 'True match',
+  [SCREENING_STATUSES.FALSE_POSITIVE]: 'False positive',
+};
+
+/**
+ * One watchlist hit, with true and false positive actions while it is unresolved
+ *
+ * @param {object} props.result - Screening result from the API
+ * @param {function} props.onChanged - Called with the API response once the hit is resolved
+ */
+function ScreeningHit({ result, onChanged }) {
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const details = result.details || {};
+  const entry = details.entry || {};
+  const aliases = (entry.names || []).filter((name) => name !== result.matchedName);
+  const unresolved = result.status === SCREENING_STATUSES.POTENTIAL_MATCH;
+
+  const handleResolve = async (status) => {
+    if (!note.trim()) {
+      setError('Explain why this is or is not the listed person');
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    const response = await BackOffice.resolveScreeningResult(result.resultId, status, note.trim());
+    setBusy(false);
+    if (!response.success) {
+      setError(response.message || 'The hit could not be resolved. Please try again.');
+    }
+    onChanged(response);
+  };
+
+  return (
+    <li className={`admin-screening-hit ${result.status}`}>
+      <div className="admin-screening-heading">
+        <strong>{result.matchedName}</strong>
+        <span>{result.listName} {result.listType} list, entry {result.entryRef}</span>
+        <span className="admin-screening-score">{result.score}</span>
+      </div>
+      <p>
+        {aliases.length > 0 && <>Also listed as {aliases.join('; ')}<br /></>}
+        Date of birth {COMPARISON_LABELS[details.dateOfBirth] || '—'}
+        {entry.datesOfBirth && entry.datesOfBirth.length > 0 && ` (listed ${entry.datesOfBirth.join(', ')})`}
+        {' · '}Nationality {COMPARISON_LABELS[details.nationality] || '—'}
+        {entry.nationalities && entry.nationalities.length > 0 && ` (listed ${entry.nationalities.join(', ')})`}
+      </p>
+
+      {unresolved ? (
+        <>
+          {error && <div className="error-message">{error}</div>}
+          <textarea
+            aria-label="Resolution note"
+            placeholder="Why is this, or is this not, the listed person?"
+            rows="2"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            disabled={busy}
+          />
+          <div className="pending-action-buttons">
+            <button
+              type="button"
+              className="link-button"
+              disabled={busy}
+              onClick={() => handleResolve(SCREENING_STATUSES.TRUE_POSITIVE)}
+            >
+              True match
+            </button>
+            <button
+              type="button"
+              className="link-button"
+              disabled={busy}
+              onClick={() => handleResolve(SCREENING_STATUSES.FALSE_POSITIVE)}
+            >
+              False positive
+            </button>
+          </div>
+        </>
+      ) : (
+        <p className="admin-screening-resolution">
+          {STATUS_LABELS[result.status]} by {result.resolvedByEmail || result.resolvedBy}
+          {result.resolvedAt && ` on ${new Date(result.resolvedAt).toLocaleString()}`}: {result.resolutionNote}
+        </p>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Screening panel
+ * Shows a case's sanctions and PEP watchlist hits; a reviewer resolves each potential
+ * match as a true or false positive, and can screen the case again after a list is reloaded
+ *
+ * @param {string} props.kycId - KYC UUID
+ * @param {object} props.screening - { screenedAt, results } from the case
+ * @param {function} props.onChanged - Called with the API response after a screening or resolution
+ */
+function ScreeningPanel({ kycId, screening, onChanged }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleScreen = async () => {
+    setBusy(true);
+    setError('');
+    const response = await BackOffice.screen(kycId);
+    setBusy(false);
+    if (!response.success) {
+      setError(response.message || 'The case could not be screened. Please try again.');
+    }
+    onChanged(response);
+  };
+
+  return (
+    <div className="admin-screening">
+      <div className="admin-claim">
+        <span>
+          {screening.screenedAt
+            ? `Screened on ${new Date(screening.screenedAt).toLocaleString()}`
+            : 'Not screened'}
+          {screening.screenedAt && screening.results.length === 0 && ', no matches'}
+        </span>
+        <button type="button" className="link-button" disabled={busy} onClick={handleScreen}>
+          {busy ? 'Screening...' : 'Screen again'}
+        </button>
+      </div>
+      {error && <div className="error-message">{error}</div>}
+
+      {screening.results.length > 0 && (
+        <ul className="admin-screening-hits">
+          {screening.results.map((result) => (
+            <ScreeningHit key={result.resultId} result={result} onChanged={onChanged} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ScreeningPanel;
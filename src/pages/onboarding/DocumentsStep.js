@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import CustomerDataSubmission from '../../api/CustomerDataSubmission_DB';
+import DocumentUpload from '../../components/DocumentUpload';
+import { DOCUMENT_TYPE_DEFINITIONS } from '../../shared/documents/DocumentTypes';
+
+/**
+ * Documents step
+ * Uploads copies of the applicant's documents to the saved application; they go to review
+ * with it when it is submitted. Documents are optional, and need a saved draft to upload to.
+ *
+ * @param {object} props.draft - Saved draft ({ id, token }), or null until the first autosave
+ */
+function DocumentsStep({ draft }) {
+  // Uploaded documents by document type
+  const [documents, setDocuments] = useState({});
+  const [loadError, setLoadError] = useState('');
+  // The draft object is replaced on every autosave; the list is only loaded again for another draft
+  const draftId = draft ? draft.id : null;
+  const draftToken = draft ? draft.token : null;
+
+  useEffect(() => {
+    setDocuments({});
+    if (!draftId) return undefined;
+
+    let cancelled = false;
+    CustomerDataSubmission.listDocuments({ id: draftId, token: draftToken }).then((response) => {
+      if (cancelled) return;
+      if (!response.success) {
+        setLoadError('Your uploaded documents could not be loaded. Uploading one again replaces it.');
+        return;
+      }
+      setDocuments(response.data.reduce((byType, document) => ({ ...byType, [document.documentType]: document }), {}));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [draftId, draftToken]);
+
+  const handleUpload = async (type, file) => {
+    const response = await CustomerDataSubmission.uploadDocument(draft, type, file);
+    if (response.success) {
+      setDocuments((prev) => ({ ...prev, [type]: response.data }));
+    }
+    return response;
+  };
+
+  const handleRemove = async (type) => {
+    const response = await CustomerDataSubmission.deleteDocument(draft, documents[type].documentId);
+    if (response.success) {
+      setDocuments((prev) => ({ ...prev, [type]: null }));
+    }
+    return response;
+  };
+
+  return (
+    <div className="wizard-panel">
+      <p className="form-description">
+        Upload clear photos or scans of your documents so our team can check them against the details you
+        entered. This step is optional, but applications with documents are reviewed faster.
+      </p>
+      {!draft && (
+        <div className="info-message">
+          Your application has not been saved yet, so documents cannot be uploaded. You can continue without
+          them; our team may ask for copies while reviewing your application.
+        </div>
+      )}
+      {loadError && <div className="error-message">{loadError}</div>}
+      <ul className="document-list">
+        {DOCUMENT_TYPE_DEFINITIONS.map((definition) => (
+          <DocumentUpload
+            key={definition.type}
+            definition={definition}
+            document={documents[definition.type] || null}
+            onUpload={(file) => handleUpload(definition.type, file)}
+            onRemove={() => handleRemove(definition.type)}
+            disabled={!draft}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default DocumentsStep;
@@ -0,0 +1,90 @@
+import React from 'react';
+import OnboardingWizard, { STEPS } from '../../services/OnboardingWizard';
+import { getFields, resolveField } from '../../shared/forms/FormDefinition';
+import { maskAadhaar, maskIdentifier } from '../../shared/masking/IdentifierMasking';
+
+/**
+ * Flatten grouped select options
+ */
+const flattenOptions = (options) => options.reduce((all, option) => (
+  all.concat(option.options ? option.options : [option])
+), []);
+
+/**
+ * Display value of a field: option labels for selects, Yes/No for checkboxes,
+ * and masked identifiers for sensitive fields
+ */
+const displayValue = (field, value) => {
+  if (field.type === 'checkbox') return value ? 'Yes' : 'No';
+  if (value === undefined || value === null || String(value).trim() === '') return '—';
+  if (field.sensitive) {
+    return field.name === 'aadhaarNumber' ? maskAadhaar(value) : maskIdentifier(value);
+  }
+  if (field.type === 'select') {
+    const option = flattenOptions(field.options).find((candidate) => candidate.value === value);
+    return option ? option.label : value;
+  }
+  return value;
+};
+
+/**
+ * Review & consent step
+ * Summarises every form step, with a link back to edit it, and asks for consent
+ *
+ * @param {object} props.values - Wizard values
+ * @param {object} props.market - Market settings
+ * @param {boolean} props.consent - Whether the applicant has consented
+ * @param {function} props.onConsentChange - (consent) => void
+ * @param {function} props.onEdit - (stepId) => void
+ * @param {boolean} props.disabled - Disable the controls while submitting
+ */
+function ReviewStep({ values, market, consent, onConsentChange, onEdit, disabled }) {
+  const formSteps = STEPS.filter((step) => step.form);
+
+  return (
+    <div className="wizard-panel">
+      {formSteps.map((step) => {
+        const visible = OnboardingWizard.getStepFields(step, values);
+        const fields = getFields(OnboardingWizard.getStepDefinition(step))
+          .filter((field) => visible.includes(field.name))
+          .map((field) => resolveField(field, market));
+
+        return (
+          <section className="review-section" key={step.id}>
+            <div className="review-header">
+              <div className="section-title">{step.title}</div>
+              <button type="button" className="link-button" onClick={() => onEdit(step.id)} disabled={disabled}>
+                Edit
+              </button>
+            </div>
+            <dl className="review-list">
+              {fields.map((field) => (
+                <div className="review-item" key={field.name}>
+                  <dt>{field.label}</dt>
+                  <dd>{displayValue(field, values[field.name])}</dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        );
+      })}
+
+      <div className="form-group checkbox-group consent-group">
+        <label htmlFor="consent">
+          <input
+            type="checkbox"
+            id="consent"
+            name="consent"
+            checked={consent}
+            onChange={(e) => onConsentChange(e.target.checked)}
+            disabled={disabled}
+          />
+          I confirm these details are correct and consent to my identity being verified and my
+          information being processed for this application.
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default ReviewStep;
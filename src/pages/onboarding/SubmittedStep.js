@@ -0,0 +1,58 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+/**
+ * Submit step
+ * Confirms the submitted application and what happens next
+ *
+ * @param {object} props.submission - { applicationId, reference, customerId, status, statusToken, createdAt, nextSteps }
+ * @param {function} props.onFinish - Called when the applicant leaves the wizard
+ */
+function SubmittedStep({ submission, onFinish }) {
+  const statusPath = submission.statusToken
+    ? `/status/${submission.reference}?token=${encodeURIComponent(submission.statusToken)}`
+    : '/status';
+
+  return (
+    <div className="wizard-panel">
+      <div className="success-message">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
+          <polyline points="22 4 12 14.01 9 11.01"/>
+        </svg>
+        Your application has been submitted.
+      </div>
+
+      <dl className="review-list">
+        <div className="review-item">
+          <dt>Application reference</dt>
+          <dd>{submission.reference}</dd>
+        </div>
+        <div className="review-item">
+          <dt>Submitted</dt>
+          <dd>{submission.createdAt ? new Date(submission.createdAt).toLocaleString() : '—'}</dd>
+        </div>
+      </dl>
+
+      {submission.nextSteps && <p className="form-description">{submission.nextSteps}</p>}
+
+      <div className="info-message status-link">
+        <p>Keep this link to follow your application, or look it up with its reference at any time:</p>
+        <input
+          type="text"
+          readOnly
+          value={`${window.location.origin}${statusPath}`}
+          onFocus={(e) => e.target.select()}
+          aria-label="Status link"
+        />
+        <Link to={statusPath} className="link-button">Track your application</Link>
+      </div>
+
+      <button type="button" className="submit-button" onClick={onFinish}>
+        Back to Home
+      </button>
+    </div>
+  );
+}
+
+export default SubmittedStep;
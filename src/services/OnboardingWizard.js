@@ -0,0 +1,276 @@
+/**
+ * OnboardingWizard Service
+ * Steps of the onboarding wizard, which of them the applicant may open, and the
+ * browser storage that keeps the wizard's progress across reloads
+ *
+ * Progress is kept in sessionStorage, so it survives a reload but not closing the tab.
+ * Fields marked sensitive in the form definitions (PAN, Aadhaar, Government ID) are
+ * never stored there. The wizard also autosaves a server-side draft, which keeps them
+ * encrypted and can be resumed from any browser with its resume link until it expires.
+ */
+
+import FormValidator from './FormValidator';
+import { getFields, getFormDefinition, getInitialValues, getVisibleFields } from '../shared/forms/FormDefinition';
+import { getMarket } from '../shared/locale/Markets';
+
+export const WIZARD_STORAGE_KEY = 'onboardingWizard';
+
+/**
+ * Wizard steps, in order
+ * Form steps show one section of the customer or KYC form definition
+ */
+export const STEPS = [
+  { id: 'personal', title: 'Personal Details', form: 'customer', section: 'personal' },
+  { id: 'address', title: 'Address', form: 'customer', section: 'address' },
+  { id: 'employment', title: 'Employment & Income', form: 'customer', section: 'employment' },
+  { id: 'kyc', title: 'KYC', form: 'kyc', section: 'identity' },
+  { id: 'documents', title: 'Documents' },
+  { id: 'review', title: 'Review & Consent' },
+  { id: 'submit', title: 'Submit' },
+];
+
+const SUBMIT_STEP = 'submit';
+
+const FORM_TYPES = ['customer', 'kyc'];
+
+/**
+ * Names of the fields that must not be stored in the browser
+ */
+const SENSITIVE_FIELDS = FORM_TYPES.reduce((names, formType) => names.concat(
+  getFields(getFormDefinition(formType)).filter((field) => field.sensitive).map((field) => field.name)
+), []);
+
+const OnboardingWizard = {
+  /**
+   * Get a step by ID
+   * @param {string} stepId - Step ID
+   * @returns {object|null} - Step, or null for an unknown ID
+   */
+  getStep: (stepId) => STEPS.find((step) => step.id === stepId) || null,
+
+  /**
+   * Form definition limited to a form step's section
+   * @param {object} step - Form step
+   * @returns {object} - Form definition with only the step's section
+   */
+  getStepDefinition: (step) => {
+    const definition = getFormDefinition(step.form);
+    return {
+      ...definition,
+      sections: definition.sections.filter((section) => section.id === step.section),
+    };
+  },
+
+  /**
+   * Names of the fields a form step currently shows
+   * @param {object} step - Wizard step
+   * @param {object} values - Wizard values
+   * @returns {array} - Field names; empty for steps without a form
+   */
+  getStepFields: (step, values) => {
+    if (!step.form) return [];
+    return getVisibleFields(OnboardingWizard.getStepDefinition(step), values, getMarket().code)
+      .map((field) => field.name);
+  },
+
+  /**
+   * Validate the fields of a step
+   * @param {object} step - Wizard step
+   * @param {object} values - Wizard values
+   * @returns {object} - { field: message } for the step's invalid fields
+   */
+  validateStep: (step, values) => {
+    if (!step.form) return {};
+
+    // The PAN's name initial is checked against the last name from the personal details step
+    const errors = FormValidator.validateAll(values, step.form, { lastName: values.lastName });
+    return OnboardingWizard.getStepFields(step, values).reduce((stepErrors, field) => (
+      errors[field] ? { ...stepErrors, [field]: errors[field] } : stepErrors
+    ), {});
+  },
+
+  /**
+   * Whether a step is complete
+   * Form steps must have been continued from and still be valid; the review step is
+   * complete once the application is submitted
+   * @param {object} step - Wizard step
+   * @param {object} state - Wizard state
+   * @returns {boolean}
+   */
+  isStepComplete: (step, state) => {
+    if (step.id === 'review' || step.id === SUBMIT_STEP) {
+      return Boolean(state.submission);
+    }
+    if (!state.completed.includes(step.id)) {
+      return false;
+    }
+    return Object.keys(OnboardingWizard.validateStep(step, state.values)).length === 0;
+  },
+
+  /**
+   * The step the applicant should be on: the first incomplete step, or the
+   * submit step once the application is submitted
+   * @param {object} state - Wizard state
+   * @returns {string} - Step ID
+   */
+  firstIncompleteStep: (state) => {
+    if (state.submission) return SUBMIT_STEP;
+    const step = STEPS.find((candidate) => !OnboardingWizard.isStepComplete(candidate, state));
+    return step.id;
+  },
+
+  /**
+   * Whether a step can be opened: every step before it is complete, and the
+   * application has not been submitted (after which only the submit step is shown)
+   * @param {string} stepId - Step ID
+   * @param {object} state - Wizard state
+   * @returns {boolean}
+   */
+  canVisit: (stepId, state) => {
+    const index = STEPS.findIndex((step) => step.id === stepId);
+    if (index === -1) return false;
+    if (state.submission) return stepId === SUBMIT_STEP;
+    if (stepId === SUBMIT_STEP) return false;
+    return STEPS.slice(0, index).every((step) => OnboardingWizard.isStepComplete(step, state));
+  },
+
+  /**
+   * Find the step that shows a field
+   * @param {string} fieldName - Field name
+   * @returns {string|null} - Step ID
+   */
+  stepForField: (fieldName) => {
+    const step = STEPS.find((candidate) => candidate.form && getFields(OnboardingWizard.getStepDefinition(candidate))
+      .some((field) => field.name === fieldName));
+    return step ? step.id : null;
+  },
+
+  /**
+   * State of a new application
+   * `draft` is the server-side draft ({ id, token, expiresAt, savedAt }) once one is saved
+   * @returns {object} - { values, completed, consent, submission, draft }
+   */
+  initialState: () => ({
+    values: FORM_TYPES.reduce((values, formType) => ({
+      ...values,
+      ...getInitialValues(getFormDefinition(formType)),
+    }), {}),
+    completed: [],
+    consent: false,
+    submission: null,
+    draft: null,
+  }),
+
+  /**
+   * Load the saved wizard state
+   * Fields added to the form definitions since it was saved start empty
+   * @returns {object} - Wizard state
+   */
+  loadState: () => {
+    const initial = OnboardingWizard.initialState();
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(WIZARD_STORAGE_KEY));
+      if (!saved || typeof saved !== 'object') return initial;
+
+      return {
+        values: { ...initial.values, ...saved.values },
+        completed: Array.isArray(saved.completed) ? saved.completed : [],
+        consent: saved.consent === true,
+        submission: saved.submission || null,
+        draft: saved.draft || null,
+      };
+    } catch (error) {
+      console.error('Error loading saved application:', error);
+      return initial;
+    }
+  },
+
+  /**
+   * Save the wizard state, leaving out sensitive fields
+   * @param {object} state - Wizard state
+   */
+  saveState: (state) => {
+    const values = { ...state.values };
+    SENSITIVE_FIELDS.forEach((field) => {
+      delete values[field];
+    });
+
+    try {
+      sessionStorage.setItem(WIZARD_STORAGE_KEY, JSON.stringify({ ...state, values }));
+    } catch (error) {
+      console.error('Error saving application progress:', error);
+    }
+  },
+
+  /**
+   * Forget the saved wizard state
+   */
+  clearState: () => {
+    sessionStorage.removeItem(WIZARD_STORAGE_KEY);
+  },
+
+  /**
+   * What the server-side draft stores of the wizard state
+   * @param {object} state - Wizard state
+   * @returns {object} - { values, completedSteps }
+   */
+  toDraftData: (state) => ({
+    values: state.values,
+    completedSteps: state.completed,
+  }),
+
+  /**
+   * Wizard state of a resumed draft
+   * @param {object} draft - Draft from the API ({ values, completedSteps, expiresAt, updatedAt })
+   * @param {object} saved - The draft's { id, token }
+   * @returns {object} - Wizard state
+   */
+  resumeState: (draft, saved) => {
+    const initial = OnboardingWizard.initialState();
+    return {
+      ...initial,
+      values: { ...initial.values, ...draft.values },
+      completed: draft.completedSteps || [],
+      draft: {
+        id: saved.id,
+        token: saved.token,
+        reference: draft.reference,
+        expiresAt: draft.expiresAt,
+        savedAt: draft.updatedAt,
+      },
+    };
+  },
+
+  /**
+   * Fill in the sensitive fields that browser storage left out from the saved draft
+   * Fields the applicant has entered since keep their value
+   * @param {object} state - Wizard state
+   * @param {object} draftValues - Values of the saved draft
+   * @returns {object} - Wizard state
+   */
+  withSensitiveValues: (state, draftValues) => {
+    const values = { ...state.values };
+    SENSITIVE_FIELDS.forEach((field) => {
+      if (!values[field] && draftValues[field]) {
+        values[field] = draftValues[field];
+      }
+    });
+    return { ...state, values };
+  },
+
+  /**
+   * Link that resumes a saved draft
+   * @param {object} draft - Saved draft ({ id, token })
+   * @returns {string} - Absolute URL
+   */
+  getResumeLink: (draft) => `${window.location.origin}/resume/${draft.id}?token=${encodeURIComponent(draft.token)}`,
+
+  /**
+   * Whether a field must not be kept in browser storage
+   * @param {string} fieldName - Field name
+   * @returns {boolean}
+   */
+  isSensitiveField: (fieldName) => SENSITIVE_FIELDS.includes(fieldName),
+};
+
+export default OnboardingWizard;
@@ -0,0 +1,131 @@
+/**
+ * Application Lifecycle
+ * Statuses of a card application, the transitions allowed between them and the
+ * format of application reference numbers, shared by the API server and the UI
+ *
+ *   draft -> submitted -> kyc_pending -> under_review -> approved -> card_issued
+ *                                                    \-> declined
+ *   Any status before a decision can also move to withdrawn.
+ */
+
+const APPLICATION_STATUSES = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  KYC_PENDING: 'kyc_pending',
+  UNDER_REVIEW: 'under_review',
+  APPROVED: 'approved',
+  DECLINED: 'declined',
+  WITHDRAWN: 'withdrawn',
+  CARD_ISSUED: 'card_issued',
+};
+
+const {
+  DRAFT,
+  SUBMITTED,
+  KYC_PENDING,
+  UNDER_REVIEW,
+  APPROVED,
+  DECLINED,
+  WITHDRAWN,
+  CARD_ISSUED,
+} = APPLICATION_STATUSES;
+
+/**
+ * Statuses each status may move to
+ */
+const TRANSITIONS = {
+  [DRAFT]: [SUBMITTED, WITHDRAWN],
+  [SUBMITTED]: [KYC_PENDING, WITHDRAWN],
+  [KYC_PENDING]: [UNDER_REVIEW, WITHDRAWN],
+  [UNDER_REVIEW]: [APPROVED, DECLINED, WITHDRAWN],
+  [APPROVED]: [CARD_ISSUED],
+  [DECLINED]: [],
+  [WITHDRAWN]: [],
+  [CARD_ISSUED]: [],
+};
+
+/**
+ * Statuses set by the applicant's own submission rather than by staff
+ */
+const SUBMISSION_STATUSES = [SUBMITTED, KYC_PENDING];
+
+/**
+ * Human-readable labels
+ */
+const STATUS_LABELS = {
+  [DRAFT]: 'Draft',
+  [SUBMITTED]: 'Submitted',
+  [KYC_PENDING]: 'KYC Pending',
+  [UNDER_REVIEW]: 'Under Review',
+  [APPROVED]: 'Approved',
+  [DECLINED]: 'Declined',
+  [WITHDRAWN]: 'Withdrawn',
+  [CARD_ISSUED]: 'Card Issued',
+};
+
+const REFERENCE_PREFIX = 'CO';
+const REFERENCE_DIGITS = 6;
+const REFERENCE_FORMAT = /^CO-\d{4}-\d{6,}$/;
+
+/**
+ * Whether a value is a known application status
+ * @param {string} status - Candidate status
+ * @returns {boolean}
+ */
+const isApplicationStatus = (status) => Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+
+/**
+ * Statuses an application may move to from its current status
+ * @param {string} status - Current status
+ * @returns {array} - Allowed next statuses; empty for final statuses
+ */
+const getAllowedTransitions = (status) => (isApplicationStatus(status) ? TRANSITIONS[status].slice() : []);
+
+/**
+ * Whether an application may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Whether no further transition is possible from a status
+ * @param {string} status - Application status
+ * @returns {boolean}
+ */
+const isFinalStatus = (status) => getAllowedTransitions(status).length === 0;
+
+/**
+ * Format an application reference number (CO-2026-000123)
+ * Numbers beyond the padding keep all their digits
+ * @param {number} year - Year the application was started
+ * @param {number|string} sequence - Sequence number
+ * @returns {string} - Reference number
+ */
+const formatReference = (year, sequence) => (
+  `${REFERENCE_PREFIX}-${year}-${String(sequence).padStart(REFERENCE_DIGITS, '0')}`
+);
+
+/**
+ * Normalize a reference number typed by a person, or return null if it is not one
+ * @param {string} value - Candidate reference
+ * @returns {string|null} - Reference in canonical form
+ */
+const normalizeReference = (value) => {
+  const reference = String(value || '').trim().toUpperCase();
+  return REFERENCE_FORMAT.test(reference) ? reference : null;
+};
+
+module.exports = {
+  APPLICATION_STATUSES,
+  SUBMISSION_STATUSES,
+  STATUS_LABELS,
+  REFERENCE_FORMAT,
+  isApplicationStatus,
+  getAllowedTransitions,
+  canTransition,
+  isFinalStatus,
+  formatReference,
+  normalizeReference,
+};
@@ -0,0 +1,132 @@
+/**
+ * Status Timeline
+ * Turns an application's status, status history and KYC verification into the
+ * milestones shown to the applicant on the status page
+ */
+
+const { APPLICATION_STATUSES } = require('./ApplicationLifecycle');
+
+const {
+  DRAFT,
+  SUBMITTED,
+  KYC_PENDING,
+  UNDER_REVIEW,
+  APPROVED,
+  DECLINED,
+  WITHDRAWN,
+  CARD_ISSUED,
+} = APPLICATION_STATUSES;
+
+/**
+ * States of a milestone
+ */
+const MILESTONE_STATES = {
+  COMPLETE: 'complete',
+  CURRENT: 'current',
+  UPCOMING: 'upcoming',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * How far along the lifecycle each status is; a decline is as far along as an approval
+ */
+const PROGRESS = {
+  [DRAFT]: 0,
+  [SUBMITTED]: 1,
+  [KYC_PENDING]: 2,
+  [UNDER_REVIEW]: 3,
+  [APPROVED]: 4,
+  [DECLINED]: 4,
+  [CARD_ISSUED]: 5,
+};
+
+/**
+ * Build the milestones of an application
+ * An application withdrawn part-way shows the milestones it reached, followed by the withdrawal
+ * @param {object} application - { status, submittedAt, decidedAt, history, kycStatus, kycVerifiedAt };
+ *   history is [{ fromStatus, toStatus, changedAt }], oldest first
+ * @returns {array} - Milestones ({ id, label, state, date }); date is null until the milestone is reached
+ */
+const buildTimeline = ({
+  status,
+  submittedAt = null,
+  decidedAt = null,
+  history = [],
+  kycStatus = null,
+  kycVerifiedAt = null,
+}) => {
+  const reachedAt = (target) => {
+    const change = history.find((entry) => entry.toStatus === target);
+    return change ? change.changedAt : null;
+  };
+
+  const withdrawal = status === WITHDRAWN ? history.find((entry) => entry.toStatus === WITHDRAWN) : null;
+  const withdrawn = status === WITHDRAWN;
+  const effective = withdrawn ? (withdrawal && withdrawal.fromStatus) || DRAFT : status;
+  const progress = PROGRESS[effective] || 0;
+
+  const kycVerified = kycStatus === 'verified' || progress >= PROGRESS[UNDER_REVIEW];
+  const kycRejected = kycStatus === 'rejected' && !kycVerified;
+
+  const milestone = (id, label, { done, active = false, failed = false, skipped = false, date = null }) => {
+    let state = MILESTONE_STATES.UPCOMING;
+    if (failed) state = MILESTONE_STATES.FAILED;
+    else if (done) state = MILESTONE_STATES.COMPLETE;
+    else if (withdrawn || skipped) state = MILESTONE_STATES.SKIPPED;
+    else if (active) state = MILESTONE_STATES.CURRENT;
+
+    const reached = state === MILESTONE_STATES.COMPLETE || state === MILESTONE_STATES.FAILED;
+    return { id, label, state, date: reached ? date : null };
+  };
+
+  const timeline = [
+    milestone('submitted', 'Application submitted', {
+      done: progress >= PROGRESS[SUBMITTED],
+      active: progress === PROGRESS[DRAFT],
+      date: submittedAt,
+    }),
+    milestone('kyc_review', 'KYC under review', {
+      done: kycVerified || kycRejected,
+      active: progress === PROGRESS[KYC_PENDING],
+      date: reachedAt(KYC_PENDING),
+    }),
+    milestone('verified', kycRejected ? 'Identity could not be verified' : 'Identity verified', {
+      done: kycVerified,
+      failed: kycRejected,
+      date: kycVerifiedAt || reachedAt(UNDER_REVIEW),
+    }),
+    milestone('decision', {
+      [APPROVED]: 'Application approved',
+      [CARD_ISSUED]: 'Application approved',
+      [DECLINED]: 'Application declined',
+    }[effective] || 'Decision', {
+      done: progress >= PROGRESS[APPROVED] && effective !== DECLINED,
+      failed: effective === DECLINED,
+      active: effective === UNDER_REVIEW,
+      date: decidedAt,
+    }),
+    milestone('card_dispatch', 'Card dispatched', {
+      done: effective === CARD_ISSUED,
+      active: effective === APPROVED,
+      skipped: effective === DECLINED,
+      date: reachedAt(CARD_ISSUED),
+    }),
+  ];
+
+  if (withdrawn) {
+    timeline.push({
+      id: 'withdrawn',
+      label: 'Application withdrawn',
+      state: MILESTONE_STATES.COMPLETE,
+      date: withdrawal ? withdrawal.changedAt : decidedAt,
+    });
+  }
+
+  return timeline;
+};
+
+module.exports = {
+  MILESTONE_STATES,
+  buildTimeline,
+};
@@ -0,0 +1,194 @@
+/**
+ * Document Types
+ * The documents an applicant uploads with a KYC application, the file types each accepts
+ * and the upload size limit, shared by the API server and the UI
+ *
+ * A file's type is taken from its first bytes (sniffMimeType), never from its name or the
+ * type the browser reports, so a renamed file is refused for what it really is.
+ */
+
+const DOCUMENT_TYPES = {
+  FRONT: 'front',
+  BACK: 'back',
+  SELFIE: 'selfie',
+  ADDRESS_PROOF: 'address_proof',
+};
+
+const MIME_TYPES = {
+  JPEG: 'image/jpeg',
+  PNG: 'image/png',
+  PDF: 'application/pdf',
+};
+
+/**
+ * Largest file accepted, in bytes
+ */
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+const IMAGE_TYPES = [MIME_TYPES.JPEG, MIME_TYPES.PNG];
+
+/**
+ * What an image of each document type needs to be reviewed (see api/documents/ImageQuality.js)
+ * minLongSide, minShortSide - Smallest size in pixels, whichever way round the image is
+ * aspectRatio - [min, max] of the long side over the short side; outside it the image is
+ *   likely cropped. ID cards are 1.59, passport pages 1.42, A4 pages 1.41, and camera photos
+ *   of them 1.33 (4:3) or 1.78 (16:9)
+ * framing - How to take the photo again when it looks cropped
+ * exposure - Whether a washed-out image is refused
+ * glare - Whether glare on the document is refused; paper documents are not glossy
+ */
+const ID_QUALITY = {
+  minLongSide: 1000,
+  minShortSide: 600,
+  aspectRatio: [1.2, 2],
+  framing: 'Include the whole card or page, with a little space around its edges.',
+  exposure: true,
+  glare: true,
+};
+
+/**
+ * Document types in the order the upload step shows them
+ */
+const DOCUMENT_TYPE_DEFINITIONS = [
+  {
+    type: DOCUMENT_TYPES.FRONT,
+    label: 'ID front',
+    description: 'Front of your PAN card, Aadhaar card or passport photo page',
+    mimeTypes: IMAGE_TYPES,
+    quality: ID_QUALITY,
+  },
+  {
+    type: DOCUMENT_TYPES.BACK,
+    label: 'ID back',
+    description: 'Back of your Aadhaar card, or the last page of your passport',
+    mimeTypes: IMAGE_TYPES,
+    quality: ID_QUALITY,
+  },
+  {
+    type: DOCUMENT_TYPES.SELFIE,
+    label: 'Selfie',
+    description: 'A clear photo of your face, without glasses or a hat',
+    mimeTypes: IMAGE_TYPES,
+    quality: {
+      minLongSide: 640,
+      minShortSide: 480,
+      aspectRatio: [1, 2],
+      framing: 'Include your whole face and shoulders.',
+      exposure: true,
+      glare: false,
+    },
+  },
+  {
+    type: DOCUMENT_TYPES.ADDRESS_PROOF,
+    label: 'Proof of address',
+    description: 'Utility bill or bank statement from the last three months',
+    mimeTypes: IMAGE_TYPES.concat([MIME_TYPES.PDF]),
+    quality: {
+      minLongSide: 1200,
+      minShortSide: 800,
+      aspectRatio: [1.2, 1.9],
+      framing: 'Include the whole page.',
+      exposure: false,
+      glare: false,
+    },
+  },
+];
+
+/**
+ * File extensions by MIME type, for downloads
+ */
+const EXTENSIONS = {
+  [MIME_TYPES.JPEG]: 'jpg',
+  [MIME_TYPES.PNG]: 'png',
+  [MIME_TYPES.PDF]: 'pdf',
+};
+
+/**
+ * Leading bytes of each accepted file type
+ */
+const SIGNATURES = [
+  { mimeType: MIME_TYPES.JPEG, bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: MIME_TYPES.PNG, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: MIME_TYPES.PDF, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+];
+
+/**
+ * Get a document type's definition
+ * @param {string} type - Document type
+ * @returns {object|null} - Definition, or null for an unknown type
+ */
+const getDocumentType = (type) => DOCUMENT_TYPE_DEFINITIONS.find((definition) => definition.type === type) || null;
+
+/**
+ * Identify a file's type from its first bytes
+ * @param {Buffer|Uint8Array} bytes - File content, or at least its first 8 bytes
+ * @returns {string|null} - MIME type, or null if not an accepted type
+ */
+const sniffMimeType = (bytes) => {
+  if (!bytes) return null;
+  const signature = SIGNATURES.find((candidate) => (
+    bytes.length >= candidate.bytes.length && candidate.bytes.every((byte, index) => bytes[index] === byte)
+  ));
+  return signature ? signature.mimeType : null;
+};
+
+/**
+ * Describe the file types a document type accepts, e.g. "JPG or PNG"
+ * @param {string} type - Document type
+ * @returns {string}
+ */
+const describeAccepted = (type) => {
+  const extensions = getDocumentType(type).mimeTypes.map((mimeType) => EXTENSIONS[mimeType].toUpperCase());
+  return extensions.length > 1
+    ? `${extensions.slice(0, -1).join(', ')} or ${extensions[extensions.length - 1]}`
+    : extensions[0];
+};
+
+/**
+ * Check a file against a document type: its real type and its size
+ * @param {string} type - Document type
+ * @param {Buffer|Uint8Array} bytes - File content, or at least its first 8 bytes
+ * @param {number} size - File size in bytes
+ * @returns {object} - { valid, mimeType, code, message }; code and message when invalid
+ */
+const checkDocumentFile = (type, bytes, size) => {
+  const definition = getDocumentType(type);
+  if (!definition) {
+    return { valid: false, mimeType: null, code: 'INVALID_TYPE', message: 'Unknown document type' };
+  }
+  if (!size) {
+    return { valid: false, mimeType: null, code: 'EMPTY_FILE', message: 'The file is empty' };
+  }
+  if (size > MAX_DOCUMENT_BYTES) {
+    return {
+      valid: false,
+      mimeType: null,
+      code: 'FILE_TOO_LARGE',
+      message: `The file is larger than ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB`,
+    };
+  }
+
+  const mimeType = sniffMimeType(bytes);
+  if (!mimeType || !definition.mimeTypes.includes(mimeType)) {
+    return {
+      valid: false,
+      mimeType,
+      code: 'UNSUPPORTED_FILE_TYPE',
+      message: `${definition.label} must be a ${describeAccepted(type)} file`,
+    };
+  }
+
+  return { valid: true, mimeType };
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  MIME_TYPES,
+  MAX_DOCUMENT_BYTES,
+  DOCUMENT_TYPE_DEFINITIONS,
+  EXTENSIONS,
+  getDocumentType,
+  sniffMimeType,
+  describeAccepted,
+  checkDocumentFile,
+};
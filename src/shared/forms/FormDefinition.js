@@ -0,0 +1,218 @@
+/**
+ * Form Definitions
+ * The customer and KYC forms are described as JSON (customer.json, kyc.json) and
+ * rendered by src/components/FormRenderer.js; their validation rules are applied by
+ * shared/validation/FormSchema.js in the browser and the API alike.
+ *
+ * A definition is { id, sections: [{ id, title, fields }] }. Each field has:
+ * - name, type (text, email, tel, date, textarea, select, checkbox) and label
+ * - hint, placeholder, defaultValue, width ("half" pairs it with its neighbour),
+ *   and input attributes (maxLength, pattern, inputMode, rows, showCount)
+ * - options: [{ value, label }], or "states" / "incomeBands" for the market's lists
+ * - validation: the name of a shared rule in FormSchema, or
+ *   { required, minLength, maxLength, pattern, message } for a field without one
+ * - visibleWhen: { field, equals | notEquals | in } and/or { market: [codes] };
+ *   hidden fields are neither validated nor counted towards progress
+ * - sensitive: true for identifiers that must not be kept in browser storage
+ *
+ * Text may reference market settings as {market.path}, e.g. "{market.postalCode.label}".
+ */
+
+const customerForm = require('./customer.json');
+const kycForm = require('./kyc.json');
+const { REGION_TYPES } = require('../locale/IndianStates');
+
+const FORM_DEFINITIONS = {
+  customer: customerForm,
+  kyc: kycForm,
+};
+
+const FIELD_TYPES = ['text', 'email', 'tel', 'date', 'textarea', 'select', 'checkbox'];
+
+const MARKET_REFERENCE = /\{market\.([\w.]+)\}/g;
+const SINGLE_MARKET_REFERENCE = /^\{market\.([\w.]+)\}$/;
+
+/**
+ * Get a form definition
+ * @param {string} formType - 'customer' or 'kyc'
+ * @returns {object} - Form definition
+ */
+const getFormDefinition = (formType) => {
+  const definition = FORM_DEFINITIONS[formType];
+  if (!definition) {
+    throw new Error(`Unknown form type "${formType}"`);
+  }
+  return definition;
+};
+
+/**
+ * All fields of a form, in section order
+ * @param {object} definition - Form definition
+ * @returns {array} - Field definitions
+ */
+const getFields = (definition) => definition.sections.reduce((fields, section) => fields.concat(section.fields), []);
+
+/**
+ * Look a value up in the market settings by dotted path
+ */
+const marketValue = (market, path) => path.split('.').reduce((value, key) => (
+  value === null || value === undefined ? undefined : value[key]
+), market);
+
+/**
+ * Replace {market.path} references in a definition value
+ * A value that is a single reference keeps the referenced value's type
+ * @param {*} value - Definition value
+ * @param {object} market - Market settings
+ * @returns {*} - Resolved value
+ */
+const resolveText = (value, market) => {
+  if (typeof value !== 'string' || !market) return value;
+
+  const single = value.match(SINGLE_MARKET_REFERENCE);
+  if (single) return marketValue(market, single[1]);
+
+  return value.replace(MARKET_REFERENCE, (reference, path) => {
+    const resolved = marketValue(market, path);
+    return resolved === undefined ? '' : String(resolved);
+  });
+};
+
+/**
+ * Options of a select field
+ * States are grouped into states and union territories where the market has both
+ * @param {object} field - Field definition
+ * @param {object} market - Market settings
+ * @returns {array} - [{ value, label }], or [{ label, options }] groups
+ */
+const resolveOptions = (field, market) => {
+  if (Array.isArray(field.options)) return field.options;
+
+  if (field.options === 'incomeBands') {
+    return market.incomeBands.map(({ value, label }) => ({ value, label }));
+  }
+
+  if (field.options === 'states') {
+    const toOption = (state) => ({ value: state.code, label: state.name });
+    const unionTerritories = market.states.filter((state) => state.type === REGION_TYPES.UNION_TERRITORY);
+    if (unionTerritories.length === 0) {
+      return market.states.map(toOption);
+    }
+    return [
+      { label: 'States', options: market.states.filter((state) => state.type !== REGION_TYPES.UNION_TERRITORY).map(toOption) },
+      { label: 'Union Territories', options: unionTerritories.map(toOption) },
+    ];
+  }
+
+  throw new Error(`Unknown options "${field.options}" for field "${field.name}"`);
+};
+
+/**
+ * Resolve a field's market references and options for rendering
+ * @param {object} field - Field definition
+ * @param {object} market - Market settings
+ * @returns {object} - Field with resolved text, attributes and options
+ */
+const resolveField = (field, market) => {
+  const resolved = Object.keys(field).reduce((result, key) => Object.assign(result, {
+    [key]: key === 'validation' || key === 'visibleWhen' ? field[key] : resolveText(field[key], market),
+  }), {});
+
+  if (field.type === 'select') {
+    resolved.options = resolveOptions(field, market);
+  }
+  return resolved;
+};
+
+/**
+ * Whether a field is required
+ * Shared validation rules all require a value
+ * @param {object} field - Field definition
+ * @returns {boolean}
+ */
+const isFieldRequired = (field) => (
+  typeof field.validation === 'string' || Boolean(field.validation && field.validation.required)
+);
+
+/**
+ * Whether a field is shown for the current values
+ * @param {object} field - Field definition
+ * @param {object} values - Form values
+ * @param {string} marketCode - Market code
+ * @returns {boolean}
+ */
+const isFieldVisible = (field, values = {}, marketCode = null) => {
+  const condition = field.visibleWhen;
+  if (!condition) return true;
+
+  if (condition.market && marketCode && !condition.market.includes(marketCode)) {
+    return false;
+  }
+
+  if (condition.field) {
+    const value = values[condition.field];
+    if ('equals' in condition && value !== condition.equals) return false;
+    if ('notEquals' in condition && value === condition.notEquals) return false;
+    if (Array.isArray(condition.in) && !condition.in.includes(value)) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Fields shown for the current values
+ * @param {object} definition - Form definition
+ * @param {object} values - Form values
+ * @param {string} marketCode - Market code
+ * @returns {array} - Visible field definitions
+ */
+const getVisibleFields = (definition, values = {}, marketCode = null) => (
+  getFields(definition).filter((field) => isFieldVisible(field, values, marketCode))
+);
+
+/**
+ * Initial values of a form: each field's defaultValue, or an empty value for its type
+ * @param {object} definition - Form definition
+ * @param {object} overrides - Values to start with instead (e.g. details carried over from a previous step)
+ * @returns {object} - Form values
+ */
+const getInitialValues = (definition, overrides = {}) => getFields(definition).reduce((values, field) => {
+  const empty = field.type === 'checkbox' ? false : '';
+  const initial = field.defaultValue !== undefined ? field.defaultValue : empty;
+  return Object.assign(values, {
+    [field.name]: overrides[field.name] !== undefined && overrides[field.name] !== null ? overrides[field.name] : initial,
+  });
+}, {});
+
+/**
+ * Percentage of the visible fields that are filled in
+ * Checkboxes always have a value and are not counted
+ * @param {object} definition - Form definition
+ * @param {object} values - Form values
+ * @param {string} marketCode - Market code
+ * @returns {number} - 0-100
+ */
+const getProgress = (definition, values = {}, marketCode = null) => {
+  const fields = getVisibleFields(definition, values, marketCode).filter((field) => field.type !== 'checkbox');
+  if (fields.length === 0) return 0;
+
+  const filled = fields.filter((field) => {
+    const value = values[field.name];
+    return value !== undefined && value !== null && String(value).trim() !== '';
+  }).length;
+  return Math.round((filled / fields.length) * 100);
+};
+
+module.exports = {
+  FORM_DEFINITIONS,
+  FIELD_TYPES,
+  getFormDefinition,
+  getFields,
+  resolveText,
+  resolveField,
+  isFieldRequired,
+  isFieldVisible,
+  getVisibleFields,
+  getInitialValues,
+  getProgress,
+};
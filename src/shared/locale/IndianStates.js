@@ -0,0 +1,87 @@
+/**
+ * Indian States and Union Territories
+ * The 28 states and 8 union territories, keyed by their ISO 3166-2:IN subdivision codes
+ */
+
+const REGION_TYPES = {
+  STATE: 'state',
+  UNION_TERRITORY: 'union_territory',
+};
+
+const INDIAN_STATES = [
+  { code: 'AP', name: 'Andhra Pradesh', type: REGION_TYPES.STATE },
+  { code: 'AR', name: 'Arunachal Pradesh', type: REGION_TYPES.STATE },
+  { code: 'AS', name: 'Assam', type: REGION_TYPES.STATE },
+  { code: 'BR', name: 'Bihar', type: REGION_TYPES.STATE },
+  { code: 'CG', name: 'Chhattisgarh', type: REGION_TYPES.STATE },
+  { code: 'GA', name: 'Goa', type: REGION_TYPES.STATE },
+  { code: 'GJ', name: 'Gujarat', type: REGION_TYPES.STATE },
+  { code: 'HR', name: 'Haryana', type: REGION_TYPES.STATE },
+  { code: 'HP', name: 'Himachal Pradesh', type: REGION_TYPES.STATE },
+  { code: 'JH', name: 'Jharkhand', type: REGION_TYPES.STATE },
+  { code: 'KA', name: 'Karnataka', type: REGION_TYPES.STATE },
+  { code: 'KL', name: 'Kerala', type: REGION_TYPES.STATE },
+  { code: 'MP', name: 'Madhya Pradesh', type: REGION_TYPES.STATE },
+  { code: 'MH', name: 'Maharashtra', type: REGION_TYPES.STATE },
+  { code: 'MN', name: 'Manipur', type: REGION_TYPES.STATE },
+  { code: 'ML', name: 'Meghalaya', type: REGION_TYPES.STATE },
+  { code: 'MZ', name: 'Mizoram', type: REGION_TYPES.STATE },
+  { code: 'NL', name: 'Nagaland', type: REGION_TYPES.STATE },
+  { code: 'OD', name: 'Odisha', type: REGION_TYPES.STATE },
+  { code: 'PB', name: 'Punjab', type: REGION_TYPES.STATE },
+  { code: 'RJ', name: 'Rajasthan', type: REGION_TYPES.STATE },
+  { code: 'SK', name: 'Sikkim', type: REGION_TYPES.STATE },
+  { code: 'TN', name: 'Tamil Nadu', type: REGION_TYPES.STATE },
+  { code: 'TG', name: 'Telangana', type: REGION_TYPES.STATE },
+  { code: 'TR', name: 'Tripura', type: REGION_TYPES.STATE },
+  { code: 'UP', name: 'Uttar Pradesh', type: REGION_TYPES.STATE },
+  { code: 'UK', name: 'Uttarakhand', type: REGION_TYPES.STATE },
+  { code: 'WB', name: 'West Bengal', type: REGION_TYPES.STATE },
+  { code: 'AN', name: 'Andaman and Nicobar Islands', type: REGION_TYPES.UNION_TERRITORY },
+  { code: 'CH', name: 'Chandigarh', type: REGION_TYPES.UNION_TERRITORY },
+  { code: 'DH', name: 'Dadra and Nagar Haveli and Daman and Diu', type: REGION_TYPES.UNION_TERRITORY },
+  { code: 'DL', name: 'Delhi', type: REGION_TYPES.UNION_TERRITORY },
+  { code: 'JK', name: 'Jammu and Kashmir', type: REGION_TYPES.UNION_TERRITORY },
+  { code: 'LA', name: 'Ladakh', type: REGION_TYPES.UNION_TERRITORY },
+  { code: 'LD', name: 'Lakshadweep', type: REGION_TYPES.UNION_TERRITORY },
+  { code: 'PY', name: 'Puducherry', type: REGION_TYPES.UNION_TERRITORY },
+];
+
+/**
+ * Canonical form of a state name for comparisons ("JAMMU & KASHMIR" -> "jammu and kashmir")
+ * @param {string} name - State or union territory name
+ * @returns {string} - Lowercase name with "&" spelled out and whitespace collapsed
+ */
+const normalizeStateName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Find a state or union territory by its name
+ * @param {string} name - State or union territory name, in any case
+ * @returns {object|null} - { code, name, type }, or null if unknown
+ */
+const findStateByName = (name) => {
+  const normalized = normalizeStateName(name);
+  return INDIAN_STATES.find((state) => normalizeStateName(state.name) === normalized) || null;
+};
+
+/**
+ * Find a state or union territory by its code
+ * @param {string} code - ISO 3166-2:IN subdivision code (e.g. KA)
+ * @returns {object|null} - { code, name, type }, or null if unknown
+ */
+const findStateByCode = (code) => {
+  const normalized = String(code || '').trim().toUpperCase();
+  return INDIAN_STATES.find((state) => state.code === normalized) || null;
+};
+
+module.exports = {
+  REGION_TYPES,
+  INDIAN_STATES,
+  normalizeStateName,
+  findStateByName,
+  findStateByCode,
+};
@@ -0,0 +1,132 @@
+/**
+ * Markets
+ * Locale settings the customer form and its validation rules switch on: states,
+ * postal code format, income bands and placeholders
+ *
+ * The market is chosen with REACT_APP_MARKET in the browser build and MARKET on the
+ * server (IN or US, default IN). Both must name the same market.
+ */
+
+const { INDIAN_STATES } = require('./IndianStates');
+const { PIN_CODE_PATTERN } = require('./PinCodeDirectory');
+
+const DEFAULT_MARKET = 'IN';
+
+const MARKETS = {
+  IN: {
+    code: 'IN',
+    country: 'India',
+    currency: 'INR',
+    states: INDIAN_STATES.map(({ code, name, type }) => ({ code, name, type })),
+    stateLabel: 'State / Union Territory',
+    postalCode: {
+      label: 'PIN Code',
+      pattern: PIN_CODE_PATTERN,
+      placeholder: '560001',
+      maxLength: 6,
+      inputMode: 'numeric',
+      required: 'PIN code is required',
+      invalid: 'Please enter a valid 6-digit PIN code (e.g., 560001)',
+    },
+    incomeBands: [
+      { value: 'below-3l', label: 'Below ₹3,00,000' },
+      { value: '3-5l', label: '₹3,00,000 - ₹5,00,000' },
+      { value: '5-10l', label: '₹5,00,000 - ₹10,00,000' },
+      { value: '10-25l', label: '₹10,00,000 - ₹25,00,000' },
+      { value: '25-50l', label: '₹25,00,000 - ₹50,00,000' },
+      { value: '50l+', label: '₹50,00,000+' },
+    ],
+    placeholders: {
+      phone: '98765 43210',
+      address: '12, MG Road, Indiranagar',
+      city: 'Bengaluru',
+    },
+  },
+
+  US: {
+    code: 'US',
+    country: 'United States',
+    currency: 'USD',
+    states: [
+      { code: 'CA', name: 'California' },
+      { code: 'TX', name: 'Texas' },
+      { code: 'NY', name: 'New York' },
+      { code: 'FL', name: 'Florida' },
+      { code: 'PA', name: 'Pennsylvania' },
+      { code: 'IL', name: 'Illinois' },
+      { code: 'OH', name: 'Ohio' },
+      { code: 'GA', name: 'Georgia' },
+      { code: 'NC', name: 'North Carolina' },
+      { code: 'MI', name: 'Michigan' },
+    ],
+    stateLabel: 'State',
+    postalCode: {
+      label: 'Zip Code',
+      pattern: /^\d{5}(-\d{4})?$/,
+      placeholder: '10001',
+      maxLength: 10,
+      required: 'Zip code is required',
+      invalid: 'Please enter a valid zip code (e.g., 12345 or 12345-6789)',
+    },
+    incomeBands: [
+      { value: '25-50k', label: '$25,000 - $50,000' },
+      { value: '50-75k', label: '$50,000 - $75,000' },
+      { value: '75-100k', label: '$75,000 - $100,000' },
+      { value: '100-150k', label: '$100,000 - $150,000' },
+      { value: '150k+', label: '$150,000+' },
+    ],
+    placeholders: {
+      phone: '(555) 123-4567',
+      address: '123 Main Street',
+      city: 'New York',
+    },
+  },
+};
+
+/**
+ * Market code configured for this process
+ * Both variables are written out in full so the browser build can inline them
+ * @returns {string} - Market code
+ */
+const configuredMarketCode = () => process.env.REACT_APP_MARKET || process.env.MARKET || DEFAULT_MARKET;
+
+/**
+ * Get the settings of a market
+ * @param {string} code - Market code (IN, US); defaults to the configured market
+ * @returns {object} - Market settings
+ */
+const getMarket = (code) => {
+  const key = String(code || configuredMarketCode()).trim().toUpperCase();
+  const market = MARKETS[key];
+  if (!market) {
+    throw new Error(`Unknown market "${key}". Available: ${Object.keys(MARKETS).join(', ')}`);
+  }
+  return market;
+};
+
+/**
+ * Whether a state code belongs to a market
+ * @param {object} market - Market settings
+ * @param {string} state - State code
+ * @returns {boolean}
+ */
+const isMarketState = (market, state) => {
+  const code = String(state || '').trim().toUpperCase();
+  return market.states.some((entry) => entry.code === code);
+};
+
+/**
+ * Whether an income band value belongs to a market
+ * @param {object} market - Market settings
+ * @param {string} band - Income band value
+ * @returns {boolean}
+ */
+const isMarketIncomeBand = (market, band) => market.incomeBands.some((entry) => entry.value === band);
+
+module.exports = {
+  DEFAULT_MARKET,
+  MARKETS,
+  getMarket,
+  isMarketState,
+  isMarketIncomeBand,
+};
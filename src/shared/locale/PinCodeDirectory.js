@@ -0,0 +1,130 @@
+/**
+ * PIN Code Directory
+ * Offline lookup of Indian postal index numbers (PIN codes) to district and state,
+ * used to auto-fill the customer form
+ *
+ * PINs found in the bundled dataset (data/pinCodes.json) resolve to a district and state.
+ * Other PINs resolve to a state only, from the postal circle encoded in their leading digits.
+ */
+
+const { findStateByCode } = require('./IndianStates');
+const directory = require('./data/pinCodes.json');
+
+const PIN_CODE_PATTERN = /^[1-9]\d{5}$/;
+
+/**
+ * State by the first two digits of a PIN (postal circle)
+ */
+const STATE_BY_CIRCLE = {
+  11: 'DL',
+  12: 'HR', 13: 'HR',
+  14: 'PB', 15: 'PB', 16: 'PB',
+  17: 'HP',
+  18: 'JK', 19: 'JK',
+  20: 'UP', 21: 'UP', 22: 'UP', 23: 'UP', 24: 'UP', 25: 'UP', 26: 'UP', 27: 'UP', 28: 'UP',
+  30: 'RJ', 31: 'RJ', 32: 'RJ', 33: 'RJ', 34: 'RJ',
+  36: 'GJ', 37: 'GJ', 38: 'GJ', 39: 'GJ',
+  40: 'MH', 41: 'MH', 42: 'MH', 43: 'MH', 44: 'MH',
+  45: 'MP', 46: 'MP', 47: 'MP', 48: 'MP',
+  49: 'CG',
+  50: 'TG',
+  51: 'AP', 52: 'AP', 53: 'AP',
+  56: 'KA', 57: 'KA', 58: 'KA', 59: 'KA',
+  60: 'TN', 61: 'TN', 62: 'TN', 63: 'TN', 64: 'TN',
+  67: 'KL', 68: 'KL', 69: 'KL',
+  70: 'WB', 71: 'WB', 72: 'WB', 73: 'WB', 74: 'WB',
+  75: 'OD', 76: 'OD', 77: 'OD',
+  78: 'AS',
+  80: 'BR', 81: 'BR', 82: 'BR', 83: 'BR', 84: 'BR', 85: 'BR',
+};
+
+/**
+ * State by the leading 3 to 6 digits of a PIN, where a circle serves more than one state or
+ * union territory; the longest matching prefix wins
+ */
+const STATE_BY_PREFIX = {
+  // Chandigarh, within the Punjab circle, apart from the Mohali (SAS Nagar) PINs among its own
+  160: 'CH', 16005: 'PB', 16006: 'PB', 16007: 'PB',
+  194: 'LA',
+  248: 'UK', 249: 'UK', 263: 'UK',
+  // Dadra and Nagar Haveli and Daman and Diu, within the Gujarat circle
+  36252: 'DH', 36254: 'DH', 36257: 'DH',
+  39621: 'DH', 39622: 'DH', 39623: 'DH', 39624: 'DH',
+  403: 'GA',
+  // Puducherry, Karaikal, Mahe and Yanam, within the Tamil Nadu, Kerala and Andhra Pradesh circles
+  6050: 'PY', 60960: 'PY', 673310: 'PY', 533464: 'PY',
+  // Lakshadweep, within the Kerala circle
+  68255: 'LD',
+  737: 'SK',
+  744: 'AN',
+  790: 'AR', 791: 'AR', 792: 'AR',
+  793: 'ML', 794: 'ML',
+  795: 'MN',
+  796: 'MZ',
+  797: 'NL', 798: 'NL',
+  799: 'TR',
+  814: 'JH', 815: 'JH', 816: 'JH', 825: 'JH', 826: 'JH', 827: 'JH', 828: 'JH', 829: 'JH',
+  831: 'JH', 832: 'JH', 833: 'JH', 834: 'JH', 835: 'JH',
+};
+
+/**
+ * State of a PIN from its longest prefix in STATE_BY_PREFIX, else its postal circle
+ * @param {string} pinCode - Normalized PIN code
+ * @returns {string|undefined} - State code
+ */
+const stateByPrefix = (pinCode) => {
+  for (let length = 6; length >= 3; length -= 1) {
+    const state = STATE_BY_PREFIX[pinCode.slice(0, length)];
+    if (state) return state;
+  }
+  return STATE_BY_CIRCLE[pinCode.slice(0, 2)];
+};
+
+/**
+ * Normalize a PIN code (digits only, so "560 001" is accepted)
+ * @param {string} pinCode - Raw PIN code
+ * @returns {string} - PIN code without spaces
+ */
+const normalizePinCode = (pinCode) => String(pinCode === null || pinCode === undefined ? '' : pinCode).replace(/\s+/g, '');
+
+/**
+ * Whether a PIN code is structurally valid (6 digits, not starting with 0)
+ * @param {string} pinCode - PIN code to check
+ * @returns {boolean}
+ */
+const isValidPinCode = (pinCode) => PIN_CODE_PATTERN.test(normalizePinCode(pinCode));
+
+/**
+ * Look up the district and state of a PIN code
+ * @param {string} pinCode - PIN code
+ * @returns {object|null} - { pinCode, district, state, stateName, exact }, where `exact` is false
+ *   when only the state could be derived from the PIN's prefix; null for invalid or unknown PINs
+ */
+const lookupPinCode = (pinCode) => {
+  const normalized = normalizePinCode(pinCode);
+  if (!PIN_CODE_PATTERN.test(normalized)) {
+    return null;
+  }
+
+  const entry = directory.pinCodes[normalized];
+  const stateCode = entry ? entry[1] : stateByPrefix(normalized);
+  const state = findStateByCode(stateCode);
+  if (!state) {
+    return null;
+  }
+
+  return {
+    pinCode: normalized,
+    district: entry ? entry[0] : null,
+    state: state.code,
+    stateName: state.name,
+    exact: !!entry,
+  };
+};
+
+module.exports = {
+  PIN_CODE_PATTERN,
+  normalizePinCode,
+  isValidPinCode,
+  lookupPinCode,
+};
@@ -0,0 +1,77 @@
+/**
+ * Identifier Masking
+ * Display-safe forms of sensitive identifiers, shared by the API responses and the UI
+ */
+
+const MASK_CHARACTER = 'X';
+
+/**
+ * Mask an Aadhaar number, keeping only the last 4 digits (XXXX-XXXX-1234)
+ * Input with fewer than 4 digits is masked completely.
+ * @param {string} aadhaar - Aadhaar number, with or without separators
+ * @returns {string|null} - Masked Aadhaar, or null when there is no value
+ */
+const maskAadhaar = (aadhaar) => {
+  if (aadhaar === null || aadhaar === undefined || String(aadhaar).trim() === '') {
+    return null;
+  }
+
+  const digits = String(aadhaar).replace(/\D/g, '');
+  const group = MASK_CHARACTER.repeat(4);
+  const lastFour = digits.length >= 4 ? digits.slice(-4) : group;
+
+  return `${group}-${group}-${lastFour}`;
+};
+
+/**
+ * Mask any identifier, keeping only its last 4 characters (XXXXXX234F)
+ * Input of 4 characters or fewer is masked completely.
+ * @param {string} value - Identifier
+ * @returns {string|null} - Masked identifier, or null when there is no value
+ */
+const maskIdentifier = (value) => {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  if (text === '') {
+    return null;
+  }
+
+  const visible = text.length > 4 ? text.slice(-4) : '';
+  return MASK_CHARACTER.repeat(text.length - visible.length) + visible;
+};
+
+/**
+ * Mask a government ID by its type: Aadhaar numbers as maskAadhaar, anything else (passport,
+ * driving licence, voter ID) as maskIdentifier
+ * @param {string} govID - Government ID number
+ * @param {string} govIDType - Its type as recorded with the KYC details, e.g. "Aadhaar"
+ * @returns {string|null} - Masked ID, or null when there is no value
+ */
+const maskGovID = (govID, govIDType) => (
+  /aadhaar/i.test(String(govIDType || '')) ? maskAadhaar(govID) : maskIdentifier(govID)
+);
+
+/**
+ * Mask an email address, keeping the first character of the name and the domain (j***@example.com)
+ * @param {string} email - Email address
+ * @returns {string|null} - Masked email, or null when there is no value
+ */
+const maskEmail = (email) => {
+  const text = email === null || email === undefined ? '' : String(email).trim();
+  if (text === '') {
+    return null;
+  }
+
+  const at = text.lastIndexOf('@');
+  if (at < 1) {
+    return maskIdentifier(text);
+  }
+
+  return `${text[0]}***${text.slice(at)}`;
+};
+
+module.exports = {
+  maskAadhaar,
+  maskIdentifier,
+  maskGovID,
+  maskEmail,
+};
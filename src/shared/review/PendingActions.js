@@ -0,0 +1,77 @@
+/**
+ * Pending Actions
+ * Maker-checker (four-eyes) rules: which changes a maker can only propose, and who may
+ * approve or reject a proposal. Shared by the API server and the back-office UI.
+ */
+
+const { isReviewDecision } = require('./ReasonCodes');
+const { APPLICATION_STATUSES } = require('../applications/ApplicationLifecycle');
+
+/**
+ * Changes that need a checker's approval
+ */
+const ACTION_TYPES = {
+  KYC_DECISION: 'kyc_decision',
+  CUSTOMER_STATUS: 'customer_status',
+  APPLICATION_STATUS: 'application_status',
+};
+
+/**
+ * States of a proposal
+ */
+const ACTION_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+/**
+ * Roles that can check each type of change
+ */
+const CHECKER_ROLES = {
+  [ACTION_TYPES.KYC_DECISION]: ['supervisor', 'admin'],
+  [ACTION_TYPES.CUSTOMER_STATUS]: ['supervisor', 'admin'],
+  [ACTION_TYPES.APPLICATION_STATUS]: ['supervisor', 'admin'],
+};
+
+/**
+ * Whether a change must be proposed for approval rather than applied directly
+ * @param {string} actionType - Type of change
+ * @param {object} proposed - Proposed values ({ status, ... })
+ * @returns {boolean}
+ */
+const requiresApproval = (actionType, proposed = {}) => {
+  if (actionType === ACTION_TYPES.KYC_DECISION) return isReviewDecision(proposed.status);
+  if (actionType === ACTION_TYPES.CUSTOMER_STATUS) return proposed.status === 'approved';
+  if (actionType === ACTION_TYPES.APPLICATION_STATUS) {
+    return [APPLICATION_STATUSES.APPROVED, APPLICATION_STATUSES.DECLINED].includes(proposed.status);
+  }
+  return false;
+};
+
+/**
+ * Check whether a user may approve or reject a proposal
+ * @param {object} action - { actionType, status, makerId }
+ * @param {object} checker - { id, role }
+ * @returns {object|null} - { code, message } explaining why not, or null if they may
+ */
+const checkApprover = (action, checker) => {
+  if (action.status !== ACTION_STATUSES.PENDING) {
+    return { code: 'ACTION_CLOSED', message: `This change has already been ${action.status}` };
+  }
+  if (checker.id === action.makerId) {
+    return { code: 'SELF_APPROVAL', message: 'A change must be checked by someone other than the person who proposed it' };
+  }
+  if (!(CHECKER_ROLES[action.actionType] || []).includes(checker.role)) {
+    return { code: 'ROLE_NOT_ALLOWED', message: `Only ${(CHECKER_ROLES[action.actionType] || []).join(' or ')} users can check this change` };
+  }
+  return null;
+};
+
+module.exports = {
+  ACTION_TYPES,
+  ACTION_STATUSES,
+  CHECKER_ROLES,
+  requiresApproval,
+  checkApprover,
+};
@@ -0,0 +1,74 @@
+/**
+ * Review Reason Codes
+ * Reasons a reviewer gives for verifying or rejecting a KYC submission, shared by the
+ * API server and the back-office UI
+ */
+
+/**
+ * Decisions a reviewer can make on a KYC submission
+ */
+const REVIEW_DECISIONS = {
+  VERIFIED: 'verified',
+  REJECTED: 'rejected',
+};
+
+/**
+ * Reason codes of each decision
+ */
+const REASON_CODES = {
+  [REVIEW_DECISIONS.VERIFIED]: [
+    { code: 'DOCUMENTS_MATCH', label: 'Documents match the application' },
+    { code: 'RECORDS_CONFIRMED', label: 'Identity confirmed against official records' },
+    { code: 'PEP_CLEARED', label: 'Politically exposed person, cleared after enhanced checks' },
+  ],
+  [REVIEW_DECISIONS.REJECTED]: [
+    { code: 'IDENTITY_MISMATCH', label: 'Identity details do not match the documents' },
+    { code: 'DOCUMENT_ILLEGIBLE', label: 'Documents are missing or illegible' },
+    { code: 'DOCUMENT_EXPIRED', label: 'Identity document has expired' },
+    { code: 'ADDRESS_UNVERIFIED', label: 'Address could not be verified' },
+    { code: 'SUSPECTED_FRAUD', label: 'Suspected fraud' },
+    { code: 'PEP_NOT_CLEARED', label: 'Politically exposed person, not cleared' },
+  ],
+};
+
+/**
+ * Whether a status is a review decision, which needs a reason code
+ * @param {string} status - Verification status
+ * @returns {boolean}
+ */
+const isReviewDecision = (status) => Object.prototype.hasOwnProperty.call(REASON_CODES, status);
+
+/**
+ * Reason codes a decision can be given with
+ * @param {string} decision - Review decision
+ * @returns {array} - [{ code, label }]; empty for anything that is not a decision
+ */
+const getReasonCodes = (decision) => (isReviewDecision(decision) ? REASON_CODES[decision].slice() : []);
+
+/**
+ * Whether a reason code belongs to a decision
+ * @param {string} decision - Review decision
+ * @param {string} code - Reason code
+ * @returns {boolean}
+ */
+const isValidReasonCode = (decision, code) => getReasonCodes(decision).some((reason) => reason.code === code);
+
+/**
+ * Label of a reason code
+ * @param {string} code - Reason code
+ * @returns {string|null} - Label, or null for an unknown code
+ */
+const getReasonLabel = (code) => {
+  const reason = REASON_CODES[REVIEW_DECISIONS.VERIFIED]
+    .concat(REASON_CODES[REVIEW_DECISIONS.REJECTED])
+    .find((entry) => entry.code === code);
+  return reason ? reason.label : null;
+};
+
+module.exports = {
+  REVIEW_DECISIONS,
+  isReviewDecision,
+  getReasonCodes,
+  isValidReasonCode,
+  getReasonLabel,
+};
@@ -0,0 +1,216 @@
+/**
+ * Risk Engine
+ * Scores a KYC submission against configurable rules and derives its risk level
+ *
+ * The rules live in riskRules.json: each rule has an id, a type (one of RULE_TYPES),
+ * a label, the points it adds when it matches and, optionally, the lowest level a
+ * submission it matches can have. The level follows from the total score and the
+ * thresholds in `levels`. Bump `version` whenever the rules change, then re-score
+ * stored submissions with `node rescore-kyc.js`.
+ */
+
+const DEFAULT_RULES = require('./riskRules.json');
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Lower-case and collapse the whitespace of a value, for comparisons
+ * @param {*} value
+ * @returns {string}
+ */
+const normalize = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Whole years between a date of birth and a date
+ * @param {Date|string} dateOfBirth - Date, or YYYY-MM-DD string
+ * @param {Date} on - Date the age is taken at
+ * @returns {number|null} - Age in years, or null if the date of birth is missing or invalid
+ */
+const ageAt = (dateOfBirth, on) => {
+  if (!dateOfBirth) return null;
+
+  let year;
+  let month;
+  let day;
+  const parts = typeof dateOfBirth === 'string' && /^(\d{4})-(\d{2})-(\d{2})/.exec(dateOfBirth);
+  if (parts) {
+    [year, month, day] = [Number(parts[1]), Number(parts[2]) - 1, Number(parts[3])];
+  } else {
+    const date = new Date(dateOfBirth);
+    if (Number.isNaN(date.getTime())) return null;
+    [year, month, day] = [date.getFullYear(), date.getMonth(), date.getDate()];
+  }
+
+  const birthdayPassed = on.getMonth() > month || (on.getMonth() === month && on.getDate() >= day);
+  return on.getFullYear() - year - (birthdayPassed ? 0 : 1);
+};
+
+/**
+ * Whether a customer address is the same place as the KYC address
+ * Postal codes are compared when both addresses have one, otherwise city and state
+ * @param {object} address - { city, state, postalCode }
+ * @param {object} kycAddress - { city, state, postalCode }
+ * @returns {boolean}
+ */
+const isSameAddress = (address, kycAddress) => {
+  const postalCode = (value) => normalize(value).replace(/[\s-]/g, '');
+  if (address.postalCode && kycAddress.postalCode) {
+    return postalCode(address.postalCode) === postalCode(kycAddress.postalCode);
+  }
+  return normalize(address.city) === normalize(kycAddress.city)
+    && normalize(address.state) === normalize(kycAddress.state);
+};
+
+/**
+ * Evaluators of each rule type
+ * Each returns the details of its matches (an empty array when the rule does not match)
+ *
+ *   pep             - the applicant declared themselves a politically exposed person
+ *   country         - nationality or country of residence is in `countries` (names or ISO codes)
+ *   occupation      - employment status is in `employmentStatuses`, or the occupation
+ *                     contains one of `keywords`
+ *   age             - age at submission is at least `minAge` and/or at most `maxAge`
+ *   incomeVsProduct - the income band is one of those `products` lists for the customer's product
+ *   addressMismatch - none of the customer's addresses of `addressTypes` is the KYC address
+ *   ipVelocity      - `threshold` or more submissions, this one included, came from the same
+ *                     IP address within `windowHours`
+ */
+const EVALUATORS = {
+  pep: (rule, facts) => (facts.politicallyExposedPerson ? [null] : []),
+
+  country: (rule, facts) => {
+    const countries = (rule.countries || []).map(normalize);
+    const listed = (value) => value && countries.includes(normalize(value));
+    const details = [];
+    if (listed(facts.nationality)) details.push(`nationality ${facts.nationality}`);
+    if (listed(facts.country) && normalize(facts.country) !== normalize(facts.nationality)) {
+      details.push(`country of residence ${facts.country}`);
+    }
+    return details.length > 0 ? [details.join(', ')] : [];
+  },
+
+  occupation: (rule, facts) => {
+    if ((rule.employmentStatuses || []).includes(facts.employmentStatus)) {
+      return [facts.occupation || facts.employmentStatus];
+    }
+    const occupation = normalize(facts.occupation);
+    const matched = occupation && (rule.keywords || []).some((keyword) => occupation.includes(normalize(keyword)));
+    return matched ? [facts.occupation] : [];
+  },
+
+  age: (rule, facts) => {
+    const age = ageAt(facts.dateOfBirth, facts.submittedAt ? new Date(facts.submittedAt) : new Date());
+    if (age === null) return [];
+    if (rule.minAge !== undefined && age < rule.minAge) return [];
+    if (rule.maxAge !== undefined && age > rule.maxAge) return [];
+    return [`age ${age}`];
+  },
+
+  incomeVsProduct: (rule, facts) => {
+    const bands = (rule.products || {})[facts.accountType] || [];
+    return bands.includes(facts.annualIncome) ? [`${facts.annualIncome} for ${facts.accountType}`] : [];
+  },
+
+  addressMismatch: (rule, facts) => {
+    const kycAddress = facts.kycAddress || {};
+    if (!kycAddress.postalCode && !kycAddress.city) return [];
+
+    const addresses = (facts.addresses || []).filter((address) => (
+      !rule.addressTypes || rule.addressTypes.includes(address.type)
+    ));
+    if (addresses.length === 0) return [];
+
+    return addresses.some((address) => isSameAddress(address, kycAddress)) ? [] : [null];
+  },
+
+  ipVelocity: (rule, facts) => {
+    const submissions = (facts.submissionsFromIp || 0) + 1;
+    return submissions >= rule.threshold ? [`${submissions} submissions in ${rule.windowHours}h`] : [];
+  },
+};
+
+const RULE_TYPES = Object.keys(EVALUATORS);
+
+/**
+ * Check a rule configuration; throws on the first problem found
+ * @param {object} rules - { version, levels: { medium, high }, rules: [...] }
+ * @returns {object} - The rules
+ */
+const validateRules = (rules) => {
+  const fail = (message) => {
+    throw new Error(`Invalid risk rules: ${message}`);
+  };
+
+  if (!rules || !rules.version) fail('a version is required');
+  const { levels = {} } = rules;
+  if (!(levels.medium > 0 && levels.high > levels.medium)) {
+    fail('levels.medium and levels.high must be positive, with high above medium');
+  }
+
+  const ids = new Set();
+  (rules.rules || []).forEach((rule) => {
+    if (!rule.id || ids.has(rule.id)) fail(`rule ids must be present and unique (${rule.id})`);
+    ids.add(rule.id);
+    if (!RULE_TYPES.includes(rule.type)) fail(`rule ${rule.id} has unknown type ${rule.type}`);
+    if (typeof rule.weight !== 'number' || rule.weight < 0) fail(`rule ${rule.id} needs a weight of 0 or more`);
+    if (rule.minimumLevel !== undefined && !RISK_LEVELS.includes(rule.minimumLevel)) {
+      fail(`rule ${rule.id} has unknown minimum level ${rule.minimumLevel}`);
+    }
+    if (rule.type === 'ipVelocity' && !(rule.windowHours > 0 && rule.threshold > 0)) {
+      fail(`rule ${rule.id} needs a positive windowHours and threshold`);
+    }
+  });
+
+  return rules;
+};
+
+/**
+ * Hours of the IP velocity window, which the caller counts submissions over
+ * @param {object} rules - Rule configuration
+ * @returns {number|null} - Window of the ipVelocity rule, or null without one
+ */
+const getVelocityWindowHours = (rules = DEFAULT_RULES) => {
+  const rule = (rules.rules || []).find(({ type }) => type === 'ipVelocity');
+  return rule ? rule.windowHours : null;
+};
+
+/**
+ * Score a submission
+ * @param {object} facts - { politicallyExposedPerson, nationality, country, occupation,
+ *   employmentStatus, dateOfBirth, annualIncome, accountType, kycAddress: { city, state,
+ *   postalCode }, addresses: [{ type, city, state, postalCode }], submissionsFromIp, submittedAt }
+ * @param {object} rules - Rule configuration (riskRules.json by default)
+ * @returns {object} - { score, level, reasons: [{ rule, label, points, detail }], rulesVersion }
+ */
+const assessRisk = (facts, rules = DEFAULT_RULES) => {
+  validateRules(rules);
+
+  const reasons = [];
+  let minimumLevel = RISK_LEVELS[0];
+  (rules.rules || []).forEach((rule) => {
+    EVALUATORS[rule.type](rule, facts || {}).forEach((detail) => {
+      reasons.push({ rule: rule.id, label: rule.label || rule.id, points: rule.weight, detail });
+      if (rule.minimumLevel && RISK_LEVELS.indexOf(rule.minimumLevel) > RISK_LEVELS.indexOf(minimumLevel)) {
+        minimumLevel = rule.minimumLevel;
+      }
+    });
+  });
+
+  const score = reasons.reduce((total, reason) => total + reason.points, 0);
+  let level = 'low';
+  if (score >= rules.levels.high) level = 'high';
+  else if (score >= rules.levels.medium) level = 'medium';
+  if (RISK_LEVELS.indexOf(minimumLevel) > RISK_LEVELS.indexOf(level)) level = minimumLevel;
+
+  return { score, level, reasons, rulesVersion: rules.version };
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  RISK_LEVELS,
+  RULE_TYPES,
+  ageAt,
+  validateRules,
+  getVelocityWindowHours,
+  assessRisk,
+};
@@ -0,0 +1,195 @@
+/**
+ * Name Matching
+ * Normalizes personal names and scores how alike two names are, for watchlist screening
+ *
+ * Names are compared token by token, in any order: each token is scored by edit distance,
+ * and tokens that sound alike (same phonetic key) score at least PHONETIC_SIMILARITY, so
+ * transliterations such as Mohammed / Muhammad / Mohamad still match.
+ */
+
+/**
+ * Titles and honorifics dropped from names before comparing
+ */
+const IGNORED_TOKENS = ['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'haji', 'hajji', 'sheikh', 'shaikh'];
+
+/**
+ * Lowest similarity of two tokens with the same phonetic key
+ */
+const PHONETIC_SIMILARITY = 0.85;
+
+/**
+ * Similarity of an initial to a token starting with the same letter
+ */
+const INITIAL_SIMILARITY = 0.75;
+
+/**
+ * Soundex digit of each consonant; vowels, h, w and y have none
+ */
+const SOUNDEX_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6',
+};
+
+/**
+ * Normalize a name: strip accents and punctuation, lower-case it and drop titles
+ * @param {string} name
+ * @returns {string} - Space-separated tokens, e.g. "Dr. José O'Neil" -> "jose oneil"
+ */
+const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['’`]/g, '')
+  .replace(/[^a-z]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter((token) => token && !IGNORED_TOKENS.includes(token))
+  .join(' ');
+
+/**
+ * Tokens of a name, normalized
+ * @param {string} name
+ * @returns {array} - Tokens
+ */
+const nameTokens = (name) => {
+  const normalized = normalizeName(name);
+  return normalized ? normalized.split(' ') : [];
+};
+
+/**
+ * Phonetic key of a token: Soundex, with the first letter coded like the others so
+ * C/K, S/Z and F/Ph sound the same at the start of a name too, and a leading vowel, h,
+ * w or y coded as 0
+ * @param {string} token - Normalized token
+ * @returns {string} - Four-character key, e.g. "mohammed" -> "5530"; '' for an empty token
+ */
+const phoneticKey = (token) => {
+  const letters = String(token || '').replace(/^ph/, 'f').replace(/^kh/, 'k').replace(/[^a-z]/g, '');
+  if (!letters) return '';
+
+  let key = SOUNDEX_CODES[letters[0]] || '0';
+  let previous = SOUNDEX_CODES[letters[0]] || '';
+  for (const letter of letters.slice(1)) {
+    if (letter === 'h' || letter === 'w') continue;
+    const code = SOUNDEX_CODES[letter];
+    if (!code) {
+      previous = '';
+    } else if (code !== previous) {
+      key += code;
+      previous = code;
+    }
+  }
+
+  return `${key}000`.slice(0, 4);
+};
+
+/**
+ * Phonetic keys of every token of the given names, for looking up candidates
+ * Initials are left out: they sound like too many names to narrow a search
+ * @param {array} names - Names
+ * @returns {array} - Distinct keys
+ */
+const nameKeys = (names) => {
+  const keys = new Set();
+  names.forEach((name) => nameTokens(name)
+    .filter((token) => token.length > 1)
+    .forEach((token) => keys.add(phoneticKey(token))));
+  return Array.from(keys);
+};
+
+/**
+ * Edit distance of two strings, counting insertions, deletions, substitutions and
+ * transpositions of adjacent letters (optimal string alignment)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+/**
+ * Similarity of two normalized tokens
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - 0 (nothing alike) to 1 (identical)
+ */
+const tokenSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  if (a.length === 1 || b.length === 1) {
+    return a[0] === b[0] ? INITIAL_SIMILARITY : 0;
+  }
+
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return phoneticKey(a) === phoneticKey(b) ? Math.max(similarity, PHONETIC_SIMILARITY) : similarity;
+};
+
+/**
+ * Similarity of two names, whatever the order of their tokens
+ * Each token of the name with fewer tokens is paired with its most alike token in the
+ * other; tokens of the longer name left unpaired lower the score slightly, so a middle
+ * name missing from one side does not hide a match
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {number} - 0 to 1
+ */
+const nameSimilarity = (a, b) => {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const unpaired = longer.slice();
+  let total = 0;
+
+  shorter.slice().sort((x, y) => y.length - x.length).forEach((token) => {
+    let best = 0;
+    let bestIndex = -1;
+    unpaired.forEach((candidate, index) => {
+      const similarity = tokenSimilarity(token, candidate);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex >= 0) unpaired.splice(bestIndex, 1);
+    total += best;
+  });
+
+  const coverage = shorter.length / longer.length;
+  return (total / shorter.length) * (0.85 + 0.15 * coverage);
+};
+
+module.exports = {
+  PHONETIC_SIMILARITY,
+  normalizeName,
+  nameTokens,
+  phoneticKey,
+  nameKeys,
+  editDistance,
+  tokenSimilarity,
+  nameSimilarity,
+};
@@ -0,0 +1,181 @@
+/**
+ * Screening
+ * Scores an applicant against a watchlist entry, and the statuses of the hits found
+ *
+ * The name decides most of the score (see NameMatching.js); a matching date of birth or
+ * nationality raises it and a different one lowers it. Entries scoring MATCH_THRESHOLD or
+ * more are recorded as potential matches, for a reviewer to confirm or dismiss.
+ */
+
+const { nameKeys, nameSimilarity } = require('./NameMatching');
+
+/**
+ * Lowest score (0-100) recorded as a potential match
+ */
+const MATCH_THRESHOLD = 85;
+
+const LIST_TYPES = {
+  SANCTIONS: 'sanctions',
+  PEP: 'pep',
+};
+
+const SCREENING_STATUSES = {
+  POTENTIAL_MATCH: 'potential_match',
+  TRUE_POSITIVE: 'true_positive',
+  FALSE_POSITIVE: 'false_positive',
+};
+
+/**
+ * Statuses a reviewer can resolve a potential match to
+ */
+const RESOLUTIONS = [SCREENING_STATUSES.TRUE_POSITIVE, SCREENING_STATUSES.FALSE_POSITIVE];
+
+/**
+ * Points the date of birth and nationality add to, or take from, the name's score
+ */
+const ADJUSTMENTS = {
+  dateOfBirth: { match: 10, year: 5, mismatch: -15, unknown: 0 },
+  nationality: { match: 5, mismatch: -5, unknown: 0 },
+};
+
+/**
+ * A date as YYYY-MM-DD
+ * @param {Date|string} value - Date, or a string starting YYYY-MM-DD
+ * @returns {string|null}
+ */
+const toDateString = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    return /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Compare an applicant's date of birth with a watchlist entry's
+ * Lists often give only a year of birth, or several possible dates
+ * @param {Date|string} dateOfBirth - Applicant's date of birth
+ * @param {array} listed - Entry's dates of birth: YYYY-MM-DD, YYYY-MM or YYYY
+ * @returns {string} - match, year (same year of birth only), mismatch or unknown
+ */
+const compareDateOfBirth = (dateOfBirth, listed = []) => {
+  const date = toDateString(dateOfBirth);
+  if (!date || listed.length === 0) return 'unknown';
+  if (listed.includes(date)) return 'match';
+  return listed.some((value) => value.slice(0, 4) === date.slice(0, 4)) ? 'year' : 'mismatch';
+};
+
+/**
+ * Compare an applicant's nationality with a watchlist entry's
+ * A nationality matches a country it starts with, e.g. Indian / India
+ * @param {string} nationality - Applicant's nationality
+ * @param {array} listed - Entry's nationalities
+ * @returns {string} - match, mismatch or unknown
+ */
+const compareNationality = (nationality, listed = []) => {
+  const normalize = (value) => String(value || '').trim().toLowerCase();
+  const own = normalize(nationality);
+  if (!own || listed.length === 0) return 'unknown';
+
+  const matches = listed.map(normalize).some((value) => (
+    value === own || (Math.min(value.length, own.length) >= 4 && (value.startsWith(own) || own.startsWith(value)))
+  ));
+  return matches ? 'match' : 'mismatch';
+};
+
+/**
+ * Score an applicant against a watchlist entry
+ * @param {object} subject - { name, dateOfBirth, nationality }
+ * @param {object} entry - { names, datesOfBirth, nationalities }
+ * @returns {object} - { score (0-100), matchedName, nameScore, dateOfBirth, nationality }
+ */
+const scoreCandidate = (subject, entry) => {
+  let nameScore = 0;
+  let matchedName = null;
+  (entry.names || []).forEach((name) => {
+    const similarity = nameSimilarity(subject.name, name);
+    if (similarity > nameScore) {
+      nameScore = similarity;
+      matchedName = name;
+    }
+  });
+
+  const dateOfBirth = compareDateOfBirth(subject.dateOfBirth, entry.datesOfBirth || []);
+  const nationality = compareNationality(subject.nationality, entry.nationalities || []);
+  const score = Math.round(nameScore * 100)
+    + ADJUSTMENTS.dateOfBirth[dateOfBirth]
+    + ADJUSTMENTS.nationality[nationality];
+
+  return {
+    score: Math.max(0, Math.min(100, score)),
+    matchedName,
+    nameScore: Math.round(nameScore * 100),
+    dateOfBirth,
+    nationality,
+  };
+};
+
+/**
+ * Whether a hit stops a case being verified or its customer approved: a potential match
+ * not yet resolved, or a confirmed sanctions match. A confirmed PEP match does not; it
+ * marks the applicant as a PEP instead.
+ * @param {object} result - { status, listType }
+ * @returns {boolean}
+ */
+const isBlocking = (result) => (
+  result.status === SCREENING_STATUSES.POTENTIAL_MATCH
+  || (result.status === SCREENING_STATUSES.TRUE_POSITIVE && result.listType === LIST_TYPES.SANCTIONS)
+);
+
+/**
+ * Index watchlist entries by the phonetic keys of their names, to find the candidates for
+ * many applicants without querying the database for each
+ * @param {array} entries - Entries, each with its nameKeys or names
+ * @returns {Map} - Phonetic key -> entries
+ */
+const indexEntries = (entries) => {
+  const index = new Map();
+  entries.forEach((entry) => {
+    (entry.nameKeys || nameKeys(entry.names || [])).forEach((key) => {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(entry);
+    });
+  });
+  return index;
+};
+
+/**
+ * Find the indexed entries with a name token sounding like one of a name's, optionally
+ * only those changed after a time
+ * @param {Map} index - Built by indexEntries
+ * @param {string} name - Applicant's name
+ * @param {Date|string|null} changedAfter - Skip entries whose changedAt is not after this
+ * @returns {array} - Distinct candidate entries
+ */
+const findIndexed = (index, name, changedAfter = null) => {
+  const after = changedAfter ? new Date(changedAfter).getTime() : null;
+  const found = new Set();
+  nameKeys([name]).forEach((key) => {
+    (index.get(key) || []).forEach((entry) => {
+      if (after === null || new Date(entry.changedAt).getTime() > after) found.add(entry);
+    });
+  });
+  return Array.from(found);
+};
+
+module.exports = {
+  MATCH_THRESHOLD,
+  LIST_TYPES,
+  SCREENING_STATUSES,
+  RESOLUTIONS,
+  toDateString,
+  compareDateOfBirth,
+  compareNationality,
+  scoreCandidate,
+  isBlocking,
+  indexEntries,
+  findIndexed,
+};
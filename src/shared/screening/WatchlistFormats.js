@@ -0,0 +1,370 @@
+/**
+ * Watchlist Formats
+ * Reads watchlist files into entries the screening can match against:
+ *
+ *   un-xml   - UN Security Council Consolidated List (XML); individuals only
+ *   ofac-xml - OFAC SDN list (sdn.xml); individuals only
+ *   ofac-csv - OFAC SDN list (sdn.csv, no header); individuals only, with the dates of
+ *              birth, nationalities and a.k.a. names given in its remarks
+ *   csv      - Any other list, e.g. of PEPs: a header row with `name` and, optionally,
+ *              `id`, `aliases`, `date_of_birth` and `nationality`; several values in a
+ *              column are separated by `;`
+ *
+ * Each entry is { entryRef, primaryName, names, datesOfBirth, nationalities }; names
+ * include the aliases, dates of birth are YYYY-MM-DD, YYYY-MM or YYYY.
+ */
+
+const FORMATS = ['un-xml', 'ofac-xml', 'ofac-csv', 'csv'];
+
+/**
+ * List name each format gives its entries unless another is chosen
+ */
+const DEFAULT_LIST_NAMES = {
+  'un-xml': 'UN',
+  'ofac-xml': 'OFAC',
+  'ofac-csv': 'OFAC',
+};
+
+/**
+ * Longest range of years of birth expanded into single years
+ */
+const MAX_YEAR_RANGE = 10;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Text of an XML element, with CDATA unwrapped and entities decoded
+ * @param {string} value - Raw element content
+ * @returns {string}
+ */
+const decodeText = (value) => String(value || '')
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] || match;
+  })
+  .trim();
+
+/**
+ * Contents of every element with the given tag
+ * @param {string} xml
+ * @param {string} tag - Element name
+ * @returns {array} - Raw contents, in document order
+ */
+const elements = (xml, tag) => {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  const found = [];
+  let match = pattern.exec(xml);
+  while (match) {
+    found.push(match[1]);
+    match = pattern.exec(xml);
+  }
+  return found;
+};
+
+/**
+ * Text of the first element with the given tag
+ * @param {string} xml
+ * @param {string} tag - Element name
+ * @returns {string} - '' if there is none
+ */
+const text = (xml, tag) => decodeText(elements(xml, tag)[0]);
+
+/**
+ * Expand a range of years of birth into single years
+ * @param {number} from
+ * @param {number} to
+ * @returns {array} - YYYY strings; empty for a reversed or too long range
+ */
+const yearRange = (from, to) => {
+  if (!(from <= to) || to - from > MAX_YEAR_RANGE) return [];
+  const years = [];
+  for (let year = from; year <= to; year++) {
+    years.push(String(year));
+  }
+  return years;
+};
+
+/**
+ * Read a date of birth as written in OFAC lists: "10 Dec 1948", "Dec 1948", "1948",
+ * "circa 1948", "1948 to 1950"
+ * @param {string} value
+ * @returns {array} - YYYY-MM-DD, YYYY-MM or YYYY strings
+ */
+const parseListedDate = (value) => {
+  const date = String(value || '').trim().toLowerCase().replace(/^circa\s+/, '');
+  const pad = (number) => String(number).padStart(2, '0');
+
+  let match = /^(\d{1,2}) ([a-z]{3})[a-z]* (\d{4})$/.exec(date);
+  if (match && MONTHS.includes(match[2])) {
+    return [`${match[3]}-${pad(MONTHS.indexOf(match[2]) + 1)}-${pad(match[1])}`];
+  }
+  match = /^([a-z]{3})[a-z]* (\d{4})$/.exec(date);
+  if (match && MONTHS.includes(match[1])) {
+    return [`${match[2]}-${pad(MONTHS.indexOf(match[1]) + 1)}`];
+  }
+  match = /^(\d{4}) to (\d{4})$/.exec(date);
+  if (match) {
+    return yearRange(Number(match[1]), Number(match[2]));
+  }
+  match = /^(\d{4})(-\d{2}(-\d{2})?)?$/.exec(date);
+  return match ? [date] : [];
+};
+
+/**
+ * Drop empty and repeated values
+ * @param {array} values
+ * @returns {array}
+ */
+const distinct = (values) => values.filter((value, index) => value && values.indexOf(value) === index);
+
+/**
+ * Read the UN Security Council Consolidated List
+ * @param {string} xml
+ * @returns {array} - Entries
+ */
+const parseUNConsolidatedXML = (xml) => elements(xml, 'INDIVIDUAL').map((individual) => {
+  const primaryName = ['FIRST_NAME', 'SECOND_NAME', 'THIRD_NAME', 'FOURTH_NAME']
+    .map((tag) => text(individual, tag))
+    .filter(Boolean)
+    .join(' ');
+  const aliases = elements(individual, 'INDIVIDUAL_ALIAS').map((alias) => text(alias, 'ALIAS_NAME'));
+
+  const datesOfBirth = [];
+  elements(individual, 'INDIVIDUAL_DATE_OF_BIRTH').forEach((item) => {
+    const date = text(item, 'DATE');
+    const year = text(item, 'YEAR');
+    if (date) {
+      datesOfBirth.push(date.slice(0, 10));
+    } else if (year) {
+      datesOfBirth.push(year);
+    } else {
+      datesOfBirth.push(...yearRange(Number(text(item, 'FROM_YEAR')), Number(text(item, 'TO_YEAR'))));
+    }
+  });
+
+  const nationalities = [];
+  elements(individual, 'NATIONALITY').forEach((nationality) => {
+    elements(nationality, 'VALUE').forEach((value) => nationalities.push(decodeText(value)));
+  });
+
+  return {
+    entryRef: text(individual, 'DATAID') || text(individual, 'REFERENCE_NUMBER'),
+    primaryName,
+    names: distinct([primaryName, ...aliases]),
+    datesOfBirth: distinct(datesOfBirth),
+    nationalities: distinct(nationalities),
+  };
+});
+
+/**
+ * Read the OFAC SDN list in XML
+ * @param {string} xml
+ * @returns {array} - Entries
+ */
+const parseOFACSdnXML = (xml) => elements(xml, 'sdnEntry')
+  .filter((entry) => text(entry, 'sdnType').toLowerCase() === 'individual')
+  .map((entry) => {
+    const fullName = (item) => [text(item, 'firstName'), text(item, 'lastName')].filter(Boolean).join(' ');
+    const akaList = elements(entry, 'akaList')[0] || '';
+    const withoutAkas = entry.replace(/<akaList>[\s\S]*?<\/akaList>/, '');
+    const primaryName = fullName(withoutAkas);
+
+    const datesOfBirth = [];
+    elements(entry, 'dateOfBirthItem').forEach((item) => datesOfBirth.push(...parseListedDate(text(item, 'dateOfBirth'))));
+
+    const nationalities = [];
+    elements(entry, 'nationality').forEach((item) => nationalities.push(text(item, 'country')));
+    elements(entry, 'citizenship').forEach((item) => nationalities.push(text(item, 'country')));
+
+    return {
+      entryRef: text(withoutAkas, 'uid'),
+      primaryName,
+      names: distinct([primaryName, ...elements(akaList, 'aka').map(fullName)]),
+      datesOfBirth: distinct(datesOfBirth),
+      nationalities: distinct(nationalities),
+    };
+  });
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas,
+ * doubled quotes and line breaks)
+ * @param {string} csv
+ * @returns {array} - Rows, each an array of fields; blank lines are skipped
+ */
+const parseCSV = (csv) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = String(csv || '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Turn "LAST, First" into "First LAST"
+ * @param {string} name
+ * @returns {string}
+ */
+const firstNameFirst = (name) => {
+  const [last, first] = name.split(/,\s*(.*)/s);
+  return first ? `${first.trim()} ${last.trim()}` : name.trim();
+};
+
+/**
+ * Read the OFAC SDN list in CSV (sdn.csv); empty fields are written -0-
+ * @param {string} csv
+ * @returns {array} - Entries
+ */
+const parseOFACSdnCSV = (csv) => parseCSV(csv)
+  .filter((row) => String(row[2] || '').trim().toLowerCase() === 'individual')
+  .map((row) => {
+    const primaryName = firstNameFirst(row[1]);
+    const remarks = String(row[11] || '').replace(/^\s*-0-\s*$/, '');
+
+    const matchAll = (pattern) => {
+      const found = [];
+      let match = pattern.exec(remarks);
+      while (match) {
+        found.push(match[1].trim());
+        match = pattern.exec(remarks);
+      }
+      return found;
+    };
+
+    const datesOfBirth = [];
+    matchAll(/DOB ([^;]+)/g).forEach((dates) => {
+      dates.split(/,\s*|\s+alt\.\s*/).forEach((date) => datesOfBirth.push(...parseListedDate(date)));
+    });
+
+    return {
+      entryRef: String(row[0]).trim(),
+      primaryName,
+      names: distinct([primaryName, ...matchAll(/a\.k\.a\. '([^']+)'/g).map(firstNameFirst)]),
+      datesOfBirth: distinct(datesOfBirth),
+      nationalities: distinct(matchAll(/(?:nationality|citizen) ([^;.]+)/g)),
+    };
+  });
+
+/**
+ * Read a list in the generic CSV format
+ * @param {string} csv
+ * @returns {array} - Entries
+ */
+const parseWatchlistCSV = (csv) => {
+  const [header = [], ...rows] = parseCSV(csv);
+  const columns = header.map((column) => column.trim().toLowerCase());
+  if (!columns.includes('name')) {
+    throw new Error('The watchlist CSV needs a name column');
+  }
+
+  const values = (row, column) => {
+    const index = columns.indexOf(column);
+    return index < 0 ? [] : String(row[index] || '').split(';').map((value) => value.trim()).filter(Boolean);
+  };
+
+  return rows.map((row, index) => {
+    const primaryName = values(row, 'name')[0] || '';
+    const datesOfBirth = [];
+    values(row, 'date_of_birth').forEach((date) => datesOfBirth.push(...parseListedDate(date)));
+
+    return {
+      entryRef: values(row, 'id')[0] || String(index + 1),
+      primaryName,
+      names: distinct([primaryName, ...values(row, 'aliases')]),
+      datesOfBirth: distinct(datesOfBirth),
+      nationalities: distinct(values(row, 'nationality')),
+    };
+  }).filter((entry) => entry.primaryName);
+};
+
+/**
+ * Work out the format of a watchlist file from its content
+ * @param {string} content
+ * @returns {string|null} - One of FORMATS, or null if it is not recognized
+ */
+const detectFormat = (content) => {
+  const start = String(content || '').replace(/^\uFEFF/, '').trimStart();
+  if (start.startsWith('<')) {
+    if (/<CONSOLIDATED_LIST[\s>]/.test(start)) return 'un-xml';
+    if (/<sdnList[\s>]/.test(start)) return 'ofac-xml';
+    return null;
+  }
+
+  const [firstRow = []] = parseCSV(start.split(/\r?\n/, 1)[0]);
+  if (firstRow.some((column) => column.trim().toLowerCase() === 'name')) return 'csv';
+  if (firstRow.length >= 12 && /^\d+$/.test(firstRow[0].trim())) return 'ofac-csv';
+  return null;
+};
+
+const PARSERS = {
+  'un-xml': parseUNConsolidatedXML,
+  'ofac-xml': parseOFACSdnXML,
+  'ofac-csv': parseOFACSdnCSV,
+  csv: parseWatchlistCSV,
+};
+
+/**
+ * Read a watchlist file in any supported format
+ * @param {string} content - File content
+ * @param {string} format - One of FORMATS; detected from the content when not given
+ * @returns {object} - { format, entries }
+ */
+const parseWatchlist = (content, format = null) => {
+  const chosen = format || detectFormat(content);
+  if (!PARSERS[chosen]) {
+    throw new Error(`Unrecognized watchlist format${format ? ` ${format}` : ''}. Supported formats: ${FORMATS.join(', ')}`);
+  }
+  return { format: chosen, entries: PARSERS[chosen](content).filter((entry) => entry.entryRef && entry.primaryName) };
+};
+
+module.exports = {
+  FORMATS,
+  DEFAULT_LIST_NAMES,
+  parseCSV,
+  parseListedDate,
+  parseUNConsolidatedXML,
+  parseOFACSdnXML,
+  parseOFACSdnCSV,
+  parseWatchlistCSV,
+  detectFormat,
+  parseWatchlist,
+};
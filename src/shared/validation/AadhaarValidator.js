@@ -0,0 +1,126 @@
+/**
+ * Aadhaar Validator
+ * Structural validation of Aadhaar numbers, shared by the browser form validation
+ * and the API
+ *
+ * An Aadhaar number is 12 digits, never starts with 0 or 1, and its last digit is a
+ * Verhoeff check digit over the first 11.
+ */
+
+const AADHAAR_PATTERN = /^\d{12}$/;
+
+// Verhoeff dihedral group D5 multiplication table
+const VERHOEFF_MULTIPLICATION = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+
+// Verhoeff position permutation table
+const VERHOEFF_PERMUTATION = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+// Verhoeff inverse table
+const VERHOEFF_INVERSE = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+/**
+ * Error codes returned for the aadhaarNumber field
+ */
+const AADHAAR_ERROR_CODES = {
+  REQUIRED: 'AADHAAR_REQUIRED',
+  INVALID_FORMAT: 'AADHAAR_INVALID_FORMAT',
+  INVALID_FIRST_DIGIT: 'AADHAAR_INVALID_FIRST_DIGIT',
+  INVALID_CHECKSUM: 'AADHAAR_INVALID_CHECKSUM',
+};
+
+const AADHAAR_ERROR_MESSAGES = {
+  [AADHAAR_ERROR_CODES.REQUIRED]: 'Aadhaar Number is required',
+  [AADHAAR_ERROR_CODES.INVALID_FORMAT]: 'Aadhaar Number must be exactly 12 digits',
+  [AADHAAR_ERROR_CODES.INVALID_FIRST_DIGIT]: 'Aadhaar Number cannot start with 0 or 1',
+  [AADHAAR_ERROR_CODES.INVALID_CHECKSUM]: 'Aadhaar Number is not valid. Please check for typing mistakes',
+};
+
+/**
+ * Verhoeff check over a digit string including its check digit
+ * @param {string} digits - Digits ending with the check digit
+ * @returns {boolean} - True if the check digit is correct
+ */
+const verhoeffCheck = (digits) => {
+  let check = 0;
+  const reversed = String(digits).split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    check = VERHOEFF_MULTIPLICATION[check][VERHOEFF_PERMUTATION[i % 8][parseInt(reversed[i], 10)]];
+  }
+  return check === 0;
+};
+
+/**
+ * Compute the Verhoeff check digit for a digit string
+ * @param {string} digits - Digits without a check digit
+ * @returns {number} - Check digit to append
+ */
+const verhoeffDigit = (digits) => {
+  let check = 0;
+  const reversed = String(digits).split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    check = VERHOEFF_MULTIPLICATION[check][VERHOEFF_PERMUTATION[(i + 1) % 8][parseInt(reversed[i], 10)]];
+  }
+  return VERHOEFF_INVERSE[check];
+};
+
+/**
+ * Validate an Aadhaar number
+ * @param {string} aadhaar - Aadhaar number to validate
+ * @returns {object|null} - { code, message } for the first failed rule, or null if valid
+ */
+const validateAadhaar = (aadhaar) => {
+  const normalized = String(aadhaar === null || aadhaar === undefined ? '' : aadhaar).trim();
+
+  const fail = (code) => ({ code, message: AADHAAR_ERROR_MESSAGES[code] });
+
+  if (!normalized) {
+    return fail(AADHAAR_ERROR_CODES.REQUIRED);
+  }
+  if (!AADHAAR_PATTERN.test(normalized)) {
+    return fail(AADHAAR_ERROR_CODES.INVALID_FORMAT);
+  }
+  if (normalized.charAt(0) === '0' || normalized.charAt(0) === '1') {
+    return fail(AADHAAR_ERROR_CODES.INVALID_FIRST_DIGIT);
+  }
+  if (!verhoeffCheck(normalized)) {
+    return fail(AADHAAR_ERROR_CODES.INVALID_CHECKSUM);
+  }
+
+  return null;
+};
+
+/**
+ * Whether an Aadhaar number is valid
+ * @param {string} aadhaar - Aadhaar number to check
+ * @returns {boolean}
+ */
+const isValidAadhaar = (aadhaar) => validateAadhaar(aadhaar) === null;
+
+module.exports = {
+  AADHAAR_ERROR_CODES,
+  AADHAAR_ERROR_MESSAGES,
+  verhoeffCheck,
+  verhoeffDigit,
+  validateAadhaar,
+  isValidAadhaar,
+};
@@ -0,0 +1,168 @@
+/**
+ * Address Validator
+ * Structural validation of customer addresses, shared by the browser form and the API
+ *
+ * A customer has at most one address of each type, and at most one address marked
+ * as the KYC address (same_as_kyc) that the KYC step reuses. When a market is given
+ * (see src/shared/locale/Markets.js), the state and postal code must belong to it.
+ */
+
+const { isMarketState } = require('../locale/Markets');
+
+/**
+ * Address types stored in customer_addresses.address_type
+ */
+const ADDRESS_TYPES = {
+  RESIDENTIAL: 'residential',
+  PERMANENT: 'permanent',
+  MAILING: 'mailing',
+};
+
+const ADDRESS_TYPE_VALUES = Object.values(ADDRESS_TYPES);
+
+const NAME_PATTERN = /^[a-zA-Z\s'.-]+$/;
+
+/**
+ * Error codes returned for address fields
+ */
+const ADDRESS_ERROR_CODES = {
+  INVALID: 'ADDRESS_INVALID',
+  INVALID_TYPE: 'ADDRESS_INVALID_TYPE',
+  DUPLICATE_TYPE: 'ADDRESS_DUPLICATE_TYPE',
+  MULTIPLE_KYC: 'ADDRESS_MULTIPLE_KYC',
+  LINE1_REQUIRED: 'ADDRESS_LINE1_REQUIRED',
+  LINE1_TOO_SHORT: 'ADDRESS_LINE1_TOO_SHORT',
+  CITY_REQUIRED: 'ADDRESS_CITY_REQUIRED',
+  CITY_INVALID: 'ADDRESS_CITY_INVALID',
+  STATE_REQUIRED: 'ADDRESS_STATE_REQUIRED',
+  STATE_INVALID: 'ADDRESS_STATE_INVALID',
+  POSTAL_CODE_REQUIRED: 'ADDRESS_POSTAL_CODE_REQUIRED',
+  POSTAL_CODE_INVALID: 'ADDRESS_POSTAL_CODE_INVALID',
+};
+
+const ADDRESS_ERROR_MESSAGES = {
+  [ADDRESS_ERROR_CODES.INVALID]: 'Address must be an object',
+  [ADDRESS_ERROR_CODES.INVALID_TYPE]: `Address type must be one of: ${ADDRESS_TYPE_VALUES.join(', ')}`,
+  [ADDRESS_ERROR_CODES.DUPLICATE_TYPE]: 'Only one address of each type can be provided',
+  [ADDRESS_ERROR_CODES.MULTIPLE_KYC]: 'Only one address can be used as the KYC address',
+  [ADDRESS_ERROR_CODES.LINE1_REQUIRED]: 'Address is required',
+  [ADDRESS_ERROR_CODES.LINE1_TOO_SHORT]: 'Please enter a valid address',
+  [ADDRESS_ERROR_CODES.CITY_REQUIRED]: 'City is required',
+  [ADDRESS_ERROR_CODES.CITY_INVALID]: 'City name can only contain letters, spaces, periods, hyphens, and apostrophes',
+  [ADDRESS_ERROR_CODES.STATE_REQUIRED]: 'State is required',
+  [ADDRESS_ERROR_CODES.STATE_INVALID]: 'Please select a valid state',
+  [ADDRESS_ERROR_CODES.POSTAL_CODE_REQUIRED]: 'Postal code is required',
+  [ADDRESS_ERROR_CODES.POSTAL_CODE_INVALID]: 'Postal code can only contain letters, digits, spaces and hyphens',
+};
+
+const text = (value) => String(value === null || value === undefined ? '' : value).trim();
+
+/**
+ * Normalize an address for validation and storage
+ * @param {object} address - Raw address ({ type, addressLine1, addressLine2, city, state, postalCode, country, sameAsKyc })
+ * @returns {object} - Address with trimmed fields, a lowercase type and a boolean sameAsKyc
+ */
+const normalizeAddress = (address = {}) => ({
+  type: text(address.type || ADDRESS_TYPES.RESIDENTIAL).toLowerCase(),
+  addressLine1: text(address.addressLine1),
+  addressLine2: text(address.addressLine2) || null,
+  city: text(address.city),
+  state: text(address.state),
+  postalCode: text(address.postalCode).toUpperCase(),
+  country: text(address.country) || null,
+  sameAsKyc: address.sameAsKyc === true,
+});
+
+/**
+ * Validate a single address
+ * @param {object} address - Address to validate
+ * @param {object} market - Optional market settings the state and postal code must belong to
+ * @returns {object|null} - { field, code, message } for the first failed rule, or null if valid
+ */
+const validateAddress = (address, market = null) => {
+  const fail = (field, code, message = ADDRESS_ERROR_MESSAGES[code]) => ({ field, code, message });
+
+  if (!address || typeof address !== 'object') {
+    return fail('address', ADDRESS_ERROR_CODES.INVALID);
+  }
+
+  const normalized = normalizeAddress(address);
+
+  if (!ADDRESS_TYPE_VALUES.includes(normalized.type)) {
+    return fail('type', ADDRESS_ERROR_CODES.INVALID_TYPE);
+  }
+  if (!normalized.addressLine1) {
+    return fail('addressLine1', ADDRESS_ERROR_CODES.LINE1_REQUIRED);
+  }
+  if (normalized.addressLine1.length < 5) {
+    return fail('addressLine1', ADDRESS_ERROR_CODES.LINE1_TOO_SHORT);
+  }
+  if (!normalized.city) {
+    return fail('city', ADDRESS_ERROR_CODES.CITY_REQUIRED);
+  }
+  if (!NAME_PATTERN.test(normalized.city)) {
+    return fail('city', ADDRESS_ERROR_CODES.CITY_INVALID);
+  }
+  if (!normalized.state) {
+    return fail('state', ADDRESS_ERROR_CODES.STATE_REQUIRED);
+  }
+  if (market && !isMarketState(market, normalized.state)) {
+    return fail('state', ADDRESS_ERROR_CODES.STATE_INVALID);
+  }
+  if (!normalized.postalCode) {
+    return fail('postalCode', ADDRESS_ERROR_CODES.POSTAL_CODE_REQUIRED);
+  }
+  if (market && !market.postalCode.pattern.test(normalized.postalCode)) {
+    return fail('postalCode', ADDRESS_ERROR_CODES.POSTAL_CODE_INVALID, market.postalCode.invalid);
+  }
+  if (!/^[A-Z0-9][A-Z0-9 -]{1,18}[A-Z0-9]$/.test(normalized.postalCode)) {
+    return fail('postalCode', ADDRESS_ERROR_CODES.POSTAL_CODE_INVALID);
+  }
+
+  return null;
+};
+
+/**
+ * Validate the addresses submitted with a customer
+ * @param {array} addresses - Addresses to validate
+ * @param {object} market - Optional market settings the states and postal codes must belong to
+ * @returns {object|null} - { index, field, code, message } for the first failed rule, or null if valid
+ */
+const validateAddresses = (addresses, market = null) => {
+  if (!Array.isArray(addresses)) {
+    return { index: null, field: 'addresses', code: ADDRESS_ERROR_CODES.INVALID, message: 'Addresses must be a list' };
+  }
+
+  const seenTypes = new Set();
+  let kycAddresses = 0;
+
+  for (let index = 0; index < addresses.length; index++) {
+    const error = validateAddress(addresses[index], market);
+    if (error) {
+      return Object.assign({ index }, error);
+    }
+
+    const { type, sameAsKyc } = normalizeAddress(addresses[index]);
+    if (seenTypes.has(type)) {
+      const code = ADDRESS_ERROR_CODES.DUPLICATE_TYPE;
+      return { index, field: 'type', code, message: ADDRESS_ERROR_MESSAGES[code] };
+    }
+    seenTypes.add(type);
+
+    if (sameAsKyc && ++kycAddresses > 1) {
+      const code = ADDRESS_ERROR_CODES.MULTIPLE_KYC;
+      return { index, field: 'sameAsKyc', code, message: ADDRESS_ERROR_MESSAGES[code] };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  ADDRESS_TYPES,
+  ADDRESS_ERROR_CODES,
+  ADDRESS_ERROR_MESSAGES,
+  normalizeAddress,
+  validateAddress,
+  validateAddresses,
+};
@@ -0,0 +1,315 @@
+/**
+ * Form Schema
+ * Field rules for the customer and KYC forms, shared by the React pages (through
+ * src/services/FormValidator.js) and the Express validation middleware
+ * (api/middleware/validate.js), so both report the same { field: message } errors
+ *
+ * Which fields a form has comes from its definition (shared/forms); a field names
+ * one of the rules below, or describes a simple rule of its own. Address and income
+ * rules follow the market (see shared/locale/Markets.js).
+ */
+
+const { validatePAN } = require('./PANValidator');
+const { validateAadhaar } = require('./AadhaarValidator');
+const { getMarket, isMarketState, isMarketIncomeBand } = require('../locale/Markets');
+const { FORM_DEFINITIONS, getFields, getVisibleFields } = require('../forms/FormDefinition');
+
+/**
+ * Generic error codes for rules without a specific one
+ */
+const FIELD_ERROR_CODES = {
+  REQUIRED: 'FIELD_REQUIRED',
+  INVALID: 'FIELD_INVALID',
+};
+
+/**
+ * Validated fields of each form, in the order errors are reported
+ */
+const FORM_FIELDS = Object.keys(FORM_DEFINITIONS).reduce((forms, formType) => Object.assign(forms, {
+  [formType]: getFields(FORM_DEFINITIONS[formType]).filter((field) => field.validation).map((field) => field.name),
+}), {});
+
+/**
+ * Field definitions by name, across all forms
+ */
+const FIELD_DEFINITIONS = Object.values(FORM_DEFINITIONS).reduce((fields, definition) => (
+  getFields(definition).reduce((byName, field) => Object.assign(byName, { [field.name]: field }), fields)
+), {});
+
+const NAME_PATTERN = /^[a-zA-Z\s'-]+$/;
+const CITY_PATTERN = /^[a-zA-Z\s'.-]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[\d\s\-+()]+$/;
+const GOV_ID_PATTERN = /^[A-Z0-9]{5,20}$/i;
+
+/**
+ * Check a date of birth: a real date in the past, at least 18 years ago
+ * @param {string} value - Trimmed date string
+ * @returns {string|null} - Error message, or null if valid
+ */
+const checkDateOfBirth = (value) => {
+  if (!value) return 'Date of birth is required';
+  const dob = new Date(value);
+  const today = new Date();
+  if (isNaN(dob.getTime())) {
+    return 'Please enter a valid date';
+  }
+  if (dob >= today) {
+    return 'Date of birth must be in the past';
+  }
+  if (today.getFullYear() - dob.getFullYear() < 18) {
+    return 'You must be at least 18 years old';
+  }
+  return null;
+};
+
+/**
+ * Check a street address
+ * @param {string} value - Trimmed address
+ * @returns {string|null} - Error message, or null if valid
+ */
+const checkAddress = (value) => {
+  if (!value) return 'Address is required';
+  if (value.length < 5) {
+    return 'Please enter a valid address';
+  }
+  return null;
+};
+
+/**
+ * Check a first or last name
+ * @param {string} label - "First" or "Last"
+ * @returns {function} - Rule for the name field
+ */
+const checkName = (label) => (value) => {
+  if (!value) return `${label} name is required`;
+  if (value.length < 2) {
+    return `${label} name must be at least 2 characters`;
+  }
+  if (!NAME_PATTERN.test(value)) {
+    return `${label} name can only contain letters, spaces, hyphens, and apostrophes`;
+  }
+  return null;
+};
+
+/**
+ * Rules by field name
+ * Each rule receives the trimmed value, the raw value and the context, and returns an
+ * error message or { code, message }, or null when the value is valid
+ */
+const RULES = {
+  // Customer form fields
+  firstName: checkName('First'),
+  lastName: checkName('Last'),
+
+  email: (value) => {
+    if (!value) return 'Email is required';
+    if (!EMAIL_PATTERN.test(value)) {
+      return 'Please enter a valid email address';
+    }
+    return null;
+  },
+
+  phone: (value) => {
+    if (!value) return 'Phone number is required';
+    if (!PHONE_PATTERN.test(value)) {
+      return 'Please enter a valid phone number';
+    }
+    if (value.replace(/\D/g, '').length < 10) {
+      return 'Phone number must be at least 10 digits';
+    }
+    return null;
+  },
+
+  dateOfBirth: checkDateOfBirth,
+
+  address: checkAddress,
+
+  city: (value) => {
+    if (!value) return 'City is required';
+    if (!CITY_PATTERN.test(value)) {
+      return 'City name can only contain letters, spaces, periods, hyphens, and apostrophes';
+    }
+    return null;
+  },
+
+  state: (value, raw, context) => {
+    if (!value) return 'State is required';
+    if (!isMarketState(getMarket(context.market), value)) {
+      return 'Please select a valid state';
+    }
+    return null;
+  },
+
+  // Postal code - PIN code (IN) or zip code (US)
+  zipCode: (value, raw, context) => {
+    const { postalCode } = getMarket(context.market);
+    if (!value) return postalCode.required;
+    if (!postalCode.pattern.test(value)) {
+      return postalCode.invalid;
+    }
+    return null;
+  },
+
+  income: (value, raw, context) => {
+    if (!value) return 'Annual income is required';
+    if (!isMarketIncomeBand(getMarket(context.market), value)) {
+      return 'Please select a valid income range';
+    }
+    return null;
+  },
+
+  // KYC fields
+  govID: (value) => {
+    if (!value) return 'Government ID is required';
+    // Support various ID formats: Driver's License, Passport and national ID numbers
+    if (!GOV_ID_PATTERN.test(value)) {
+      return 'Government ID must be 5-20 alphanumeric characters';
+    }
+    return null;
+  },
+
+  kycAddress: checkAddress,
+
+  kycDob: checkDateOfBirth,
+
+  // PAN - Permanent Account Number
+  pan: (value, raw, context) => validatePAN(raw, { lastName: context.lastName }),
+
+  // Aadhaar Number - 12 digits with a Verhoeff check digit
+  aadhaarNumber: (value) => validateAadhaar(value),
+};
+
+/**
+ * Build the rule a field definition describes itself
+ * ({ required, minLength, maxLength, pattern, message }); a select with listed
+ * options also only accepts one of them
+ * @param {object} field - Field definition
+ * @returns {function} - Rule for the field
+ */
+const definedRule = (field) => (value) => {
+  const { required, minLength, maxLength, pattern, message } = field.validation;
+  if (!value) return required ? `${field.label} is required` : null;
+  if (Array.isArray(field.options) && !field.options.some((option) => option.value === value)) {
+    return message || `Please select a valid ${field.label.toLowerCase()}`;
+  }
+  if (minLength && value.length < minLength) {
+    return message || `${field.label} must be at least ${minLength} characters`;
+  }
+  if (maxLength && value.length > maxLength) {
+    return message || `${field.label} must be at most ${maxLength} characters`;
+  }
+  if (pattern && !new RegExp(`^(?:${pattern})$`).test(value)) {
+    return message || `Please enter a valid ${field.label.toLowerCase()}`;
+  }
+  return null;
+};
+
+/**
+ * Get the rule of a field definition: the shared rule its validation names,
+ * or the rule its validation describes
+ * @param {object} field - Field definition
+ * @returns {function|null} - Rule, or null when the field is not validated
+ */
+const fieldRule = (field) => {
+  if (!field.validation) return null;
+  if (typeof field.validation !== 'string') return definedRule(field);
+
+  const rule = RULES[field.validation];
+  if (!rule) {
+    throw new Error(`Unknown validation rule "${field.validation}" for field "${field.name}"`);
+  }
+  return rule;
+};
+
+/**
+ * Apply a rule to a value
+ * @param {function} rule - Field rule
+ * @param {string} fieldName - Field name reported with the error
+ * @param {*} value - Field value
+ * @param {object} context - Cross-field details and the market code
+ * @returns {object|null} - { field, code, message }, or null if valid
+ */
+const applyRule = (rule, fieldName, value, context) => {
+  const trimmed = String(value === null || value === undefined ? '' : value).trim();
+  const result = rule(trimmed, value, context || {});
+  if (!result) return null;
+
+  if (typeof result === 'string') {
+    const code = trimmed ? FIELD_ERROR_CODES.INVALID : FIELD_ERROR_CODES.REQUIRED;
+    return { field: fieldName, code, message: result };
+  }
+  return { field: fieldName, code: result.code, message: result.message };
+};
+
+/**
+ * Check one field
+ * @param {string} fieldName - Field name
+ * @param {*} value - Field value
+ * @param {object} context - Cross-field details ({ lastName }) and the market code ({ market })
+ * @returns {object|null} - { field, code, message }, or null if valid or the field has no rule
+ */
+const checkField = (fieldName, value, context = {}) => {
+  // Fields outside the form definitions fall back to the shared rule of the same name
+  const field = FIELD_DEFINITIONS[fieldName];
+  const rule = field ? fieldRule(field) : RULES[fieldName];
+  return rule ? applyRule(rule, fieldName, value, context) : null;
+};
+
+/**
+ * Validate one field
+ * @param {string} fieldName - Field name
+ * @param {*} value - Field value
+ * @param {object} context - Cross-field details ({ lastName }) and the market code ({ market })
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateField = (fieldName, value, context = {}) => {
+  const error = checkField(fieldName, value, context);
+  return error ? error.message : null;
+};
+
+/**
+ * Check every visible field of a form
+ * Missing fields are checked as empty values; fields hidden by their visibility
+ * conditions are skipped
+ * @param {object} formData - Form data
+ * @param {string} formType - 'customer' or 'kyc'
+ * @param {object} context - Cross-field details ({ lastName }) and the market code ({ market })
+ * @returns {array} - [{ field, code, message }] in form field order
+ */
+const checkForm = (formData, formType, context = {}) => {
+  const definition = FORM_DEFINITIONS[formType];
+  if (!definition) {
+    throw new Error(`Unknown form type "${formType}"`);
+  }
+
+  const data = formData && typeof formData === 'object' ? formData : {};
+  const marketCode = getMarket(context && context.market).code;
+  return getVisibleFields(definition, data, marketCode)
+    .filter((field) => field.validation)
+    .map((field) => applyRule(fieldRule(field), field.name, data[field.name], context))
+    .filter(Boolean);
+};
+
+/**
+ * Validate a form
+ * @param {object} formData - Form data
+ * @param {string} formType - 'customer' or 'kyc'
+ * @param {object} context - Cross-field details ({ lastName }) and the market code ({ market })
+ * @returns {object} - { field: message } for every invalid field; empty when valid
+ */
+const validateForm = (formData, formType, context = {}) => (
+  checkForm(formData, formType, context).reduce((errors, { field, message }) => Object.assign(errors, {
+    [field]: message,
+  }), {})
+);
+
+module.exports = {
+  FIELD_ERROR_CODES,
+  FORM_FIELDS,
+  fieldRule,
+  checkField,
+  validateField,
+  checkForm,
+  validateForm,
+};
@@ -0,0 +1,116 @@
+/**
+ * PAN Validator
+ * Structural validation of Indian Permanent Account Numbers, shared by the
+ * browser form validation and the API
+ *
+ * PAN grammar: AAAAA9999A
+ *   characters 1-3  - alphabetic series
+ *   character 4     - holder type (P = individual, C = company, ...)
+ *   character 5     - initial of the holder's surname (individuals) or entity name
+ *   characters 6-9  - sequential number
+ *   character 10    - alphabetic check character
+ */
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+/**
+ * Holder type codes allowed in the 4th character
+ */
+const PAN_HOLDER_TYPES = {
+  P: 'Individual',
+  C: 'Company',
+  H: 'Hindu Undivided Family',
+  F: 'Firm',
+  A: 'Association of Persons',
+  T: 'Trust',
+  B: 'Body of Individuals',
+  L: 'Local Authority',
+  J: 'Artificial Juridical Person',
+  G: 'Government',
+};
+
+const INDIVIDUAL_HOLDER_TYPE = 'P';
+
+/**
+ * Error codes returned for the pan field
+ */
+const PAN_ERROR_CODES = {
+  REQUIRED: 'PAN_REQUIRED',
+  INVALID_FORMAT: 'PAN_INVALID_FORMAT',
+  INVALID_HOLDER_TYPE: 'PAN_INVALID_HOLDER_TYPE',
+  NAME_MISMATCH: 'PAN_NAME_MISMATCH',
+};
+
+const PAN_ERROR_MESSAGES = {
+  [PAN_ERROR_CODES.REQUIRED]: 'PAN is required',
+  [PAN_ERROR_CODES.INVALID_FORMAT]: 'PAN must be 5 letters, 4 digits and 1 letter (e.g., ABCPE1234F)',
+  [PAN_ERROR_CODES.INVALID_HOLDER_TYPE]: 'The 4th character of the PAN is not a valid holder type',
+  [PAN_ERROR_CODES.NAME_MISMATCH]: 'The 5th character of the PAN must match the initial of your last name',
+};
+
+/**
+ * Normalize a PAN for validation and storage (trimmed, uppercase)
+ * @param {string} pan - Raw PAN
+ * @returns {string} - Normalized PAN
+ */
+const normalizePAN = (pan) => String(pan === null || pan === undefined ? '' : pan).trim().toUpperCase();
+
+/**
+ * Initial used in the PAN for a surname: its first letter
+ * @param {string} lastName - Applicant's last name
+ * @returns {string|null} - Uppercase initial, or null if the name has no letters
+ */
+const lastNameInitial = (lastName) => {
+  const match = String(lastName || '').toUpperCase().match(/[A-Z]/);
+  return match ? match[0] : null;
+};
+
+/**
+ * Validate a PAN
+ * The last-name check applies to individual (P) PANs only; for other holder types the
+ * 5th character is the entity's initial, which cannot be compared with a person's name.
+ * @param {string} pan - PAN to validate
+ * @param {object} applicant - Optional { lastName } of the applicant
+ * @returns {object|null} - { code, message } for the first failed rule, or null if valid
+ */
+const validatePAN = (pan, applicant = {}) => {
+  const normalized = normalizePAN(pan);
+
+  const fail = (code) => ({ code, message: PAN_ERROR_MESSAGES[code] });
+
+  if (!normalized) {
+    return fail(PAN_ERROR_CODES.REQUIRED);
+  }
+  if (!PAN_PATTERN.test(normalized)) {
+    return fail(PAN_ERROR_CODES.INVALID_FORMAT);
+  }
+
+  const holderType = normalized.charAt(3);
+  if (!PAN_HOLDER_TYPES[holderType]) {
+    return fail(PAN_ERROR_CODES.INVALID_HOLDER_TYPE);
+  }
+
+  const initial = lastNameInitial(applicant && applicant.lastName);
+  if (holderType === INDIVIDUAL_HOLDER_TYPE && initial && normalized.charAt(4) !== initial) {
+    return fail(PAN_ERROR_CODES.NAME_MISMATCH);
+  }
+
+  return null;
+};
+
+/**
+ * Whether a PAN is structurally valid (grammar and holder type, no name check)
+ * @param {string} pan - PAN to check
+ * @returns {boolean}
+ */
+const isValidPAN = (pan) => validatePAN(pan) === null;
+
+module.exports = {
+  PAN_HOLDER_TYPES,
+  PAN_ERROR_CODES,
+  PAN_ERROR_MESSAGES,
+  normalizePAN,
+  lastNameInitial,
+  validatePAN,
+  isValidPAN,
+};
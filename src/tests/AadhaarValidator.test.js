@@ -0,0 +1,64 @@
+/**
+ * AadhaarValidator.test.js
+ * Unit tests for Aadhaar checksum validation and masking
+ */
+
+const {
+  AADHAAR_ERROR_CODES,
+  verhoeffCheck,
+  verhoeffDigit,
+  validateAadhaar,
+  isValidAadhaar,
+} = require('../shared/validation/AadhaarValidator');
+const { maskAadhaar } = require('../shared/masking/IdentifierMasking');
+
+describe('Aadhaar Validator', () => {
+  describe('Verhoeff checksum', () => {
+    test('should compute the published example check digit', () => {
+      expect(verhoeffDigit('236')).toBe(3);
+      expect(verhoeffCheck('2363')).toBe(true);
+    });
+
+    test('should detect single-digit and transposition errors', () => {
+      expect(verhoeffCheck('2364')).toBe(false);
+      expect(verhoeffCheck('3263')).toBe(false);
+    });
+  });
+
+  describe('validateAadhaar', () => {
+    test('should accept a number with a valid check digit', () => {
+      expect(validateAadhaar('234567890124')).toBeNull();
+    });
+
+    test('should report a specific code for each rule', () => {
+      expect(validateAadhaar('').code).toBe(AADHAAR_ERROR_CODES.REQUIRED);
+      expect(validateAadhaar('23456789012').code).toBe(AADHAAR_ERROR_CODES.INVALID_FORMAT);
+      expect(validateAadhaar('1234 5678 9012').code).toBe(AADHAAR_ERROR_CODES.INVALID_FORMAT);
+      expect(validateAadhaar('034567890124').code).toBe(AADHAAR_ERROR_CODES.INVALID_FIRST_DIGIT);
+      expect(validateAadhaar('134567890124').code).toBe(AADHAAR_ERROR_CODES.INVALID_FIRST_DIGIT);
+      expect(validateAadhaar('234567890125').code).toBe(AADHAAR_ERROR_CODES.INVALID_CHECKSUM);
+    });
+
+    test('should ignore surrounding whitespace and refuse missing values', () => {
+      expect(isValidAadhaar(' 234567890124 ')).toBe(true);
+      expect(isValidAadhaar(null)).toBe(false);
+      expect(isValidAadhaar(undefined)).toBe(false);
+    });
+  });
+
+  describe('maskAadhaar', () => {
+    test('should keep only the last 4 digits', () => {
+      expect(maskAadhaar('234567890124')).toBe('XXXX-XXXX-0124');
+    });
+
+    test('should ignore separators in the input', () => {
+      expect(maskAadhaar('2345 6789 0124')).toBe('XXXX-XXXX-0124');
+    });
+
+    test('should mask short or empty input completely', () => {
+      expect(maskAadhaar('12')).toBe('XXXX-XXXX-XXXX');
+      expect(maskAadhaar(null)).toBeNull();
+      expect(maskAadhaar('')).toBeNull();
+    });
+  });
+});
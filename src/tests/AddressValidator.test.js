@@ -0,0 +1,104 @@
+/**
+ * AddressValidator.test.js
+ * Unit tests for customer address validation shared by the form and the API
+ */
+
+const {
+  ADDRESS_TYPES,
+  ADDRESS_ERROR_CODES,
+  normalizeAddress,
+  validateAddress,
+  validateAddresses,
+} = require('../shared/validation/AddressValidator');
+
+const residential = {
+  type: 'residential',
+  addressLine1: '12 MG Road',
+  city: 'Bengaluru',
+  state: 'KA',
+  postalCode: '560001',
+};
+
+describe('Address Validator', () => {
+  describe('Normalization', () => {
+    test('should trim fields and default the type to residential', () => {
+      const normalized = normalizeAddress({ addressLine1: ' 12 MG Road ', city: ' Bengaluru ', postalCode: 'sw1a 1aa' });
+      expect(normalized.type).toBe(ADDRESS_TYPES.RESIDENTIAL);
+      expect(normalized.addressLine1).toBe('12 MG Road');
+      expect(normalized.city).toBe('Bengaluru');
+      expect(normalized.postalCode).toBe('SW1A 1AA');
+      expect(normalized.addressLine2).toBeNull();
+    });
+
+    test('should only treat a literal true as sameAsKyc', () => {
+      expect(normalizeAddress({ sameAsKyc: true }).sameAsKyc).toBe(true);
+      expect(normalizeAddress({ sameAsKyc: 'true' }).sameAsKyc).toBe(false);
+    });
+  });
+
+  describe('Single address', () => {
+    test('should accept a complete address', () => {
+      expect(validateAddress(residential)).toBeNull();
+      expect(validateAddress({ ...residential, postalCode: '12345-6789' })).toBeNull();
+    });
+
+    test('should reject an unknown address type', () => {
+      const error = validateAddress({ ...residential, type: 'office' });
+      expect(error.field).toBe('type');
+      expect(error.code).toBe(ADDRESS_ERROR_CODES.INVALID_TYPE);
+    });
+
+    test.each([
+      ['addressLine1', '', ADDRESS_ERROR_CODES.LINE1_REQUIRED],
+      ['addressLine1', '12', ADDRESS_ERROR_CODES.LINE1_TOO_SHORT],
+      ['city', '', ADDRESS_ERROR_CODES.CITY_REQUIRED],
+      ['city', 'Bengaluru 1', ADDRESS_ERROR_CODES.CITY_INVALID],
+      ['state', '', ADDRESS_ERROR_CODES.STATE_REQUIRED],
+      ['postalCode', '', ADDRESS_ERROR_CODES.POSTAL_CODE_REQUIRED],
+      ['postalCode', '56#001', ADDRESS_ERROR_CODES.POSTAL_CODE_INVALID],
+    ])('should reject %s "%s"', (field, value, code) => {
+      const error = validateAddress({ ...residential, [field]: value });
+      expect(error.field).toBe(field);
+      expect(error.code).toBe(code);
+    });
+
+    test('should reject a non-object address', () => {
+      expect(validateAddress(null).code).toBe(ADDRESS_ERROR_CODES.INVALID);
+    });
+  });
+
+  describe('Address list', () => {
+    test('should accept one address of each type with a single KYC address', () => {
+      expect(validateAddresses([
+        { ...residential, sameAsKyc: true },
+        { ...residential, type: 'permanent' },
+        { ...residential, type: 'mailing' },
+      ])).toBeNull();
+      expect(validateAddresses([])).toBeNull();
+    });
+
+    test('should report the index of the invalid address', () => {
+      const error = validateAddresses([residential, { ...residential, type: 'mailing', city: '' }]);
+      expect(error.index).toBe(1);
+      expect(error.field).toBe('city');
+    });
+
+    test('should reject two addresses of the same type', () => {
+      const error = validateAddresses([residential, { ...residential, type: 'Residential' }]);
+      expect(error.code).toBe(ADDRESS_ERROR_CODES.DUPLICATE_TYPE);
+    });
+
+    test('should reject more than one KYC address', () => {
+      const error = validateAddresses([
+        { ...residential, sameAsKyc: true },
+        { ...residential, type: 'permanent', sameAsKyc: true },
+      ]);
+      expect(error.code).toBe(ADDRESS_ERROR_CODES.MULTIPLE_KYC);
+      expect(error.index).toBe(1);
+    });
+
+    test('should reject a value that is not a list', () => {
+      expect(validateAddresses({}).field).toBe('addresses');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * ApplicationLifecycle.test.js
+ * Unit tests for application statuses, their transitions and reference numbers
+ */
+
+const {
+  APPLICATION_STATUSES,
+  STATUS_LABELS,
+  isApplicationStatus,
+  getAllowedTransitions,
+  canTransition,
+  isFinalStatus,
+  formatReference,
+  normalizeReference,
+} = require('../shared/applications/ApplicationLifecycle');
+
+const {
+  DRAFT,
+  SUBMITTED,
+  KYC_PENDING,
+  UNDER_REVIEW,
+  APPROVED,
+  DECLINED,
+  WITHDRAWN,
+  CARD_ISSUED,
+} = APPLICATION_STATUSES;
+
+describe('Application Lifecycle', () => {
+  test('should allow the happy path from draft to card issued', () => {
+    const path = [DRAFT, SUBMITTED, KYC_PENDING, UNDER_REVIEW, APPROVED, CARD_ISSUED];
+    path.slice(1).forEach((status, index) => {
+      expect(canTransition(path[index], status)).toBe(true);
+    });
+  });
+
+  test('should allow withdrawal until a decision is made', () => {
+    [DRAFT, SUBMITTED, KYC_PENDING, UNDER_REVIEW].forEach((status) => {
+      expect(canTransition(status, WITHDRAWN)).toBe(true);
+    });
+    expect(canTransition(APPROVED, WITHDRAWN)).toBe(false);
+    expect(canTransition(DECLINED, WITHDRAWN)).toBe(false);
+  });
+
+  test('should refuse skipped, backward and unknown transitions', () => {
+    expect(canTransition(DRAFT, APPROVED)).toBe(false);
+    expect(canTransition(SUBMITTED, UNDER_REVIEW)).toBe(false);
+    expect(canTransition(UNDER_REVIEW, KYC_PENDING)).toBe(false);
+    expect(canTransition(DECLINED, CARD_ISSUED)).toBe(false);
+    expect(canTransition(DRAFT, 'archived')).toBe(false);
+    expect(canTransition('archived', SUBMITTED)).toBe(false);
+  });
+
+  test('should treat declined, withdrawn and card issued as final', () => {
+    expect(isFinalStatus(DECLINED)).toBe(true);
+    expect(isFinalStatus(WITHDRAWN)).toBe(true);
+    expect(isFinalStatus(CARD_ISSUED)).toBe(true);
+    expect(isFinalStatus(APPROVED)).toBe(false);
+  });
+
+  test('should not let callers change the allowed transitions', () => {
+    getAllowedTransitions(DRAFT).push(APPROVED);
+    expect(canTransition(DRAFT, APPROVED)).toBe(false);
+  });
+
+  test('should label every status', () => {
+    Object.values(APPLICATION_STATUSES).forEach((status) => {
+      expect(isApplicationStatus(status)).toBe(true);
+      expect(STATUS_LABELS[status]).toBeTruthy();
+    });
+    expect(isApplicationStatus('toString')).toBe(false);
+  });
+
+  describe('Reference numbers', () => {
+    test('should pad the sequence to six digits', () => {
+      expect(formatReference(2026, 123)).toBe('CO-2026-000123');
+      expect(formatReference(2026, '1')).toBe('CO-2026-000001');
+    });
+
+    test('should keep every digit of sequences past six digits', () => {
+      expect(formatReference(2027, 1234567)).toBe('CO-2027-1234567');
+    });
+
+    test('should normalize references typed by a person', () => {
+      expect(normalizeReference(' co-2026-000123 ')).toBe('CO-2026-000123');
+      expect(normalizeReference('CO-2026-123')).toBeNull();
+      expect(normalizeReference('APP-1700000000000')).toBeNull();
+      expect(normalizeReference(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * AuditHashChain.test.js
+ * Unit tests for the tamper-evident audit log hash chain
+ *
+ * @jest-environment node
+ */
+
+const {
+  GENESIS_HASH,
+  canonicalize,
+  computeRowHash,
+  verifyRows,
+} = require('../../db/crypto/AuditHashChain');
+const AuditLogModel = require('../../db/models/AuditLogModel');
+
+/**
+ * Build a valid chain of audit rows
+ */
+const buildChain = (count) => {
+  const rows = [];
+  let prevHash = GENESIS_HASH;
+
+  for (let i = 1; i <= count; i++) {
+    const row = {
+      id: `00000000-0000-4000-8000-00000000000${i}`,
+      chain_position: String(i),
+      table_name: 'kyc_submissions',
+      record_id: '11111111-1111-4111-8111-111111111111',
+      action: 'UPDATE',
+      old_values: { verification_status: 'pending', pan: '[REDACTED]' },
+      new_values: { verification_status: 'verified', pan: '[REDACTED]' },
+      user_id: 'reviewer-1',
+      ip_address: '127.0.0.1',
+      created_at: new Date(Date.UTC(2026, 0, i)),
+      prev_hash: prevHash,
+    };
+    row.row_hash = computeRowHash(prevHash, row);
+    prevHash = row.row_hash;
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Stand-in for a transaction client over audit_logs rows, answering the queries
+ * chainUnhashedRows makes
+ */
+const auditLogsClient = (rows) => ({
+  query: async (sql, params = []) => {
+    if (sql.includes('UPDATE audit_logs')) {
+      const [id, position, prevHash, rowHash] = params;
+      Object.assign(rows.find((row) => row.id === id), { chain_position: String(position), prev_hash: prevHash, row_hash: rowHash });
+      return { rows: [] };
+    }
+    if (sql.includes('chain_position IS NOT NULL')) {
+      const chained = rows.filter((row) => row.chain_position).sort((a, b) => b.chain_position - a.chain_position);
+      return { rows: chained.slice(0, 1) };
+    }
+    if (sql.includes('chain_position IS NULL')) {
+      const unchained = rows.filter((row) => !row.chain_position).sort((a, b) => a.created_at - b.created_at);
+      return { rows: unchained.slice(0, params[0]).map(({ chain_position, prev_hash, row_hash, ...row }) => row) };
+    }
+    return { rows: [] };
+  },
+});
+
+/**
+ * Rows as written before the hash chain existed
+ */
+const unchain = (rows) => rows.map((row) => ({ ...row, chain_position: null, prev_hash: null, row_hash: null }));
+
+const byPosition = (rows) => [...rows].sort((a, b) => a.chain_position - b.chain_position);
+
+describe('Audit Hash Chain', () => {
+  describe('canonicalize', () => {
+    test('should produce the same output regardless of key order', () => {
+      expect(canonicalize({ b: 1, a: { d: 2, c: 3 } })).toBe(canonicalize({ a: { c: 3, d: 2 }, b: 1 }));
+    });
+
+    test('should serialize dates as ISO strings', () => {
+      expect(canonicalize(new Date(Date.UTC(2026, 0, 1)))).toBe('"2026-01-01T00:00:00.000Z"');
+    });
+  });
+
+  describe('computeRowHash', () => {
+    test('should return a SHA-256 hex digest', () => {
+      const [row] = buildChain(1);
+      expect(row.row_hash).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    test('should depend on the previous hash', () => {
+      const [row] = buildChain(1);
+      expect(computeRowHash('f'.repeat(64), row)).not.toBe(row.row_hash);
+    });
+
+    test('should treat numeric and string chain positions the same', () => {
+      const [row] = buildChain(1);
+      expect(computeRowHash(GENESIS_HASH, { ...row, chain_position: 1 })).toBe(row.row_hash);
+    });
+  });
+
+  describe('verifyRows', () => {
+    test('should accept an untouched chain', () => {
+      const result = verifyRows(buildChain(5));
+      expect(result.valid).toBe(true);
+      expect(result.checked).toBe(5);
+      expect(result.last.position).toBe(5);
+    });
+
+    test('should detect an edited row', () => {
+      const rows = buildChain(5);
+      rows[2].new_values = { verification_status: 'rejected', pan: '[REDACTED]' };
+
+      const result = verifyRows(rows);
+      expect(result.valid).toBe(false);
+      expect(result.brokenAt.chainPosition).toBe(3);
+      expect(result.brokenAt.reason).toBe('ROW_HASH_MISMATCH');
+    });
+
+    test('should detect a deleted row', () => {
+      const rows = buildChain(5);
+      rows.splice(1, 1);
+
+      const result = verifyRows(rows);
+      expect(result.valid).toBe(false);
+      expect(result.brokenAt.chainPosition).toBe(3);
+      expect(result.brokenAt.reason).toBe('SEQUENCE_GAP');
+    });
+
+    test('should detect a rewritten row whose hash was recomputed', () => {
+      const rows = buildChain(5);
+      rows[1].user_id = 'someone-else';
+      rows[1].row_hash = computeRowHash(rows[1].prev_hash, rows[1]);
+
+      const result = verifyRows(rows);
+      expect(result.valid).toBe(false);
+      expect(result.brokenAt.chainPosition).toBe(3);
+      expect(result.brokenAt.reason).toBe('PREV_HASH_MISMATCH');
+    });
+
+    test('should continue verification from a previous batch', () => {
+      const rows = buildChain(6);
+      const first = verifyRows(rows.slice(0, 3));
+      const second = verifyRows(rows.slice(3), first.last);
+      expect(second.valid).toBe(true);
+      expect(second.last.position).toBe(6);
+    });
+  });
+
+  describe('chainUnhashedRows', () => {
+    test('should chain rows written before the chain existed in the order they were written', async () => {
+      const expected = buildChain(5);
+      const rows = unchain(expected).reverse();
+
+      expect(await AuditLogModel.chainUnhashedRows(auditLogsClient(rows), 2)).toBe(5);
+      expect(byPosition(rows)).toEqual(expected);
+      expect(verifyRows(byPosition(rows)).valid).toBe(true);
+    });
+
+    test('should append unchained rows after the last chained row', async () => {
+      const chained = buildChain(2);
+      const legacy = { ...unchain(buildChain(1))[0], id: '00000000-0000-4000-8000-000000000009' };
+      const rows = [...chained, legacy];
+
+      expect(await AuditLogModel.chainUnhashedRows(auditLogsClient(rows))).toBe(1);
+      expect(rows[2].chain_position).toBe('3');
+      expect(rows[2].prev_hash).toBe(chained[1].row_hash);
+      expect(verifyRows(byPosition(rows)).valid).toBe(true);
+      expect(await AuditLogModel.chainUnhashedRows(auditLogsClient(rows))).toBe(0);
+    });
+  });
+});
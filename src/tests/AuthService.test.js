@@ -0,0 +1,45 @@
+/**
+ * AuthService.test.js
+ * Unit tests for the JWT secret and the sign-in tokens AuthService issues
+ *
+ * @jest-environment node
+ */
+
+const AuthService = require('../../api/AuthService');
+
+describe('Token secret', () => {
+  test('should sign with JWT_SECRET, and only fall back to the development secret outside production', () => {
+    expect(AuthService.loadJwtSecret({ JWT_SECRET: 'signing-secret', NODE_ENV: 'production' })).toBe('signing-secret');
+    expect(AuthService.loadJwtSecret({ NODE_ENV: 'development' })).toBeTruthy();
+    expect(() => AuthService.loadJwtSecret({ NODE_ENV: 'production' })).toThrow('JWT_SECRET must be set in production');
+  });
+});
+
+describe('Sign-in tokens', () => {
+  test('should identify the staff user a token was issued to', () => {
+    const token = AuthService.issueStaffToken({ id: 'user-1', email: 'reviewer@example.com', role: AuthService.ROLES.REVIEWER });
+
+    expect(AuthService.verifyToken(token)).toEqual({
+      id: 'user-1',
+      role: AuthService.ROLES.REVIEWER,
+      email: 'reviewer@example.com',
+      customerId: null,
+    });
+  });
+
+  test('should scope an applicant token to its customer', () => {
+    const token = AuthService.issueApplicantToken('customer-1');
+
+    expect(AuthService.verifyToken(token)).toEqual(expect.objectContaining({
+      role: AuthService.ROLES.APPLICANT,
+      customerId: 'customer-1',
+    }));
+  });
+
+  test('should reject a tampered token', () => {
+    const [header, , signature] = AuthService.issueApplicantToken('customer-1').split('.');
+    const payload = Buffer.from(JSON.stringify({ sub: 'customer-2', role: AuthService.ROLES.ADMIN })).toString('base64url');
+
+    expect(AuthService.verifyToken(`${header}.${payload}.${signature}`)).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * BlindIndex.test.js
+ * Unit tests for the keyed indexes used to find duplicate PAN and Aadhaar numbers
+ */
+
+const crypto = require('crypto');
+const {
+  IDENTIFIER_TYPES,
+  loadIndexKeys,
+  normalizeIdentifier,
+  computeBlindIndex,
+} = require('../../db/crypto/BlindIndex');
+
+describe('Blind Index', () => {
+  test('should index formatting variants of an identifier alike', () => {
+    expect(normalizeIdentifier(IDENTIFIER_TYPES.AADHAAR, ' 2345-6789 0123 ')).toBe('234567890123');
+    expect(computeBlindIndex(IDENTIFIER_TYPES.PAN, 'abcde1234f')).toBe(computeBlindIndex(IDENTIFIER_TYPES.PAN, 'ABCDE1234F '));
+    expect(computeBlindIndex(IDENTIFIER_TYPES.PAN, 'ABCDE1234F')).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should be keyed rather than a plain SHA-256 of the identifier', () => {
+    const plainHash = crypto.createHash('sha256').update('234567890124').digest('hex');
+    expect(computeBlindIndex(IDENTIFIER_TYPES.AADHAAR, '234567890124')).not.toBe(plainHash);
+  });
+
+  test('should refuse unknown types and empty values', () => {
+    expect(() => computeBlindIndex('passport', 'X1234567')).toThrow('Unsupported identifier type');
+    expect(() => computeBlindIndex(IDENTIFIER_TYPES.PAN, '  ')).toThrow('Cannot index an empty pan');
+  });
+
+  test('should use the configured index secrets', () => {
+    expect(loadIndexKeys({ PAN_INDEX_KEY: 'pan-secret', AADHAAR_INDEX_KEY: 'aadhaar-secret' })).toEqual({
+      [IDENTIFIER_TYPES.PAN]: 'pan-secret',
+      [IDENTIFIER_TYPES.AADHAAR]: 'aadhaar-secret',
+    });
+  });
+
+  test('should fall back to development secrets outside production only', () => {
+    expect(loadIndexKeys({})[IDENTIFIER_TYPES.PAN]).toBeTruthy();
+    expect(() => loadIndexKeys({ NODE_ENV: 'production' }))
+      .toThrow('Blind indexes require PAN_INDEX_KEY and AADHAAR_INDEX_KEY in production');
+    expect(() => loadIndexKeys({ NODE_ENV: 'production', PAN_INDEX_KEY: 'pan-secret' }))
+      .toThrow('Blind indexes require AADHAAR_INDEX_KEY in production');
+  });
+
+  test('should refuse index secrets equal to the encryption key in production', () => {
+    expect(() => loadIndexKeys({
+      NODE_ENV: 'production',
+      ENCRYPTION_KEY: 'shared-secret',
+      PAN_INDEX_KEY: 'shared-secret',
+      AADHAAR_INDEX_KEY: 'aadhaar-secret',
+    })).toThrow('PAN_INDEX_KEY must differ from ENCRYPTION_KEY');
+  });
+});
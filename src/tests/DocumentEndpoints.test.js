@@ -0,0 +1,71 @@
+/**
+ * DocumentEndpoints.test.js
+ * Unit tests for the document endpoint responses, with the draft and document models stubbed
+ *
+ * @jest-environment node
+ */
+
+const ApplicationDraftModel = require('../../db/models/ApplicationDraftModel');
+const DocumentModel = require('../../db/models/DocumentModel');
+const APIServiceDB = require('../../api/APIService_DB');
+const { DOCUMENT_TYPES } = require('../shared/documents/DocumentTypes');
+const { IMAGE_ERROR_CODES } = require('../../api/documents/ImageError');
+
+const DRAFT_ID = '11111111-1111-4111-8111-111111111111';
+
+/**
+ * Start of a JPEG whose frame header is cut off by the end of the file
+ */
+const TRUNCATED_JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00]);
+
+describe('Document endpoints', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should refuse an unreadable image as a bad request', async () => {
+    jest.spyOn(ApplicationDraftModel, 'getById').mockResolvedValue({ id: DRAFT_ID, expired: false });
+    const create = jest.spyOn(DocumentModel, 'create');
+
+    const response = await APIServiceDB.uploadDocument(DRAFT_ID, DOCUMENT_TYPES.FRONT, { filename: 'front.jpg', content: TRUNCATED_JPEG });
+
+    expect(response).toEqual(expect.objectContaining({ status: 400, code: IMAGE_ERROR_CODES.INVALID, field: 'file' }));
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('should not return the details of a server error', async () => {
+    jest.spyOn(ApplicationDraftModel, 'getById').mockRejectedValue(new Error('connect ECONNREFUSED 10.0.0.5:5432'));
+
+    const response = await APIServiceDB.uploadDocument(DRAFT_ID, DOCUMENT_TYPES.FRONT, { filename: 'front.jpg', content: TRUNCATED_JPEG });
+
+    expect(response.status).toBe(500);
+    expect(response.message).toBe('An error occurred while uploading the document.');
+    expect(JSON.stringify(response)).not.toContain('ECONNREFUSED');
+  });
+
+  test('should not return the details of a server error from any document endpoint', async () => {
+    const failure = new Error('ENOENT: no such file or directory, open \'/var/lib/kyc/documents/abc\'');
+    jest.spyOn(ApplicationDraftModel, 'getById').mockResolvedValue({ id: DRAFT_ID, expired: false });
+    jest.spyOn(DocumentModel, 'getByApplication').mockRejectedValue(failure);
+    jest.spyOn(DocumentModel, 'delete').mockRejectedValue(failure);
+    jest.spyOn(DocumentModel, 'getByKycId').mockRejectedValue(failure);
+    jest.spyOn(DocumentModel, 'getById').mockRejectedValue(failure);
+
+    const responses = await Promise.all([
+      APIServiceDB.getDocuments(DRAFT_ID),
+      APIServiceDB.deleteDocument(DRAFT_ID, DRAFT_ID),
+      APIServiceDB.getReviewDocuments(DRAFT_ID),
+      APIServiceDB.getReviewDocumentFile(DRAFT_ID, DRAFT_ID, DocumentModel.VARIANTS.FILE),
+    ]);
+
+    responses.forEach((response) => {
+      expect(response.status).toBe(500);
+      expect(response).not.toHaveProperty('error');
+      expect(JSON.stringify(response)).not.toContain('/var/lib/kyc');
+    });
+  });
+});
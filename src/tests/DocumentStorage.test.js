@@ -0,0 +1,58 @@
+/**
+ * DocumentStorage.test.js
+ * Unit tests for the pluggable document storage and its local filesystem provider
+ *
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDocumentStorage, assertStorageProvider, storageKey } = require('../../db/storage/DocumentStorage');
+
+const APPLICATION_ID = '6f1c2b9e-8d3a-4c5f-9e2b-1a7d4c3b5e6f';
+const DOCUMENT_ID = '0925a99f-8a41-4d01-98ac-a3441d710270';
+
+describe('Document storage', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should build storage keys from document IDs only', () => {
+    expect(storageKey(APPLICATION_ID, DOCUMENT_ID, 'file')).toBe(`${APPLICATION_ID}/${DOCUMENT_ID}.file`);
+    expect(() => storageKey('../etc', DOCUMENT_ID, 'file')).toThrow('Invalid document storage key');
+    expect(() => storageKey(APPLICATION_ID, DOCUMENT_ID, 'file/..')).toThrow('Invalid document storage key');
+  });
+
+  test('should store, read and delete files on the local filesystem', async () => {
+    const storage = createDocumentStorage({ DOCUMENT_STORAGE_DIR: directory });
+    const key = storageKey(APPLICATION_ID, DOCUMENT_ID, 'file');
+    const content = Buffer.from([0, 1, 2, 250, 251, 252]);
+
+    await storage.put(key, content);
+    expect((await storage.get(key)).equals(content)).toBe(true);
+    expect(fs.readdirSync(path.join(directory, APPLICATION_ID))).toEqual([`${DOCUMENT_ID}.file`]);
+
+    await storage.delete(key);
+    expect(await storage.get(key)).toBeNull();
+    await expect(storage.delete(key)).resolves.toBeUndefined();
+  });
+
+  test('should keep keys inside the storage directory', async () => {
+    const storage = createDocumentStorage({ DOCUMENT_STORAGE_DIR: directory });
+
+    await expect(storage.put('../outside.file', Buffer.from('x'))).rejects.toThrow('outside the storage directory');
+    await expect(storage.get('../../etc/passwd')).rejects.toThrow('outside the storage directory');
+  });
+
+  test('should refuse unknown and incomplete providers', () => {
+    expect(() => createDocumentStorage({ DOCUMENT_STORAGE: 'ftp' })).toThrow('Unknown DOCUMENT_STORAGE "ftp"');
+    expect(() => assertStorageProvider({ put: () => {}, get: () => {} })).toThrow('missing: delete');
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * DocumentTypes.test.js
+ * Unit tests for the document types and the checks on uploaded files
+ */
+
+const {
+  DOCUMENT_TYPES,
+  MIME_TYPES,
+  MAX_DOCUMENT_BYTES,
+  sniffMimeType,
+  describeAccepted,
+  checkDocumentFile,
+} = require('../shared/documents/DocumentTypes');
+
+const JPEG_HEAD = Uint8Array.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+const PNG_HEAD = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PDF_HEAD = Uint8Array.from(Buffer.from('%PDF-1.7'));
+
+describe('Document types', () => {
+  test('should identify files by their first bytes', () => {
+    expect(sniffMimeType(JPEG_HEAD)).toBe(MIME_TYPES.JPEG);
+    expect(sniffMimeType(PNG_HEAD)).toBe(MIME_TYPES.PNG);
+    expect(sniffMimeType(PDF_HEAD)).toBe(MIME_TYPES.PDF);
+    expect(sniffMimeType(Uint8Array.from(Buffer.from('GIF89a')))).toBeNull();
+    expect(sniffMimeType(Uint8Array.from([0xff, 0xd8]))).toBeNull();
+    expect(sniffMimeType(null)).toBeNull();
+  });
+
+  test('should describe the file types a document accepts', () => {
+    expect(describeAccepted(DOCUMENT_TYPES.SELFIE)).toBe('JPG or PNG');
+    expect(describeAccepted(DOCUMENT_TYPES.ADDRESS_PROOF)).toBe('JPG, PNG or PDF');
+  });
+
+  test('should accept files of a type the document takes', () => {
+    expect(checkDocumentFile(DOCUMENT_TYPES.FRONT, JPEG_HEAD, 2048)).toEqual(
+      expect.objectContaining({ valid: true, mimeType: MIME_TYPES.JPEG })
+    );
+    expect(checkDocumentFile(DOCUMENT_TYPES.ADDRESS_PROOF, PDF_HEAD, 2048)).toEqual(
+      expect.objectContaining({ valid: true, mimeType: MIME_TYPES.PDF })
+    );
+  });
+
+  test('should refuse files by what they are, not what they are called', () => {
+    expect(checkDocumentFile(DOCUMENT_TYPES.SELFIE, PDF_HEAD, 2048)).toEqual(
+      expect.objectContaining({ valid: false, code: 'UNSUPPORTED_FILE_TYPE' })
+    );
+    expect(checkDocumentFile(DOCUMENT_TYPES.FRONT, Uint8Array.from(Buffer.from('<html>x')), 2048).code)
+      .toBe('UNSUPPORTED_FILE_TYPE');
+    expect(checkDocumentFile('passport', JPEG_HEAD, 2048).code).toBe('INVALID_TYPE');
+    expect(checkDocumentFile(DOCUMENT_TYPES.FRONT, JPEG_HEAD, 0).code).toBe('EMPTY_FILE');
+    expect(checkDocumentFile(DOCUMENT_TYPES.FRONT, JPEG_HEAD, MAX_DOCUMENT_BYTES + 1).code).toBe('FILE_TOO_LARGE');
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * FieldEncryption.test.js
+ * Unit tests for the encryption keyring and versioned AES-GCM field ciphertexts
+ */
+
+const crypto = require('crypto');
+const { createKeyring, LEGACY_KEY_VERSION } = require('../../db/crypto/Keyring');
+const {
+  SCHEMES,
+  createFieldEncryption,
+  parseCiphertext,
+  encryptWithDataKey,
+  decryptWithDataKey,
+  encryptBytesWithDataKey,
+  decryptBytesWithDataKey,
+} = require('../../db/crypto/FieldEncryption');
+const { createKeyProvider, assertKeyProvider, generateDataKey } = require('../../db/crypto/KeyProvider');
+
+const LEGACY_SECRET = 'legacy-test-key';
+const KEY_1 = 'a'.repeat(64);
+const KEY_2 = 'b'.repeat(64);
+const PAN_CONTEXT = { recordId: '11111111-1111-4111-8111-111111111111', column: 'pan' };
+
+/**
+ * Encrypt the way values were stored with AES-CBC before AES-GCM
+ */
+const cbcEncrypt = (text, key, version) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  return `k${version}:${iv.toString('hex')}:${cipher.update(text, 'utf8', 'hex')}${cipher.final('hex')}`;
+};
+
+/**
+ * Encrypt the way values were stored before key versioning
+ */
+const legacyEncrypt = (text) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(
+    'aes-256-cbc',
+    Buffer.from(LEGACY_SECRET.padEnd(32, '0').substring(0, 32)),
+    iv
+  );
+  return iv.toString('hex') + ':' + cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+};
+
+describe('Field Encryption', () => {
+  describe('Keyring', () => {
+    test('should load the legacy key as version 0', () => {
+      const keyring = createKeyring({ ENCRYPTION_KEY: LEGACY_SECRET });
+      expect(keyring.getVersions()).toEqual([LEGACY_KEY_VERSION]);
+      expect(keyring.getCurrentVersion()).toBe(LEGACY_KEY_VERSION);
+    });
+
+    test('should default to the highest configured version', () => {
+      const keyring = createKeyring({ ENCRYPTION_KEYS: `1:${KEY_1}, 2:${KEY_2}` });
+      expect(keyring.getVersions()).toEqual([0, 1, 2]);
+      expect(keyring.getCurrentVersion()).toBe(2);
+      expect(keyring.getKey(1).toString('hex')).toBe(KEY_1);
+    });
+
+    test('should honour ENCRYPTION_KEY_VERSION', () => {
+      const keyring = createKeyring({ ENCRYPTION_KEYS: `1:${KEY_1},2:${KEY_2}`, ENCRYPTION_KEY_VERSION: '1' });
+      expect(keyring.getCurrentVersion()).toBe(1);
+    });
+
+    test('should reject malformed or unknown versions', () => {
+      expect(() => createKeyring({ ENCRYPTION_KEYS: 'not-a-pair' })).toThrow();
+      expect(() => createKeyring({ ENCRYPTION_KEYS: `0:${KEY_1}` })).toThrow();
+      expect(() => createKeyring({ ENCRYPTION_KEYS: `1:${KEY_1}`, ENCRYPTION_KEY_VERSION: '3' })).toThrow();
+      expect(() => createKeyring({}).getKey(5)).toThrow();
+    });
+
+    test('should only decrypt with the legacy key in production', () => {
+      const legacyOnly = createKeyring({ NODE_ENV: 'production', ENCRYPTION_KEY: LEGACY_SECRET });
+      expect(legacyOnly.getVersions()).toEqual([LEGACY_KEY_VERSION]);
+      expect(() => legacyOnly.getCurrentVersion()).toThrow('No current encryption key');
+      expect(() => createFieldEncryption(legacyOnly).encrypt('ABCDE1234F', PAN_CONTEXT)).toThrow('No current encryption key');
+
+      const production = { NODE_ENV: 'production', ENCRYPTION_KEY: LEGACY_SECRET, ENCRYPTION_KEYS: `1:${KEY_1}` };
+      expect(createKeyring(production).getCurrentVersion()).toBe(1);
+      expect(() => createKeyring({ ...production, ENCRYPTION_KEY_VERSION: '0' })).toThrow('legacy version 0');
+    });
+
+    test('should not load the development default key in production', () => {
+      expect(createKeyring({ NODE_ENV: 'production', ENCRYPTION_KEYS: `1:${KEY_1}` }).getVersions()).toEqual([1]);
+      expect(() => createKeyring({ NODE_ENV: 'production' }))
+        .toThrow('Encryption requires ENCRYPTION_KEYS or ENCRYPTION_KEY in production');
+      expect(createKeyring({ NODE_ENV: 'production', MASTER_KEY_FILE: '/etc/kyc/master-keys' }).getVersions()).toEqual([]);
+    });
+  });
+
+  describe('Versioned ciphertexts', () => {
+    const env = { ENCRYPTION_KEY: LEGACY_SECRET, ENCRYPTION_KEYS: `1:${KEY_1},2:${KEY_2}` };
+
+    test('should prefix GCM ciphertexts with the current key version and round-trip', () => {
+      const fields = createFieldEncryption(createKeyring(env));
+      const encrypted = fields.encrypt('ABCDE1234F', PAN_CONTEXT);
+
+      expect(encrypted).toMatch(/^k2:[0-9a-f]{24}:[0-9a-f]{32}:[0-9a-f]+$/);
+      expect(parseCiphertext(encrypted).scheme).toBe(SCHEMES.GCM);
+      expect(fields.getKeyVersion(encrypted)).toBe(2);
+      expect(fields.decrypt(encrypted, PAN_CONTEXT)).toBe('ABCDE1234F');
+    });
+
+    test('should decrypt values written with an older key still in the keyring', () => {
+      const previous = createFieldEncryption(createKeyring({ ...env, ENCRYPTION_KEY_VERSION: '1' }));
+      const current = createFieldEncryption(createKeyring(env));
+      const encrypted = previous.encrypt('234567890124', PAN_CONTEXT);
+
+      expect(current.decrypt(encrypted, PAN_CONTEXT)).toBe('234567890124');
+      expect(current.needsReencryption(encrypted)).toBe(true);
+      expect(current.needsReencryption(current.encrypt('234567890124', PAN_CONTEXT))).toBe(false);
+    });
+
+    test('should fail once a retired key is removed from the keyring', () => {
+      const previous = createFieldEncryption(createKeyring({ ...env, ENCRYPTION_KEY_VERSION: '1' }));
+      const rotated = createFieldEncryption(createKeyring({ ENCRYPTION_KEYS: `2:${KEY_2}` }));
+
+      expect(() => rotated.decrypt(previous.encrypt('ABCDE1234F', PAN_CONTEXT), PAN_CONTEXT)).toThrow();
+    });
+  });
+
+  describe('Authenticated encryption', () => {
+    const fields = createFieldEncryption(createKeyring({ ENCRYPTION_KEYS: `1:${KEY_1}` }));
+
+    test('should reject a tampered ciphertext', () => {
+      const encrypted = fields.encrypt('ABCDE1234F', PAN_CONTEXT);
+      const last = encrypted.slice(-1);
+      const tampered = encrypted.slice(0, -1) + (last === '0' ? '1' : '0');
+
+      expect(() => fields.decrypt(tampered, PAN_CONTEXT)).toThrow();
+    });
+
+    test('should reject a ciphertext moved to another record or column', () => {
+      const encrypted = fields.encrypt('ABCDE1234F', PAN_CONTEXT);
+
+      expect(() => fields.decrypt(encrypted, { ...PAN_CONTEXT, column: 'gov_id' })).toThrow();
+      expect(() => fields.decrypt(encrypted, { ...PAN_CONTEXT, recordId: '22222222-2222-4222-8222-222222222222' })).toThrow();
+    });
+
+    test('should require a record id and column', () => {
+      expect(() => fields.encrypt('ABCDE1234F')).toThrow();
+      expect(() => fields.encrypt('ABCDE1234F', { column: 'pan' })).toThrow();
+    });
+
+    test('should throw instead of decoding unencrypted values', () => {
+      const base64 = Buffer.from('ABCDE1234F').toString('base64');
+
+      expect(() => fields.decrypt(base64, PAN_CONTEXT)).toThrow('Unrecognized ciphertext format');
+      expect(fields.needsReencryption(base64)).toBe(true);
+    });
+  });
+
+  describe('CBC migration reader', () => {
+    const keyring = createKeyring({ ENCRYPTION_KEY: LEGACY_SECRET, ENCRYPTION_KEYS: `1:${KEY_1}` });
+    const fields = createFieldEncryption(keyring);
+
+    test('should read unprefixed legacy values as version 0', () => {
+      const legacy = legacyEncrypt('GOV-123');
+
+      expect(parseCiphertext(legacy).version).toBe(LEGACY_KEY_VERSION);
+      expect(fields.decrypt(legacy, PAN_CONTEXT)).toBe('GOV-123');
+      expect(fields.needsReencryption(legacy)).toBe(true);
+    });
+
+    test('should read versioned CBC values and flag them for re-encryption', () => {
+      const cbc = cbcEncrypt('ABCDE1234F', keyring.getKey(1), 1);
+
+      expect(parseCiphertext(cbc).scheme).toBe(SCHEMES.CBC);
+      expect(fields.decrypt(cbc, PAN_CONTEXT)).toBe('ABCDE1234F');
+      expect(fields.needsReencryption(cbc)).toBe(true);
+    });
+  });
+
+  describe('Envelope encryption', () => {
+    const RECORD = PAN_CONTEXT.recordId;
+    const provider = createKeyProvider({ ENCRYPTION_KEYS: `1:${KEY_1}` });
+
+    test('should wrap and unwrap a per-record data key', async () => {
+      const { dataKey, wrappedKey } = await generateDataKey(provider, RECORD);
+
+      expect(dataKey).toHaveLength(32);
+      expect(wrappedKey).not.toContain(dataKey.toString('hex'));
+      expect((await provider.unwrap(wrappedKey, { recordId: RECORD })).equals(dataKey)).toBe(true);
+      await expect(provider.unwrap(wrappedKey, { recordId: 'another-record' })).rejects.toThrow();
+    });
+
+    test('should encrypt fields under the data key', async () => {
+      const { dataKey } = await generateDataKey(provider, RECORD);
+      const encrypted = encryptWithDataKey(dataKey, 'ABCDE1234F', PAN_CONTEXT);
+
+      expect(encrypted).toMatch(/^d:/);
+      expect(decryptWithDataKey(dataKey, encrypted, PAN_CONTEXT)).toBe('ABCDE1234F');
+      expect(createFieldEncryption().needsReencryption(encrypted)).toBe(false);
+    });
+
+    test('should encrypt files under the data key, bound to their record', async () => {
+      const { dataKey } = await generateDataKey(provider, RECORD);
+      const content = crypto.randomBytes(1000);
+      const context = { recordId: RECORD, column: 'file' };
+      const encrypted = encryptBytesWithDataKey(dataKey, content, context);
+
+      expect(encrypted.includes(content.subarray(0, 32))).toBe(false);
+      expect(decryptBytesWithDataKey(dataKey, encrypted, context).equals(content)).toBe(true);
+      expect(() => decryptBytesWithDataKey(dataKey, encrypted, { recordId: RECORD, column: 'thumbnail' })).toThrow();
+
+      encrypted[encrypted.length - 1] ^= 1;
+      expect(() => decryptBytesWithDataKey(dataKey, encrypted, context)).toThrow();
+    });
+
+    test('should re-wrap data keys only when the master key changes', async () => {
+      const { dataKey, wrappedKey } = await generateDataKey(provider, RECORD);
+      const rotatedProvider = createKeyProvider({ ENCRYPTION_KEYS: `1:${KEY_1},2:${KEY_2}` });
+
+      expect((await provider.rotate(wrappedKey, { recordId: RECORD })).rotated).toBe(false);
+
+      const result = await rotatedProvider.rotate(wrappedKey, { recordId: RECORD });
+      expect(result.rotated).toBe(true);
+      expect(result.wrappedKey).toMatch(/^k2:/);
+      expect((await rotatedProvider.unwrap(result.wrappedKey, { recordId: RECORD })).equals(dataKey)).toBe(true);
+    });
+
+    test('should reject unknown or incomplete providers', () => {
+      expect(() => createKeyProvider({ KEY_PROVIDER: 'nope' })).toThrow('Unknown KEY_PROVIDER');
+      expect(() => assertKeyProvider({ wrap: () => {} })).toThrow('unwrap, rotate');
+    });
+  });
+});
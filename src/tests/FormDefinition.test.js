@@ -0,0 +1,152 @@
+/**
+ * FormDefinition.test.js
+ * Unit tests for the JSON form definitions and their visibility, progress and
+ * market resolution helpers
+ */
+
+const {
+  FORM_DEFINITIONS,
+  FIELD_TYPES,
+  getFormDefinition,
+  getFields,
+  resolveText,
+  resolveField,
+  isFieldRequired,
+  isFieldVisible,
+  getVisibleFields,
+  getInitialValues,
+  getProgress,
+} = require('../shared/forms/FormDefinition');
+const { fieldRule } = require('../shared/validation/FormSchema');
+const { getMarket } = require('../shared/locale/Markets');
+
+const employmentForm = {
+  id: 'employment',
+  sections: [
+    {
+      id: 'employment',
+      title: 'Employment',
+      fields: [
+        {
+          name: 'employmentType',
+          type: 'select',
+          label: 'Employment Type',
+          options: [{ value: 'salaried', label: 'Salaried' }, { value: 'self-employed', label: 'Self-employed' }],
+          validation: { required: true },
+        },
+        {
+          name: 'employerName',
+          type: 'text',
+          label: 'Employer Name',
+          visibleWhen: { field: 'employmentType', equals: 'salaried' },
+          validation: { required: true, minLength: 2 },
+        },
+        {
+          name: 'gstin',
+          type: 'text',
+          label: 'GSTIN',
+          visibleWhen: { field: 'employmentType', in: ['self-employed'], market: ['IN'] },
+        },
+        { name: 'consent', type: 'checkbox', label: 'I agree', defaultValue: true },
+      ],
+    },
+  ],
+};
+
+describe('Form Definitions', () => {
+  describe('Shipped definitions', () => {
+    Object.keys(FORM_DEFINITIONS).forEach((formType) => {
+      test(`${formType} fields should have known types, unique names and valid rules`, () => {
+        const fields = getFields(getFormDefinition(formType));
+        const names = fields.map((field) => field.name);
+
+        expect(new Set(names).size).toBe(names.length);
+        fields.forEach((field) => {
+          expect(FIELD_TYPES).toContain(field.type);
+          expect(field.label).toBeTruthy();
+          expect(() => fieldRule(field)).not.toThrow();
+        });
+      });
+    });
+
+    test('should throw for an unknown form type', () => {
+      expect(() => getFormDefinition('unknown')).toThrow('Unknown form type');
+    });
+  });
+
+  describe('Market references', () => {
+    test('should replace references inside text', () => {
+      expect(resolveText('Select {market.stateLabel}', getMarket('IN'))).toBe('Select State / Union Territory');
+      expect(resolveText('Street Address, {market.postalCode.label}', getMarket('US'))).toBe('Street Address, Zip Code');
+    });
+
+    test('should keep the type of a single reference', () => {
+      expect(resolveText('{market.postalCode.maxLength}', getMarket('IN'))).toBe(6);
+      expect(resolveText('{market.postalCode.inputMode}', getMarket('US'))).toBeUndefined();
+    });
+
+    test('should group Indian states and union territories', () => {
+      const state = getFields(getFormDefinition('customer')).find((field) => field.name === 'state');
+      const [states, unionTerritories] = resolveField(state, getMarket('IN')).options;
+
+      expect(states.label).toBe('States');
+      expect(unionTerritories.options).toContainEqual({ value: 'DL', label: 'Delhi' });
+      expect(resolveField(state, getMarket('US')).options).toContainEqual({ value: 'NY', label: 'New York' });
+    });
+
+    test('should list the market income bands', () => {
+      const income = getFields(getFormDefinition('customer')).find((field) => field.name === 'income');
+      expect(resolveField(income, getMarket('IN')).options[0]).toEqual({ value: 'below-3l', label: 'Below ₹3,00,000' });
+    });
+  });
+
+  describe('Visibility', () => {
+    const [, employerName, gstin] = getFields(employmentForm);
+
+    test('should show fields whose condition matches', () => {
+      expect(isFieldVisible(employerName, { employmentType: 'salaried' })).toBe(true);
+      expect(isFieldVisible(employerName, { employmentType: 'self-employed' })).toBe(false);
+      expect(isFieldVisible(employerName, {})).toBe(false);
+    });
+
+    test('should apply market conditions', () => {
+      expect(isFieldVisible(gstin, { employmentType: 'self-employed' }, 'IN')).toBe(true);
+      expect(isFieldVisible(gstin, { employmentType: 'self-employed' }, 'US')).toBe(false);
+    });
+
+    test('should list only the visible fields', () => {
+      const names = getVisibleFields(employmentForm, { employmentType: 'salaried' }, 'IN').map((field) => field.name);
+      expect(names).toEqual(['employmentType', 'employerName', 'consent']);
+    });
+  });
+
+  describe('Values and progress', () => {
+    test('should start from defaults, empty values and overrides', () => {
+      expect(getInitialValues(employmentForm, { employerName: 'Acme', gstin: null })).toEqual({
+        employmentType: '',
+        employerName: 'Acme',
+        gstin: '',
+        consent: true,
+      });
+    });
+
+    test('should count only visible, non-checkbox fields', () => {
+      expect(getProgress(employmentForm, getInitialValues(employmentForm), 'IN')).toBe(0);
+      expect(getProgress(employmentForm, { employmentType: 'self-employed', consent: true }, 'US')).toBe(100);
+      expect(getProgress(employmentForm, { employmentType: 'salaried', employerName: ' ' }, 'IN')).toBe(50);
+    });
+
+    test('should count the KYC form fields only', () => {
+      const kyc = getFormDefinition('kyc');
+      expect(getProgress(kyc, { ...getInitialValues(kyc), govID: 'A12B34C56', nationality: 'Indian' })).toBe(20);
+    });
+
+    test('should mark fields with a validation as required', () => {
+      const [employmentType, employerName, gstin] = getFields(employmentForm);
+      expect(isFieldRequired(employmentType)).toBe(true);
+      expect(isFieldRequired(employerName)).toBe(true);
+      expect(isFieldRequired(gstin)).toBe(false);
+      expect(isFieldRequired({ validation: 'pan' })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * FormSchema.test.js
+ * Unit tests for the form schema shared by the React pages and the API,
+ * and the Express middleware that validates requests with it
+ */
+
+const {
+  FIELD_ERROR_CODES,
+  FORM_FIELDS,
+  fieldRule,
+  checkField,
+  checkForm,
+  validateForm,
+} = require('../shared/validation/FormSchema');
+const { PAN_ERROR_CODES } = require('../shared/validation/PANValidator');
+const {
+  customerFormData,
+  kycAddressLine,
+  kycFormData,
+  validateRequest,
+} = require('../../api/middleware/validate');
+
+const customer = {
+  firstName: 'Priya',
+  lastName: 'Sharma',
+  email: 'priya.sharma@example.com',
+  phoneNumber: '+91 98765 43210',
+  dateOfBirth: '1990-05-15',
+  employmentStatus: 'salaried',
+  annualIncome: '5-10l',
+  addresses: [{
+    type: 'residential',
+    addressLine1: '12 MG Road',
+    city: 'Bengaluru',
+    state: 'KA',
+    postalCode: '560001',
+    sameAsKyc: true,
+  }],
+};
+
+const kyc = {
+  govID: 'DL0420110012345',
+  kycAddress: '12 MG Road, Bengaluru',
+  kycDob: '1990-05-15',
+  pan: 'ABCPS1234F',
+  aadhaarNumber: '234567890124',
+};
+
+/**
+ * Run a middleware against a fake request and report how it finished
+ */
+const run = async (middleware, req) => {
+  const outcome = { nextCalled: false, status: null, body: null };
+  const res = {
+    status: (status) => {
+      outcome.status = status;
+      return res;
+    },
+    json: (body) => {
+      outcome.body = body;
+      return res;
+    },
+  };
+
+  await middleware(req, res, (error) => {
+    outcome.nextCalled = true;
+    outcome.error = error;
+  });
+  return outcome;
+};
+
+describe('Form Schema', () => {
+  describe('checkField', () => {
+    test('should use the required code for empty values', () => {
+      expect(checkField('email', '  ')).toEqual({
+        field: 'email',
+        code: FIELD_ERROR_CODES.REQUIRED,
+        message: 'Email is required',
+      });
+    });
+
+    test('should use the invalid code for malformed values', () => {
+      expect(checkField('email', 'not-an-email').code).toBe(FIELD_ERROR_CODES.INVALID);
+    });
+
+    test('should keep the specific codes of PAN and Aadhaar rules', () => {
+      expect(checkField('pan', 'ABCPE1234F', { lastName: 'Sharma' }).code).toBe(PAN_ERROR_CODES.NAME_MISMATCH);
+      expect(checkField('aadhaarNumber', '123').code).toBe('AADHAAR_INVALID_FORMAT');
+    });
+
+    test('should only accept the listed options of a select', () => {
+      expect(checkField('employmentStatus', 'salaried')).toBeNull();
+      expect(checkField('employmentStatus', 'astronaut').message).toBe('Please select a valid employment status');
+    });
+
+    test('should ignore fields without a rule', () => {
+      expect(checkField('nickname', '')).toBeNull();
+    });
+  });
+
+  describe('fieldRule', () => {
+    const employerName = {
+      name: 'employerName',
+      label: 'Employer Name',
+      validation: { required: true, minLength: 2, pattern: "[A-Za-z0-9 &.,'-]+" },
+    };
+
+    test('should build a rule from a validation described in the definition', () => {
+      const rule = fieldRule(employerName);
+      expect(rule('', '', {})).toBe('Employer Name is required');
+      expect(rule('A', 'A', {})).toBe('Employer Name must be at least 2 characters');
+      expect(rule('Acme <script>', 'Acme <script>', {})).toBe('Please enter a valid employer name');
+      expect(rule('Acme & Sons', 'Acme & Sons', {})).toBeNull();
+    });
+
+    test('should allow optional fields to be left empty', () => {
+      const rule = fieldRule({ ...employerName, validation: { minLength: 2, message: 'Too short' } });
+      expect(rule('', '', {})).toBeNull();
+      expect(rule('A', 'A', {})).toBe('Too short');
+    });
+
+    test('should use the shared rule a definition names', () => {
+      expect(fieldRule({ name: 'kycDob', validation: 'kycDob' })('', '', {})).toBe('Date of birth is required');
+      expect(fieldRule({ name: 'notes' })).toBeNull();
+    });
+
+    test('should throw for an unknown shared rule', () => {
+      expect(() => fieldRule({ name: 'employer', validation: 'employer' })).toThrow('Unknown validation rule');
+    });
+  });
+
+  describe('checkForm', () => {
+    test('should report missing fields as required, in form order', () => {
+      const errors = checkForm({}, 'kyc');
+      expect(errors.map(({ field }) => field)).toEqual(FORM_FIELDS.kyc);
+      errors.forEach(({ code }) => expect(code).not.toBe(FIELD_ERROR_CODES.INVALID));
+    });
+
+    test('should throw for an unknown form type', () => {
+      expect(() => checkForm({}, 'unknown')).toThrow('Unknown form type');
+    });
+  });
+
+  describe('validateForm', () => {
+    test('should return a field to message map', () => {
+      const errors = validateForm({ ...customerFormData(customer), zipCode: '12345' }, 'customer', { market: 'IN' });
+      expect(errors).toEqual({ zipCode: 'Please enter a valid 6-digit PIN code (e.g., 560001)' });
+    });
+
+    test('should return an empty map for a valid KYC form', () => {
+      expect(validateForm(kyc, 'kyc', { lastName: 'Sharma' })).toEqual({});
+    });
+  });
+});
+
+describe('Request Validation Middleware', () => {
+  describe('Payload mapping', () => {
+    test('should map a customer payload onto the customer form fields', () => {
+      expect(customerFormData(customer)).toMatchObject({
+        firstName: 'Priya',
+        lastName: 'Sharma',
+        email: 'priya.sharma@example.com',
+        phone: '+91 98765 43210',
+        dateOfBirth: '1990-05-15',
+        address: '12 MG Road',
+        city: 'Bengaluru',
+        state: 'KA',
+        zipCode: '560001',
+        income: '5-10l',
+      });
+    });
+
+    test('should reuse the KYC address when the payload has none', () => {
+      const line = kycAddressLine(customer.addresses);
+      expect(line).toBe('12 MG Road');
+      expect(kycFormData({ ...kyc, kycAddress: '' }, line).kycAddress).toBe('12 MG Road');
+      expect(kycAddressLine([{ ...customer.addresses[0], sameAsKyc: false }])).toBeNull();
+      expect(kycAddressLine(undefined)).toBeNull();
+    });
+  });
+
+  describe('validateRequest', () => {
+    const validateOnboarding = validateRequest({
+      customer: (req) => customerFormData(req.body.customer),
+      kyc: (req) => kycFormData(req.body.kyc, kycAddressLine((req.body.customer || {}).addresses)),
+    }, (req) => ({ lastName: req.body.customer && req.body.customer.lastName, market: 'IN' }));
+
+    test('should call next for a valid request', async () => {
+      const outcome = await run(validateOnboarding, { body: { customer, kyc } });
+      expect(outcome.nextCalled).toBe(true);
+      expect(outcome.error).toBeUndefined();
+    });
+
+    test('should respond 400 with the errors of every form', async () => {
+      const outcome = await run(validateOnboarding, {
+        body: { customer: { ...customer, email: '' }, kyc: { ...kyc, pan: 'ABCPE1234F' } },
+      });
+
+      expect(outcome.nextCalled).toBe(false);
+      expect(outcome.status).toBe(400);
+      expect(outcome.body.success).toBe(false);
+      expect(outcome.body.field).toBe('email');
+      expect(outcome.body.code).toBe(FIELD_ERROR_CODES.REQUIRED);
+      expect(Object.keys(outcome.body.errors)).toEqual(['email', 'pan']);
+    });
+
+    test('should respond 400 with field errors when the customer is null', async () => {
+      const outcome = await run(validateOnboarding, { body: { customer: null, kyc } });
+
+      expect(outcome.nextCalled).toBe(false);
+      expect(outcome.status).toBe(400);
+      expect(outcome.body.field).toBe('firstName');
+      expect(outcome.body.code).toBe(FIELD_ERROR_CODES.REQUIRED);
+      expect(outcome.body.errors).toEqual(expect.objectContaining({
+        firstName: expect.any(String),
+        email: expect.any(String),
+      }));
+    });
+
+    test('should pass errors thrown while loading the form data to next', async () => {
+      const failure = new Error('database unavailable');
+      const middleware = validateRequest({
+        kyc: async () => {
+          throw failure;
+        },
+      });
+
+      const outcome = await run(middleware, { body: {} });
+      expect(outcome.nextCalled).toBe(true);
+      expect(outcome.error).toBe(failure);
+    });
+  });
+});
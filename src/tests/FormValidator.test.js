@@ -109,6 +109,44 @@ describe('FormValidator Service', () => {
     });
   });
 
+  // Market-specific Tests (India is the default market)
+  describe('Market Rules', () => {
+    test('should accept 6-digit PIN codes in the India market', () => {
+      expect(FormValidator.validateField('zipCode', '560001')).toBeNull();
+    });
+
+    test.each([['10001'], ['056001'], ['5600011'], ['56000A']])('should reject PIN code %s', (pin) => {
+      expect(FormValidator.validateField('zipCode', pin)).toContain('6-digit PIN code');
+    });
+
+    test('should require a PIN code', () => {
+      expect(FormValidator.validateField('zipCode', '')).toBe('PIN code is required');
+    });
+
+    test('should accept states and union territories of India only', () => {
+      expect(FormValidator.validateField('state', 'KA')).toBeNull();
+      expect(FormValidator.validateField('state', 'DL')).toBeNull();
+      expect(FormValidator.validateField('state', 'NY')).toBe('Please select a valid state');
+    });
+
+    test('should accept INR income bands only', () => {
+      expect(FormValidator.validateField('income', '5-10l')).toBeNull();
+      expect(FormValidator.validateField('income', '75-100k')).toBe('Please select a valid income range');
+    });
+
+    test('should apply US rules when the US market is selected', () => {
+      const context = { market: 'US' };
+      expect(FormValidator.validateField('zipCode', '12345-6789', context)).toBeNull();
+      expect(FormValidator.validateField('zipCode', '560001', context)).toContain('valid zip code');
+      expect(FormValidator.validateField('state', 'NY', context)).toBeNull();
+      expect(FormValidator.validateField('income', '75-100k', context)).toBeNull();
+    });
+
+    test('should accept district names with periods as cities', () => {
+      expect(FormValidator.validateField('city', 'Y.S.R.')).toBeNull();
+    });
+  });
+
   // Government ID Tests
   describe('Government ID Validation', () => {
     test('should reject empty government ID', () => {
@@ -147,13 +185,22 @@ describe('FormValidator Service', () => {
     });
 
     test('should accept valid 12-digit Aadhaar numbers', () => {
-      expect(FormValidator.validateField('aadhaarNumber', '123456789012')).toBeNull();
-      expect(FormValidator.validateField('aadhaarNumber', '000000000000')).toBeNull();
+      expect(FormValidator.validateField('aadhaarNumber', '234567890124')).toBeNull();
+      expect(FormValidator.validateField('aadhaarNumber', '987654321096')).toBeNull();
       expect(FormValidator.validateField('aadhaarNumber', '999999999999')).toBeNull();
     });
 
+    test('should reject Aadhaar numbers starting with 0 or 1', () => {
+      expect(FormValidator.validateField('aadhaarNumber', '000000000000')).toContain('cannot start with 0 or 1');
+      expect(FormValidator.validateField('aadhaarNumber', '123456789012')).toContain('cannot start with 0 or 1');
+    });
+
+    test('should reject Aadhaar numbers with a wrong check digit', () => {
+      expect(FormValidator.validateField('aadhaarNumber', '234567890125')).toContain('not valid');
+    });
+
     test('should handle whitespace in Aadhaar validation', () => {
-      expect(FormValidator.validateField('aadhaarNumber', ' 123456789012 ')).toBeNull();
+      expect(FormValidator.validateField('aadhaarNumber', ' 234567890124 ')).toBeNull();
     });
   });
 
@@ -170,9 +217,28 @@ describe('FormValidator Service', () => {
         city: 'New York',
         state: 'NY',
         zipCode: '10001',
+        employmentStatus: 'salaried',
         income: '75-100k'
       };
 
+      expect(FormValidator.validateForm(validFormData, 'customer', { market: 'US' })).toBe(true);
+    });
+
+    test('should validate complete customer form for the India market', () => {
+      const validFormData = {
+        firstName: 'Priya',
+        lastName: 'Sharma',
+        email: 'priya@example.com',
+        phone: '9876543210',
+        dateOfBirth: '1990-01-01',
+        address: '12, MG Road, Indiranagar',
+        city: 'Bengaluru',
+        state: 'KA',
+        zipCode: '560001',
+        employmentStatus: 'salaried',
+        income: '10-25l'
+      };
+
       expect(FormValidator.validateForm(validFormData, 'customer')).toBe(true);
     });
 
@@ -181,8 +247,8 @@ describe('FormValidator Service', () => {
         govID: 'A12B34C56',
         kycAddress: '123 Main Street, Apartment 4B',
         kycDob: '1990-01-01',
-        pan: 'ABCD1234EF',
-        aadhaarNumber: '123456789012'
+        pan: 'ABCPD1234F',
+        aadhaarNumber: '234567890124'
       };
 
       expect(FormValidator.validateForm(validKYCData, 'kyc')).toBe(true);
@@ -202,7 +268,7 @@ describe('FormValidator Service', () => {
         income: '75-100k'
       };
 
-      expect(FormValidator.validateForm(incompleteData, 'customer')).toBe(false);
+      expect(FormValidator.validateForm(incompleteData, 'customer', { market: 'US' })).toBe(false);
     });
   });
 
@@ -239,10 +305,11 @@ describe('FormValidator Service', () => {
         city: 'New York',
         state: 'NY',
         zipCode: '10001',
+        employmentStatus: 'salaried',
         income: '75-100k'
       };
 
-      const errors = FormValidator.validateAll(validData, 'customer');
+      const errors = FormValidator.validateAll(validData, 'customer', { market: 'US' });
       expect(Object.keys(errors).length).toBe(0);
     });
   });
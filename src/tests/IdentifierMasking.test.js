@@ -0,0 +1,47 @@
+/**
+ * IdentifierMasking.test.js
+ * Unit tests for display-safe identifiers (see AadhaarValidator.test.js for maskAadhaar)
+ */
+
+const { maskIdentifier, maskGovID, maskEmail } = require('../shared/masking/IdentifierMasking');
+
+describe('Identifier Masking', () => {
+  test('should keep only the last 4 characters', () => {
+    expect(maskIdentifier('ABCPS1234F')).toBe('XXXXXX234F');
+    expect(maskIdentifier(' DL0420110012345 ')).toBe('XXXXXXXXXXX2345');
+  });
+
+  test('should mask short identifiers completely', () => {
+    expect(maskIdentifier('1234')).toBe('XXXX');
+    expect(maskIdentifier('A1')).toBe('XX');
+  });
+
+  test('should return null when there is no value', () => {
+    expect(maskIdentifier('')).toBeNull();
+    expect(maskIdentifier('   ')).toBeNull();
+    expect(maskIdentifier(null)).toBeNull();
+    expect(maskIdentifier(undefined)).toBeNull();
+  });
+
+  describe('maskGovID', () => {
+    test('should mask Aadhaar numbers as Aadhaar and other IDs as identifiers', () => {
+      expect(maskGovID('2345 6789 0124', 'Aadhaar')).toBe('XXXX-XXXX-0124');
+      expect(maskGovID('234567890124', 'aadhaar card')).toBe('XXXX-XXXX-0124');
+      expect(maskGovID('K1234567', 'Passport')).toBe('XXXX4567');
+      expect(maskGovID('K1234567', null)).toBe('XXXX4567');
+      expect(maskGovID(null, 'Aadhaar')).toBeNull();
+    });
+  });
+
+  describe('maskEmail', () => {
+    test('should keep the first character and the domain', () => {
+      expect(maskEmail('john.doe@example.com')).toBe('j***@example.com');
+      expect(maskEmail(' a@example.in ')).toBe('a***@example.in');
+    });
+
+    test('should mask values that are not email addresses like identifiers', () => {
+      expect(maskEmail('@example.com')).toBe('XXXXXXXX.com');
+      expect(maskEmail('')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * ImageQuality.test.js
+ * Unit tests for the size, blur, glare and exposure checks on uploaded images
+ *
+ * @jest-environment node
+ */
+
+const { MIME_TYPES, DOCUMENT_TYPES, getDocumentType } = require('../shared/documents/DocumentTypes');
+const { encodePng, decodePng } = require('../../api/documents/codecs/Png');
+const { QUALITY_ISSUES, MIN_SHARPNESS, checkDimensions, measureImage, checkImageQuality } = require('../../api/documents/ImageQuality');
+const { IMAGE_QUALITY, inspectDocument } = require('../../api/documents/DocumentInspection');
+
+const FRONT = getDocumentType(DOCUMENT_TYPES.FRONT);
+const SELFIE = getDocumentType(DOCUMENT_TYPES.SELFIE);
+const ADDRESS_PROOF = getDocumentType(DOCUMENT_TYPES.ADDRESS_PROOF);
+
+/**
+ * Opaque grey image with each pixel's level from shade(x, y)
+ */
+const makeImage = (width, height, shade) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const level = shade(x, y);
+      data.set([level, level, level, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+/**
+ * Lines of "text" on a card: dark blocks in every third band of rows
+ */
+const text = (background, ink) => (x, y) => (y % 24 < 8 && x % 12 < 6 ? ink : background);
+
+const SHARP = makeImage(1200, 760, text(190, 40));
+const BLURRED = makeImage(1200, 760, (x, y) => Math.round(60 + (x / 1200) * 80 + (y / 760) * 40));
+const WASHED_OUT = makeImage(1200, 760, text(250, 205));
+
+/**
+ * The sharp card with a blown-out disc in the middle, as a flash reflects off a laminated card
+ */
+const GLARE = makeImage(1200, 760, (x, y) => ((x - 600) ** 2 + (y - 380) ** 2 < 120 ** 2 ? 255 : text(190, 40)(x, y)));
+
+const codes = (issues) => issues.map((issue) => issue.code);
+
+describe('ImageQuality', () => {
+  test('should accept images large enough for the document type, whichever way round', () => {
+    expect(checkDimensions(FRONT, 1200, 760)).toEqual([]);
+    expect(checkDimensions(FRONT, 760, 1200)).toEqual([]);
+    expect(checkDimensions(SELFIE, 640, 480)).toEqual([]);
+  });
+
+  test('should refuse images too small to read', () => {
+    const issues = checkDimensions(FRONT, 800, 500);
+    expect(codes(issues)).toEqual([QUALITY_ISSUES.LOW_RESOLUTION]);
+    expect(issues[0].message).toContain('800×500');
+    expect(issues[0].message).toContain('1000×600');
+    expect(codes(checkDimensions(ADDRESS_PROOF, 1100, 800))).toEqual([QUALITY_ISSUES.LOW_RESOLUTION]);
+  });
+
+  test('should refuse images whose shape suggests the document is cropped', () => {
+    const issues = checkDimensions(FRONT, 1200, 1100);
+    expect(codes(issues)).toEqual([QUALITY_ISSUES.CROPPED]);
+    expect(issues[0].message).toContain(FRONT.quality.framing);
+    expect(codes(checkDimensions(FRONT, 2400, 1000))).toEqual([QUALITY_ISSUES.CROPPED]);
+    expect(codes(checkDimensions(SELFIE, 400, 1000))).toEqual([QUALITY_ISSUES.LOW_RESOLUTION, QUALITY_ISSUES.CROPPED]);
+  });
+
+  test('should measure sharpness, glare and exposure', () => {
+    const sharp = measureImage(SHARP);
+    expect(sharp.sharpness).toBeGreaterThan(MIN_SHARPNESS * 10);
+    expect(sharp.glareArea).toBe(0);
+    expect(sharp.darkLevel).toBeLessThan(100);
+
+    expect(measureImage(BLURRED).sharpness).toBeLessThan(MIN_SHARPNESS);
+    expect(measureImage(GLARE).glareArea).toBeGreaterThan(0.03);
+    expect(measureImage(WASHED_OUT).darkLevel).toBeGreaterThan(200);
+  });
+
+  test('should accept sharp, evenly lit images', () => {
+    expect(checkImageQuality(FRONT, SHARP)).toEqual([]);
+  });
+
+  test('should ask for blurry images to be taken again', () => {
+    const issues = checkImageQuality(FRONT, BLURRED);
+    expect(codes(issues)).toEqual([QUALITY_ISSUES.BLURRY]);
+    expect(issues[0].message).toMatch(/steady/);
+  });
+
+  test('should ask for images with glare to be taken again where the document type is glossy', () => {
+    expect(codes(checkImageQuality(FRONT, GLARE))).toEqual([QUALITY_ISSUES.GLARE]);
+    expect(checkImageQuality(SELFIE, GLARE)).toEqual([]);
+  });
+
+  test('should not take a white background touching the edges for glare', () => {
+    const scan = makeImage(1200, 760, (x, y) => (x > 200 && x < 1000 && y > 150 && y < 610 ? text(190, 40)(x, y) : 255));
+    expect(checkImageQuality(FRONT, scan)).toEqual([]);
+  });
+
+  test('should ask for washed-out images to be taken again where exposure matters', () => {
+    expect(codes(checkImageQuality(FRONT, WASHED_OUT))).toEqual([QUALITY_ISSUES.OVEREXPOSED]);
+    expect(checkImageQuality(ADDRESS_PROOF, WASHED_OUT)).toEqual([]);
+  });
+
+  test('should inspect uploaded images for quality before they are stored', () => {
+    const inspected = inspectDocument(DOCUMENT_TYPES.FRONT, encodePng(SHARP));
+    expect(inspected).toEqual(expect.objectContaining({ mimeType: MIME_TYPES.PNG, width: 1200, height: 760 }));
+    expect(decodePng(inspected.thumbnail)).toEqual(expect.objectContaining({ width: 320 }));
+
+    const refused = inspectDocument(DOCUMENT_TYPES.FRONT, encodePng(BLURRED));
+    expect(refused.error.code).toBe(IMAGE_QUALITY);
+    expect(codes(refused.error.issues)).toEqual([QUALITY_ISSUES.BLURRY]);
+    expect(refused.error.message).toBe(refused.error.issues[0].message);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Images.test.js
+ * Unit tests for the image codecs, thumbnails and checks on uploaded documents
+ *
+ * @jest-environment node
+ */
+
+const { MIME_TYPES, DOCUMENT_TYPES } = require('../shared/documents/DocumentTypes');
+const { IMAGE_ERROR_CODES } = require('../../api/documents/ImageError');
+const { decodePng, encodePng } = require('../../api/documents/codecs/Png');
+const { decodeJpeg } = require('../../api/documents/codecs/Jpeg');
+const { readImageInfo, decodeImage, resize, applyOrientation } = require('../../api/documents/Images');
+const { QUALITY_ISSUES } = require('../../api/documents/ImageQuality');
+const { IMAGE_QUALITY, inspectDocument } = require('../../api/documents/DocumentInspection');
+
+/**
+ * 16×8 baseline JPEG (4:2:0): the left half red (220, 30, 30), the right half blue (30, 30, 220)
+ */
+const JPEG_FIXTURE = Buffer.from(
+  '/9j/2wCEAAMCAgMCAgMDAwMEAwMEBQgFBQQEBQoHBwYIDAoMDAsKCwsNDhIQDQ4RDgsLEBYQERMUFRUVDA8XGBYUGBIUFRQBAwQEBQQFCQUFCRQNCw0U'
+  + 'FBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFP/AABEIAAgAEAMBIgACEQEDEQH/xAGiAAABBQEBAQEBAQAAAAAA'
+  + 'AAAAAQIDBAUGBwgJCgsQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFBBhNRYQcicRQygZGhCCNCscEVUtHwJDNicoIJChYXGBkaJSYnKCkqNDU2Nzg5'
+  + 'OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0dXZ3eHl6g4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2drh'
+  + '4uPk5ebn6Onq8fLz9PX29/j5+gEAAwEBAQEBAQEBAQAAAAAAAAECAwQFBgcICQoLEQACAQIEBAMEBwUEBAABAncAAQIDEQQFITEGEkFRB2FxEyIygQgU'
+  + 'QpGhscEJIzNS8BVictEKFiQ04SXxFxgZGiYnKCkqNTY3ODk6Q0RFRkdISUpTVFVWV1hZWmNkZWZnaGlqc3R1dnd4eXqCg4SFhoeIiYqSk5SVlpeYmZqi'
+  + 'o6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2dri4+Tl5ufo6ery8/T19vf4+fr/2gAMAwEAAhEDEQA/APEq8hr16vIa/VPAz/mZf9wv/cp+'
+  + '1+Mn/Mv/AO4v/uM//9k=',
+  'base64'
+);
+
+/**
+ * The fixture with an EXIF orientation, in an APP1 segment after the start of image marker
+ */
+const withOrientation = (jpeg, orientation) => {
+  const tiff = Buffer.from([
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, // big-endian TIFF header, first IFD at 8
+    0x00, 0x01, // one entry
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00, // Orientation, SHORT
+    0x00, 0x00, 0x00, 0x00, // no next IFD
+  ]);
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const segment = Buffer.concat([Buffer.from([0xff, 0xe1, 0x00, payload.length + 2]), payload]);
+  return Buffer.concat([jpeg.subarray(0, 2), segment, jpeg.subarray(2)]);
+};
+
+const pixel = (image, x, y) => Array.from(image.data.subarray((y * image.width + x) * 4, (y * image.width + x) * 4 + 4));
+
+/**
+ * Whether a pixel is within a few levels of a color, as lossy compression leaves it
+ */
+const isNear = (actual, expected, tolerance = 12) => expected.every((value, index) => Math.abs(actual[index] - value) <= tolerance);
+
+const RED = [220, 30, 30];
+const BLUE = [30, 30, 220];
+
+describe('Images', () => {
+  test('should encode and decode PNG images losslessly', () => {
+    const image = { width: 3, height: 2, data: new Uint8Array(3 * 2 * 4) };
+    for (let i = 0; i < 6; i += 1) {
+      image.data.set([i * 40, 255 - i * 40, (i * 97) % 256, 255], i * 4);
+    }
+
+    const png = encodePng(image);
+    expect(readImageInfo(png, MIME_TYPES.PNG)).toEqual({ width: 3, height: 2, orientation: 1, decodable: true });
+    expect(decodePng(png)).toEqual(image);
+  });
+
+  test('should refuse PNG images that are corrupt, interlaced or too large', () => {
+    const png = encodePng({ width: 2, height: 2, data: new Uint8Array(16) });
+
+    expect(() => decodePng(png.subarray(0, 40))).toThrow(expect.objectContaining({ code: IMAGE_ERROR_CODES.INVALID }));
+
+    const interlaced = Buffer.from(png);
+    interlaced[28] = 1; // IHDR interlace method
+    expect(readImageInfo(interlaced, MIME_TYPES.PNG).decodable).toBe(false);
+    expect(() => decodePng(interlaced)).toThrow(expect.objectContaining({ code: IMAGE_ERROR_CODES.UNSUPPORTED }));
+
+    const huge = Buffer.from(png);
+    huge.writeUInt32BE(100000, 16); // IHDR width
+    huge.writeUInt32BE(100000, 20); // IHDR height
+    expect(() => decodeImage(huge, MIME_TYPES.PNG)).toThrow(expect.objectContaining({ code: IMAGE_ERROR_CODES.TOO_LARGE }));
+  });
+
+  test('should decode images the size of a phone photo but refuse larger ones before decoding', () => {
+    const png = encodePng({ width: 2, height: 2, data: new Uint8Array(16) });
+    const withSize = (width, height) => {
+      const resized = Buffer.from(png);
+      resized.writeUInt32BE(width, 16); // IHDR width
+      resized.writeUInt32BE(height, 20); // IHDR height
+      return resized;
+    };
+
+    // 12 MP passes the size check, then fails to decode as its pixel data is missing
+    expect(() => decodeImage(withSize(4032, 3024), MIME_TYPES.PNG)).toThrow(expect.objectContaining({ code: IMAGE_ERROR_CODES.INVALID }));
+    expect(() => decodeImage(withSize(5000, 4000), MIME_TYPES.PNG)).toThrow(expect.objectContaining({
+      code: IMAGE_ERROR_CODES.TOO_LARGE,
+      message: 'The image is larger than 13 megapixels',
+    }));
+  });
+
+  test('should decode baseline JPEG images', () => {
+    const image = decodeJpeg(JPEG_FIXTURE);
+
+    expect(image.width).toBe(16);
+    expect(image.height).toBe(8);
+    expect(image.orientation).toBe(1);
+    expect(isNear(pixel(image, 2, 4), RED)).toBe(true);
+    expect(isNear(pixel(image, 13, 4), BLUE)).toBe(true);
+    expect(pixel(image, 0, 0)[3]).toBe(255);
+
+    expect(() => decodeJpeg(JPEG_FIXTURE.subarray(0, 300))).toThrow(expect.objectContaining({ isImageError: true }));
+  });
+
+  test('should refuse JPEG images with truncated segments', () => {
+    const invalid = expect.objectContaining({ code: IMAGE_ERROR_CODES.INVALID, message: 'The JPEG image has a truncated segment' });
+
+    // The second quantization table claims 16-bit values, twice the bytes its segment holds
+    const wideTable = Buffer.from(JPEG_FIXTURE);
+    wideTable[71] = 0x11;
+    expect(() => decodeJpeg(wideTable)).toThrow(invalid);
+
+    // A frame header cut short
+    const shortFrame = Buffer.from(JPEG_FIXTURE);
+    shortFrame.writeUInt16BE(6, 138);
+    expect(() => readImageInfo(shortFrame, MIME_TYPES.JPEG)).toThrow(invalid);
+    expect(() => decodeJpeg(shortFrame)).toThrow(invalid);
+
+    // A frame header listing more components than it holds
+    const missingComponents = Buffer.from(JPEG_FIXTURE);
+    missingComponents[145] = 9;
+    expect(() => decodeJpeg(missingComponents)).toThrow(invalid);
+
+    expect(inspectDocument(DOCUMENT_TYPES.FRONT, wideTable).error.code).toBe(IMAGE_ERROR_CODES.INVALID);
+  });
+
+  test('should refuse JPEG images with corrupted markers', () => {
+    const corrupt = Buffer.from(JPEG_FIXTURE);
+    corrupt[136] = 0x00; // Start of the frame header's marker
+    const invalid = expect.objectContaining({ code: IMAGE_ERROR_CODES.INVALID, message: 'The JPEG image is corrupt' });
+
+    expect(() => readImageInfo(corrupt, MIME_TYPES.JPEG)).toThrow(invalid);
+    expect(() => decodeJpeg(corrupt)).toThrow(invalid);
+    expect(inspectDocument(DOCUMENT_TYPES.FRONT, corrupt).error.code).toBe(IMAGE_ERROR_CODES.INVALID);
+  });
+
+  test('should turn images upright by their EXIF orientation', () => {
+    const rotated = withOrientation(JPEG_FIXTURE, 6);
+
+    // Orientation 6 is a quarter turn clockwise, so the size as displayed is swapped
+    expect(readImageInfo(rotated, MIME_TYPES.JPEG)).toEqual(expect.objectContaining({ width: 8, height: 16, orientation: 6 }));
+
+    const image = decodeImage(rotated, MIME_TYPES.JPEG);
+    const upright = applyOrientation(image, image.orientation);
+    expect(upright.width).toBe(8);
+    expect(upright.height).toBe(16);
+    expect(isNear(pixel(upright, 4, 2), RED)).toBe(true);
+    expect(isNear(pixel(upright, 4, 13), BLUE)).toBe(true);
+
+    const mirrored = applyOrientation(image, 2);
+    expect(isNear(pixel(mirrored, 2, 4), BLUE)).toBe(true);
+  });
+
+  test('should scale images down by averaging, laying transparency on white', () => {
+    const image = decodeJpeg(JPEG_FIXTURE);
+    const small = resize(image, 4);
+
+    expect([small.width, small.height]).toEqual([4, 2]);
+    expect(isNear(pixel(small, 0, 0), RED)).toBe(true);
+    expect(isNear(pixel(small, 3, 1), BLUE)).toBe(true);
+
+    const transparent = { width: 2, height: 1, data: Uint8Array.from([0, 0, 0, 0, 0, 0, 0, 255]) };
+    expect(resize(transparent, 2).data).toEqual(Uint8Array.from([255, 255, 255, 255, 0, 0, 0, 255]));
+  });
+
+  test('should inspect uploaded documents before they are stored', () => {
+    // Readable, but far too small to review
+    const inspected = inspectDocument(DOCUMENT_TYPES.FRONT, JPEG_FIXTURE);
+    expect(inspected.error.code).toBe(IMAGE_QUALITY);
+    expect(inspected.error.issues.map((issue) => issue.code)).toContain(QUALITY_ISSUES.LOW_RESOLUTION);
+
+    expect(inspectDocument(DOCUMENT_TYPES.ADDRESS_PROOF, Buffer.from('%PDF-1.7\n'))).toEqual({
+      mimeType: MIME_TYPES.PDF,
+      width: null,
+      height: null,
+      thumbnail: null,
+    });
+
+    expect(inspectDocument(DOCUMENT_TYPES.SELFIE, Buffer.from('%PDF-1.7\n')).error.code).toBe('UNSUPPORTED_FILE_TYPE');
+    expect(inspectDocument(DOCUMENT_TYPES.FRONT, JPEG_FIXTURE.subarray(0, 300)).error).toEqual({
+      code: IMAGE_ERROR_CODES.INVALID,
+      message: 'The image could not be read. Please upload it again or choose another file.',
+    });
+  });
+});
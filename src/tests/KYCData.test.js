@@ -0,0 +1,95 @@
+/**
+ * KYCData.test.js
+ * Unit tests for the shape of the KYC data responses, with the KYC model's reads stubbed
+ *
+ * @jest-environment node
+ */
+
+const KYCModelDB = require('../../db/models/KYCModel');
+const APIServiceDB = require('../../api/APIService_DB');
+const APIService = require('../../api/APIService');
+
+const RECORD = {
+  id: 'kyc-1',
+  customer_id: 'customer-1',
+  pan: 'ABCPS1234F',
+  govID: 'K1234567',
+  gov_id_type: 'Passport',
+  aadhaarNumber: '234567890124',
+  date_of_birth: '1990-01-01',
+  nationality: 'Indian',
+  kyc_address: '12 MG Road',
+  city: 'Bengaluru',
+  state: 'Karnataka',
+  postal_code: '560001',
+  country: 'India',
+  occupation: 'Engineer',
+  verification_status: 'pending',
+  created_at: '2026-10-19T10:00:00.000Z',
+};
+
+describe('KYC data responses', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should mask the identifiers by ID', async () => {
+    jest.spyOn(KYCModelDB, 'getById').mockResolvedValue(RECORD);
+
+    const response = await APIServiceDB.getKYCData(RECORD.id);
+
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual(expect.objectContaining({
+      kycId: 'kyc-1',
+      pan: 'XXXXXX234F',
+      govID: 'XXXX4567',
+      govIDType: 'Passport',
+      aadhaarNumber: 'XXXX-XXXX-0124',
+    }));
+    expect(JSON.stringify(response)).not.toContain(RECORD.govID);
+    expect(JSON.stringify(response)).not.toContain(RECORD.aadhaarNumber);
+  });
+
+  test('should mask the identifiers of an updated record', async () => {
+    jest.spyOn(KYCModelDB, 'getById').mockResolvedValue(RECORD);
+
+    const response = await APIServiceDB.updateKYCData(RECORD.id, { occupation: 'Architect' });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual(expect.objectContaining({ pan: 'XXXXXX234F', govID: 'XXXX4567', aadhaarNumber: 'XXXX-XXXX-0124' }));
+    [RECORD.pan, RECORD.govID, RECORD.aadhaarNumber].forEach((value) => {
+      expect(JSON.stringify(response)).not.toContain(value);
+    });
+  });
+
+  test('should mask an Aadhaar government ID as Aadhaar by customer', async () => {
+    jest.spyOn(KYCModelDB, 'getByCustomerId').mockResolvedValue({ ...RECORD, govID: '2345 6789 0124', gov_id_type: 'Aadhaar' });
+
+    const response = await APIServiceDB.getKYCDataByCustomer(RECORD.customer_id);
+
+    expect(response.status).toBe(200);
+    expect(response.data).toHaveLength(1);
+    expect(response.data[0]).toEqual(expect.objectContaining({ govID: 'XXXX-XXXX-0124', govIDType: 'Aadhaar' }));
+    expect(response.data[0]).not.toHaveProperty('aadhaarNumber');
+  });
+
+  test('should mask the identifiers in the in-memory service as in the database service', async () => {
+    const kyc = {
+      govID: 'DL0420110012345',
+      kycAddress: '12 MG Road, Bengaluru',
+      kycDob: '1990-05-15',
+      pan: 'ABCPS1234F',
+      aadhaarNumber: '234567890124',
+    };
+    const submitted = await APIService.submitKYCData(kyc, 'customer-2');
+    expect(submitted.status).toBe(201);
+
+    const response = await APIService.getKYCData(submitted.data.kycId);
+
+    expect(response.data).toEqual(expect.objectContaining({
+      pan: 'XXXXXX234F',
+      govID: 'XXXXXXXXXXX2345',
+      aadhaarNumber: 'XXXX-XXXX-0124',
+    }));
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Markets.test.js
+ * Unit tests for market settings and market-aware address validation
+ */
+
+const {
+  DEFAULT_MARKET,
+  getMarket,
+  isMarketState,
+  isMarketIncomeBand,
+} = require('../shared/locale/Markets');
+const {
+  ADDRESS_ERROR_CODES,
+  validateAddress,
+} = require('../shared/validation/AddressValidator');
+
+describe('Markets', () => {
+  test('should default to the India market', () => {
+    expect(DEFAULT_MARKET).toBe('IN');
+    expect(getMarket().code).toBe('IN');
+    expect(getMarket('us').code).toBe('US');
+  });
+
+  test('should reject unknown markets', () => {
+    expect(() => getMarket('XX')).toThrow('Unknown market');
+  });
+
+  test('should offer all states and union territories in the India market', () => {
+    const india = getMarket('IN');
+    expect(india.states).toHaveLength(36);
+    expect(isMarketState(india, 'ka')).toBe(true);
+    expect(isMarketState(india, 'NY')).toBe(false);
+  });
+
+  test('should use INR income bands in the India market and USD bands in the US market', () => {
+    expect(getMarket('IN').currency).toBe('INR');
+    expect(isMarketIncomeBand(getMarket('IN'), 'below-3l')).toBe(true);
+    expect(isMarketIncomeBand(getMarket('US'), 'below-3l')).toBe(false);
+    expect(isMarketIncomeBand(getMarket('US'), '150k+')).toBe(true);
+  });
+
+  describe('Address validation', () => {
+    const address = {
+      type: 'residential',
+      addressLine1: '12 MG Road',
+      city: 'Bengaluru',
+      state: 'KA',
+      postalCode: '560001',
+    };
+
+    test('should accept an Indian address in the India market', () => {
+      expect(validateAddress(address, getMarket('IN'))).toBeNull();
+    });
+
+    test('should reject a state outside the market', () => {
+      const error = validateAddress({ ...address, state: 'NY' }, getMarket('IN'));
+      expect(error.code).toBe(ADDRESS_ERROR_CODES.STATE_INVALID);
+    });
+
+    test('should reject a postal code in the wrong format for the market', () => {
+      const error = validateAddress({ ...address, state: 'NY', postalCode: '560001X' }, getMarket('US'));
+      expect(error.code).toBe(ADDRESS_ERROR_CODES.POSTAL_CODE_INVALID);
+      expect(error.message).toContain('zip code');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * NameMatching.test.js
+ * Unit tests for the fuzzy name matching used by watchlist screening
+ */
+
+const {
+  normalizeName,
+  phoneticKey,
+  nameKeys,
+  editDistance,
+  tokenSimilarity,
+  nameSimilarity,
+} = require('../shared/screening/NameMatching');
+
+describe('Name Matching', () => {
+  test('should normalize accents, punctuation, case and titles', () => {
+    expect(normalizeName("Dr. José O'Neil")).toBe('jose oneil');
+    expect(normalizeName('  ABU-BAKR   al  Baghdadi ')).toBe('abu bakr al baghdadi');
+    expect(normalizeName(null)).toBe('');
+  });
+
+  test('should give transliterations of a name the same phonetic key', () => {
+    expect(phoneticKey('mohammed')).toBe('5530');
+    expect(phoneticKey('muhammad')).toBe('5530');
+    expect(phoneticKey('mohamad')).toBe('5530');
+    expect(phoneticKey('katherine')).toBe(phoneticKey('catherine'));
+    expect(phoneticKey('usama')).toBe(phoneticKey('osama'));
+    expect(phoneticKey('smith')).not.toBe(phoneticKey('jones'));
+  });
+
+  test('should collect the distinct keys of every name, without initials', () => {
+    expect(nameKeys(['Mohammed A Khan', 'Muhammad Khan'])).toEqual(['5530', '2500']);
+  });
+
+  test('should count edits, including transposed letters', () => {
+    expect(editDistance('smith', 'smith')).toBe(0);
+    expect(editDistance('smith', 'smyth')).toBe(1);
+    expect(editDistance('hussein', 'husein')).toBe(1);
+    expect(editDistance('ahmed', 'ahemd')).toBe(1);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+
+  test('should score alike tokens highly and different ones low', () => {
+    expect(tokenSimilarity('smith', 'smith')).toBe(1);
+    expect(tokenSimilarity('mohammed', 'muhammad')).toBe(0.85);
+    expect(tokenSimilarity('j', 'john')).toBe(0.75);
+    expect(tokenSimilarity('smith', 'jones')).toBeLessThan(0.3);
+  });
+
+  test('should match names whatever their token order or a missing middle name', () => {
+    expect(nameSimilarity('John Smith', 'SMITH, John')).toBe(1);
+    expect(nameSimilarity('John Smith', 'John Michael Smith')).toBeGreaterThan(0.9);
+    expect(nameSimilarity('Mohammed Hussein', 'Muhammad Husein')).toBeGreaterThan(0.85);
+  });
+
+  test('should not match unrelated names', () => {
+    expect(nameSimilarity('Priya Sharma', 'John Smith')).toBeLessThan(0.5);
+    expect(nameSimilarity('', 'John Smith')).toBe(0);
+  });
+});
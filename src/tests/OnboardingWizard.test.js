@@ -0,0 +1,213 @@
+/**
+ * OnboardingWizard.test.js
+ * Unit tests for the onboarding wizard's step guards and saved progress
+ */
+
+import OnboardingWizard, { STEPS, WIZARD_STORAGE_KEY } from '../services/OnboardingWizard';
+
+const personal = {
+  firstName: 'Priya',
+  lastName: 'Sharma',
+  email: 'priya.sharma@example.com',
+  phone: '+91 98765 43210',
+  dateOfBirth: '1990-05-15',
+};
+
+const address = {
+  address: '12 MG Road',
+  city: 'Bengaluru',
+  state: 'KA',
+  zipCode: '560001',
+  sameAsKyc: true,
+};
+
+const employment = {
+  employmentStatus: 'salaried',
+  income: '5-10l',
+};
+
+const kyc = {
+  govID: 'DL0420110012345',
+  kycAddress: '12 MG Road, Bengaluru',
+  kycDob: '1990-05-15',
+  pan: 'ABCPS1234F',
+  aadhaarNumber: '234567890124',
+};
+
+/**
+ * Wizard state with the given values and completed steps
+ */
+const stateWith = (values, completed, extra = {}) => {
+  const initial = OnboardingWizard.initialState();
+  return { ...initial, values: { ...initial.values, ...values }, completed, ...extra };
+};
+
+const ALL_VALUES = { ...personal, ...address, ...employment, ...kyc };
+const BEFORE_REVIEW = ['personal', 'address', 'employment', 'kyc', 'documents'];
+
+describe('Onboarding Wizard', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+  });
+
+  describe('Steps', () => {
+    test('should list the wizard steps in order', () => {
+      expect(STEPS.map((step) => step.id)).toEqual([
+        'personal', 'address', 'employment', 'kyc', 'documents', 'review', 'submit',
+      ]);
+    });
+
+    test('should validate only the fields of a step', () => {
+      const step = OnboardingWizard.getStep('personal');
+      expect(OnboardingWizard.validateStep(step, personal)).toEqual({});
+      expect(Object.keys(OnboardingWizard.validateStep(OnboardingWizard.getStep('address'), personal)))
+        .toEqual(['address', 'city', 'state', 'zipCode']);
+    });
+
+    test('should check the PAN against the last name from the personal details', () => {
+      const step = OnboardingWizard.getStep('kyc');
+      const errors = OnboardingWizard.validateStep(step, { ...personal, ...kyc, lastName: 'Kumar' });
+      expect(Object.keys(errors)).toEqual(['pan']);
+    });
+
+    test('should find the step that shows a field', () => {
+      expect(OnboardingWizard.stepForField('zipCode')).toBe('address');
+      expect(OnboardingWizard.stepForField('pan')).toBe('kyc');
+      expect(OnboardingWizard.stepForField('unknown')).toBeNull();
+    });
+  });
+
+  describe('Guards', () => {
+    test('should start a new application at the first step', () => {
+      const state = OnboardingWizard.initialState();
+      expect(OnboardingWizard.firstIncompleteStep(state)).toBe('personal');
+      expect(OnboardingWizard.canVisit('personal', state)).toBe(true);
+      expect(OnboardingWizard.canVisit('address', state)).toBe(false);
+    });
+
+    test('should redirect to the first incomplete step', () => {
+      const state = stateWith({ ...personal, ...address }, ['personal', 'address']);
+      expect(OnboardingWizard.firstIncompleteStep(state)).toBe('employment');
+      expect(OnboardingWizard.canVisit('address', state)).toBe(true);
+      expect(OnboardingWizard.canVisit('employment', state)).toBe(true);
+      expect(OnboardingWizard.canVisit('review', state)).toBe(false);
+    });
+
+    test('should treat completed steps that are no longer valid as incomplete', () => {
+      const state = stateWith({ ...ALL_VALUES, email: 'not-an-email' }, BEFORE_REVIEW);
+      expect(OnboardingWizard.firstIncompleteStep(state)).toBe('personal');
+      expect(OnboardingWizard.canVisit('kyc', state)).toBe(false);
+    });
+
+    test('should open the review step once every earlier step is complete', () => {
+      const state = stateWith(ALL_VALUES, BEFORE_REVIEW);
+      expect(OnboardingWizard.firstIncompleteStep(state)).toBe('review');
+      expect(OnboardingWizard.canVisit('review', state)).toBe(true);
+      expect(OnboardingWizard.canVisit('submit', state)).toBe(false);
+    });
+
+    test('should only show the submit step after submission', () => {
+      const state = stateWith(ALL_VALUES, BEFORE_REVIEW, { submission: { customerId: 'abc' } });
+      expect(OnboardingWizard.firstIncompleteStep(state)).toBe('submit');
+      expect(OnboardingWizard.canVisit('submit', state)).toBe(true);
+      expect(OnboardingWizard.canVisit('personal', state)).toBe(false);
+    });
+
+    test('should reject unknown steps', () => {
+      expect(OnboardingWizard.getStep('payment')).toBeNull();
+      expect(OnboardingWizard.canVisit('payment', OnboardingWizard.initialState())).toBe(false);
+    });
+  });
+
+  describe('Saved progress', () => {
+    test('should restore saved values and completed steps', () => {
+      OnboardingWizard.saveState(stateWith({ ...personal, ...address }, ['personal', 'address'], { consent: true }));
+
+      const restored = OnboardingWizard.loadState();
+      expect(restored.values.firstName).toBe('Priya');
+      expect(restored.values.sameAsKyc).toBe(true);
+      expect(restored.completed).toEqual(['personal', 'address']);
+      expect(restored.consent).toBe(true);
+      expect(OnboardingWizard.firstIncompleteStep(restored)).toBe('employment');
+    });
+
+    test('should not store sensitive identifiers', () => {
+      OnboardingWizard.saveState(stateWith(ALL_VALUES, BEFORE_REVIEW));
+
+      const stored = sessionStorage.getItem(WIZARD_STORAGE_KEY);
+      expect(stored).not.toContain(kyc.pan);
+      expect(stored).not.toContain(kyc.aadhaarNumber);
+      expect(stored).not.toContain(kyc.govID);
+      expect(stored).toContain(kyc.kycAddress);
+
+      // The KYC step has to be filled in again after a reload
+      expect(OnboardingWizard.firstIncompleteStep(OnboardingWizard.loadState())).toBe('kyc');
+    });
+
+    test('should start over when nothing or something unreadable is saved', () => {
+      expect(OnboardingWizard.loadState()).toEqual(OnboardingWizard.initialState());
+
+      sessionStorage.setItem(WIZARD_STORAGE_KEY, '{not json');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(OnboardingWizard.loadState()).toEqual(OnboardingWizard.initialState());
+      console.error.mockRestore();
+    });
+
+    test('should keep the saved draft across reloads', () => {
+      const draft = { id: 'draft-1', token: 'token-1', expiresAt: '2026-11-18T10:00:00.000Z', savedAt: '2026-10-19T10:00:00.000Z' };
+      OnboardingWizard.saveState(stateWith(personal, ['personal'], { draft }));
+      expect(OnboardingWizard.loadState().draft).toEqual(draft);
+    });
+
+    test('should forget the application when cleared', () => {
+      OnboardingWizard.saveState(stateWith(personal, ['personal']));
+      OnboardingWizard.clearState();
+      expect(sessionStorage.getItem(WIZARD_STORAGE_KEY)).toBeNull();
+    });
+  });
+
+  describe('Drafts', () => {
+    const saved = { id: '6f1c2b9e-8d3a-4c5f-9e2b-1a7d4c3b5e6f', token: 'resume.token' };
+
+    test('should save the values and completed steps', () => {
+      const state = stateWith(personal, ['personal'], { consent: true });
+      expect(OnboardingWizard.toDraftData(state)).toEqual({
+        values: state.values,
+        completedSteps: ['personal'],
+      });
+    });
+
+    test('should resume a draft at its first incomplete step', () => {
+      const state = OnboardingWizard.resumeState({
+        values: { ...personal, ...address },
+        completedSteps: ['personal', 'address'],
+        expiresAt: '2026-11-18T10:00:00.000Z',
+        updatedAt: '2026-10-19T10:00:00.000Z',
+      }, saved);
+
+      expect(state.values.firstName).toBe('Priya');
+      expect(state.values.income).toBe('');
+      expect(state.consent).toBe(false);
+      expect(state.draft).toEqual({ ...saved, expiresAt: '2026-11-18T10:00:00.000Z', savedAt: '2026-10-19T10:00:00.000Z' });
+      expect(OnboardingWizard.firstIncompleteStep(state)).toBe('employment');
+    });
+
+    test('should restore only the sensitive fields the browser left out', () => {
+      OnboardingWizard.saveState(stateWith(ALL_VALUES, BEFORE_REVIEW));
+      const reloaded = OnboardingWizard.loadState();
+      reloaded.values.govID = 'P1234567';
+
+      const restored = OnboardingWizard.withSensitiveValues(reloaded, { ...ALL_VALUES, email: 'old@example.com' });
+      expect(restored.values.pan).toBe(kyc.pan);
+      expect(restored.values.aadhaarNumber).toBe(kyc.aadhaarNumber);
+      expect(restored.values.govID).toBe('P1234567');
+      expect(restored.values.email).toBe(personal.email);
+      expect(OnboardingWizard.firstIncompleteStep(restored)).toBe('review');
+    });
+
+    test('should build the resume link from the draft ID and token', () => {
+      expect(OnboardingWizard.getResumeLink(saved))
+        .toBe(`${window.location.origin}/resume/${saved.id}?token=resume.token`);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * PANValidator.test.js
+ * Unit tests for PAN structural validation shared by the form and the API
+ */
+
+const {
+  PAN_ERROR_CODES,
+  normalizePAN,
+  validatePAN,
+  isValidPAN,
+} = require('../shared/validation/PANValidator');
+
+describe('PAN Validator', () => {
+  describe('Grammar', () => {
+    test('should accept a well-formed individual PAN', () => {
+      expect(validatePAN('ABCPS1234K')).toBeNull();
+    });
+
+    test('should normalize case and surrounding whitespace', () => {
+      expect(normalizePAN('  abcps1234k ')).toBe('ABCPS1234K');
+      expect(validatePAN('  abcps1234k ')).toBeNull();
+    });
+
+    test('should reject empty values', () => {
+      expect(validatePAN('').code).toBe(PAN_ERROR_CODES.REQUIRED);
+      expect(validatePAN(null).code).toBe(PAN_ERROR_CODES.REQUIRED);
+    });
+
+    test.each([
+      ['1234567890'],
+      ['ABCD1234EF'],
+      ['ABCPS12345'],
+      ['ABCPS1234'],
+      ['ABCPS1234KK'],
+      ['ABC-S1234K'],
+    ])('should reject %s as malformed', (pan) => {
+      expect(validatePAN(pan).code).toBe(PAN_ERROR_CODES.INVALID_FORMAT);
+    });
+  });
+
+  describe('Holder type', () => {
+    test.each(['P', 'C', 'H', 'F', 'A', 'T', 'B', 'L', 'J', 'G'])('should accept holder type %s', (type) => {
+      expect(isValidPAN(`ABC${type}S1234K`)).toBe(true);
+    });
+
+    test('should reject an unknown holder type', () => {
+      expect(validatePAN('ABCXS1234K').code).toBe(PAN_ERROR_CODES.INVALID_HOLDER_TYPE);
+    });
+  });
+
+  describe('Last name initial', () => {
+    test('should accept an individual PAN matching the last name initial', () => {
+      expect(validatePAN('ABCPS1234K', { lastName: 'sharma' })).toBeNull();
+    });
+
+    test('should ignore leading punctuation in the last name', () => {
+      expect(validatePAN('ABCPD1234K', { lastName: "'D'Souza" })).toBeNull();
+    });
+
+    test('should reject an individual PAN that does not match', () => {
+      const error = validatePAN('ABCPS1234K', { lastName: 'Kumar' });
+      expect(error.code).toBe(PAN_ERROR_CODES.NAME_MISMATCH);
+      expect(error.message).toContain('last name');
+    });
+
+    test('should not compare non-individual PANs with a person\'s name', () => {
+      expect(validatePAN('ABCCS1234K', { lastName: 'Kumar' })).toBeNull();
+    });
+
+    test('should skip the check when no last name is known', () => {
+      expect(validatePAN('ABCPS1234K', {})).toBeNull();
+    });
+  });
+});
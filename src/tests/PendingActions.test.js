@@ -0,0 +1,65 @@
+/**
+ * PendingActions.test.js
+ * Unit tests for the maker-checker rules
+ */
+
+const {
+  ACTION_TYPES,
+  ACTION_STATUSES,
+  requiresApproval,
+  checkApprover,
+} = require('../shared/review/PendingActions');
+
+const MAKER = { id: 'maker-1', role: 'reviewer' };
+const SUPERVISOR = { id: 'checker-1', role: 'supervisor' };
+
+const kycProposal = (overrides = {}) => Object.assign({
+  actionType: ACTION_TYPES.KYC_DECISION,
+  status: ACTION_STATUSES.PENDING,
+  makerId: MAKER.id,
+}, overrides);
+
+describe('Maker-Checker Rules', () => {
+  test('should require approval for KYC decisions only', () => {
+    expect(requiresApproval(ACTION_TYPES.KYC_DECISION, { status: 'verified' })).toBe(true);
+    expect(requiresApproval(ACTION_TYPES.KYC_DECISION, { status: 'rejected' })).toBe(true);
+    expect(requiresApproval(ACTION_TYPES.KYC_DECISION, { status: 'pending' })).toBe(false);
+    expect(requiresApproval(ACTION_TYPES.KYC_DECISION, { status: 'expired' })).toBe(false);
+  });
+
+  test('should require approval for approving a customer only', () => {
+    expect(requiresApproval(ACTION_TYPES.CUSTOMER_STATUS, { status: 'approved' })).toBe(true);
+    expect(requiresApproval(ACTION_TYPES.CUSTOMER_STATUS, { status: 'rejected' })).toBe(false);
+    expect(requiresApproval('unknown', { status: 'approved' })).toBe(false);
+  });
+
+  test('should require approval for approving or declining an application only', () => {
+    expect(requiresApproval(ACTION_TYPES.APPLICATION_STATUS, { status: 'approved' })).toBe(true);
+    expect(requiresApproval(ACTION_TYPES.APPLICATION_STATUS, { status: 'declined' })).toBe(true);
+    expect(requiresApproval(ACTION_TYPES.APPLICATION_STATUS, { status: 'withdrawn' })).toBe(false);
+    expect(requiresApproval(ACTION_TYPES.APPLICATION_STATUS, { status: 'card_issued' })).toBe(false);
+    expect(checkApprover(kycProposal({ actionType: ACTION_TYPES.APPLICATION_STATUS }), MAKER).code).toBe('SELF_APPROVAL');
+    expect(checkApprover(kycProposal({ actionType: ACTION_TYPES.APPLICATION_STATUS }), SUPERVISOR)).toBeNull();
+  });
+
+  test('should let a supervisor other than the maker check a proposal', () => {
+    expect(checkApprover(kycProposal(), SUPERVISOR)).toBeNull();
+    expect(checkApprover(kycProposal(), { id: 'admin-1', role: 'admin' })).toBeNull();
+  });
+
+  test('should refuse self-approval, whatever the role', () => {
+    expect(checkApprover(kycProposal(), MAKER).code).toBe('SELF_APPROVAL');
+    expect(checkApprover(kycProposal({ makerId: SUPERVISOR.id }), SUPERVISOR).code).toBe('SELF_APPROVAL');
+  });
+
+  test('should refuse checkers without a checker role', () => {
+    const refusal = checkApprover(kycProposal(), { id: 'reviewer-2', role: 'reviewer' });
+    expect(refusal.code).toBe('ROLE_NOT_ALLOWED');
+    expect(refusal.message).toBe('Only supervisor or admin users can check this change');
+  });
+
+  test('should refuse a proposal that has already been decided', () => {
+    expect(checkApprover(kycProposal({ status: ACTION_STATUSES.APPROVED }), SUPERVISOR))
+      .toEqual({ code: 'ACTION_CLOSED', message: 'This change has already been approved' });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * PinCodeDirectory.test.js
+ * Unit tests for the offline PIN code lookup and the list of Indian states
+ */
+
+const {
+  isValidPinCode,
+  lookupPinCode,
+} = require('../shared/locale/PinCodeDirectory');
+const {
+  REGION_TYPES,
+  INDIAN_STATES,
+  findStateByName,
+} = require('../shared/locale/IndianStates');
+const directory = require('../shared/locale/data/pinCodes.json');
+
+describe('PIN Code Directory', () => {
+  describe('States and Union Territories', () => {
+    test('should list 28 states and 8 union territories', () => {
+      const states = INDIAN_STATES.filter((state) => state.type === REGION_TYPES.STATE);
+      const territories = INDIAN_STATES.filter((state) => state.type === REGION_TYPES.UNION_TERRITORY);
+      expect(states).toHaveLength(28);
+      expect(territories).toHaveLength(8);
+      expect(new Set(INDIAN_STATES.map((state) => state.code)).size).toBe(36);
+    });
+
+    test('should find states by name regardless of case and "&"', () => {
+      expect(findStateByName('JAMMU & KASHMIR').code).toBe('JK');
+      expect(findStateByName('tamil nadu').code).toBe('TN');
+      expect(findStateByName('Atlantis')).toBeNull();
+    });
+  });
+
+  describe('Validation', () => {
+    test('should accept 6-digit PIN codes with or without a space', () => {
+      expect(isValidPinCode('560001')).toBe(true);
+      expect(isValidPinCode('560 001')).toBe(true);
+    });
+
+    test.each([['056001'], ['56001'], ['5600011'], [''], [null]])('should reject %s', (pin) => {
+      expect(isValidPinCode(pin)).toBe(false);
+    });
+  });
+
+  describe('Lookup', () => {
+    test('should resolve bundled PIN codes to district and state', () => {
+      expect(lookupPinCode('560001')).toEqual({
+        pinCode: '560001',
+        district: 'Bengaluru Urban',
+        state: 'KA',
+        stateName: 'Karnataka',
+        exact: true,
+      });
+    });
+
+    test('should resolve other PIN codes to a state from their prefix', () => {
+      const match = lookupPinCode('411038');
+      expect(match.state).toBe('MH');
+      expect(match.district).toBeNull();
+      expect(match.exact).toBe(false);
+    });
+
+    test('should prefer longer prefixes where a postal circle spans states', () => {
+      expect(lookupPinCode('403501').state).toBe('GA');
+      expect(lookupPinCode('248171').state).toBe('UK');
+      expect(lookupPinCode('796012').state).toBe('MZ');
+    });
+
+    test.each([
+      ['160002', 'CH'],
+      ['160062', 'PB'],
+      ['605002', 'PY'],
+      ['609602', 'PY'],
+      ['673310', 'PY'],
+      ['396210', 'DH'],
+      ['362520', 'DH'],
+      ['396001', 'GJ'],
+      ['682553', 'LD'],
+      ['682030', 'KL'],
+    ])('should resolve %s, outside the bundled dataset, to %s', (pin, state) => {
+      expect(lookupPinCode(pin)).toEqual(expect.objectContaining({ state, exact: false }));
+    });
+
+    test('should return null for invalid or unassigned PIN codes', () => {
+      expect(lookupPinCode('12345')).toBeNull();
+      expect(lookupPinCode('990001')).toBeNull();
+    });
+
+    test('should only reference known state codes in the bundled dataset', () => {
+      Object.values(directory.pinCodes).forEach(([district, state]) => {
+        expect(district).toBeTruthy();
+        expect(INDIAN_STATES.map((entry) => entry.code)).toContain(state);
+      });
+    });
+  });
+});
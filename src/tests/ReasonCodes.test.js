@@ -0,0 +1,48 @@
+/**
+ * ReasonCodes.test.js
+ * Unit tests for the reason codes reviewers give with KYC decisions
+ */
+
+const {
+  REVIEW_DECISIONS,
+  isReviewDecision,
+  getReasonCodes,
+  isValidReasonCode,
+  getReasonLabel,
+} = require('../shared/review/ReasonCodes');
+
+describe('Review Reason Codes', () => {
+  test('should treat only verified and rejected as decisions', () => {
+    expect(isReviewDecision(REVIEW_DECISIONS.VERIFIED)).toBe(true);
+    expect(isReviewDecision(REVIEW_DECISIONS.REJECTED)).toBe(true);
+    expect(isReviewDecision('pending')).toBe(false);
+    expect(isReviewDecision('expired')).toBe(false);
+    expect(isReviewDecision('toString')).toBe(false);
+  });
+
+  test('should list the reason codes of each decision', () => {
+    expect(getReasonCodes('verified').map((reason) => reason.code))
+      .toEqual(['DOCUMENTS_MATCH', 'RECORDS_CONFIRMED', 'PEP_CLEARED']);
+    expect(getReasonCodes('rejected').map((reason) => reason.code)).toContain('SUSPECTED_FRAUD');
+    expect(getReasonCodes('pending')).toEqual([]);
+  });
+
+  test('should return a copy of the reason codes', () => {
+    getReasonCodes('verified').pop();
+    expect(getReasonCodes('verified')).toHaveLength(3);
+  });
+
+  test('should accept a reason code only for its own decision', () => {
+    expect(isValidReasonCode('verified', 'DOCUMENTS_MATCH')).toBe(true);
+    expect(isValidReasonCode('rejected', 'DOCUMENTS_MATCH')).toBe(false);
+    expect(isValidReasonCode('rejected', 'DOCUMENT_EXPIRED')).toBe(true);
+    expect(isValidReasonCode('verified', undefined)).toBe(false);
+    expect(isValidReasonCode('expired', 'DOCUMENT_EXPIRED')).toBe(false);
+  });
+
+  test('should label reason codes of either decision', () => {
+    expect(getReasonLabel('PEP_CLEARED')).toBe('Politically exposed person, cleared after enhanced checks');
+    expect(getReasonLabel('IDENTITY_MISMATCH')).toBe('Identity details do not match the documents');
+    expect(getReasonLabel('UNKNOWN')).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * ResumeToken.test.js
+ * Unit tests for the resume tokens that open a saved application draft
+ *
+ * @jest-environment node
+ */
+
+const AuthService = require('../../api/AuthService');
+const { requireResumeToken, resumeTokenForBody } = require('../../api/middleware/auth');
+
+const DRAFT_ID = '6f1c2b9e-8d3a-4c5f-9e2b-1a7d4c3b5e6f';
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+/**
+ * Run the middleware against a request and capture the outcome
+ */
+const runMiddleware = (middleware, { token, draftId = DRAFT_ID, body = {} }) => {
+  const req = {
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    params: { id: draftId },
+    body,
+  };
+  const outcome = { status: null, body: null, nextCalled: false };
+  const res = {
+    status: (code) => {
+      outcome.status = code;
+      return res;
+    },
+    json: (body) => {
+      outcome.body = body;
+      return res;
+    },
+  };
+  middleware(req, res, () => {
+    outcome.nextCalled = true;
+  });
+  return outcome;
+};
+
+describe('Resume tokens', () => {
+  test('should open the draft it was issued for', () => {
+    const token = AuthService.issueResumeToken(DRAFT_ID, inOneDay());
+    expect(AuthService.verifyResumeToken(token)).toBe(DRAFT_ID);
+  });
+
+  test('should expire with the draft', () => {
+    const token = AuthService.issueResumeToken(DRAFT_ID, new Date(Date.now() - 1000));
+    expect(AuthService.verifyResumeToken(token)).toBeNull();
+  });
+
+  test('should not open a draft with a status token', () => {
+    const statusToken = AuthService.issueStatusToken(DRAFT_ID);
+
+    expect(AuthService.verifyStatusToken(statusToken)).toBe(DRAFT_ID);
+    expect(AuthService.verifyResumeToken(statusToken)).toBeNull();
+    expect(AuthService.verifyToken(statusToken)).toBeNull();
+  });
+
+  test('should not be accepted as a sign-in token, nor the other way round', () => {
+    const resumeToken = AuthService.issueResumeToken(DRAFT_ID, inOneDay());
+    const applicantToken = AuthService.issueApplicantToken(DRAFT_ID);
+
+    expect(AuthService.verifyToken(resumeToken)).toBeNull();
+    expect(AuthService.verifyResumeToken(applicantToken)).toBeNull();
+    expect(AuthService.verifyToken(applicantToken).customerId).toBe(DRAFT_ID);
+  });
+
+  describe('requireResumeToken', () => {
+    const middleware = requireResumeToken('id');
+
+    test('should let the draft\'s own token through', () => {
+      const token = AuthService.issueResumeToken(DRAFT_ID, inOneDay());
+      expect(runMiddleware(middleware, { token }).nextCalled).toBe(true);
+    });
+
+    test('should reject a missing or invalid token', () => {
+      expect(runMiddleware(middleware, {}).status).toBe(401);
+      expect(runMiddleware(middleware, { token: 'not-a-token' }).status).toBe(401);
+    });
+
+    test('should reject the token of another draft', () => {
+      const token = AuthService.issueResumeToken(DRAFT_ID, inOneDay());
+      const outcome = runMiddleware(middleware, { token, draftId: '00000000-0000-4000-8000-000000000001' });
+      expect(outcome.status).toBe(403);
+      expect(outcome.nextCalled).toBe(false);
+    });
+  });
+
+  describe('resumeTokenForBody', () => {
+    const middleware = resumeTokenForBody('applicationId');
+
+    test('should let submissions without a drafted application through', () => {
+      expect(runMiddleware(middleware, {}).nextCalled).toBe(true);
+    });
+
+    test('should require the token of the drafted application being submitted', () => {
+      const token = AuthService.issueResumeToken(DRAFT_ID, inOneDay());
+
+      expect(runMiddleware(middleware, { token, body: { applicationId: DRAFT_ID } }).nextCalled).toBe(true);
+      expect(runMiddleware(middleware, { body: { applicationId: DRAFT_ID } }).status).toBe(401);
+      expect(runMiddleware(middleware, {
+        token,
+        body: { applicationId: '00000000-0000-4000-8000-000000000001' },
+      }).status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * RiskEngine.test.js
+ * Unit tests for the KYC risk rules
+ */
+
+const {
+  DEFAULT_RULES,
+  ageAt,
+  validateRules,
+  getVelocityWindowHours,
+  assessRisk,
+} = require('../shared/risk/RiskEngine');
+
+/**
+ * Facts of a submission no default rule matches
+ */
+const cleanFacts = (overrides = {}) => Object.assign({
+  politicallyExposedPerson: false,
+  nationality: 'Indian',
+  country: 'India',
+  occupation: 'Software engineer',
+  employmentStatus: 'salaried',
+  dateOfBirth: '1990-06-15',
+  annualIncome: '10-25l',
+  accountType: 'individual',
+  kycAddress: { city: 'Bengaluru', state: 'KA', postalCode: '560001' },
+  addresses: [{ type: 'residential', city: 'Bengaluru', state: 'KA', postalCode: '560001' }],
+  submissionsFromIp: 0,
+  submittedAt: '2026-10-01T10:00:00.000Z',
+}, overrides);
+
+const ruleIds = (assessment) => assessment.reasons.map((reason) => reason.rule);
+
+describe('Risk Engine', () => {
+  test('should accept the default rules', () => {
+    expect(validateRules(DEFAULT_RULES)).toBe(DEFAULT_RULES);
+    expect(getVelocityWindowHours()).toBe(24);
+  });
+
+  test('should score a submission no rule matches as low', () => {
+    expect(assessRisk(cleanFacts())).toEqual({
+      score: 0,
+      level: 'low',
+      reasons: [],
+      rulesVersion: DEFAULT_RULES.version,
+    });
+  });
+
+  test('should make a politically exposed person high risk whatever the score', () => {
+    const assessment = assessRisk(cleanFacts({ politicallyExposedPerson: true }));
+    expect(assessment.score).toBe(40);
+    expect(assessment.level).toBe('high');
+    expect(assessment.reasons).toEqual([
+      { rule: 'pep', label: 'Politically exposed person', points: 40, detail: null },
+    ]);
+  });
+
+  test('should match listed countries by name or code, in any case', () => {
+    const byName = assessRisk(cleanFacts({ nationality: 'iran' }));
+    expect(ruleIds(byName)).toEqual(['high_risk_country']);
+    expect(byName.level).toBe('high');
+
+    const byCode = assessRisk(cleanFacts({ country: 'YE' }));
+    expect(byCode.reasons[0]).toMatchObject({ rule: 'monitored_country', detail: 'country of residence YE' });
+    expect(byCode.level).toBe('low');
+  });
+
+  test('should match occupations by employment status or keyword', () => {
+    expect(ruleIds(assessRisk(cleanFacts({ employmentStatus: 'business' })))).toEqual(['self_declared_business']);
+    expect(ruleIds(assessRisk(cleanFacts({ occupation: 'Jewellery wholesaler' })))).toEqual(['cash_intensive_occupation']);
+  });
+
+  test('should score the age at submission against the age bands', () => {
+    expect(ruleIds(assessRisk(cleanFacts({ dateOfBirth: '2006-01-01' })))).toEqual(['young_applicant']);
+    expect(ruleIds(assessRisk(cleanFacts({ dateOfBirth: '1950-01-01' })))).toEqual(['senior_applicant']);
+    expect(ruleIds(assessRisk(cleanFacts({ dateOfBirth: null })))).toEqual([]);
+  });
+
+  test('should flag an income band below the product minimum', () => {
+    const assessment = assessRisk(cleanFacts({ annualIncome: 'below-3l' }));
+    expect(assessment.reasons[0]).toMatchObject({ rule: 'income_below_product', detail: 'below-3l for individual' });
+  });
+
+  test('should flag a KYC address matching none of the customer addresses', () => {
+    const moved = cleanFacts({
+      addresses: [
+        { type: 'residential', city: 'Mumbai', state: 'MH', postalCode: '400001' },
+        { type: 'mailing', city: 'Bengaluru', state: 'KA', postalCode: '560001' },
+      ],
+    });
+    expect(ruleIds(assessRisk(moved))).toEqual(['address_mismatch']);
+
+    const spaced = cleanFacts({ kycAddress: { city: 'Bengaluru', state: 'KA', postalCode: '560 001' } });
+    expect(ruleIds(assessRisk(spaced))).toEqual([]);
+    expect(ruleIds(assessRisk(cleanFacts({ addresses: [] })))).toEqual([]);
+  });
+
+  test('should flag repeated submissions from one IP address at the threshold', () => {
+    expect(ruleIds(assessRisk(cleanFacts({ submissionsFromIp: 1 })))).toEqual([]);
+    const assessment = assessRisk(cleanFacts({ submissionsFromIp: 2 }));
+    expect(assessment.reasons[0]).toMatchObject({ rule: 'ip_velocity', detail: '3 submissions in 24h' });
+  });
+
+  test('should derive the level from the total score', () => {
+    const assessment = assessRisk(cleanFacts({
+      country: 'Syria',
+      occupation: 'Scrap dealer',
+      annualIncome: 'below-3l',
+    }));
+    expect(assessment.score).toBe(55);
+    expect(assessment.level).toBe('high');
+
+    expect(assessRisk(cleanFacts({ submissionsFromIp: 5 })).level).toBe('medium');
+  });
+
+  test('should score with custom rules', () => {
+    const rules = {
+      version: 'test',
+      levels: { medium: 5, high: 10 },
+      rules: [{ id: 'young', type: 'age', label: 'Young', weight: 5, maxAge: 40 }],
+    };
+    expect(assessRisk(cleanFacts(), rules)).toMatchObject({ score: 5, level: 'medium', rulesVersion: 'test' });
+  });
+
+  test('should reject invalid rules', () => {
+    const rules = (overrides) => Object.assign({ version: '1', levels: { medium: 10, high: 20 }, rules: [] }, overrides);
+    expect(() => validateRules(rules({ version: '' }))).toThrow('a version is required');
+    expect(() => validateRules(rules({ levels: { medium: 20, high: 10 } }))).toThrow('high above medium');
+    expect(() => validateRules(rules({ rules: [{ id: 'x', type: 'horoscope', weight: 1 }] }))).toThrow('unknown type');
+    expect(() => validateRules(rules({
+      rules: [{ id: 'x', type: 'pep', weight: 1 }, { id: 'x', type: 'pep', weight: 1 }],
+    }))).toThrow('unique');
+    expect(() => validateRules(rules({ rules: [{ id: 'x', type: 'pep', weight: 1, minimumLevel: 'severe' }] })))
+      .toThrow('unknown minimum level');
+  });
+
+  test('should compute ages in whole years', () => {
+    const on = new Date(2026, 5, 15);
+    expect(ageAt('2000-06-15', on)).toBe(26);
+    expect(ageAt('2000-06-16', on)).toBe(25);
+    expect(ageAt(new Date(2000, 5, 14), on)).toBe(26);
+    expect(ageAt('not a date', on)).toBeNull();
+  });
+});
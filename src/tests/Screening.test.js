@@ -0,0 +1,83 @@
+/**
+ * Screening.test.js
+ * Unit tests for scoring applicants against watchlist entries
+ */
+
+const {
+  MATCH_THRESHOLD,
+  LIST_TYPES,
+  SCREENING_STATUSES,
+  compareDateOfBirth,
+  compareNationality,
+  scoreCandidate,
+  isBlocking,
+  indexEntries,
+  findIndexed,
+} = require('../shared/screening/Screening');
+
+const ENTRY = {
+  names: ['Viktor Petrov', 'Victor Petroff'],
+  datesOfBirth: ['1961-04-12'],
+  nationalities: ['Russia'],
+};
+
+describe('Screening', () => {
+  test('should compare dates of birth, including year-only entries', () => {
+    expect(compareDateOfBirth('1961-04-12', ['1961-04-12'])).toBe('match');
+    expect(compareDateOfBirth(new Date(1961, 3, 12), ['1961-04-12'])).toBe('match');
+    expect(compareDateOfBirth('1961-08-01', ['1961'])).toBe('year');
+    expect(compareDateOfBirth('1975-04-12', ['1961-04-12', '1962'])).toBe('mismatch');
+    expect(compareDateOfBirth('1961-04-12', [])).toBe('unknown');
+    expect(compareDateOfBirth(null, ['1961'])).toBe('unknown');
+  });
+
+  test('should compare nationalities, accepting a country for its nationality', () => {
+    expect(compareNationality('Russian', ['Russia'])).toBe('match');
+    expect(compareNationality('india', ['India'])).toBe('match');
+    expect(compareNationality('Indian', ['Russia'])).toBe('mismatch');
+    expect(compareNationality('', ['Russia'])).toBe('unknown');
+  });
+
+  test('should score an exact name with the same date of birth as a match', () => {
+    const result = scoreCandidate({ name: 'Viktor Petrov', dateOfBirth: '1961-04-12', nationality: 'Russian' }, ENTRY);
+    expect(result).toEqual({
+      score: 100,
+      matchedName: 'Viktor Petrov',
+      nameScore: 100,
+      dateOfBirth: 'match',
+      nationality: 'match',
+    });
+  });
+
+  test('should match a spelling variant against the closest alias', () => {
+    const result = scoreCandidate({ name: 'Victor Petrof', dateOfBirth: null, nationality: null }, ENTRY);
+    expect(result.matchedName).toBe('Victor Petroff');
+    expect(result.score).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+  });
+
+  test('should lower the score of a similar name with another date of birth', () => {
+    const sameName = scoreCandidate({ name: 'Viktor Petrov', dateOfBirth: '1990-01-01', nationality: 'Indian' }, ENTRY);
+    expect(sameName.score).toBe(80);
+    expect(sameName.score).toBeLessThan(MATCH_THRESHOLD);
+  });
+
+  test('should block on unresolved hits and confirmed sanctions matches only', () => {
+    const { POTENTIAL_MATCH, TRUE_POSITIVE, FALSE_POSITIVE } = SCREENING_STATUSES;
+    expect(isBlocking({ status: POTENTIAL_MATCH, listType: LIST_TYPES.PEP })).toBe(true);
+    expect(isBlocking({ status: TRUE_POSITIVE, listType: LIST_TYPES.SANCTIONS })).toBe(true);
+    expect(isBlocking({ status: TRUE_POSITIVE, listType: LIST_TYPES.PEP })).toBe(false);
+    expect(isBlocking({ status: FALSE_POSITIVE, listType: LIST_TYPES.SANCTIONS })).toBe(false);
+  });
+
+  test('should find indexed entries sounding like a name, changed after a time', () => {
+    const petrov = Object.assign({ changedAt: '2026-10-01T00:00:00Z' }, ENTRY);
+    const smith = { names: ['John Smith'], changedAt: '2026-10-10T00:00:00Z' };
+    const index = indexEntries([petrov, smith]);
+
+    expect(findIndexed(index, 'Victor Petrof')).toEqual([petrov]);
+    expect(findIndexed(index, 'Jon Smyth')).toEqual([smith]);
+    expect(findIndexed(index, 'Priya Sharma')).toEqual([]);
+    expect(findIndexed(index, 'Victor Petrof', '2026-10-05T00:00:00Z')).toEqual([]);
+    expect(findIndexed(index, 'Jon Smyth', new Date('2026-10-05T00:00:00Z'))).toEqual([smith]);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * StatusTimeline.test.js
+ * Unit tests for the milestones shown on the application status page
+ */
+
+const { buildTimeline } = require('../shared/applications/StatusTimeline');
+
+const SUBMITTED_AT = '2026-03-02T10:00:00.000Z';
+const KYC_AT = '2026-03-02T10:00:01.000Z';
+const REVIEW_AT = '2026-03-04T09:00:00.000Z';
+const DECIDED_AT = '2026-03-06T15:30:00.000Z';
+const ISSUED_AT = '2026-03-09T08:00:00.000Z';
+
+const HISTORY = [
+  { fromStatus: null, toStatus: 'submitted', changedAt: SUBMITTED_AT },
+  { fromStatus: 'submitted', toStatus: 'kyc_pending', changedAt: KYC_AT },
+  { fromStatus: 'kyc_pending', toStatus: 'under_review', changedAt: REVIEW_AT },
+  { fromStatus: 'under_review', toStatus: 'approved', changedAt: DECIDED_AT },
+  { fromStatus: 'approved', toStatus: 'card_issued', changedAt: ISSUED_AT },
+];
+
+/**
+ * Build a timeline from the history up to the given status
+ */
+const timelineAt = (status, extra = {}) => {
+  const index = HISTORY.findIndex((entry) => entry.toStatus === status);
+  return buildTimeline({
+    status,
+    submittedAt: SUBMITTED_AT,
+    history: HISTORY.slice(0, index + 1),
+    ...extra,
+  });
+};
+
+const states = (timeline) => timeline.map((milestone) => milestone.state);
+
+describe('Status Timeline', () => {
+  test('should show the five milestones in order', () => {
+    expect(timelineAt('submitted').map((milestone) => milestone.id))
+      .toEqual(['submitted', 'kyc_review', 'verified', 'decision', 'card_dispatch']);
+  });
+
+  test('should show KYC review in progress after submission', () => {
+    const timeline = timelineAt('kyc_pending');
+    expect(states(timeline)).toEqual(['complete', 'current', 'upcoming', 'upcoming', 'upcoming']);
+    expect(timeline[0].date).toBe(SUBMITTED_AT);
+    expect(timeline[1].date).toBeNull();
+  });
+
+  test('should show a verified identity while the decision is pending', () => {
+    const timeline = timelineAt('under_review', { kycStatus: 'verified', kycVerifiedAt: REVIEW_AT });
+    expect(states(timeline)).toEqual(['complete', 'complete', 'complete', 'current', 'upcoming']);
+    expect(timeline[1].date).toBe(KYC_AT);
+    expect(timeline[2].date).toBe(REVIEW_AT);
+  });
+
+  test('should show an identity that could not be verified', () => {
+    const timeline = timelineAt('kyc_pending', { kycStatus: 'rejected' });
+    expect(states(timeline)).toEqual(['complete', 'complete', 'failed', 'upcoming', 'upcoming']);
+    expect(timeline[2].label).toBe('Identity could not be verified');
+  });
+
+  test('should complete every milestone once the card is issued', () => {
+    const timeline = timelineAt('card_issued', { decidedAt: DECIDED_AT });
+    expect(states(timeline)).toEqual(['complete', 'complete', 'complete', 'complete', 'complete']);
+    expect(timeline[3]).toEqual(expect.objectContaining({ label: 'Application approved', date: DECIDED_AT }));
+    expect(timeline[4].date).toBe(ISSUED_AT);
+  });
+
+  test('should show card dispatch in progress once approved', () => {
+    expect(states(timelineAt('approved', { decidedAt: DECIDED_AT })))
+      .toEqual(['complete', 'complete', 'complete', 'complete', 'current']);
+  });
+
+  test('should skip card dispatch for a declined application', () => {
+    const timeline = buildTimeline({
+      status: 'declined',
+      submittedAt: SUBMITTED_AT,
+      decidedAt: DECIDED_AT,
+      history: HISTORY.slice(0, 3).concat({ fromStatus: 'under_review', toStatus: 'declined', changedAt: DECIDED_AT }),
+    });
+    expect(states(timeline)).toEqual(['complete', 'complete', 'complete', 'failed', 'skipped']);
+    expect(timeline[3]).toEqual(expect.objectContaining({ label: 'Application declined', date: DECIDED_AT }));
+  });
+
+  test('should end a withdrawn application with its withdrawal', () => {
+    const timeline = buildTimeline({
+      status: 'withdrawn',
+      submittedAt: SUBMITTED_AT,
+      decidedAt: DECIDED_AT,
+      history: HISTORY.slice(0, 2).concat({ fromStatus: 'kyc_pending', toStatus: 'withdrawn', changedAt: DECIDED_AT }),
+    });
+    expect(states(timeline)).toEqual(['complete', 'skipped', 'skipped', 'skipped', 'skipped', 'complete']);
+    expect(timeline[5]).toEqual({ id: 'withdrawn', label: 'Application withdrawn', state: 'complete', date: DECIDED_AT });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Upload.test.js
+ * Unit tests for the multipart/form-data upload parser
+ *
+ * @jest-environment node
+ */
+
+const { parseMultipart } = require('../../api/middleware/upload');
+
+const BOUNDARY = '----form7MA4YWxkTrZu0gW';
+const CONTENT_TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+/**
+ * Build a multipart body from [{ name, filename, contentType, content }]
+ */
+const buildBody = (parts, boundary = BOUNDARY) => Buffer.concat(parts.map((part) => Buffer.concat([
+  Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"`
+    + (part.filename !== undefined ? `; filename="${part.filename}"` : '')
+    + (part.contentType ? `\r\nContent-Type: ${part.contentType}` : '')
+    + '\r\n\r\n'),
+  Buffer.isBuffer(part.content) ? part.content : Buffer.from(part.content),
+  Buffer.from('\r\n'),
+])).concat(Buffer.from(`--${boundary}--\r\n`)));
+
+/**
+ * Error thrown by a call, or null
+ */
+const thrownBy = (call) => {
+  try {
+    call();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('Multipart uploads', () => {
+  test('should read form fields and files, keeping file bytes intact', () => {
+    // Binary content that contains CRLFs and a partial boundary
+    const content = Buffer.concat([Buffer.from([0xff, 0xd8, 0x0d, 0x0a, 0x2d, 0x2d]), Buffer.from(BOUNDARY.slice(0, 10))]);
+    const body = buildBody([
+      { name: 'documentType', content: 'front' },
+      { name: 'file', filename: 'id front.jpg', contentType: 'image/jpeg', content },
+    ]);
+
+    const { fields, files } = parseMultipart(body, CONTENT_TYPE);
+
+    expect(fields).toEqual({ documentType: 'front' });
+    expect(files).toHaveLength(1);
+    expect(files[0]).toEqual(expect.objectContaining({
+      fieldName: 'file',
+      filename: 'id front.jpg',
+      contentType: 'image/jpeg',
+    }));
+    expect(files[0].content.equals(content)).toBe(true);
+  });
+
+  test('should accept a quoted boundary and an empty file', () => {
+    const body = buildBody([{ name: 'file', filename: '', content: '' }]);
+    const { files } = parseMultipart(body, `multipart/form-data; boundary="${BOUNDARY}"`);
+
+    expect(files[0].filename).toBe('');
+    expect(files[0].content.length).toBe(0);
+  });
+
+  test('should refuse bodies that are not well-formed multipart', () => {
+    const body = buildBody([{ name: 'documentType', content: 'front' }]);
+
+    expect(() => parseMultipart(body, 'application/json')).toThrow('multipart/form-data');
+    expect(() => parseMultipart(body, 'multipart/form-data')).toThrow('multipart/form-data');
+    expect(() => parseMultipart(body, 'multipart/form-data; boundary=other')).toThrow('malformed');
+    expect(() => parseMultipart(body.subarray(0, body.length - 12), CONTENT_TYPE)).toThrow('malformed');
+    expect(() => parseMultipart(buildBody([{ name: 'a', content: 'x'.repeat(1001) }]), CONTENT_TYPE)).toThrow('too long');
+
+    const many = buildBody(Array.from({ length: 11 }, (_, index) => ({ name: `field${index}`, content: 'x' })));
+    expect(() => parseMultipart(many, CONTENT_TYPE)).toThrow('too many parts');
+    expect(thrownBy(() => parseMultipart(body, 'text/plain')).isUploadError).toBe(true);
+  });
+});
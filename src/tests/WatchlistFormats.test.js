@@ -0,0 +1,149 @@
+/**
+ * WatchlistFormats.test.js
+ * Unit tests for reading UN, OFAC and generic CSV watchlists
+ */
+
+const {
+  parseCSV,
+  parseListedDate,
+  detectFormat,
+  parseWatchlist,
+} = require('../shared/screening/WatchlistFormats');
+
+const UN_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<CONSOLIDATED_LIST dateGenerated="2026-10-01T00:00:00">
+  <INDIVIDUALS>
+    <INDIVIDUAL>
+      <DATAID>6908555</DATAID>
+      <FIRST_NAME>ABDUL</FIRST_NAME>
+      <SECOND_NAME>GHANI</SECOND_NAME>
+      <THIRD_NAME>BARADAR</THIRD_NAME>
+      <FOURTH_NAME/>
+      <NATIONALITY><VALUE>Afghanistan</VALUE></NATIONALITY>
+      <INDIVIDUAL_ALIAS><QUALITY>Good</QUALITY><ALIAS_NAME>Mullah Baradar Akhund</ALIAS_NAME></INDIVIDUAL_ALIAS>
+      <INDIVIDUAL_ALIAS><QUALITY>Low</QUALITY><ALIAS_NAME></ALIAS_NAME></INDIVIDUAL_ALIAS>
+      <INDIVIDUAL_DATE_OF_BIRTH><TYPE_OF_DATE>EXACT</TYPE_OF_DATE><YEAR>1968</YEAR></INDIVIDUAL_DATE_OF_BIRTH>
+      <INDIVIDUAL_DATE_OF_BIRTH><TYPE_OF_DATE>BETWEEN</TYPE_OF_DATE><FROM_YEAR>1970</FROM_YEAR><TO_YEAR>1971</TO_YEAR></INDIVIDUAL_DATE_OF_BIRTH>
+    </INDIVIDUAL>
+  </INDIVIDUALS>
+  <ENTITIES>
+    <ENTITY><DATAID>1</DATAID><FIRST_NAME>SOME FRONT COMPANY</FIRST_NAME></ENTITY>
+  </ENTITIES>
+</CONSOLIDATED_LIST>`;
+
+const OFAC_XML = `<?xml version="1.0" standalone="yes"?>
+<sdnList xmlns="https://sanctionslistservice.ofac.treas.gov/api/PublicationPreview/exports/XML">
+  <sdnEntry>
+    <uid>36</uid>
+    <lastName>AEROCARIBBEAN AIRLINES</lastName>
+    <sdnType>Entity</sdnType>
+  </sdnEntry>
+  <sdnEntry>
+    <uid>2674</uid>
+    <firstName>Abu</firstName>
+    <lastName>ABBAS</lastName>
+    <sdnType>Individual</sdnType>
+    <akaList>
+      <aka><uid>201</uid><type>a.k.a.</type><category>strong</category><lastName>ZAYDAN</lastName><firstName>Muhammad</firstName></aka>
+    </akaList>
+    <nationalityList><nationality><uid>1</uid><country>Iraq</country></nationality></nationalityList>
+    <dateOfBirthList>
+      <dateOfBirthItem><uid>2</uid><dateOfBirth>10 Dec 1948</dateOfBirth></dateOfBirthItem>
+      <dateOfBirthItem><uid>3</uid><dateOfBirth>circa 1950</dateOfBirth></dateOfBirthItem>
+    </dateOfBirthList>
+  </sdnEntry>
+</sdnList>`;
+
+const OFAC_CSV = [
+  '36,"AEROCARIBBEAN AIRLINES","-0- ","CUBA","-0- ","-0- ","-0- ","-0- ","-0- ","-0- ","-0- ","Havana, Cuba."',
+  '2674,"ABBAS, Abu","individual","SDGT","-0- ","-0- ","-0- ","-0- ","-0- ","-0- ","-0- ",'
+    + '"DOB 10 Dec 1948; POB Safad, Israel; nationality Iraq; a.k.a. \'ZAYDAN, Muhammad\'; a.k.a. \'ABBAS, Abu al-\'."',
+].join('\r\n');
+
+const PEP_CSV = `id,name,aliases,date_of_birth,nationality
+P-1,"Rao, Venkat",V. Rao;Venkata Rao,1959-03-02,India
+,Anil Mehra,,1962,India
+`;
+
+describe('Watchlist Formats', () => {
+  test('should split CSV with quoted commas, quotes and line breaks', () => {
+    expect(parseCSV('a,"b, c","say ""hi"""\r\n\r\n"multi\nline",x\n')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['multi\nline', 'x'],
+    ]);
+  });
+
+  test('should read the date formats used by the lists', () => {
+    expect(parseListedDate('10 Dec 1948')).toEqual(['1948-12-10']);
+    expect(parseListedDate('Dec 1948')).toEqual(['1948-12']);
+    expect(parseListedDate('circa 1950')).toEqual(['1950']);
+    expect(parseListedDate('1948 to 1950')).toEqual(['1948', '1949', '1950']);
+    expect(parseListedDate('1960-01-01')).toEqual(['1960-01-01']);
+    expect(parseListedDate('unknown')).toEqual([]);
+  });
+
+  test('should detect the format from the content', () => {
+    expect(detectFormat(UN_XML)).toBe('un-xml');
+    expect(detectFormat(OFAC_XML)).toBe('ofac-xml');
+    expect(detectFormat(OFAC_CSV)).toBe('ofac-csv');
+    expect(detectFormat(PEP_CSV)).toBe('csv');
+    expect(detectFormat('<html></html>')).toBeNull();
+  });
+
+  test('should read individuals from the UN consolidated list', () => {
+    expect(parseWatchlist(UN_XML)).toEqual({
+      format: 'un-xml',
+      entries: [{
+        entryRef: '6908555',
+        primaryName: 'ABDUL GHANI BARADAR',
+        names: ['ABDUL GHANI BARADAR', 'Mullah Baradar Akhund'],
+        datesOfBirth: ['1968', '1970', '1971'],
+        nationalities: ['Afghanistan'],
+      }],
+    });
+  });
+
+  test('should read individuals from the OFAC SDN list in XML', () => {
+    expect(parseWatchlist(OFAC_XML).entries).toEqual([{
+      entryRef: '2674',
+      primaryName: 'Abu ABBAS',
+      names: ['Abu ABBAS', 'Muhammad ZAYDAN'],
+      datesOfBirth: ['1948-12-10', '1950'],
+      nationalities: ['Iraq'],
+    }]);
+  });
+
+  test('should read individuals from the OFAC SDN list in CSV, with their remarks', () => {
+    expect(parseWatchlist(OFAC_CSV).entries).toEqual([{
+      entryRef: '2674',
+      primaryName: 'Abu ABBAS',
+      names: ['Abu ABBAS', 'Muhammad ZAYDAN', 'Abu al- ABBAS'],
+      datesOfBirth: ['1948-12-10'],
+      nationalities: ['Iraq'],
+    }]);
+  });
+
+  test('should read a generic CSV list', () => {
+    expect(parseWatchlist(PEP_CSV).entries).toEqual([
+      {
+        entryRef: 'P-1',
+        primaryName: 'Rao, Venkat',
+        names: ['Rao, Venkat', 'V. Rao', 'Venkata Rao'],
+        datesOfBirth: ['1959-03-02'],
+        nationalities: ['India'],
+      },
+      {
+        entryRef: '2',
+        primaryName: 'Anil Mehra',
+        names: ['Anil Mehra'],
+        datesOfBirth: ['1962'],
+        nationalities: ['India'],
+      },
+    ]);
+  });
+
+  test('should refuse files in an unknown format', () => {
+    expect(() => parseWatchlist('<html></html>')).toThrow('Unrecognized watchlist format');
+    expect(() => parseWatchlist('a,b\n1,2', 'csv')).toThrow('needs a name column');
+  });
+});
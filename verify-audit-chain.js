@@ -0,0 +1,39 @@
+/**
+ * Audit Chain Verification Script
+ * Walks audit_logs in chain order and reports the first broken link
+ *
+ * Usage: node verify-audit-chain.js
+ * Exits with code 1 if the chain has been tampered with
+ */
+
+require('dotenv').config();
+
+const AuditLogModel = require('./db/models/AuditLogModel');
+const db = require('./db/config');
+
+async function verifyAuditChain() {
+  try {
+    console.log('🔗 Verifying audit hash chain...');
+    const result = await AuditLogModel.verifyChain();
+
+    if (result.valid) {
+      console.log(`\n✅ Chain intact: ${result.rowsChecked} rows verified`);
+      return;
+    }
+
+    const { brokenAt } = result;
+    console.error(`\n❌ Chain broken after ${result.rowsChecked} valid rows`);
+    console.error(`   Row:      ${brokenAt.id}`);
+    console.error(`   Position: ${brokenAt.chainPosition} (expected ${brokenAt.expectedPosition})`);
+    console.error(`   Reason:   ${brokenAt.reason}`);
+    process.exitCode = 1;
+  } catch (err) {
+    console.error('\n❌ Error verifying audit chain:');
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+verifyAuditChain();